@@ -0,0 +1,2 @@
+// __mocks__/@react-native-firebase/app.js
+export const getApp = jest.fn(() => ({ name: '[DEFAULT]' }));
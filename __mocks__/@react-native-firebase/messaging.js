@@ -0,0 +1,15 @@
+// __mocks__/@react-native-firebase/messaging.js
+// Modular messaging API without the native module; every listener
+// registration returns an unsubscribe function like the real one
+const unsubscribe = () => jest.fn(() => () => {});
+
+export const getMessaging = jest.fn(() => ({}));
+export const getToken = jest.fn(async () => 'fcm-token');
+export const deleteToken = jest.fn(async () => {});
+export const getInitialNotification = jest.fn(async () => null);
+export const onMessage = unsubscribe();
+export const onNotificationOpenedApp = unsubscribe();
+export const onTokenRefresh = unsubscribe();
+export const setBackgroundMessageHandler = jest.fn();
+export const subscribeToTopic = jest.fn(async () => {});
+export const unsubscribeFromTopic = jest.fn(async () => {});
@@ -0,0 +1,9 @@
+// __mocks__/expo-clipboard.js
+let clipboard = '';
+
+export const setStringAsync = jest.fn(async (text) => {
+  clipboard = text;
+  return true;
+});
+
+export const getStringAsync = jest.fn(async () => clipboard);
@@ -0,0 +1,8 @@
+// __mocks__/expo-device.js
+// Tests flip `isDevice` to false to take the emulator path
+export let isDevice = true;
+export const deviceName = 'Test Device';
+
+export const __setIsDevice = (value) => {
+  isDevice = value;
+};
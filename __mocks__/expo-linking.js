@@ -0,0 +1,5 @@
+// __mocks__/expo-linking.js
+// The real module reads the URL scheme from the native app manifest,
+// which does not exist in tests
+export const createURL = (path = '') =>
+  `mynotifications://${path.replace(/^\/+/, '')}`;
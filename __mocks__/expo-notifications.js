@@ -0,0 +1,177 @@
+// __mocks__/expo-notifications.js
+// In-memory stand-in for the native notifications module
+// Tests drive it with the `__` helpers at the bottom, e.g. to deliver a
+// notification or tap one, and reset it with `__reset()` between tests
+
+const listeners = {
+  received: new Set(),
+  response: new Set(),
+  pushToken: new Set(),
+};
+
+const addListener = (kind) =>
+  jest.fn((listener) => {
+    listeners[kind].add(listener);
+    return { remove: () => listeners[kind].delete(listener) };
+  });
+
+export const DEFAULT_ACTION_IDENTIFIER = 'expo.modules.notifications.actions.DEFAULT';
+
+export const SchedulableTriggerInputTypes = {
+  CALENDAR: 'calendar',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+  DATE: 'date',
+  TIME_INTERVAL: 'timeInterval',
+};
+
+export const AndroidImportance = {
+  UNKNOWN: 0,
+  UNSPECIFIED: 1,
+  NONE: 2,
+  MIN: 3,
+  LOW: 4,
+  DEFAULT: 5,
+  HIGH: 6,
+  MAX: 7,
+};
+
+export const AndroidNotificationVisibility = {
+  UNKNOWN: 0,
+  PUBLIC: 1,
+  PRIVATE: 2,
+  SECRET: 3,
+};
+
+export const IosAuthorizationStatus = {
+  NOT_DETERMINED: 0,
+  DENIED: 1,
+  AUTHORIZED: 2,
+  PROVISIONAL: 3,
+  EPHEMERAL: 4,
+};
+
+export const IosAlertStyle = {
+  NONE: 0,
+  BANNER: 1,
+  ALERT: 2,
+};
+
+export const GRANTED_PERMISSIONS = {
+  status: 'granted',
+  granted: true,
+  canAskAgain: true,
+  expires: 'never',
+};
+
+export const DENIED_PERMISSIONS = {
+  status: 'denied',
+  granted: false,
+  canAskAgain: false,
+  expires: 'never',
+};
+
+let lastResponse = null;
+let scheduledCount = 0;
+
+export const addNotificationReceivedListener = addListener('received');
+export const addNotificationResponseReceivedListener = addListener('response');
+export const addPushTokenListener = addListener('pushToken');
+
+export const getLastNotificationResponse = jest.fn(() => lastResponse);
+export const clearLastNotificationResponse = jest.fn(() => {
+  lastResponse = null;
+});
+
+export const getPermissionsAsync = jest.fn();
+export const requestPermissionsAsync = jest.fn();
+
+export const getExpoPushTokenAsync = jest.fn();
+export const getDevicePushTokenAsync = jest.fn();
+
+export const scheduleNotificationAsync = jest.fn(
+  async () => `scheduled-${++scheduledCount}`
+);
+export const cancelScheduledNotificationAsync = jest.fn(async () => {});
+export const cancelAllScheduledNotificationsAsync = jest.fn(async () => {});
+export const getAllScheduledNotificationsAsync = jest.fn(async () => []);
+export const getNextTriggerDateAsync = jest.fn(async () => null);
+export const getPresentedNotificationsAsync = jest.fn(async () => []);
+export const dismissNotificationAsync = jest.fn(async () => {});
+
+export const getBadgeCountAsync = jest.fn(async () => 0);
+export const setBadgeCountAsync = jest.fn(async () => true);
+
+export const setNotificationHandler = jest.fn();
+export const registerTaskAsync = jest.fn(async () => {});
+
+export const getNotificationChannelsAsync = jest.fn(async () => []);
+export const setNotificationChannelAsync = jest.fn(async () => null);
+export const deleteNotificationChannelAsync = jest.fn(async () => {});
+export const getNotificationChannelGroupsAsync = jest.fn(async () => []);
+export const setNotificationChannelGroupAsync = jest.fn(async () => null);
+export const deleteNotificationChannelGroupAsync = jest.fn(async () => {});
+
+export const getNotificationCategoriesAsync = jest.fn(async () => []);
+export const setNotificationCategoryAsync = jest.fn(async () => null);
+export const deleteNotificationCategoryAsync = jest.fn(async () => true);
+
+// Build a Notification the way expo-notifications reports it
+export function __createNotification({
+  identifier = 'notification-1',
+  title = 'Hello',
+  body = 'World',
+  data = {},
+  trigger = null,
+} = {}) {
+  return {
+    date: Date.now(),
+    request: {
+      identifier,
+      content: { title, body, data, sound: null, badge: null },
+      trigger,
+    },
+  };
+}
+
+// Build a NotificationResponse for a tap on `notification`
+export const __createResponse = (
+  notification,
+  actionIdentifier = DEFAULT_ACTION_IDENTIFIER,
+  userText
+) => ({ notification, actionIdentifier, userText });
+
+// Deliver a notification while the app is in the foreground
+export function __receive(notification) {
+  listeners.received.forEach((listener) => listener(notification));
+}
+
+// Tap a notification (or one of its actions) while the app is running
+export function __tap(response) {
+  listeners.response.forEach((listener) => listener(response));
+}
+
+// Pretend a tap launched the app before any listener existed
+export function __setLastResponse(response) {
+  lastResponse = response;
+}
+
+export function __reset() {
+  Object.values(listeners).forEach((set) => set.clear());
+  lastResponse = null;
+  scheduledCount = 0;
+  getPermissionsAsync.mockResolvedValue(GRANTED_PERMISSIONS);
+  requestPermissionsAsync.mockResolvedValue(GRANTED_PERMISSIONS);
+  getExpoPushTokenAsync.mockResolvedValue({
+    type: 'expo',
+    data: 'ExponentPushToken[test]',
+  });
+  getDevicePushTokenAsync.mockResolvedValue({
+    type: 'android',
+    data: 'device-token',
+  });
+}
+
+__reset();
@@ -1,6 +1,15 @@
 import { registerRootComponent } from 'expo';
 
 import App from './App';
+import { registerBackgroundMessageHandler } from './src/push/firebaseMessaging';
+import { registerBackgroundNotificationTask } from './src/background/notificationTask';
+
+// Firebase requires its background handler to be set outside the React tree,
+// before the root component registers, so background FCM messages are logged
+registerBackgroundMessageHandler();
+
+// Capture Expo-delivered notifications while the app is backgrounded or killed
+registerBackgroundNotificationTask();
 
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
@@ -0,0 +1,5 @@
+// jest.setup.js
+// AsyncStorage keeps its data in memory during tests
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
@@ -0,0 +1,133 @@
+// scripts/mock-backend.js
+// Local stand-in for the backend endpoints the app talks to during testing
+//
+// Endpoints:
+//   POST /tokens                token create/update/revoke reports
+//   GET  /tokens                list reported token events
+//   POST /push/send             Expo Push API stand-in, returns tickets
+//   POST /push/getReceipts      Expo receipts stand-in
+//   POST /fcm/send              FCM HTTP v1 stand-in
+//   GET  /push                  list every push the app has sent
+//
+// Usage:
+//   npm run mock-backend
+//   PORT=4000 FAIL_FIRST=2 npm run mock-backend
+//
+// FAIL_FIRST answers the first N requests with 503, which is handy for
+// watching the app retry with exponential backoff.
+// From an Android emulator the host machine is reachable at 10.0.2.2.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4000;
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+// Everything received is kept in memory and lost on restart
+const state = {
+  tokenEvents: [],
+  pushes: [],
+  receipts: {},
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+
+// Route table keyed by "METHOD /path"
+const routes = {
+  // Token create/update/revoke calls from src/push/tokenRegistration.js
+  'POST /tokens': async (req, res) => {
+    const event = { ...(await readJsonBody(req)), receivedAt: Date.now() };
+    state.tokenEvents.push(event);
+    console.log(`[tokens] ${event.action} ${event.type}: ${event.token}`);
+    sendJson(res, 200, { ok: true });
+  },
+
+  // Inspect what the app has reported so far
+  'GET /tokens': async (req, res) => {
+    sendJson(res, 200, state.tokenEvents);
+  },
+
+  // Expo accepts a single message or an array and answers with tickets
+  'POST /push/send': async (req, res) => {
+    const body = await readJsonBody(req);
+    const messages = Array.isArray(body) ? body : [body];
+
+    const tickets = messages.map((message) => {
+      const id = crypto.randomUUID();
+      state.pushes.push({ format: 'expo', id, message, receivedAt: Date.now() });
+      state.receipts[id] = { status: 'ok' };
+      console.log(`[push] expo ${id}: ${message.title ?? '(no title)'}`);
+      return { status: 'ok', id };
+    });
+
+    sendJson(res, 200, { data: Array.isArray(body) ? tickets : tickets[0] });
+  },
+
+  'POST /push/getReceipts': async (req, res) => {
+    const { ids = [] } = await readJsonBody(req);
+    const data = Object.fromEntries(
+      ids.filter((id) => state.receipts[id]).map((id) => [id, state.receipts[id]])
+    );
+    sendJson(res, 200, { data });
+  },
+
+  // FCM v1 wraps the payload in `message` and answers with its name
+  'POST /fcm/send': async (req, res) => {
+    const { message } = await readJsonBody(req);
+    const id = crypto.randomUUID();
+    state.pushes.push({ format: 'fcm-v1', id, message, receivedAt: Date.now() });
+    console.log(`[push] fcm ${id}: ${message?.notification?.title ?? '(no title)'}`);
+    sendJson(res, 200, { name: `projects/mock/messages/${id}` });
+  },
+
+  'GET /push': async (req, res) => {
+    sendJson(res, 200, state.pushes);
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const handler = routes[`${req.method} ${pathname}`];
+
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    console.log(`[fail] ${req.method} ${pathname} -> 503`);
+    sendJson(res, 503, { error: 'Simulated outage' });
+    return;
+  }
+
+  if (!handler) {
+    sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error(`[error] ${req.method} ${pathname}:`, error.message);
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,331 @@
+// scripts/mock-push-relay.js
+// Local push service for emulators, CI and offline testing
+// Accepts Expo and FCM shaped send requests and hands them to the app
+// over a WebSocket; the app turns them into local notifications and logs
+// them in history tagged "mock"
+//
+// Endpoints:
+//   WS   /ws                   the app connects here (Mock Push Relay screen)
+//   POST /push/send            Expo Push API shape, returns tickets
+//   POST /push/getReceipts     receipts for delivered tickets
+//   POST /fcm/send             FCM HTTP v1 shape ({ message })
+//   GET  /devices              connected apps and their mock tokens
+//   GET  /push                 every push relayed so far
+//
+// Usage:
+//   npm run mock-relay
+//   PORT=4001 npm run mock-relay
+//   curl -X POST localhost:4001/push/send -H 'Content-Type: application/json' \
+//     -d '{"to":"*","title":"Hello","body":"From the relay"}'
+//
+// A push goes to the device whose mock token matches `to` (Expo) or
+// `message.token` (FCM); any other target, e.g. "*", a real token or a
+// topic, reaches every connected device.
+// From an Android emulator the host machine is reachable at 10.0.2.2.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4001;
+
+// Everything is kept in memory and lost on restart
+const state = {
+  devices: new Map(),
+  pushes: [],
+  receipts: {},
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+
+// --- Minimal WebSocket server (RFC 6455), enough for small JSON messages
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const Opcode = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+// Server frames are never masked and always fit in one frame
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Read one frame from the start of `buffer`; null until it is complete
+// Client frames are always masked
+function decodeFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) {
+    return null;
+  }
+  const mask = buffer.subarray(offset, offset + maskLength);
+  const payload = Buffer.from(
+    buffer.subarray(offset + maskLength, offset + maskLength + length)
+  );
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+  return { opcode, payload, size: offset + maskLength + length };
+}
+
+const sendToDevice = (device, body) =>
+  device.socket.write(
+    encodeFrame(Opcode.TEXT, Buffer.from(JSON.stringify(body)))
+  );
+
+// Messages from the app:
+//   { type: 'hello', token, platform, deviceName }  after connecting
+//   { type: 'ack', id }                             a push was shown
+function handleDeviceMessage(device, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    console.log(`[ws] ${device.id} sent invalid JSON`);
+    return;
+  }
+
+  if (message.type === 'hello') {
+    Object.assign(device, {
+      token: message.token ?? null,
+      platform: message.platform ?? null,
+      deviceName: message.deviceName ?? null,
+    });
+    console.log(`[ws] ${device.id} is ${device.token} (${device.platform})`);
+  } else if (message.type === 'ack' && message.id) {
+    state.receipts[message.id] = { status: 'ok' };
+    console.log(`[ack] ${message.id} shown on ${device.token}`);
+  }
+}
+
+function acceptWebSocket(req, socket) {
+  const accept = crypto
+    .createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+    .digest('base64');
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n')
+  );
+
+  const device = {
+    id: crypto.randomUUID(),
+    socket,
+    token: null,
+    platform: null,
+    deviceName: null,
+    connectedAt: Date.now(),
+  };
+  state.devices.set(device.id, device);
+  console.log(`[ws] ${device.id} connected`);
+
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let frame;
+    while ((frame = decodeFrame(buffer))) {
+      buffer = buffer.subarray(frame.size);
+      if (frame.opcode === Opcode.TEXT) {
+        handleDeviceMessage(device, frame.payload.toString('utf8'));
+      } else if (frame.opcode === Opcode.PING) {
+        socket.write(encodeFrame(Opcode.PONG, frame.payload));
+      } else if (frame.opcode === Opcode.CLOSE) {
+        socket.end(encodeFrame(Opcode.CLOSE));
+      }
+    }
+  });
+
+  const forget = () => {
+    if (state.devices.delete(device.id)) {
+      console.log(`[ws] ${device.token ?? device.id} disconnected`);
+    }
+  };
+  socket.on('close', forget);
+  socket.on('error', forget);
+}
+
+// --- Relaying
+
+// Devices addressed by a list of targets, falling back to every device
+function findDevices(targets) {
+  const all = [...state.devices.values()];
+  const matching = all.filter((device) => targets.includes(device.token));
+  return matching.length > 0 ? matching : all;
+}
+
+// Hand one message to its devices; returns how many received it
+function relay(format, message, targets) {
+  const id = crypto.randomUUID();
+  const devices = findDevices(targets);
+  const push = { id, format, sentAt: Date.now(), message };
+
+  devices.forEach((device) => sendToDevice(device, { type: 'push', ...push }));
+  state.pushes.push({ ...push, deliveredTo: devices.map((d) => d.token) });
+  console.log(
+    `[push] ${format} ${id} -> ${devices.length} device(s): ` +
+      `${message.title ?? message.notification?.title ?? '(no title)'}`
+  );
+  return { id, delivered: devices.length };
+}
+
+// Route table keyed by "METHOD /path"
+const routes = {
+  // Expo accepts a single message or an array and answers with tickets
+  // Like Expo's, a receipt only shows up once the app has shown the push
+  'POST /push/send': async (req, res) => {
+    const body = await readJsonBody(req);
+    const messages = Array.isArray(body) ? body : [body];
+
+    const tickets = messages.map((message) => {
+      const targets = [].concat(message.to ?? []);
+      const { id, delivered } = relay('expo', message, targets);
+      if (delivered === 0) {
+        return {
+          status: 'error',
+          message: 'No device is connected to the mock relay',
+          details: { error: 'DeviceNotRegistered' },
+        };
+      }
+      return { status: 'ok', id };
+    });
+
+    sendJson(res, 200, { data: Array.isArray(body) ? tickets : tickets[0] });
+  },
+
+  'POST /push/getReceipts': async (req, res) => {
+    const { ids = [] } = await readJsonBody(req);
+    const data = Object.fromEntries(
+      ids.filter((id) => state.receipts[id]).map((id) => [id, state.receipts[id]])
+    );
+    sendJson(res, 200, { data });
+  },
+
+  // FCM v1 wraps the payload in `message` and answers with its name
+  'POST /fcm/send': async (req, res) => {
+    const { message = {} } = await readJsonBody(req);
+    const targets = [message.token, message.topic].filter(Boolean);
+    const { id, delivered } = relay('fcm-v1', message, targets);
+    if (delivered === 0) {
+      sendJson(res, 404, {
+        error: {
+          code: 404,
+          message: 'No device is connected to the mock relay',
+          status: 'NOT_FOUND',
+        },
+      });
+      return;
+    }
+    sendJson(res, 200, { name: `projects/mock/messages/${id}` });
+  },
+
+  'GET /devices': async (req, res) => {
+    sendJson(
+      res,
+      200,
+      [...state.devices.values()].map(({ socket, ...device }) => device)
+    );
+  },
+
+  'GET /push': async (req, res) => {
+    sendJson(res, 200, state.pushes);
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const handler = routes[`${req.method} ${pathname}`];
+
+  if (!handler) {
+    sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error(`[error] ${req.method} ${pathname}:`, error.message);
+    sendJson(res, 400, { error: error.message });
+  }
+});
+
+server.on('upgrade', (req, socket) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  if (
+    pathname !== '/ws' ||
+    req.headers.upgrade?.toLowerCase() !== 'websocket' ||
+    !req.headers['sec-websocket-key']
+  ) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  acceptWebSocket(req, socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock push relay listening on http://localhost:${PORT}`);
+  console.log(`Apps connect to ws://localhost:${PORT}/ws`);
+});
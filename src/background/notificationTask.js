@@ -0,0 +1,91 @@
+// src/background/notificationTask.js
+import * as TaskManager from 'expo-task-manager';
+import * as Notifications from 'expo-notifications';
+import {
+  HistorySource,
+  addToHistory,
+  createHistoryEntry,
+  createResponseEntry,
+} from '../history/historyStore';
+import { AppStateMarker, getAppStateMarker } from '../utils/appLifecycle';
+import { syncBadgeCountAsync } from '../notifications/badge';
+
+export const BACKGROUND_NOTIFICATION_TASK = 'BACKGROUND-NOTIFICATION-TASK';
+
+// The task receives the raw FCM/APNs payload, with custom data serialized
+// in `dataString`; fall back to the plain fields when it is missing
+const parseTaskData = (data = {}) => {
+  if (typeof data.dataString === 'string') {
+    try {
+      return JSON.parse(data.dataString);
+    } catch {
+      return { dataString: data.dataString };
+    }
+  }
+  return data;
+};
+
+// Build an expo-notifications style Notification from a task payload
+// `notification` is null for data-only (headless) pushes
+export function taskPayloadToNotification(payload) {
+  const info = payload.notification ?? {};
+  const alert = payload.aps?.alert ?? {};
+  const data = parseTaskData(payload.data);
+
+  return {
+    date: Date.now(),
+    request: {
+      identifier:
+        payload.data?.['google.message_id'] ??
+        info.identifier ??
+        `background-${Date.now()}`,
+      content: {
+        title: info.title ?? alert.title ?? null,
+        body: info.body ?? alert.body ?? null,
+        data,
+      },
+      trigger: { type: 'push', payload },
+    },
+  };
+}
+
+// Defined at module scope so the task exists as soon as the bundle loads,
+// including the headless run Android starts while the app is killed
+TaskManager.defineTask(BACKGROUND_NOTIFICATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background notification task failed:', error);
+    return;
+  }
+
+  // The foreground listeners already log deliveries while the app is open
+  const appState = getAppStateMarker();
+  if (appState === AppStateMarker.FOREGROUND) {
+    return;
+  }
+
+  // Android also runs this task for action presses on a closed app,
+  // including reply text typed without opening the app
+  const isResponse = 'actionIdentifier' in data;
+  const entry = isResponse
+    ? createResponseEntry(data)
+    : createHistoryEntry(
+        taskPayloadToNotification(data),
+        HistorySource.BACKGROUND
+      );
+
+  console.log(`Notification captured while app was ${appState}:`, data);
+  await addToHistory(entry);
+
+  // No UI is running to keep the badge in sync, so update it here
+  await syncBadgeCountAsync().catch((error) => {
+    console.error('Error updating badge count:', error);
+  });
+});
+
+// Ask expo-notifications to run the task for every incoming notification
+export const registerBackgroundNotificationTask = () =>
+  Notifications.registerTaskAsync(BACKGROUND_NOTIFICATION_TASK).catch(
+    (error) => {
+      console.error('Error registering background notification task:', error);
+    }
+  );
@@ -0,0 +1,55 @@
+// src/components/CategoryPicker.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import FormField from './FormField';
+import OptionChips from './OptionChips';
+import { useCategories } from '../hooks/useCategories';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Attach one of the registered categories, which adds its action buttons
+// Any ID can be typed for remote pushes aimed at another device
+const CategoryPicker = ({ label, value, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { categories } = useCategories();
+
+  return (
+    <View>
+      <FormField
+        label={label ?? t('categoryPicker.label')}
+        value={value}
+        onChangeText={onChange}
+        placeholder={t('categoryPicker.placeholder')}
+        autoCapitalize="none"
+      />
+      {categories.length > 0 && (
+        <>
+          <Text style={styles.caption}>{t('categoryPicker.onDevice')}</Text>
+          <OptionChips
+            options={[
+              { label: t('categoryPicker.none'), value: '' },
+              ...categories.map(({ identifier }) => ({
+                label: identifier,
+                value: identifier,
+              })),
+            ]}
+            selected={value}
+            onSelect={onChange}
+          />
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    caption: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginBottom: 6,
+    },
+  });
+
+export default CategoryPicker;
@@ -0,0 +1,58 @@
+// src/components/ChannelPicker.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import FormField from './FormField';
+import OptionChips from './OptionChips';
+import { useChannels } from '../hooks/useChannels';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Pick one of the device's Android channels or type any channel ID
+// Typing is still useful for remote pushes aimed at another device
+const ChannelPicker = ({ label, value, onChange }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { channels } = useChannels();
+  const knownChannel = channels.some((channel) => channel.id === value);
+
+  return (
+    <View>
+      <FormField
+        label={label ?? t('channelPicker.label')}
+        value={value}
+        onChangeText={onChange}
+        placeholder={t('channelPicker.placeholder')}
+        autoCapitalize="none"
+        hint={
+          value && channels.length > 0 && !knownChannel
+            ? t('channelPicker.unknown')
+            : undefined
+        }
+      />
+      {channels.length > 0 && (
+        <>
+          <Text style={styles.caption}>{t('channelPicker.onDevice')}</Text>
+          <OptionChips
+            options={channels.map((channel) => ({
+              label: channel.id,
+              value: channel.id,
+            }))}
+            selected={value}
+            onSelect={onChange}
+          />
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    caption: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginBottom: 6,
+    },
+  });
+
+export default ChannelPicker;
@@ -0,0 +1,76 @@
+// src/components/FormField.js
+import React from 'react';
+import { View, Text, TextInput, StyleSheet, Platform } from 'react-native';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+
+// Labeled text input used by the composer and settings forms
+// Extra props are passed straight to the underlying TextInput
+const FormField = ({
+  label,
+  hint,
+  multiline,
+  monospace,
+  style,
+  containerStyle,
+  ...props
+}) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={[styles.field, containerStyle]}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={[
+          styles.input,
+          multiline && styles.multiline,
+          monospace && styles.monospace,
+          style,
+        ]}
+        placeholderTextColor={colors.textMuted}
+        autoCorrect={false}
+        multiline={multiline}
+        {...props}
+      />
+      {hint ? <Text style={styles.hint}>{hint}</Text> : null}
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    field: {
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 6,
+    },
+    input: {
+      backgroundColor: colors.surface,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+      fontSize: 14,
+      color: colors.text,
+    },
+    multiline: {
+      minHeight: 90,
+      textAlignVertical: 'top',
+    },
+    monospace: {
+      fontSize: 12,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 4,
+      lineHeight: 18,
+    },
+  });
+
+export default FormField;
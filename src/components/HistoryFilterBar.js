@@ -0,0 +1,156 @@
+// src/components/HistoryFilterBar.js
+import React from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+import OptionChips from './OptionChips';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Filter values; their labels live under historyFilters in the catalogs
+const SOURCE_OPTIONS = [
+  'all',
+  'received',
+  'tapped',
+  'background',
+  'local',
+  'mock',
+  'held',
+];
+const DATE_OPTIONS = ['all', 'today', 'week', 'custom'];
+const CUSTOM_DATA_OPTIONS = ['any', 'with', 'without'];
+const READ_STATE_OPTIONS = ['any', 'unread', 'read'];
+const GROUP_OPTIONS = ['none', 'day', 'dataKey', 'topic'];
+
+// Search box plus filter and grouping controls for the history list
+// The parent owns the filter state so the list can react to every change
+const HistoryFilterBar = ({ filters, onChange }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const toOptions = (values, group) =>
+    values.map((value) => ({
+      label: t(`historyFilters.${group}.${value}`),
+      value,
+    }));
+
+  return (
+    <View>
+      <TextInput
+        style={styles.searchInput}
+        placeholder={t('historyFilters.search')}
+        placeholderTextColor={colors.textMuted}
+        value={filters.query}
+        onChangeText={(query) => update({ query })}
+        autoCapitalize="none"
+        autoCorrect={false}
+        clearButtonMode="while-editing"
+      />
+
+      <Text style={styles.label}>{t('historyFilters.sourceLabel')}</Text>
+      <OptionChips
+        options={toOptions(SOURCE_OPTIONS, 'source')}
+        selected={filters.source}
+        onSelect={(source) => update({ source })}
+      />
+
+      <Text style={styles.label}>{t('historyFilters.dateLabel')}</Text>
+      <OptionChips
+        options={toOptions(DATE_OPTIONS, 'date')}
+        selected={filters.dateRange}
+        onSelect={(dateRange) => update({ dateRange })}
+      />
+      {filters.dateRange === 'custom' && (
+        <View style={styles.dateRow}>
+          <TextInput
+            style={[styles.input, styles.dateInput]}
+            placeholder={t('historyFilters.from')}
+            placeholderTextColor={colors.textMuted}
+            value={filters.fromDate}
+            onChangeText={(fromDate) => update({ fromDate })}
+          />
+          <TextInput
+            style={[styles.input, styles.dateInput]}
+            placeholder={t('historyFilters.to')}
+            placeholderTextColor={colors.textMuted}
+            value={filters.toDate}
+            onChangeText={(toDate) => update({ toDate })}
+          />
+        </View>
+      )}
+
+      <Text style={styles.label}>{t('historyFilters.customDataLabel')}</Text>
+      <OptionChips
+        options={toOptions(CUSTOM_DATA_OPTIONS, 'customData')}
+        selected={filters.customData}
+        onSelect={(customData) => update({ customData })}
+      />
+
+      <Text style={styles.label}>{t('historyFilters.readStateLabel')}</Text>
+      <OptionChips
+        options={toOptions(READ_STATE_OPTIONS, 'readState')}
+        selected={filters.readState}
+        onSelect={(readState) => update({ readState })}
+      />
+
+      <Text style={styles.label}>{t('historyFilters.groupLabel')}</Text>
+      <OptionChips
+        options={toOptions(GROUP_OPTIONS, 'group')}
+        selected={filters.groupBy}
+        onSelect={(groupBy) => update({ groupBy })}
+      />
+      {filters.groupBy === 'dataKey' && (
+        <TextInput
+          style={styles.input}
+          placeholder={t('historyFilters.groupKey')}
+          placeholderTextColor={colors.textMuted}
+          value={filters.groupKey}
+          onChangeText={(groupKey) => update({ groupKey })}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    searchInput: {
+      backgroundColor: colors.surface,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+      fontSize: 14,
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 6,
+    },
+    dateRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    input: {
+      backgroundColor: colors.surface,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      paddingHorizontal: 10,
+      paddingVertical: 8,
+      fontSize: 13,
+      color: colors.text,
+      marginBottom: 12,
+    },
+    dateInput: {
+      flex: 1,
+      marginHorizontal: 2,
+    },
+  });
+
+export default HistoryFilterBar;
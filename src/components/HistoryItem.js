@@ -0,0 +1,218 @@
+// src/components/HistoryItem.js
+import React, { memo } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  HISTORY_EVENT_ICONS,
+  HistoryOrigin,
+  HistorySource,
+  ReceivedVia,
+} from '../history/historyStore';
+import { formatTime, formatTimestamp } from '../utils/format';
+import { getNotificationImageUrl } from '../notifications/richContent';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Short labels that tell testers how each entry was captured
+const SOURCE_ICONS = {
+  [HistorySource.RECEIVED]: '📥',
+  [HistorySource.TAPPED]: '👆',
+  [HistorySource.BACKGROUND]: '🌙',
+};
+
+// "📥 10:02:11 → 🔔 10:02:11 → 👆 10:05:40"
+const describeTimeline = (events) =>
+  events
+    .map(
+      ({ type, at }) =>
+        `${HISTORY_EVENT_ICONS[type] ?? type} ${formatTime(at)}`
+    )
+    .join(' → ');
+
+// Single card in the notification history list
+// Wrapped in memo so long virtualized lists only re-render changed rows
+const HistoryItem = ({ item, onPress }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const imageUrl = getNotificationImageUrl(item);
+
+  return (
+    <TouchableOpacity
+      style={[styles.historyItem, !item.read && styles.historyItemUnread]}
+      onPress={() => onPress(item)}
+    >
+      <View style={styles.historyItemHeader}>
+        <Text
+          style={[styles.historyItemTitle, !item.read && styles.unreadTitle]}
+          numberOfLines={1}
+        >
+          {item.read ? '' : '● '}
+          {item.title || t('common.noTitle')}
+        </Text>
+        <Text style={styles.historyItemTime}>
+          {formatTimestamp(item.timestamp)}
+        </Text>
+      </View>
+      <View style={styles.historyItemContent}>
+        <Text style={styles.historyItemBody} numberOfLines={2}>
+          {item.body || t('common.noBody')}
+        </Text>
+        {imageUrl ? (
+          <Image source={{ uri: imageUrl }} style={styles.thumbnail} />
+        ) : null}
+      </View>
+      {item.actionIdentifier ? (
+        <Text style={styles.historyItemAction} numberOfLines={2}>
+          {t('historyItem.action', { action: item.actionIdentifier })}
+          {item.userText ? `\n💬 "${item.userText}"` : ''}
+        </Text>
+      ) : null}
+      {item.presentation ? (
+        <Text style={styles.historyItemPresentation} numberOfLines={2}>
+          {t(`presentation.${item.presentation.action}`)}
+          {item.presentation.ruleName
+            ? ` · ${t('historyItem.rule', {
+                name: item.presentation.ruleName,
+              })}`
+            : ` · ${t('historyItem.defaultRule')}`}
+          {item.presentation.status === 'error'
+            ? `\n⚠️ ${item.presentation.error}`
+            : ''}
+        </Text>
+      ) : null}
+      {item.held ? (
+        <Text style={styles.historyItemHeld}>
+          {t(`historyItem.held.${item.held.reason}`, {
+            at: formatTimestamp(item.held.at),
+            until: formatTimestamp(item.held.until),
+          })}
+        </Text>
+      ) : null}
+      {item.events.length > 1 ? (
+        <Text style={styles.historyItemTimeline} numberOfLines={2}>
+          {describeTimeline(item.events)}
+        </Text>
+      ) : null}
+      <View style={styles.historyItemFooter}>
+        <Text style={styles.historyItemTag}>
+          {SOURCE_ICONS[item.source]
+            ? `${SOURCE_ICONS[item.source]} ${t(
+                `historyItem.source.${item.source}`
+              )}`
+            : item.source}
+          {` · ${t(
+            item.origin === HistoryOrigin.LOCAL
+              ? 'historyItem.local'
+              : 'historyItem.remote'
+          )}`}
+          {item.receivedVia === ReceivedVia.FIREBASE ? ' · FCM' : ''}
+          {item.receivedVia === ReceivedVia.MOCK
+            ? ` · ${t('historyItem.mock')}`
+            : ''}
+          {item.topic ? ` · #${item.topic}` : ''}
+          {'\n'}
+          {item.appState ? t(`historyItem.appState.${item.appState}`) : null}
+        </Text>
+        {Object.keys(item.data).length > 0 && (
+          <Text style={styles.historyItemData}>
+            {t('historyItem.customData')}
+          </Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    historyItem: {
+      backgroundColor: colors.historyCard,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#2196F3',
+    },
+    historyItemUnread: {
+      backgroundColor: colors.historyUnread,
+    },
+    historyItemHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 6,
+    },
+    historyItemTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      flex: 1,
+      marginRight: 8,
+    },
+    unreadTitle: {
+      fontWeight: '700',
+    },
+    historyItemTime: {
+      fontSize: 11,
+      color: colors.textMuted,
+    },
+    historyItemContent: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+    },
+    historyItemBody: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      lineHeight: 18,
+      flex: 1,
+    },
+    thumbnail: {
+      width: 44,
+      height: 44,
+      borderRadius: 6,
+      marginLeft: 8,
+      backgroundColor: colors.surface,
+    },
+    historyItemAction: {
+      fontSize: 12,
+      color: '#9C27B0',
+      marginTop: 4,
+    },
+    historyItemPresentation: {
+      fontSize: 12,
+      color: '#009688',
+      marginTop: 4,
+    },
+    historyItemHeld: {
+      fontSize: 12,
+      color: '#673AB7',
+      marginTop: 4,
+    },
+    historyItemTimeline: {
+      fontSize: 11,
+      color: colors.textSecondary,
+      marginTop: 4,
+    },
+    historyItemFooter: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginTop: 6,
+    },
+    historyItemTag: {
+      fontSize: 11,
+      color: colors.textSecondary,
+    },
+    historyItemData: {
+      fontSize: 11,
+      color: '#2196F3',
+      fontStyle: 'italic',
+    },
+  });
+
+export default memo(HistoryItem);
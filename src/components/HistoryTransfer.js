@@ -0,0 +1,165 @@
+// src/components/HistoryTransfer.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import {
+  ExportFormat,
+  exportHistoryAsync,
+  importHistoryAsync,
+} from '../history/historyTransfer';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Share the captured log as a file, or load one a tester sent over
+const HistoryTransfer = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const [busy, setBusy] = useState(false);
+
+  const run = async (task) => {
+    setBusy(true);
+    try {
+      await task();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const exportHistory = (format) =>
+    run(async () => {
+      try {
+        await exportHistoryAsync(format);
+      } catch (error) {
+        Alert.alert(
+          t('common.error'),
+          t('historyTransfer.exportFailed', { message: error.message })
+        );
+      }
+    });
+
+  const importHistory = () =>
+    run(async () => {
+      try {
+        const result = await importHistoryAsync();
+        if (result) {
+          Alert.alert(
+            t('historyTransfer.imported'),
+            t('historyTransfer.added', {
+              added: result.added,
+              total: result.total,
+            }) +
+              (result.duplicates
+                ? ` ${t('historyTransfer.duplicates', {
+                    count: result.duplicates,
+                  })}`
+                : '') +
+              (result.dropped
+                ? `\n\n${t('historyTransfer.dropped', {
+                    count: result.dropped,
+                  })}`
+                : '')
+          );
+        }
+      } catch (error) {
+        Alert.alert(t('historyTransfer.importFailed'), error.message);
+      }
+    });
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('historyTransfer.title')}</Text>
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.button, styles.exportButton]}
+          onPress={() => exportHistory(ExportFormat.JSON)}
+          disabled={busy}
+        >
+          <Text style={styles.buttonText}>
+            {t('historyTransfer.exportJson')}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.exportButton]}
+          onPress={() => exportHistory(ExportFormat.CSV)}
+          disabled={busy}
+        >
+          <Text style={styles.buttonText}>
+            {t('historyTransfer.exportCsv')}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.importButton]}
+          onPress={importHistory}
+          disabled={busy}
+        >
+          <Text style={styles.buttonText}>
+            {t('historyTransfer.importJson')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+      {busy && <ActivityIndicator style={styles.spinner} />}
+      <Text style={styles.hint}>
+        {t('historyTransfer.hint')}
+      </Text>
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    row: {
+      flexDirection: 'row',
+      marginBottom: 12,
+    },
+    button: {
+      flex: 1,
+      paddingVertical: 10,
+      borderRadius: 8,
+      alignItems: 'center',
+      marginHorizontal: 2,
+    },
+    exportButton: {
+      backgroundColor: '#2196F3',
+    },
+    importButton: {
+      backgroundColor: '#4CAF50',
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 13,
+      fontWeight: '600',
+    },
+    spinner: {
+      marginBottom: 12,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+    },
+  });
+
+export default HistoryTransfer;
@@ -0,0 +1,151 @@
+// src/components/JsonTree.js
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+const isBranch = (value) => typeof value === 'object' && value !== null;
+
+// One-line preview shown next to a collapsed branch
+const summarize = (t, value) =>
+  Array.isArray(value)
+    ? `[${t('jsonTree.items', { count: value.length })}]`
+    : `{${t('jsonTree.keys', { count: Object.keys(value).length })}}`;
+
+// Strings keep their quotes so "1" and 1 can be told apart
+const formatLeaf = (value) =>
+  typeof value === 'string' ? JSON.stringify(value) : String(value);
+
+// Color leaves by type; null and anything unexpected stay grey
+const leafStyle = (styles, value) =>
+  ({
+    string: styles.string,
+    number: styles.number,
+    boolean: styles.boolean,
+  })[typeof value] ?? styles.nullValue;
+
+// A single key/value pair; branches expand and collapse on tap
+// Long-pressing any node hands its value to `onCopy`
+const JsonNode = ({ name, value, depth, initialDepth, onCopy }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const [expanded, setExpanded] = useState(depth < initialDepth);
+  const label = name === undefined ? null : `${name}: `;
+
+  if (!isBranch(value)) {
+    return (
+      <TouchableOpacity
+        style={styles.row}
+        onLongPress={() => onCopy?.(name, value)}
+      >
+        <Text style={styles.text}>
+          {label ? <Text style={styles.key}>{label}</Text> : null}
+          <Text style={leafStyle(styles, value)}>{formatLeaf(value)}</Text>
+        </Text>
+      </TouchableOpacity>
+    );
+  }
+
+  const children = Array.isArray(value)
+    ? value.map((child, index) => [String(index), child])
+    : Object.entries(value);
+
+  return (
+    <View>
+      <TouchableOpacity
+        style={styles.row}
+        onPress={() => setExpanded((prev) => !prev)}
+        onLongPress={() => onCopy?.(name, value)}
+      >
+        <Text style={styles.text}>
+          <Text style={styles.toggle}>{expanded ? '▼ ' : '▶ '}</Text>
+          {label ? <Text style={styles.key}>{label}</Text> : null}
+          <Text style={styles.summary}>{summarize(t, value)}</Text>
+        </Text>
+      </TouchableOpacity>
+      {expanded && (
+        <View style={styles.children}>
+          {children.map(([childName, child]) => (
+            <JsonNode
+              key={childName}
+              name={childName}
+              value={child}
+              depth={depth + 1}
+              initialDepth={initialDepth}
+              onCopy={onCopy}
+            />
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+// Collapsible viewer for arbitrary JSON, e.g. a notification's data
+// Only the first `initialDepth` levels start expanded so large payloads
+// stay readable until the user drills into them
+const JsonTree = ({ value, initialDepth = 1, onCopy }) => {
+  const styles = useThemedStyles(createStyles);
+  if (isBranch(value) && Object.keys(value).length === 0) {
+    return (
+      <Text style={styles.empty}>{Array.isArray(value) ? '[]' : '{}'}</Text>
+    );
+  }
+  return (
+    <JsonNode
+      value={value}
+      depth={0}
+      initialDepth={initialDepth}
+      onCopy={onCopy}
+    />
+  );
+};
+
+const monospace = Platform.OS === 'ios' ? 'Menlo' : 'monospace';
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    row: {
+      paddingVertical: 3,
+    },
+    text: {
+      fontSize: 12,
+      fontFamily: monospace,
+      color: colors.text,
+    },
+    toggle: {
+      color: colors.textMuted,
+    },
+    key: {
+      color: '#9C27B0',
+    },
+    summary: {
+      color: colors.textMuted,
+      fontStyle: 'italic',
+    },
+    string: {
+      color: colors.successText,
+    },
+    number: {
+      color: '#1565C0',
+    },
+    boolean: {
+      color: colors.warningTitle,
+    },
+    nullValue: {
+      color: colors.textMuted,
+    },
+    children: {
+      paddingLeft: 14,
+      borderLeftWidth: 1,
+      borderLeftColor: colors.border,
+      marginLeft: 4,
+    },
+    empty: {
+      fontSize: 12,
+      fontFamily: monospace,
+      color: colors.textMuted,
+    },
+  });
+
+export default JsonTree;
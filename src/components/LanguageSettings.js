@@ -0,0 +1,68 @@
+// src/components/LanguageSettings.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import OptionChips from './OptionChips';
+import { useStore } from '../hooks/useStore';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import { settingsStore, updateSettings } from '../storage/settingsStore';
+import { Language } from '../i18n';
+
+// Language names stay in their own language so they can always be found
+const LANGUAGE_NAMES = {
+  [Language.ENGLISH]: 'English',
+  [Language.INDONESIAN]: 'Bahasa Indonesia',
+};
+
+// Device language or a fixed one; saved with the other settings
+const LanguageSettings = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { language } = useStore(settingsStore);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('language.title')}</Text>
+      <OptionChips
+        options={[
+          { label: t('language.system'), value: Language.SYSTEM },
+          ...Object.entries(LANGUAGE_NAMES).map(([value, label]) => ({
+            label,
+            value,
+          })),
+        ]}
+        selected={language}
+        onSelect={(value) => updateSettings({ language: value })}
+      />
+      <Text style={styles.hint}>{t('language.hint')}</Text>
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+    },
+  });
+
+export default LanguageSettings;
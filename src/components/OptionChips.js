@@ -0,0 +1,66 @@
+// src/components/OptionChips.js
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useThemedStyles } from '../hooks/useTheme';
+
+// Row of pill-shaped buttons for picking one value out of a few choices
+// Options are `{ label, value }` pairs; the selected one is highlighted
+// `selected` may also be an array when several can be picked at once
+const OptionChips = ({ options, selected, onSelect }) => {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.row}>
+      {options.map(({ label, value }) => {
+        const isSelected = Array.isArray(selected)
+          ? selected.includes(value)
+          : selected === value;
+        return (
+          <TouchableOpacity
+            key={label}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => onSelect(value)}
+          >
+            <Text
+              style={[styles.chipText, isSelected && styles.chipTextSelected]}
+            >
+              {label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    row: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginBottom: 12,
+    },
+    chip: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 16,
+      backgroundColor: colors.surface,
+      borderWidth: 1,
+      borderColor: colors.border,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    chipSelected: {
+      backgroundColor: '#2196F3',
+      borderColor: '#2196F3',
+    },
+    chipText: {
+      fontSize: 13,
+      color: colors.textSecondary,
+    },
+    chipTextSelected: {
+      color: '#fff',
+      fontWeight: '600',
+    },
+  });
+
+export default OptionChips;
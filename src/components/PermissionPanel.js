@@ -0,0 +1,182 @@
+// src/components/PermissionPanel.js
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import {
+  PermissionState,
+  describePermissions,
+  getPermissionState,
+  openNotificationSettingsAsync,
+} from '../notifications/permissions';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Full getPermissionsAsync result with retry and settings shortcuts
+// The parent owns the permissions so it can react once they are granted
+const PermissionPanel = ({ permissions, onRequest, onRefresh }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const [showDetails, setShowDetails] = useState(false);
+  const state = getPermissionState(permissions);
+  const canRequest =
+    state !== PermissionState.GRANTED && permissions?.canAskAgain !== false;
+
+  const openSettings = () => {
+    openNotificationSettingsAsync().catch((error) => {
+      Alert.alert(
+        t('common.error'),
+        t('permissions.openSettingsFailed', { message: error.message })
+      );
+    });
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.sectionTitle}>{t('permissions.title')}</Text>
+        <TouchableOpacity onPress={() => setShowDetails((prev) => !prev)}>
+          <Text style={styles.link}>
+            {showDetails
+              ? t('permissions.hideDetails')
+              : t('permissions.showDetails')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.stateText}>
+        {permissions
+          ? t(`permissions.state.${state}`)
+          : t('permissions.checking')}
+      </Text>
+      {permissions ? (
+        <Text style={styles.hint}>{t(`permissions.hint.${state}`)}</Text>
+      ) : null}
+
+      {showDetails &&
+        describePermissions(permissions).map(({ label, value }) => (
+          <View key={label} style={styles.row}>
+            <Text style={styles.rowLabel}>{label}</Text>
+            <Text style={styles.rowValue}>{String(value)}</Text>
+          </View>
+        ))}
+
+      <View style={styles.buttonRow}>
+        {canRequest && (
+          <TouchableOpacity
+            style={[styles.smallButton, styles.requestButton]}
+            onPress={onRequest}
+          >
+            <Text style={styles.smallButtonText}>
+              {t('permissions.requestAgain')}
+            </Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.smallButton, styles.settingsButton]}
+          onPress={openSettings}
+        >
+          <Text style={styles.smallButtonText}>
+            {t('permissions.openSettings')}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.refreshButton]}
+          onPress={onRefresh}
+        >
+          <Text style={styles.smallButtonText}>
+            {t('permissions.recheck')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 8,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+    },
+    link: {
+      fontSize: 13,
+      color: '#2196F3',
+      fontWeight: '600',
+    },
+    stateText: {
+      fontSize: 16,
+      color: colors.text,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginTop: 4,
+      marginBottom: 8,
+    },
+    row: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingVertical: 4,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    rowLabel: {
+      fontSize: 12,
+      color: colors.textSecondary,
+      flex: 1,
+      marginRight: 8,
+    },
+    rowValue: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.text,
+      flexShrink: 1,
+      textAlign: 'right',
+    },
+    buttonRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginTop: 12,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      borderRadius: 6,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    requestButton: {
+      backgroundColor: '#4CAF50',
+    },
+    settingsButton: {
+      backgroundColor: '#607D8B',
+    },
+    refreshButton: {
+      backgroundColor: '#2196F3',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 13,
+      fontWeight: '600',
+    },
+  });
+
+export default PermissionPanel;
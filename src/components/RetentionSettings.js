@@ -0,0 +1,92 @@
+// src/components/RetentionSettings.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import OptionChips from './OptionChips';
+import { useStore } from '../hooks/useStore';
+import { settingsStore, updateSettings } from '../storage/settingsStore';
+import { pruneHistory } from '../history/historyStore';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Preset limits keep the UI simple while covering typical QA sessions
+const MAX_ENTRY_OPTIONS = [50, 200, 1000];
+const MAX_AGE_OPTIONS = [7, 30, 90, null];
+
+const RetentionSettings = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { historyRetention } = useStore(settingsStore);
+
+  // Save the new limit and trim the stored log right away
+  const changeRetention = async (changes) => {
+    await updateSettings({
+      historyRetention: { ...historyRetention, ...changes },
+    });
+    await pruneHistory();
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('retention.title')}</Text>
+
+      <Text style={styles.label}>{t('retention.maxEntries')}</Text>
+      <OptionChips
+        options={MAX_ENTRY_OPTIONS.map((count) => ({
+          label: t('retention.entries', { count }),
+          value: count,
+        }))}
+        selected={historyRetention.maxEntries}
+        onSelect={(maxEntries) => changeRetention({ maxEntries })}
+      />
+
+      <Text style={styles.label}>{t('retention.maxAge')}</Text>
+      <OptionChips
+        options={MAX_AGE_OPTIONS.map((count) => ({
+          label:
+            count === null
+              ? t('retention.forever')
+              : t('retention.days', { count }),
+          value: count,
+        }))}
+        selected={historyRetention.maxAgeDays}
+        onSelect={(maxAgeDays) => changeRetention({ maxAgeDays })}
+      />
+
+      <Text style={styles.hint}>{t('retention.hint')}</Text>
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 8,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+    },
+  });
+
+export default RetentionSettings;
@@ -0,0 +1,61 @@
+// src/components/ThemeSettings.js
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import OptionChips from './OptionChips';
+import { useStore } from '../hooks/useStore';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import { settingsStore, updateSettings } from '../storage/settingsStore';
+import { ThemeMode } from '../theme/colors';
+
+const THEME_OPTIONS = [ThemeMode.SYSTEM, ThemeMode.LIGHT, ThemeMode.DARK];
+
+// Light, dark or follow the OS; saved with the other settings
+const ThemeSettings = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { themeMode } = useStore(settingsStore);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('theme.title')}</Text>
+      <OptionChips
+        options={THEME_OPTIONS.map((mode) => ({
+          label: t(`theme.${mode}`),
+          value: mode,
+        }))}
+        selected={themeMode}
+        onSelect={(mode) => updateSettings({ themeMode: mode })}
+      />
+      <Text style={styles.hint}>{t('theme.hint')}</Text>
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+    },
+  });
+
+export default ThemeSettings;
@@ -0,0 +1,247 @@
+// src/components/TokenLifecycle.js
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  Platform,
+} from 'react-native';
+import { useStore } from '../hooks/useStore';
+import { settingsStore, updateSettings } from '../storage/settingsStore';
+import { tokenStore } from '../push/tokenStore';
+import { TOKEN_DESCRIPTIONS } from '../push/tokens';
+import { formatTimestamp } from '../utils/format';
+import { useTheme, useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Only the newest records are shown to keep the dashboard compact
+const MAX_VISIBLE_RECORDS = 10;
+
+// Shorten long tokens so each record fits on one or two lines
+const abbreviate = (token) =>
+  token.length > 32 ? `${token.slice(0, 16)}…${token.slice(-12)}` : token;
+
+// Token history plus the backend endpoint that receives token changes
+const TokenLifecycle = ({ onRotateFcmToken }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { tokenEndpoint } = useStore(settingsStore);
+  const records = useStore(tokenStore);
+  const [endpointDraft, setEndpointDraft] = useState(tokenEndpoint);
+
+  // Show the saved endpoint once settings finish loading from disk
+  useEffect(() => {
+    setEndpointDraft(tokenEndpoint);
+  }, [tokenEndpoint]);
+
+  const saveEndpoint = async () => {
+    const endpoint = endpointDraft.trim();
+    if (endpoint && !/^https?:\/\//.test(endpoint)) {
+      Alert.alert(t('common.error'), t('tokenLifecycle.invalidEndpoint'));
+      return;
+    }
+    await updateSettings({ tokenEndpoint: endpoint });
+    Alert.alert(
+      t('common.success'),
+      endpoint
+        ? t('tokenLifecycle.reportingEnabled')
+        : t('tokenLifecycle.reportingDisabled')
+    );
+  };
+
+  const renderReport = (report) => {
+    if (!report) {
+      return null;
+    }
+    const ok = report.status === 'ok';
+    return (
+      <Text style={[styles.recordMeta, ok ? styles.ok : styles.failed]}>
+        {ok ? '✅' : '❌'}{' '}
+        {t('tokenLifecycle.reported', {
+          action: report.action,
+          count: report.attempts,
+        })}
+        {report.error ? ` — ${report.error}` : ''}
+      </Text>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>{t('tokenLifecycle.title')}</Text>
+
+      <Text style={styles.label}>{t('tokenLifecycle.endpoint')}</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="http://10.0.2.2:4000/tokens"
+        placeholderTextColor={colors.textMuted}
+        value={endpointDraft}
+        onChangeText={setEndpointDraft}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+      />
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.saveButton]}
+          onPress={saveEndpoint}
+        >
+          <Text style={styles.smallButtonText}>
+            {t('tokenLifecycle.saveEndpoint')}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.rotateButton]}
+          onPress={onRotateFcmToken}
+        >
+          <Text style={styles.smallButtonText}>
+            {t('tokenLifecycle.rotate')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.label}>{t('tokenLifecycle.history')}</Text>
+      {records.length === 0 ? (
+        <Text style={styles.emptyText}>{t('tokenLifecycle.empty')}</Text>
+      ) : (
+        records.slice(0, MAX_VISIBLE_RECORDS).map((record) => (
+          <View
+            key={`${record.type}-${record.value}`}
+            style={[styles.record, record.revokedAt && styles.recordRevoked]}
+          >
+            <Text style={styles.recordTitle}>
+              {TOKEN_DESCRIPTIONS[record.type]?.label ?? record.type}
+              {' · '}
+              {record.revokedAt
+                ? t('tokenLifecycle.revoked')
+                : t('tokenLifecycle.active')}
+            </Text>
+            <Text style={styles.recordValue} selectable>
+              {abbreviate(record.value)}
+            </Text>
+            <Text style={styles.recordMeta}>
+              {t('tokenLifecycle.firstSeen', {
+                time: formatTimestamp(record.firstSeen),
+              })}
+              {'\n'}
+              {t('tokenLifecycle.lastSeen', {
+                time: formatTimestamp(record.lastSeen),
+              })}
+              {record.revokedAt
+                ? '\n' +
+                  t('tokenLifecycle.revokedAt', {
+                    time: formatTimestamp(record.revokedAt),
+                  })
+                : ''}
+            </Text>
+            {renderReport(record.lastReport)}
+          </View>
+        ))
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 8,
+    },
+    input: {
+      backgroundColor: colors.surface,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+      fontSize: 13,
+      color: colors.text,
+      marginBottom: 8,
+    },
+    buttonRow: {
+      flexDirection: 'row',
+      marginBottom: 16,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      borderRadius: 6,
+      marginRight: 8,
+    },
+    saveButton: {
+      backgroundColor: '#2196F3',
+    },
+    rotateButton: {
+      backgroundColor: '#FF9800',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    emptyText: {
+      fontSize: 13,
+      color: colors.textMuted,
+    },
+    record: {
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#4CAF50',
+    },
+    recordRevoked: {
+      borderLeftColor: colors.disabled,
+      opacity: 0.7,
+    },
+    recordTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4,
+    },
+    recordValue: {
+      fontSize: 11,
+      color: colors.tokenText,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+      marginBottom: 4,
+    },
+    recordMeta: {
+      fontSize: 11,
+      color: colors.textMuted,
+      lineHeight: 16,
+    },
+    ok: {
+      color: colors.successText,
+    },
+    failed: {
+      color: colors.error,
+    },
+  });
+
+export default TokenLifecycle;
@@ -0,0 +1,59 @@
+// src/components/__tests__/PermissionPanel.test.js
+import React from 'react';
+import { Linking } from 'react-native';
+import { fireEvent, render, screen } from '@testing-library/react-native';
+import * as Notifications from 'expo-notifications';
+import PermissionPanel from '../PermissionPanel';
+
+const renderPanel = (permissions) => {
+  const onRequest = jest.fn();
+  const onRefresh = jest.fn();
+  render(
+    <PermissionPanel
+      permissions={permissions}
+      onRequest={onRequest}
+      onRefresh={onRefresh}
+    />
+  );
+  return { onRequest, onRefresh };
+};
+
+describe('PermissionPanel', () => {
+  it('waits for the first permission check', () => {
+    renderPanel(null);
+    expect(screen.getByText('⏳ Checking...')).toBeTruthy();
+  });
+
+  it('offers to ask again after a denial', () => {
+    const { onRequest } = renderPanel({
+      status: 'denied',
+      granted: false,
+      canAskAgain: true,
+    });
+
+    expect(screen.getByText('❌ Denied')).toBeTruthy();
+    fireEvent.press(screen.getByText('Request Again'));
+    expect(onRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it('only points to the settings once blocked', () => {
+    const openSettings = jest
+      .spyOn(Linking, 'openSettings')
+      .mockResolvedValue();
+    renderPanel(Notifications.DENIED_PERMISSIONS);
+
+    expect(screen.getByText('🔒 Blocked')).toBeTruthy();
+    expect(screen.queryByText('Request Again')).toBeNull();
+    fireEvent.press(screen.getByText('Open Settings'));
+    expect(openSettings).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the raw permission fields on demand', () => {
+    const { onRefresh } = renderPanel(Notifications.GRANTED_PERMISSIONS);
+
+    fireEvent.press(screen.getByText('Show details'));
+    expect(screen.getByText('canAskAgain')).toBeTruthy();
+    fireEvent.press(screen.getByText('Re-check'));
+    expect(onRefresh).toHaveBeenCalledTimes(1);
+  });
+});
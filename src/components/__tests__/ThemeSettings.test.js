@@ -0,0 +1,49 @@
+// src/components/__tests__/ThemeSettings.test.js
+import React from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { act, fireEvent, render, screen } from '@testing-library/react-native';
+import ThemeSettings from '../ThemeSettings';
+import { settingsStore } from '../../storage/settingsStore';
+import { THEMES, ThemeMode, resolveTheme } from '../../theme/colors';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await settingsStore.reset();
+});
+
+describe('resolveTheme', () => {
+  it('follows the OS scheme in system mode', () => {
+    expect(resolveTheme(ThemeMode.SYSTEM, 'dark')).toBe(THEMES.dark);
+    expect(resolveTheme(ThemeMode.SYSTEM, 'light')).toBe(THEMES.light);
+  });
+
+  it('falls back to light when the OS reports no scheme', () => {
+    expect(resolveTheme(ThemeMode.SYSTEM, null)).toBe(THEMES.light);
+  });
+
+  it('lets an explicit mode override the OS', () => {
+    expect(resolveTheme(ThemeMode.DARK, 'light')).toBe(THEMES.dark);
+  });
+
+  it('defines every light token for dark mode too', () => {
+    expect(Object.keys(THEMES.dark.colors).sort()).toEqual(
+      Object.keys(THEMES.light.colors).sort()
+    );
+  });
+});
+
+describe('ThemeSettings', () => {
+  it('saves the picked mode', async () => {
+    render(<ThemeSettings />);
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('🌙 Dark'));
+    });
+
+    expect(settingsStore.get().themeMode).toBe(ThemeMode.DARK);
+    const stored = JSON.parse(
+      await AsyncStorage.getItem('@myNotifications/settings')
+    );
+    expect(stored.value.themeMode).toBe(ThemeMode.DARK);
+  });
+});
@@ -0,0 +1,41 @@
+// src/history/__tests__/historyDiagnostics.test.js
+import * as Notifications from 'expo-notifications';
+import { getLatencyMs } from '../historyDiagnostics';
+import { HistorySource, createHistoryEntry } from '../historyStore';
+import { resendAsLocalAsync } from '../../notifications/scheduling';
+
+// Log the content that was handed to the scheduler as a delivery
+const deliver = ({ content }) =>
+  createHistoryEntry(
+    Notifications.__createNotification({
+      title: content.title,
+      data: content.data,
+    }),
+    HistorySource.RECEIVED
+  );
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+});
+
+describe('getLatencyMs', () => {
+  const sentAt = Date.now() - 5000;
+
+  it('measures from the sender stamp to the capture', () => {
+    const entry = deliver({ content: { title: 'Push', data: { sentAt } } });
+
+    expect(getLatencyMs(entry)).toBeGreaterThanOrEqual(5000);
+  });
+
+  it('records no latency for a notification resent as local', async () => {
+    await resendAsLocalAsync({
+      content: { title: 'Push', data: { sentAt, order: 1 } },
+      trigger: { type: 'push' },
+    });
+
+    const [request] = Notifications.scheduleNotificationAsync.mock.calls[0];
+    expect(request.content.data).toEqual({ order: 1 });
+    expect(getLatencyMs(deliver(request))).toBeNull();
+  });
+});
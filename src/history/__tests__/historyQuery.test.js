@@ -0,0 +1,22 @@
+// src/history/__tests__/historyQuery.test.js
+import { parseDateInput } from '../historyQuery';
+
+describe('parseDateInput', () => {
+  it('reads a date as local midnight', () => {
+    expect(parseDateInput(' 2024-02-29 ')).toBe(
+      new Date(2024, 1, 29).getTime()
+    );
+  });
+
+  it('rejects dates that do not exist', () => {
+    expect(parseDateInput('2024-02-31')).toBeNull();
+    expect(parseDateInput('2023-02-29')).toBeNull();
+    expect(parseDateInput('2024-13-01')).toBeNull();
+    expect(parseDateInput('2024-04-00')).toBeNull();
+  });
+
+  it('rejects text in other formats', () => {
+    expect(parseDateInput('29/02/2024')).toBeNull();
+    expect(parseDateInput('')).toBeNull();
+  });
+});
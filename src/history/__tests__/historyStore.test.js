@@ -0,0 +1,365 @@
+// src/history/__tests__/historyStore.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import {
+  DISMISS_ACTION_IDENTIFIER,
+  HISTORY_SCHEMA_VERSION,
+  HistoryEvent,
+  HistorySource,
+  addToHistory,
+  applyRetention,
+  countUnread,
+  createHistoryEntry,
+  createResponseEntry,
+  historyStore,
+  migrateHistory,
+  recordHistoryEvent,
+} from '../historyStore';
+import { updateSettings } from '../../storage/settingsStore';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await historyStore.reset();
+  await updateSettings({
+    historyRetention: { maxEntries: 200, maxAgeDays: 30 },
+  });
+});
+
+describe('createHistoryEntry', () => {
+  it('copies the content and starts out unread', () => {
+    const notification = Notifications.__createNotification({
+      identifier: 'abc',
+      title: 'Title',
+      body: 'Body',
+      data: { sentAt: 1700000000000 },
+    });
+
+    const entry = createHistoryEntry(notification, HistorySource.RECEIVED);
+
+    expect(entry).toMatchObject({
+      notificationId: 'abc',
+      title: 'Title',
+      body: 'Body',
+      source: HistorySource.RECEIVED,
+      origin: 'local',
+      read: false,
+      sentAt: 1700000000000,
+      rawNotification: notification,
+    });
+    expect(entry.events).toEqual([
+      expect.objectContaining({
+        type: HistoryEvent.RECEIVED,
+        at: entry.timestamp,
+      }),
+    ]);
+  });
+
+  // The placeholder is translated where the entry is shown
+  it('stores empty text for missing content', () => {
+    const notification = Notifications.__createNotification({
+      title: null,
+      body: null,
+      data: null,
+    });
+
+    expect(
+      createHistoryEntry(notification, HistorySource.RECEIVED)
+    ).toMatchObject({ title: '', body: '', data: {} });
+  });
+});
+
+describe('createResponseEntry', () => {
+  const notification = Notifications.__createNotification();
+
+  it('records a plain tap without an action', () => {
+    const entry = createResponseEntry(
+      Notifications.__createResponse(notification)
+    );
+    expect(entry).toMatchObject({
+      source: HistorySource.TAPPED,
+      actionIdentifier: null,
+      userText: null,
+      read: true,
+    });
+  });
+
+  it('records the action button and reply text', () => {
+    const entry = createResponseEntry(
+      Notifications.__createResponse(notification, 'reply', 'On my way')
+    );
+    expect(entry).toMatchObject({
+      actionIdentifier: 'reply',
+      userText: 'On my way',
+    });
+    expect(entry.events[0]).toMatchObject({
+      type: HistoryEvent.ACTION,
+      actionIdentifier: 'reply',
+      userText: 'On my way',
+    });
+  });
+
+  it('records an iOS swipe-away as a dismissal', () => {
+    const entry = createResponseEntry(
+      Notifications.__createResponse(notification, DISMISS_ACTION_IDENTIFIER)
+    );
+    expect(entry.actionIdentifier).toBeNull();
+    expect(entry.events[0]).toMatchObject({
+      type: HistoryEvent.DISMISSED,
+      by: 'user',
+    });
+  });
+});
+
+describe('addToHistory', () => {
+  const received = (identifier) =>
+    createHistoryEntry(
+      Notifications.__createNotification({ identifier }),
+      HistorySource.RECEIVED
+    );
+
+  it('adds entries newest first and persists them', async () => {
+    await addToHistory(received('first'));
+    await addToHistory(received('second'));
+
+    expect(historyStore.get().map((entry) => entry.notificationId)).toEqual([
+      'second',
+      'first',
+    ]);
+    const stored = JSON.parse(
+      await AsyncStorage.getItem('@myNotifications/history')
+    );
+    expect(stored.version).toBe(HISTORY_SCHEMA_VERSION);
+    expect(stored.value).toHaveLength(2);
+  });
+
+  const tap = (identifier, actionIdentifier) =>
+    createResponseEntry(
+      Notifications.__createResponse(
+        Notifications.__createNotification({ identifier }),
+        actionIdentifier
+      )
+    );
+
+  it('merges a tap into the received entry of the same notification', async () => {
+    await addToHistory(received('tapped'));
+    await addToHistory(received('other'));
+    await addToHistory(tap('tapped'));
+
+    const entries = historyStore.get();
+    expect(entries.map((entry) => entry.notificationId)).toEqual([
+      'other',
+      'tapped',
+    ]);
+    expect(entries[1]).toMatchObject({
+      source: HistorySource.RECEIVED,
+      read: true,
+    });
+    expect(entries[1].events.map((event) => event.type)).toEqual([
+      HistoryEvent.RECEIVED,
+      HistoryEvent.TAPPED,
+    ]);
+    expect(countUnread(entries)).toBe(1);
+  });
+
+  it('keeps the chosen action on the merged entry', async () => {
+    await addToHistory(received('n'));
+    await addToHistory(tap('n', 'like'));
+
+    const [entry] = historyStore.get();
+    expect(entry.actionIdentifier).toBe('like');
+    expect(entry.events.map((event) => event.type)).toEqual([
+      HistoryEvent.RECEIVED,
+      HistoryEvent.ACTION,
+    ]);
+  });
+
+  it('starts a new entry when a repeating notification arrives again', async () => {
+    await addToHistory(received('repeat'));
+    await addToHistory(received('repeat'));
+    await addToHistory(tap('repeat'));
+
+    const entries = historyStore.get();
+    expect(entries).toHaveLength(2);
+    expect(entries[0].events.map((event) => event.type)).toEqual([
+      HistoryEvent.RECEIVED,
+      HistoryEvent.TAPPED,
+    ]);
+    expect(entries.every((entry) => entry.read)).toBe(true);
+  });
+
+  it('logs a tap on its own when the delivery was never seen', async () => {
+    await addToHistory(tap('launch'));
+
+    const [entry] = historyStore.get();
+    expect(entry.source).toBe(HistorySource.TAPPED);
+    expect(entry.events).toHaveLength(1);
+  });
+
+  it('applies the configured retention', async () => {
+    await updateSettings({
+      historyRetention: { maxEntries: 2, maxAgeDays: null },
+    });
+
+    await addToHistory(received('one'));
+    await addToHistory(received('two'));
+    await addToHistory(received('three'));
+
+    expect(historyStore.get().map((entry) => entry.notificationId)).toEqual([
+      'three',
+      'two',
+    ]);
+  });
+});
+
+describe('recordHistoryEvent', () => {
+  it('appends an event to the latest entry of a notification', async () => {
+    await addToHistory(
+      createHistoryEntry(
+        Notifications.__createNotification({ identifier: 'n' }),
+        HistorySource.RECEIVED
+      )
+    );
+    await recordHistoryEvent('n', { type: HistoryEvent.DISMISSED, by: 'app' });
+    await recordHistoryEvent('missing', { type: HistoryEvent.DISMISSED });
+
+    const entries = historyStore.get();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].events[1]).toMatchObject({
+      type: HistoryEvent.DISMISSED,
+      by: 'app',
+      at: expect.any(Number),
+    });
+  });
+});
+
+describe('applyRetention', () => {
+  it('drops entries older than the age limit', () => {
+    const now = Date.now();
+    const entries = [
+      { id: 'new', timestamp: now },
+      { id: 'old', timestamp: now - 10 * DAY_IN_MS },
+    ];
+
+    expect(
+      applyRetention(entries, { maxEntries: null, maxAgeDays: 7 })
+    ).toEqual([entries[0]]);
+  });
+
+  it('keeps everything without limits', () => {
+    const entries = [{ id: 'a', timestamp: 0 }];
+    expect(
+      applyRetention(entries, { maxEntries: null, maxAgeDays: null })
+    ).toBe(entries);
+  });
+});
+
+describe('migrateHistory', () => {
+  it('upgrades a version 1 entry to the current shape', () => {
+    const [entry] = migrateHistory(
+      [
+        {
+          id: '1',
+          notificationId: 'n',
+          title: 'Old',
+          body: 'Entry',
+          data: { sentAt: '2024-01-01T00:00:00Z' },
+          source: HistorySource.BACKGROUND,
+          timestamp: 1,
+        },
+      ],
+      1
+    );
+
+    expect(entry).toMatchObject({
+      appState: 'background',
+      actionIdentifier: null,
+      userText: null,
+      presentation: null,
+      read: true,
+      sentAt: Date.parse('2024-01-01T00:00:00Z'),
+      topic: null,
+    });
+  });
+
+  it('merges the received and tapped entries of version 9 logs', () => {
+    const base = {
+      notificationId: 'n',
+      title: 'T',
+      body: 'B',
+      data: {},
+      appState: 'foreground',
+      userText: null,
+      read: true,
+      topic: null,
+    };
+    const entries = migrateHistory(
+      [
+        {
+          ...base,
+          id: 'tap',
+          source: HistorySource.TAPPED,
+          actionIdentifier: 'reply',
+          presentation: null,
+          timestamp: 20,
+        },
+        {
+          ...base,
+          id: 'other',
+          notificationId: 'other',
+          source: HistorySource.RECEIVED,
+          actionIdentifier: null,
+          presentation: null,
+          timestamp: 15,
+        },
+        {
+          ...base,
+          id: 'received',
+          source: HistorySource.RECEIVED,
+          actionIdentifier: null,
+          presentation: { action: 'alert', status: 'success' },
+          timestamp: 10,
+        },
+      ],
+      9
+    );
+
+    expect(entries.map((entry) => entry.id)).toEqual(['other', 'received']);
+    expect(entries[1]).toMatchObject({
+      source: HistorySource.RECEIVED,
+      actionIdentifier: 'reply',
+      timestamp: 10,
+    });
+    expect(entries[1].events.map((event) => [event.type, event.at])).toEqual([
+      [HistoryEvent.RECEIVED, 10],
+      [HistoryEvent.PRESENTED, 10],
+      [HistoryEvent.ACTION, 20],
+    ]);
+  });
+
+  it('clears the English placeholders of version 11 entries', () => {
+    const raw = (title) =>
+      Notifications.__createNotification({ title, body: null });
+    const entries = migrateHistory(
+      [
+        { title: 'No Title', body: 'No Body', rawNotification: raw(null) },
+        {
+          title: 'No Title',
+          body: 'No Body',
+          rawNotification: raw('No Title'),
+        },
+      ],
+      11
+    );
+
+    expect(entries.map(({ title, body }) => [title, body])).toEqual([
+      ['', ''],
+      ['No Title', ''],
+    ]);
+  });
+
+  it('replaces unreadable data with an empty log', () => {
+    expect(migrateHistory(null, 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+// src/history/__tests__/historyTransfer.test.js
+import { HistorySource } from '../historyStore';
+import {
+  mergeImportedHistory,
+  parseHistoryExport,
+} from '../historyTransfer';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+describe('mergeImportedHistory', () => {
+  it('skips entries already in the history', () => {
+    const existing = [{ id: 'a', notificationId: 'n1', timestamp: 2000 }];
+    const imported = [
+      { id: 'a', notificationId: 'n1', timestamp: 2000 },
+      { id: 'b', notificationId: 'n2', timestamp: 1000 },
+    ];
+
+    const { merged, added } = mergeImportedHistory(existing, imported);
+
+    expect(added).toBe(1);
+    expect(merged.map((entry) => entry.id)).toEqual(['a', 'b']);
+    expect(merged[1].read).toBe(true);
+  });
+
+  it('applies the retention settings to the merged history', () => {
+    const now = Date.now();
+    const imported = [
+      { id: 'recent', notificationId: 'n1', timestamp: now },
+      { id: 'old', notificationId: 'n2', timestamp: now - 60 * DAY_IN_MS },
+    ];
+
+    const outcome = mergeImportedHistory([], imported, {
+      maxEntries: 200,
+      maxAgeDays: 30,
+    });
+
+    expect(outcome.merged.map((entry) => entry.id)).toEqual(['recent']);
+    expect(outcome).toMatchObject({ added: 1, dropped: 1 });
+  });
+});
+
+describe('importing older exports', () => {
+  // Before schema 10 a tap was logged as its own entry next to the
+  // delivery, so one notification took two entries
+  const base = {
+    notificationId: 'n1',
+    title: 'T',
+    body: 'B',
+    data: {},
+    appState: 'foreground',
+    userText: null,
+    presentation: null,
+    read: true,
+    topic: null,
+  };
+  const version9Export = JSON.stringify({
+    kind: 'myNotifications/history',
+    schemaVersion: 9,
+    entries: [
+      {
+        ...base,
+        id: 'tap',
+        source: HistorySource.TAPPED,
+        actionIdentifier: 'expo.modules.notifications.actions.DEFAULT',
+        timestamp: 20,
+      },
+      {
+        ...base,
+        id: 'received',
+        source: HistorySource.RECEIVED,
+        actionIdentifier: null,
+        timestamp: 10,
+      },
+    ],
+  });
+
+  it('merges the received and tapped entries into one', () => {
+    const imported = parseHistoryExport(version9Export);
+
+    expect(imported).toHaveLength(1);
+    expect(imported[0]).toMatchObject({ id: 'received', timestamp: 10 });
+  });
+
+  it('does not duplicate entries when imported again', () => {
+    const first = mergeImportedHistory([], parseHistoryExport(version9Export));
+    const second = mergeImportedHistory(
+      first.merged,
+      parseHistoryExport(version9Export)
+    );
+
+    expect(first.added).toBe(1);
+    expect(second.added).toBe(0);
+    expect(second.merged).toEqual(first.merged);
+  });
+});
@@ -0,0 +1,148 @@
+// src/history/historyDiagnostics.js
+import { HistorySource } from './historyStore';
+
+// FCM rejects messages whose notification and data payload exceed 4KB
+export const FCM_PAYLOAD_LIMIT_BYTES = 4096;
+
+// Payloads above this share of the limit are flagged as close to it
+const NEAR_LIMIT_RATIO = 0.8;
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+// Number of most recent hours shown in the per-hour breakdown
+export const HOURLY_BUCKETS = 24;
+
+// Byte length of a string once encoded as UTF-8, which is what FCM counts
+function utf8Length(text) {
+  let bytes = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code < 0x10000) {
+      bytes += 3;
+    } else {
+      bytes += 4;
+    }
+  }
+  return bytes;
+}
+
+// Time between the sender's stamp and our capture, or null when the
+// payload carried no sender timestamp
+// Taps happen whenever the user gets to them, so they have no latency
+export function getLatencyMs(entry) {
+  if (entry.source === HistorySource.TAPPED || !entry.sentAt) {
+    return null;
+  }
+  return entry.timestamp - entry.sentAt;
+}
+
+// Size of the payload as FCM measures it: the notification block plus data
+// FCM messages are measured as received; others from their title and body
+export function getPayloadBytes(entry) {
+  const remoteMessage =
+    entry.rawNotification?.request?.trigger?.remoteMessage;
+  const payload = remoteMessage
+    ? { notification: remoteMessage.notification, data: remoteMessage.data }
+    : {
+        notification: { title: entry.title, body: entry.body },
+        data: entry.data,
+      };
+  return utf8Length(JSON.stringify(payload));
+}
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, ratio) =>
+  sorted[Math.max(0, Math.ceil(ratio * sorted.length) - 1)];
+
+// Tally entries by a key, most frequent first
+const countBy = (entries, readKey) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    const key = readKey(entry) ?? 'unknown';
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+function summarizeLatency(entries) {
+  const samples = entries
+    .map(getLatencyMs)
+    .filter((latency) => latency !== null)
+    .sort((a, b) => a - b);
+
+  if (samples.length === 0) {
+    return { samples: 0 };
+  }
+  return {
+    samples: samples.length,
+    min: samples[0],
+    median: percentile(samples, 0.5),
+    p95: percentile(samples, 0.95),
+    max: samples[samples.length - 1],
+  };
+}
+
+function summarizePayloads(entries) {
+  const sizes = entries.map(getPayloadBytes);
+  if (sizes.length === 0) {
+    return { largest: 0, average: 0, nearLimit: 0, overLimit: 0 };
+  }
+  return {
+    largest: Math.max(...sizes),
+    average: Math.round(
+      sizes.reduce((total, size) => total + size, 0) / sizes.length
+    ),
+    nearLimit: sizes.filter(
+      (size) =>
+        size >= FCM_PAYLOAD_LIMIT_BYTES * NEAR_LIMIT_RATIO &&
+        size <= FCM_PAYLOAD_LIMIT_BYTES
+    ).length,
+    overLimit: sizes.filter((size) => size > FCM_PAYLOAD_LIMIT_BYTES).length,
+  };
+}
+
+// Entries per clock hour over the last HOURLY_BUCKETS hours, newest first
+// Empty hours are kept so gaps in delivery stand out
+function countPerHour(entries, now) {
+  const currentHour = Math.floor(now / HOUR_IN_MS) * HOUR_IN_MS;
+  const buckets = Array.from({ length: HOURLY_BUCKETS }, (_, index) => ({
+    hour: currentHour - index * HOUR_IN_MS,
+    count: 0,
+  }));
+
+  entries.forEach((entry) => {
+    const index = Math.floor(
+      (currentHour - Math.floor(entry.timestamp / HOUR_IN_MS) * HOUR_IN_MS) /
+        HOUR_IN_MS
+    );
+    if (index >= 0 && index < HOURLY_BUCKETS) {
+      buckets[index].count += 1;
+    }
+  });
+  return buckets;
+}
+
+// Aggregate delivery stats over the stored history
+// Latency and payload size only look at deliveries, not taps, so a
+// notification that was both received and tapped is counted once
+export function summarizeDiagnostics(entries, now = Date.now()) {
+  const deliveries = entries.filter(
+    (entry) => entry.source !== HistorySource.TAPPED
+  );
+
+  return {
+    total: entries.length,
+    deliveries: deliveries.length,
+    latency: summarizeLatency(deliveries),
+    payload: summarizePayloads(deliveries),
+    perHour: countPerHour(entries, now),
+    perSource: countBy(entries, (entry) => entry.source),
+    perTransport: countBy(entries, (entry) => entry.receivedVia),
+  };
+}
@@ -0,0 +1,177 @@
+// src/history/historyQuery.js
+import {
+  HistoryEvent,
+  HistoryOrigin,
+  HistorySource,
+  ReceivedVia,
+  hasEvent,
+} from './historyStore';
+import { formatDate } from '../utils/format';
+import { t } from '../i18n';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Filter values used by the history screen
+// `source` narrows by how the entry was logged; 'local' matches entries
+// that came from scheduleNotificationAsync instead of a remote push
+export const DEFAULT_HISTORY_FILTERS = {
+  query: '',
+  source: 'all',
+  dateRange: 'all',
+  fromDate: '',
+  toDate: '',
+  customData: 'any',
+  readState: 'any',
+  groupBy: 'none',
+  groupKey: '',
+};
+
+// Turn a "YYYY-MM-DD" string into local midnight, or null when invalid
+export function parseDateInput(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  // Date rolls impossible days over, e.g. 2024-02-31 into March 2nd
+  const isSameDay =
+    date.getFullYear() === year &&
+    date.getMonth() === month - 1 &&
+    date.getDate() === day;
+  return isSameDay ? date.getTime() : null;
+}
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+};
+
+// Resolve the selected date range into [from, to) epoch boundaries
+export function getDateBounds({ dateRange, fromDate, toDate }) {
+  switch (dateRange) {
+    case 'today':
+      return { from: startOfToday(), to: Infinity };
+    case 'week':
+      return { from: startOfToday() - 6 * DAY_IN_MS, to: Infinity };
+    case 'custom': {
+      const from = parseDateInput(fromDate);
+      const to = parseDateInput(toDate);
+      return {
+        from: from ?? -Infinity,
+        // Include the whole "to" day in the range
+        to: to !== null ? to + DAY_IN_MS : Infinity,
+      };
+    }
+    default:
+      return { from: -Infinity, to: Infinity };
+  }
+}
+
+const hasCustomData = (entry) =>
+  !!entry.data && Object.keys(entry.data).length > 0;
+
+// Case-insensitive match against title, body, topic and the data payload
+export function matchesQuery(entry, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+
+  const haystack = [
+    entry.title,
+    entry.body,
+    entry.actionIdentifier,
+    entry.userText,
+    entry.topic,
+    JSON.stringify(entry.data ?? {}),
+  ]
+    .join('\n')
+    .toLowerCase();
+  return haystack.includes(needle);
+}
+
+// "Tapped" covers notifications that were received first and tapped later
+export function matchesSource(entry, source) {
+  switch (source) {
+    case HistorySource.RECEIVED:
+    case HistorySource.BACKGROUND:
+      return entry.source === source;
+    case HistorySource.TAPPED:
+      return (
+        hasEvent(entry, HistoryEvent.TAPPED) ||
+        hasEvent(entry, HistoryEvent.ACTION)
+      );
+    case HistoryOrigin.LOCAL:
+      return entry.origin === HistoryOrigin.LOCAL;
+    case 'mock':
+      return entry.receivedVia === ReceivedVia.MOCK;
+    case 'held':
+      return !!entry.held;
+    default:
+      return true;
+  }
+}
+
+// Apply every active filter in a single pass over the log
+export function filterHistory(entries, filters) {
+  const { from, to } = getDateBounds(filters);
+
+  return entries.filter((entry) => {
+    if (entry.timestamp < from || entry.timestamp >= to) {
+      return false;
+    }
+    if (filters.customData === 'with' && !hasCustomData(entry)) {
+      return false;
+    }
+    if (filters.customData === 'without' && hasCustomData(entry)) {
+      return false;
+    }
+    if (filters.readState === 'unread' && entry.read) {
+      return false;
+    }
+    if (filters.readState === 'read' && !entry.read) {
+      return false;
+    }
+    return (
+      matchesSource(entry, filters.source) &&
+      matchesQuery(entry, filters.query)
+    );
+  });
+}
+
+// Split entries into SectionList sections, keeping the original order
+// Grouping by data key or topic puts entries without one in their own
+// section
+export function groupHistory(entries, { groupBy, groupKey }) {
+  if (groupBy === 'none' || (groupBy === 'dataKey' && !groupKey.trim())) {
+    return entries.length > 0 ? [{ title: null, data: entries }] : [];
+  }
+
+  const sections = new Map();
+  entries.forEach((entry) => {
+    let title;
+    if (groupBy === 'day') {
+      title = formatDate(entry.timestamp);
+    } else if (groupBy === 'topic') {
+      title = entry.topic
+        ? t('historyGroups.topic', { topic: entry.topic })
+        : t('historyGroups.noTopic');
+    } else {
+      const value = entry.data?.[groupKey.trim()];
+      title =
+        value === undefined
+          ? t('historyGroups.noKey', { key: groupKey.trim() })
+          : `${groupKey.trim()}: ${
+              typeof value === 'string' ? value : JSON.stringify(value)
+            }`;
+    }
+
+    if (!sections.has(title)) {
+      sections.set(title, []);
+    }
+    sections.get(title).push(entry);
+  });
+
+  return Array.from(sections, ([title, data]) => ({ title, data }));
+}
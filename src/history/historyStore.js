@@ -0,0 +1,472 @@
+// src/history/historyStore.js
+import * as Notifications from 'expo-notifications';
+import { createPersistentStore } from '../storage/persistentStore';
+import { getSettings, settingsStore } from '../storage/settingsStore';
+import { createId } from '../utils/id';
+import { AppStateMarker, getAppStateMarker } from '../utils/appLifecycle';
+import { MOCK_PUSH_DATA_KEY, isMockPush } from '../push/mockRelay';
+import {
+  HeldReason,
+  QUIET_HOURS_DATA_KEY,
+} from '../notifications/quietHours';
+
+// Bump this whenever the shape of a history entry changes
+// and add a matching step to `migrations` below
+export const HISTORY_SCHEMA_VERSION = 12;
+
+// How a notification reached the history log
+export const HistorySource = {
+  RECEIVED: 'received',
+  TAPPED: 'tapped',
+  BACKGROUND: 'background',
+};
+
+// Steps in the life of one notification, kept as a timeline on its entry
+//   RECEIVED   delivered to the device (foreground or background)
+//   HELD       kept quiet by quiet hours, either not shown or deferred
+//              until `until`
+//   PRESENTED  the foreground handler's decision was applied by the OS
+//   TAPPED     the user tapped the notification itself
+//   ACTION     the user pressed an action button, maybe with reply text
+//   DISMISSED  swiped away (iOS categories with a dismiss action) or
+//              removed by the app
+export const HistoryEvent = {
+  RECEIVED: 'received',
+  HELD: 'held',
+  PRESENTED: 'presented',
+  TAPPED: 'tapped',
+  ACTION: 'action',
+  DISMISSED: 'dismissed',
+};
+
+// Icon of each step, for the history card and detail timeline
+// Names are translated under historyEvents.<type>
+export const HISTORY_EVENT_ICONS = {
+  [HistoryEvent.RECEIVED]: '📥',
+  [HistoryEvent.HELD]: '🌙',
+  [HistoryEvent.PRESENTED]: '🔔',
+  [HistoryEvent.TAPPED]: '👆',
+  [HistoryEvent.ACTION]: '🔘',
+  [HistoryEvent.DISMISSED]: '🧹',
+};
+
+// iOS reports a swipe-away as a response with this action
+export const DISMISS_ACTION_IDENTIFIER =
+  'com.apple.UNNotificationDismissActionIdentifier';
+
+export const hasEvent = (entry, type) =>
+  (entry.events ?? []).some((event) => event.type === type);
+
+// Which library delivered the notification to JavaScript
+export const ReceivedVia = {
+  EXPO: 'expo-notifications',
+  FIREBASE: 'firebase-messaging',
+  MOCK: 'mock-relay',
+};
+
+// Where the notification itself came from
+export const HistoryOrigin = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+};
+
+// Remote pushes carry a 'push' trigger; everything else was scheduled locally
+// Pushes from the mock relay are shown locally but stand in for remote ones
+export const getNotificationOrigin = (notification) =>
+  notification?.request?.trigger?.type === 'push' || isMockPush(notification)
+    ? HistoryOrigin.REMOTE
+    : HistoryOrigin.LOCAL;
+
+// FCM reports "/topics/<name>" in `from` for messages sent to a topic
+const TOPIC_PREFIX = '/topics/';
+
+export function getNotificationTopic(notification) {
+  const { content, trigger } = notification?.request ?? {};
+  const from = trigger?.remoteMessage?.from;
+  if (typeof from === 'string' && from.startsWith(TOPIC_PREFIX)) {
+    return from.slice(TOPIC_PREFIX.length);
+  }
+  return content?.data?.[MOCK_PUSH_DATA_KEY]?.topic ?? null;
+}
+
+// Local notifications deferred by quiet hours say so in their data
+export function getDeferredHold(notification) {
+  const held = notification?.request?.content?.data?.[QUIET_HOURS_DATA_KEY];
+  return held
+    ? { reason: HeldReason.DEFERRED, at: held.heldAt, until: held.until }
+    : null;
+}
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Accept epoch milliseconds, epoch seconds or an ISO date, as a number
+// or a string (FCM data values are always strings); null if unreadable
+export function parseSentAt(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// When the sender says it sent the notification, so we can work out the
+// delivery latency; senders can stamp `data.sentAt`, and FCM messages
+// also carry their own `sentTime`
+export function getSentAt(notification) {
+  const { content, trigger } = notification?.request ?? {};
+  return (
+    parseSentAt(content?.data?.sentAt) ??
+    parseSentAt(trigger?.remoteMessage?.sentTime)
+  );
+}
+
+// Older versions stored English placeholders for a missing title or body
+// A notification really titled "No Title" keeps it
+const isOldPlaceholder = (entry, field, placeholder) =>
+  entry[field] === placeholder &&
+  !entry.rawNotification?.request?.content?.[field];
+
+// Each step upgrades entries from the previous version to its own version
+const migrations = {
+  // v1: timestamps became epoch milliseconds instead of locale strings,
+  // and the notification identifier got its own field
+  1: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      id: createId(),
+      notificationId: entry.notificationId ?? entry.id,
+      source: entry.source ?? HistorySource.RECEIVED,
+      timestamp:
+        typeof entry.timestamp === 'number'
+          ? entry.timestamp
+          : Date.parse(entry.timestamp) || Date.now(),
+    })),
+  // v2: entries remember whether the notification was local or remote
+  2: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      origin: entry.origin ?? getNotificationOrigin(entry.rawNotification),
+    })),
+  // v3: entries record whether Expo or Firebase delivered them
+  3: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      receivedVia: entry.receivedVia ?? ReceivedVia.EXPO,
+    })),
+  // v4: entries remember the app state they arrived in
+  4: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      appState:
+        entry.appState ??
+        (entry.source === HistorySource.BACKGROUND
+          ? AppStateMarker.BACKGROUND
+          : AppStateMarker.FOREGROUND),
+    })),
+  // v5: taps record the action button pressed and any reply text
+  5: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      actionIdentifier: entry.actionIdentifier ?? null,
+      userText: entry.userText ?? null,
+    })),
+  // v6: received entries record how the foreground handler presented them
+  6: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      presentation: entry.presentation ?? null,
+    })),
+  // v7: entries can be read or unread; older entries count as read so the
+  // badge does not jump to the whole log after upgrading
+  7: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      read: entry.read ?? true,
+    })),
+  // v8: entries remember the sender's timestamp for latency diagnostics
+  8: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      sentAt:
+        entry.sentAt ??
+        getSentAt(entry.rawNotification) ??
+        parseSentAt(entry.data?.sentAt),
+    })),
+  // v9: remote entries remember the FCM topic they arrived through
+  9: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      topic: entry.topic ?? getNotificationTopic(entry.rawNotification),
+    })),
+  // v10: entries carry a timeline of events, and the separate received
+  // and tapped entries of one notification are merged into one
+  10: (entries) =>
+    [...entries]
+      .reverse()
+      .map((entry) => ({
+        ...entry,
+        events: entry.events ?? [
+          getFirstEvent(entry),
+          ...(entry.presentation?.status &&
+          entry.presentation.status !== 'pending'
+            ? [
+                {
+                  type: HistoryEvent.PRESENTED,
+                  at: entry.timestamp,
+                  status: entry.presentation.status,
+                },
+              ]
+            : []),
+        ],
+      }))
+      .reduce(mergeIntoHistory, []),
+  // v11: entries record whether quiet hours held them back
+  11: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      held: entry.held ?? null,
+    })),
+  // v12: a missing title or body is stored empty and labelled on screen,
+  // so the label follows the app language
+  12: (entries) =>
+    entries.map((entry) => ({
+      ...entry,
+      title: isOldPlaceholder(entry, 'title', 'No Title') ? '' : entry.title,
+      body: isOldPlaceholder(entry, 'body', 'No Body') ? '' : entry.body,
+    })),
+};
+
+// Apply every migration step between the stored and current version
+export function migrateHistory(entries, fromVersion) {
+  let migrated = Array.isArray(entries) ? entries : [];
+  for (let v = fromVersion + 1; v <= HISTORY_SCHEMA_VERSION; v++) {
+    if (migrations[v]) {
+      migrated = migrations[v](migrated);
+    }
+  }
+  return migrated;
+}
+
+export const historyStore = createPersistentStore({
+  key: '@myNotifications/history',
+  version: HISTORY_SCHEMA_VERSION,
+  defaultValue: [],
+  migrate: migrateHistory,
+});
+
+// The event that created an entry, from how it was captured
+function getFirstEvent({
+  source,
+  actionIdentifier,
+  userText,
+  appState,
+  timestamp,
+}) {
+  const event = { at: timestamp, appState };
+  if (source !== HistorySource.TAPPED) {
+    return { ...event, type: HistoryEvent.RECEIVED };
+  }
+  return actionIdentifier
+    ? { ...event, type: HistoryEvent.ACTION, actionIdentifier, userText }
+    : { ...event, type: HistoryEvent.TAPPED };
+}
+
+// The timeline step for a `held` record
+export const toHeldEvent = ({ reason, at, until }) => ({
+  type: HistoryEvent.HELD,
+  at,
+  reason,
+  until,
+});
+
+// Convert an expo-notifications Notification into a history entry
+// `extra` lets callers attach transport-specific fields
+// Taps never count as held; the delivery they follow already does
+export function createHistoryEntry(notification, source, extra = {}) {
+  const { content, identifier } = notification.request;
+
+  const entry = {
+    id: createId(),
+    notificationId: identifier,
+    title: content.title || '',
+    body: content.body || '',
+    data: content.data || {},
+    source,
+    origin: getNotificationOrigin(notification),
+    topic: getNotificationTopic(notification),
+    receivedVia: isMockPush(notification)
+      ? ReceivedVia.MOCK
+      : ReceivedVia.EXPO,
+    appState: getAppStateMarker(),
+    actionIdentifier: null,
+    userText: null,
+    presentation: null,
+    held:
+      source === HistorySource.TAPPED ? null : getDeferredHold(notification),
+    read: false,
+    sentAt: getSentAt(notification),
+    timestamp: Date.now(),
+    rawNotification: notification,
+    ...extra,
+  };
+  const firstEvents = entry.held
+    ? [getFirstEvent(entry), toHeldEvent(entry.held)]
+    : [getFirstEvent(entry)];
+  return {
+    ...entry,
+    events: entry.events ?? firstEvents.sort((a, b) => a.at - b.at),
+  };
+}
+
+// Convert a NotificationResponse into a tapped entry
+// A plain tap on the notification body keeps a null action
+// The user has just acted on it, so the entry starts out read
+// A swipe-away on iOS is logged as a dismissal instead of an action
+export function createResponseEntry(response, extra = {}) {
+  const { actionIdentifier, userText } = response;
+  const isDismiss = actionIdentifier === DISMISS_ACTION_IDENTIFIER;
+
+  return createHistoryEntry(response.notification, HistorySource.TAPPED, {
+    actionIdentifier:
+      actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER || isDismiss
+        ? null
+        : actionIdentifier ?? null,
+    userText: userText || null,
+    read: true,
+    ...(isDismiss
+      ? {
+          events: [
+            {
+              type: HistoryEvent.DISMISSED,
+              at: Date.now(),
+              by: 'user',
+            },
+          ],
+        }
+      : {}),
+    ...extra,
+  });
+}
+
+// Keep the log within the configured size and age limits
+// A null limit means "keep everything" for that dimension
+export function applyRetention(entries, { maxEntries, maxAgeDays }) {
+  let kept = entries;
+
+  if (maxAgeDays) {
+    const oldestAllowed = Date.now() - maxAgeDays * DAY_IN_MS;
+    kept = kept.filter((entry) => entry.timestamp >= oldestAllowed);
+  }
+
+  if (maxEntries) {
+    kept = kept.slice(0, maxEntries);
+  }
+
+  return kept;
+}
+
+// Fold a newer entry for the same notification into the existing one
+// The first capture keeps its fields; the newer one adds its events and
+// whatever only it knows, such as the chosen action
+const mergeEntries = (existing, newer) => ({
+  ...existing,
+  actionIdentifier: newer.actionIdentifier ?? existing.actionIdentifier,
+  userText: newer.userText ?? existing.userText,
+  presentation: existing.presentation ?? newer.presentation,
+  held: existing.held ?? newer.held,
+  sentAt: existing.sentAt ?? newer.sentAt,
+  topic: existing.topic ?? newer.topic,
+  rawNotification: existing.rawNotification ?? newer.rawNotification,
+  read: existing.read || newer.read,
+  events: [...existing.events, ...newer.events].sort((a, b) => a.at - b.at),
+});
+
+// Add an entry to a newest-first log, merging it into the latest entry of
+// the same notification
+// Repeating triggers deliver under the same identifier again, so a second
+// delivery still starts a new entry; taps and the like always merge
+export function mergeIntoHistory(entries, entry) {
+  const index = entries.findIndex(
+    (item) => item.notificationId === entry.notificationId
+  );
+  const isRedelivery =
+    index !== -1 &&
+    hasEvent(entry, HistoryEvent.RECEIVED) &&
+    hasEvent(entries[index], HistoryEvent.RECEIVED);
+  if (index === -1 || isRedelivery) {
+    return [entry, ...entries];
+  }
+  return entries.map((item, i) =>
+    i === index ? mergeEntries(item, entry) : item
+  );
+}
+
+// Add an entry to the log and prune old ones
+// A tap also marks the earlier deliveries of that notification as read
+export async function addToHistory(entry) {
+  await settingsStore.load();
+  const { historyRetention } = getSettings();
+
+  return historyStore.update((entries) => {
+    const previous =
+      entry.source === HistorySource.TAPPED
+        ? markRead(entries, (item) =>
+            item.notificationId === entry.notificationId
+          )
+        : entries;
+    return applyRetention(
+      mergeIntoHistory(previous, entry),
+      historyRetention
+    );
+  });
+}
+
+// Append an event to the latest entry of a notification, if it is logged
+export const recordHistoryEvent = (notificationId, event) =>
+  historyStore.update((entries) => {
+    const index = entries.findIndex(
+      (entry) => entry.notificationId === notificationId
+    );
+    if (index === -1) {
+      return entries;
+    }
+    return entries.map((entry, i) =>
+      i === index
+        ? { ...entry, events: [...entry.events, { at: Date.now(), ...event }] }
+        : entry
+    );
+  });
+
+// Re-apply retention, e.g. right after the user tightened the limits
+export async function pruneHistory() {
+  await settingsStore.load();
+  const { historyRetention } = getSettings();
+
+  return historyStore.update((entries) =>
+    applyRetention(entries, historyRetention)
+  );
+}
+
+export const countUnread = (entries) =>
+  entries.reduce((count, entry) => (entry.read ? count : count + 1), 0);
+
+// Keeps unchanged entries as-is so memoized list rows do not re-render
+const markRead = (entries, predicate) =>
+  entries.map((entry) =>
+    !entry.read && predicate(entry) ? { ...entry, read: true } : entry
+  );
+
+export const markHistoryEntryRead = (id) =>
+  historyStore.update((entries) =>
+    markRead(entries, (entry) => entry.id === id)
+  );
+
+export const markAllHistoryRead = () =>
+  historyStore.update((entries) => markRead(entries, () => true));
+
+// Remove every entry from memory and from disk
+export const clearHistory = () => historyStore.reset();
@@ -0,0 +1,260 @@
+// src/history/historyTransfer.js
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import {
+  HISTORY_SCHEMA_VERSION,
+  HistorySource,
+  applyRetention,
+  historyStore,
+  migrateHistory,
+} from './historyStore';
+import { getSettings, settingsStore } from '../storage/settingsStore';
+import { createId } from '../utils/id';
+import { t } from '../i18n';
+
+// Marks files written by this app so random JSON is rejected on import
+const EXPORT_KIND = 'myNotifications/history';
+
+export const ExportFormat = {
+  JSON: 'json',
+  CSV: 'csv',
+};
+
+const MIME_TYPES = {
+  [ExportFormat.JSON]: 'application/json',
+  [ExportFormat.CSV]: 'text/csv',
+};
+
+// iOS share sheet needs a Uniform Type Identifier instead of a MIME type
+const UTIS = {
+  [ExportFormat.JSON]: 'public.json',
+  [ExportFormat.CSV]: 'public.comma-separated-values-text',
+};
+
+// One CSV column per field; objects are written as JSON text
+const CSV_COLUMNS = [
+  ['id', (entry) => entry.id],
+  ['notificationId', (entry) => entry.notificationId],
+  ['timestamp', (entry) => new Date(entry.timestamp).toISOString()],
+  [
+    'sentAt',
+    (entry) => (entry.sentAt ? new Date(entry.sentAt).toISOString() : null),
+  ],
+  ['source', (entry) => entry.source],
+  ['origin', (entry) => entry.origin],
+  ['receivedVia', (entry) => entry.receivedVia],
+  ['topic', (entry) => entry.topic],
+  ['appState', (entry) => entry.appState],
+  ['read', (entry) => entry.read],
+  ['title', (entry) => entry.title],
+  ['body', (entry) => entry.body],
+  ['actionIdentifier', (entry) => entry.actionIdentifier],
+  ['userText', (entry) => entry.userText],
+  ['presentation', (entry) => entry.presentation],
+  ['held', (entry) => entry.held],
+  ['events', (entry) => entry.events],
+  ['data', (entry) => entry.data],
+  ['rawNotification', (entry) => entry.rawNotification],
+];
+
+// Quote a value when it contains a separator, quote or line break
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function historyToCsv(entries) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',');
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map(([, read]) => toCsvCell(read(entry))).join(',')
+  );
+  return [header, ...rows].join('\r\n');
+}
+
+// The schema version travels with the entries so older exports
+// can be migrated when they are imported by a newer build
+export const historyToJson = (entries) =>
+  JSON.stringify(
+    {
+      kind: EXPORT_KIND,
+      schemaVersion: HISTORY_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries,
+    },
+    null,
+    2
+  );
+
+// "2026-10-19T08:30:00.000Z" -> "20261019-083000"
+const fileStamp = () =>
+  new Date()
+    .toISOString()
+    .replace(/\.\d+Z$/, '')
+    .replace(/[-:]/g, '')
+    .replace('T', '-');
+
+// Write the whole log to a cache file and open the system share sheet
+export async function exportHistoryAsync(format) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('historyTransfer.errors.noSharing'));
+  }
+
+  await historyStore.load();
+  const entries = historyStore.get();
+  const file = new File(
+    Paths.cache,
+    `notification-history-${fileStamp()}.${format}`
+  );
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(
+    format === ExportFormat.CSV
+      ? historyToCsv(entries)
+      : historyToJson(entries)
+  );
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: MIME_TYPES[format],
+    UTI: UTIS[format],
+    dialogTitle: t('historyTransfer.dialogTitle'),
+  });
+  return entries.length;
+}
+
+const isObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Throws a readable error naming the first entry that does not fit
+function validateEntry(entry, index) {
+  const problem = (key, params) =>
+    new Error(
+      t('historyTransfer.errors.entry', {
+        index: index + 1,
+        problem: t(`historyTransfer.errors.${key}`, params),
+      })
+    );
+
+  if (!isObject(entry)) {
+    throw problem('notObject');
+  }
+  if (typeof entry.notificationId !== 'string' || !entry.notificationId) {
+    throw problem('noNotificationId');
+  }
+  if (typeof entry.timestamp !== 'number') {
+    throw problem('timestamp');
+  }
+  if (!Object.values(HistorySource).includes(entry.source)) {
+    throw problem('source', { source: entry.source });
+  }
+  if (typeof entry.title !== 'string' || typeof entry.body !== 'string') {
+    throw problem('text');
+  }
+  if (!isObject(entry.data)) {
+    throw problem('data');
+  }
+  if (!Array.isArray(entry.events)) {
+    throw problem('events');
+  }
+}
+
+// Check an exported JSON file and upgrade its entries to our schema
+export function parseHistoryExport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error(t('historyTransfer.errors.json'));
+  }
+
+  if (!isObject(parsed) || parsed.kind !== EXPORT_KIND) {
+    throw new Error(t('historyTransfer.errors.kind'));
+  }
+  if (!Array.isArray(parsed.entries)) {
+    throw new Error(t('historyTransfer.errors.entries'));
+  }
+  const { schemaVersion } = parsed;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 0) {
+    throw new Error(t('historyTransfer.errors.schema'));
+  }
+  if (schemaVersion > HISTORY_SCHEMA_VERSION) {
+    throw new Error(
+      t('historyTransfer.errors.newerSchema', {
+        version: schemaVersion,
+        supported: HISTORY_SCHEMA_VERSION,
+      })
+    );
+  }
+
+  const entries = migrateHistory(parsed.entries, schemaVersion);
+  entries.forEach(validateEntry);
+  return entries;
+}
+
+// Each delivery of a notification is one entry, with its taps and actions
+// on the timeline, so the identifier and first capture time identify it
+const entryKey = (entry) =>
+  [entry.notificationId, entry.timestamp].join('\u0000');
+
+// Add imported entries that are not in the log yet, newest first
+// Imported entries count as read so they do not bump the app badge
+// The retention settings still apply, so entries past them are dropped
+export function mergeImportedHistory(existing, imported, retention = {}) {
+  const seen = new Set(existing.map(entryKey));
+  const usedIds = new Set(existing.map((entry) => entry.id));
+  const added = [];
+
+  imported.forEach((entry) => {
+    const key = entryKey(entry);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    const id = entry.id && !usedIds.has(entry.id) ? entry.id : createId();
+    usedIds.add(id);
+    added.push({ ...entry, id, read: true });
+  });
+
+  const merged = applyRetention(
+    [...existing, ...added].sort((a, b) => b.timestamp - a.timestamp),
+    retention
+  );
+  const keptIds = new Set(merged.map((entry) => entry.id));
+  const kept = added.filter((entry) => keptIds.has(entry.id)).length;
+  return { merged, added: kept, dropped: added.length - kept };
+}
+
+// Let the user pick an exported JSON file and merge it into the log
+// Resolves to null when the picker is cancelled
+export async function importHistoryAsync() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) {
+    return null;
+  }
+
+  const text = await new File(result.assets[0].uri).text();
+  const imported = parseHistoryExport(text);
+  await settingsStore.load();
+  const { historyRetention } = getSettings();
+
+  let outcome;
+  await historyStore.update((entries) => {
+    outcome = mergeImportedHistory(entries, imported, historyRetention);
+    return outcome.merged;
+  });
+  return {
+    total: imported.length,
+    added: outcome.added,
+    dropped: outcome.dropped,
+    duplicates: imported.length - outcome.added - outcome.dropped,
+  };
+}
@@ -0,0 +1,139 @@
+// src/history/notificationDetails.js
+import { describeTrigger } from '../notifications/scheduling';
+
+// Content fields every platform understands
+const COMMON_CONTENT_KEYS = [
+  'title',
+  'subtitle',
+  'body',
+  'badge',
+  'sound',
+  'categoryIdentifier',
+];
+
+// Content fields only Android reads
+const ANDROID_CONTENT_KEYS = [
+  'priority',
+  'color',
+  'vibrationPattern',
+  'autoDismiss',
+  'sticky',
+];
+
+// Content fields only iOS reads
+const IOS_CONTENT_KEYS = [
+  'launchImageName',
+  'threadIdentifier',
+  'targetContentIdentifier',
+  'interruptionLevel',
+  'attachments',
+];
+
+// Delivery metadata FCM attaches to a remote message
+const REMOTE_MESSAGE_KEYS = [
+  'messageId',
+  'from',
+  'collapseKey',
+  'priority',
+  'originalPriority',
+  'ttl',
+  'sentTime',
+];
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+// Turn the present keys of an object into label/value rows
+const pickFields = (source, keys, prefix = '') =>
+  keys
+    .filter((key) => isPresent(source?.[key]))
+    .map((key) => ({ label: `${prefix}${key}`, value: source[key] }));
+
+// Entries imported from older exports may lack the raw notification,
+// so rebuild the minimal request from the fields every entry has
+export function getEntryRequest(entry) {
+  return (
+    entry.rawNotification?.request ?? {
+      identifier: entry.notificationId,
+      content: { title: entry.title, body: entry.body, data: entry.data },
+      trigger: null,
+    }
+  );
+}
+
+// Expo reports the FCM message on Android and the APNs payload on iOS;
+// our Firebase listeners store the message in the same place as Expo
+const getRemoteMessage = (trigger) =>
+  trigger?.type === 'push' ? trigger.remoteMessage ?? null : null;
+
+function getTriggerFields(trigger) {
+  if (!trigger) {
+    return [{ label: 'type', value: 'immediate' }];
+  }
+  if (trigger.type === 'push') {
+    return [
+      { label: 'type', value: 'push' },
+      ...pickFields(getRemoteMessage(trigger), REMOTE_MESSAGE_KEYS),
+    ];
+  }
+  const { type, ...rest } = trigger;
+  return [
+    { label: 'type', value: type ?? 'unknown' },
+    { label: 'description', value: describeTrigger(trigger) },
+    ...pickFields(rest, Object.keys(rest)),
+  ];
+}
+
+function getAndroidFields(request) {
+  const { content, trigger } = request;
+  const remoteNotification = getRemoteMessage(trigger)?.notification;
+  return [
+    ...pickFields(trigger, ['channelId']),
+    ...pickFields(content, ANDROID_CONTENT_KEYS),
+    ...pickFields(
+      remoteNotification?.android,
+      Object.keys(remoteNotification?.android ?? {}),
+      'fcm.'
+    ),
+  ];
+}
+
+function getIosFields(request) {
+  const { content, trigger } = request;
+  const aps = trigger?.type === 'push' ? trigger.payload?.aps : null;
+  return [
+    ...pickFields(content, IOS_CONTENT_KEYS),
+    ...pickFields(aps, Object.keys(aps ?? {}), 'aps.'),
+  ];
+}
+
+// Group everything we know about a history entry's request into keyed
+// sections of copyable fields; empty sections are left out
+// The screen titles each section under notificationDetail.sections.<key>
+// `data` is not included here because the detail screen shows it as a tree
+export function getDetailSections(entry) {
+  const request = getEntryRequest(entry);
+  const deliveredAt = entry.rawNotification?.date;
+
+  return [
+    {
+      key: 'request',
+      fields: [
+        { label: 'identifier', value: request.identifier },
+        ...(isPresent(deliveredAt)
+          ? [{ label: 'date', value: deliveredAt }]
+          : []),
+      ],
+    },
+    {
+      key: 'content',
+      fields: pickFields(request.content, COMMON_CONTENT_KEYS),
+    },
+    { key: 'trigger', fields: getTriggerFields(request.trigger) },
+    { key: 'android', fields: getAndroidFields(request) },
+    { key: 'ios', fields: getIosFields(request) },
+  ].filter((section) => section.fields.length > 0);
+}
+
+// Text shown for (and copied from) a single field
+export const formatFieldValue = (value) =>
+  typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
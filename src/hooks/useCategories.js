@@ -0,0 +1,26 @@
+// src/hooks/useCategories.js
+import { useCallback, useEffect, useState } from 'react';
+import {
+  loadCategoriesAsync,
+  subscribeToCategories,
+} from '../notifications/categories';
+
+// Registered notification categories, re-read whenever the app edits them
+export function useCategories() {
+  const [categories, setCategories] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      setCategories(await loadCategoriesAsync());
+    } catch (error) {
+      console.error('Error loading notification categories:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+    return subscribeToCategories(reload);
+  }, [reload]);
+
+  return { categories, reload };
+}
@@ -0,0 +1,26 @@
+// src/hooks/useChannels.js
+import { useCallback, useEffect, useState } from 'react';
+import {
+  loadChannelsAsync,
+  subscribeToChannels,
+} from '../notifications/channels';
+
+// Current Android channels and groups, re-read whenever the app edits them
+export function useChannels() {
+  const [state, setState] = useState({ channels: [], groups: [] });
+
+  const reload = useCallback(async () => {
+    try {
+      setState(await loadChannelsAsync());
+    } catch (error) {
+      console.error('Error loading notification channels:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+    return subscribeToChannels(reload);
+  }, [reload]);
+
+  return { ...state, reload };
+}
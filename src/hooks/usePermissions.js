@@ -0,0 +1,47 @@
+// src/hooks/usePermissions.js
+import { useCallback, useEffect, useState } from 'react';
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import {
+  ensurePermissionsAsync,
+  requestNotificationPermissionsAsync,
+} from '../notifications/permissions';
+
+// Current notification permissions, re-checked whenever the app returns to
+// the foreground, since the user may have changed them in system settings
+// `ensure` asks only if the system would still show its prompt
+export function usePermissions() {
+  const [permissions, setPermissions] = useState(null);
+
+  const track = useCallback(async (read) => {
+    try {
+      const result = await read();
+      setPermissions(result);
+      return result;
+    } catch (error) {
+      console.error('Error reading notification permissions:', error);
+      return null;
+    }
+  }, []);
+
+  const refresh = useCallback(
+    () => track(Notifications.getPermissionsAsync),
+    [track]
+  );
+  const request = useCallback(
+    () => track(requestNotificationPermissionsAsync),
+    [track]
+  );
+  const ensure = useCallback(() => track(ensurePermissionsAsync), [track]);
+
+  useEffect(() => {
+    const appStateListener = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        refresh();
+      }
+    });
+    return () => appStateListener.remove();
+  }, [refresh]);
+
+  return { permissions, refresh, request, ensure };
+}
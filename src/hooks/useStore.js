@@ -0,0 +1,12 @@
+// src/hooks/useStore.js
+import { useEffect, useSyncExternalStore } from 'react';
+
+// Subscribe a component to a persistent store
+// The store is loaded on first use and the component re-renders on change
+export function useStore(store) {
+  useEffect(() => {
+    store.load();
+  }, [store]);
+
+  return useSyncExternalStore(store.subscribe, store.get);
+}
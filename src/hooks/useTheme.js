@@ -0,0 +1,20 @@
+// src/hooks/useTheme.js
+import { useMemo } from 'react';
+import { useColorScheme } from 'react-native';
+import { useStore } from './useStore';
+import { settingsStore } from '../storage/settingsStore';
+import { resolveTheme } from '../theme/colors';
+
+// The active theme: the saved mode, or the OS scheme in system mode
+export function useTheme() {
+  const { themeMode } = useStore(settingsStore);
+  const systemScheme = useColorScheme();
+  return resolveTheme(themeMode, systemScheme);
+}
+
+// Build a StyleSheet from the theme colors, again only when they change
+// `createStyles` should live at module level so it keeps its identity
+export function useThemedStyles(createStyles) {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+}
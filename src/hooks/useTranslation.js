@@ -0,0 +1,17 @@
+// src/hooks/useTranslation.js
+import { useCallback } from 'react';
+import { useStore } from './useStore';
+import { settingsStore } from '../storage/settingsStore';
+import { getLocale, resolveLanguage, translate } from '../i18n';
+
+// `t` for the language picked in settings, plus its locale tag for Intl
+// Components re-render when the language changes
+export function useTranslation() {
+  const { language: setting } = useStore(settingsStore);
+  const language = resolveLanguage(setting);
+  const t = useCallback(
+    (key, params) => translate(language, key, params),
+    [language]
+  );
+  return { t, language, locale: getLocale(language) };
+}
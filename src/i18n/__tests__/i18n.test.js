@@ -0,0 +1,95 @@
+// src/i18n/__tests__/i18n.test.js
+import React from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { act, fireEvent, render, screen } from '@testing-library/react-native';
+import LanguageSettings from '../../components/LanguageSettings';
+import { settingsStore, updateSettings } from '../../storage/settingsStore';
+import { Language, getLanguage, resolveLanguage, t, translate } from '..';
+import en from '../en';
+import id from '../id';
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  await settingsStore.reset();
+});
+
+// Every dotted key in a catalog, e.g. "home.title"
+const keysOf = (catalog, prefix = '') =>
+  Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'object'
+      ? keysOf(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+
+describe('translate', () => {
+  it('fills in placeholders', () => {
+    expect(translate('en', 'mockRelay.sendFailed', { message: 'x' })).toBe(
+      en.mockRelay.sendFailed.replace('{message}', 'x')
+    );
+  });
+
+  it('uses the _one variant for a count of one', () => {
+    expect(translate('en', 'mockRelay.received', { count: 1 })).toBe(
+      '1 mock push received this session'
+    );
+    expect(translate('en', 'mockRelay.received', { count: 2 })).toBe(
+      '2 mock pushes received this session'
+    );
+  });
+
+  it('translates into Indonesian', () => {
+    expect(translate('id', 'common.cancel')).toBe('Batal');
+  });
+
+  it('falls back to English and then to the key', () => {
+    expect(translate('fr', 'common.cancel')).toBe('Cancel');
+    expect(translate('id', 'no.such.key')).toBe('no.such.key');
+  });
+
+  // Indonesian nouns don't change for plurals, so it needs no _one keys
+  it('keeps the Indonesian catalog in step with English', () => {
+    const withoutPlurals = (catalog) =>
+      keysOf(catalog)
+        .filter((key) => !key.endsWith('_one'))
+        .sort();
+    expect(withoutPlurals(id)).toEqual(withoutPlurals(en));
+  });
+});
+
+describe('resolveLanguage', () => {
+  it('follows the device language in system mode', () => {
+    expect(resolveLanguage(Language.SYSTEM, 'id-ID')).toBe('id');
+    expect(resolveLanguage(Language.SYSTEM, 'en_GB')).toBe('en');
+  });
+
+  it('falls back to English for languages without a catalog', () => {
+    expect(resolveLanguage(Language.SYSTEM, 'fr-FR')).toBe('en');
+  });
+
+  it('lets an explicit language override the device', () => {
+    expect(resolveLanguage(Language.INDONESIAN, 'en-US')).toBe('id');
+  });
+});
+
+describe('t', () => {
+  it('follows the language saved in settings', async () => {
+    await updateSettings({ language: Language.INDONESIAN });
+
+    expect(getLanguage()).toBe('id');
+    expect(t('common.delete')).toBe('Hapus');
+  });
+});
+
+describe('LanguageSettings', () => {
+  it('saves the picked language and re-renders in it', async () => {
+    await updateSettings({ language: Language.ENGLISH });
+    render(<LanguageSettings />);
+
+    await act(async () => {
+      fireEvent.press(screen.getByText('Bahasa Indonesia'));
+    });
+
+    expect(settingsStore.get().language).toBe(Language.INDONESIAN);
+    expect(screen.getByText(id.language.title)).toBeTruthy();
+  });
+});
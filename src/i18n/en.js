@@ -0,0 +1,894 @@
+// src/i18n/en.js
+// English strings, grouped by screen or component
+// Placeholders in braces are filled in by t(key, params)
+export default {
+  common: {
+    ok: 'OK',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    success: 'Success',
+    error: 'Error',
+    copy: 'Copy',
+    edit: 'Edit',
+    copied: 'Copied',
+    notAvailable: 'N/A',
+    noTitle: 'No Title',
+    noBody: 'No Body',
+  },
+
+  home: {
+    title: '🔔 Push Notification Test',
+    subtitle: 'Firebase Cloud Messaging with Expo',
+    deviceType: 'Device Type:',
+    physicalDevice: '📱 Physical Device',
+    emulator: '🖥️ Emulator (Mock Push Only)',
+    emulatorWarning:
+      '⚠️ Real push notifications require a physical device.\n' +
+      'Use the Mock Push Relay to test pushes on this emulator.',
+    notificationStatus: 'Notification Status:',
+    statusReady: '✅ Ready to receive push notifications',
+    statusNotAllowed:
+      '🔒 Notifications are not allowed – see Permissions below',
+    statusInitializing: '⏳ Initializing...',
+    tokenUnavailable: 'Unavailable: {error}',
+    copyToken: '📋 Copy Token to Clipboard',
+    tokenCopied:
+      '{label} token copied to clipboard!\n\n' +
+      'You can now paste it in your sending tool.',
+    tokenRotated: 'FCM token rotated',
+    rotateFailed: 'Could not rotate token: {message}',
+    physicalDeviceRequired: '📱 Physical Device Required',
+    emulatorSteps:
+      'Push notification tokens cannot be generated on emulators.\n\n' +
+      'To get a real token and test Firebase Cloud Messaging:\n' +
+      '1. Install this app on your physical Android device\n' +
+      '2. Open the app and allow notification permissions\n' +
+      '3. Copy the token that appears\n' +
+      '4. Use it in Firebase Console for testing\n\n' +
+      'To test the receive, tap and history flow here instead, run ' +
+      'npm run mock-relay on your computer and connect to it.',
+    openMockRelay: '🧪 Open Mock Push Relay',
+    testNotifications: 'Test Notifications',
+    testChannel: 'Channel for the test notification',
+    sendLocalTest: '🧪 Send Local Test Notification',
+    sendRichTest: '🖼️ Send Rich Test Notification',
+    localTest: {
+      title: 'Test Notification 📬',
+      body: 'This is a local test notification!',
+    },
+    richTest: {
+      title: 'Rich Test Notification 🖼️',
+      subtitle: 'Images, big text and colors',
+      body:
+        'This notification carries an image, a subtitle and an accent ' +
+        'color. On Android, expand it to read the whole text in the big ' +
+        'text style. On iOS, long-press it to see the attached image full ' +
+        'size.',
+    },
+    sendFailed: 'Could not send: {message}',
+    scheduledTitle: 'Scheduled',
+    scheduledMessage: 'Test notification will appear in 2 seconds',
+    composeLocal: '🧰 Compose Local Notification',
+    manageScheduled: '📅 Manage Scheduled Notifications',
+    manageCategories: '🔘 Manage Action Categories',
+    presentationRules: '🎛️ Foreground Presentation Rules',
+    quietHours: '🌙 Quiet Hours',
+    manageChannels: '📢 Manage Android Channels',
+    composePush: '🚀 Compose Remote Push',
+    manageTopics: '📡 Manage FCM Topics',
+    mockRelay: '🧪 Mock Push Relay',
+    deviceInstructions:
+      'Local notifications work on both emulators and physical devices.\n\n' +
+      'To test Firebase Cloud Messaging:\n' +
+      '1. Select the FCM token above and copy it\n' +
+      '2. Open Firebase Console\n' +
+      '3. Go to Cloud Messaging → Send test message\n' +
+      '4. Paste the token and send the notification',
+    emulatorInstructions:
+      'Local notifications can be tested on emulators.\n\n' +
+      'Firebase Cloud Messaging requires a physical device, but the\n' +
+      'Mock Push Relay delivers Expo and FCM shaped pushes here.',
+    latestNotification: '📬 Latest Notification',
+    viewDetails: 'View Details',
+    fullNotificationData: 'Full Notification Data',
+    detailTitle: 'Title:',
+    detailBody: 'Body:',
+    detailId: 'Notification ID:',
+    detailData: 'Custom Data:',
+    detailBadge: 'Badge Count:',
+    detailSound: 'Sound:',
+    history: '📋 Notification History ({count})',
+    historyUnread: '📋 Notification History ({count} · {unread} unread)',
+    diagnostics: '⏱️ Delivery Diagnostics',
+  },
+
+  tokens: {
+    expo: {
+      title: 'Your Expo Push Token (for Expo Push Service):',
+      hint: '💡 Use this token with the Expo push tool or the Expo Push API',
+    },
+    fcm: {
+      title: 'Your FCM Registration Token (for Firebase Console):',
+      hint:
+        '💡 Use this token in Firebase Console → ' +
+        'Cloud Messaging → "Send test message"',
+    },
+    device: {
+      title: 'Your raw Device Push Token:',
+      titleIos: 'Your raw APNs Device Token:',
+      hint: '💡 Native token from getDevicePushTokenAsync, for direct sends',
+    },
+    errors: {
+      unavailable: 'Token unavailable',
+      emulator:
+        'Push notifications are not available on emulators. ' +
+        'Please use a physical device.',
+      noToken: 'Could not obtain any push token.',
+      nothingToCopy: 'No token available to copy',
+    },
+  },
+
+  theme: {
+    title: '🎨 Appearance',
+    system: '📱 System',
+    light: '☀️ Light',
+    dark: '🌙 Dark',
+    hint: "💡 System follows the device's dark mode setting.",
+  },
+
+  language: {
+    title: '🌐 Language',
+    system: '📱 System',
+    hint: '💡 System uses the device language when it is supported.',
+  },
+
+  screens: {
+    history: '📋 History',
+    notificationDetail: '🔎 Notification Details',
+    diagnostics: '⏱️ Diagnostics',
+    topics: '📡 FCM Topics',
+    mockRelay: '🧪 Mock Push Relay',
+    composePush: '🚀 Compose Push',
+    localComposer: '🧰 Local Composer',
+    scheduled: '📅 Scheduled',
+    channels: '📢 Channels',
+    categories: '🔘 Categories',
+    presentationRules: '🎛️ Presentation Rules',
+    quietHours: '🌙 Quiet Hours',
+  },
+
+  permissions: {
+    title: '🔐 Permissions',
+    showDetails: 'Show details',
+    hideDetails: 'Hide details',
+    checking: '⏳ Checking...',
+    requestAgain: 'Request Again',
+    openSettings: 'Open Settings',
+    recheck: 'Re-check',
+    openSettingsFailed: 'Could not open settings: {message}',
+    notRequired: 'not required (Android 12 or older)',
+    // What each state means for the tester and what to do next
+    state: {
+      granted: '✅ Allowed',
+      provisional: '🤫 Provisional (quiet delivery)',
+      undetermined: '❔ Not asked yet',
+      denied: '❌ Denied',
+      blocked: '🔒 Blocked',
+    },
+    hint: {
+      granted: 'Notifications can be shown.',
+      provisional:
+        'iOS delivers quietly to the notification center. Request again ' +
+        'to get full alerts.',
+      undetermined: 'The system prompt has not been answered yet.',
+      denied:
+        'canAskAgain is true, so the system prompt can be shown once more.',
+      blocked:
+        'canAskAgain is false: the system will not prompt again. Allow ' +
+        'notifications for this app in the system settings instead.',
+    },
+  },
+
+  tokenLifecycle: {
+    title: '🔄 Token Lifecycle',
+    serverError: 'Server responded with {status}',
+    timedOut: 'No response within {seconds} seconds',
+    endpoint: 'Registration endpoint (optional):',
+    saveEndpoint: 'Save Endpoint',
+    rotate: '♻️ Rotate FCM Token',
+    invalidEndpoint: 'Endpoint must start with http:// or https://',
+    reportingEnabled: 'Token changes will be reported',
+    reportingDisabled: 'Token reporting disabled',
+    history: 'Token history:',
+    empty: 'No tokens recorded yet.',
+    active: 'active',
+    revoked: 'revoked',
+    firstSeen: 'First seen {time}',
+    lastSeen: 'Last seen {time}',
+    revokedAt: 'Revoked {time}',
+    reported: '{action} reported ({count} attempts)',
+    reported_one: '{action} reported ({count} attempt)',
+  },
+
+  retention: {
+    title: '⚙️ History Retention',
+    maxEntries: 'Keep at most:',
+    maxAge: 'Delete entries older than:',
+    entries: '{count} entries',
+    days: '{count} days',
+    forever: 'Forever',
+    hint: '💡 History is saved on this device and survives app restarts.',
+  },
+
+  historyFilters: {
+    search: '🔍 Search title, body or data',
+    sourceLabel: 'Source:',
+    dateLabel: 'Date:',
+    customDataLabel: 'Custom data:',
+    readStateLabel: 'Read state:',
+    groupLabel: 'Group:',
+    from: 'From (YYYY-MM-DD)',
+    to: 'To (YYYY-MM-DD)',
+    groupKey: 'Data key, e.g. type',
+    source: {
+      all: 'All',
+      received: 'Received',
+      tapped: 'Tapped',
+      background: 'Background',
+      local: 'Local',
+      mock: 'Mock',
+      held: 'Held',
+    },
+    date: {
+      all: 'Any time',
+      today: 'Today',
+      week: 'Last 7 days',
+      custom: 'Custom',
+    },
+    customData: {
+      any: 'Any',
+      with: 'With data',
+      without: 'Without data',
+    },
+    readState: {
+      any: 'Any',
+      unread: 'Unread',
+      read: 'Read',
+    },
+    group: {
+      none: 'No grouping',
+      day: 'By day',
+      dataKey: 'By data key',
+      topic: 'By topic',
+    },
+  },
+
+  presentation: {
+    suppress: '🚫 Suppressed',
+    silent: '🔕 Shown silently',
+    sound: '🔔 Shown with sound',
+  },
+  historyEvents: {
+    received: 'Received',
+    presented: 'Presented',
+    tapped: 'Tapped',
+    action: 'Action',
+    dismissed: 'Dismissed',
+    held: 'Held by quiet hours',
+  },
+  historyItem: {
+    action: '🔘 Action: {action}',
+    rule: 'rule "{name}"',
+    defaultRule: 'default',
+    local: 'Local',
+    remote: 'Remote',
+    mock: 'Mock',
+    customData: '📎 Contains custom data',
+    source: {
+      received: 'Received',
+      tapped: 'Tapped',
+      background: 'Background',
+    },
+    appState: {
+      foreground: 'App open',
+      background: 'App in background',
+      killed: 'App killed',
+    },
+    status: {
+      pending: 'pending',
+      success: 'shown',
+      error: 'failed',
+    },
+    by: {
+      user: 'the user',
+      app: 'the app',
+    },
+    held: {
+      suppressed: '🌙 Held by quiet hours until {until}',
+      deferred: '🌙 Deferred by quiet hours from {at}',
+    },
+  },
+
+  trigger: {
+    immediately: 'Immediately',
+    every: 'Every {seconds}s',
+    after: '{seconds}s after scheduling',
+    date: 'On {date}',
+    daily: 'Daily at {time}',
+    weekly: 'Every {weekday} at {time}',
+    monthly: 'Monthly on day {day} at {time}',
+    yearly: 'Yearly on {day}/{month} at {time}',
+    calendar: 'Calendar ({components})',
+    calendarRepeats: 'Calendar ({components}), repeats',
+    unknown: 'Unknown trigger',
+  },
+
+  notificationDetail: {
+    summary: '📋 Summary',
+    timeline: '🕒 Timeline',
+    image: '🖼️ Image',
+    imageUrl: 'Image URL',
+    dataTitle: '📎 Data',
+    dataLabel: 'Data',
+    data: 'data',
+    dataHint: 'Tap a branch to expand it, long-press any value to copy it.',
+    raw: '🧾 Raw Notification',
+    rawLabel: 'Raw notification',
+    missing: 'This entry is no longer in the notification history.',
+    resend: '🔁 Resend as Local Notification',
+    sending: 'Sending…',
+    sent: 'Sent',
+    sentMessage: 'Local notification scheduled.\nID: {identifier}',
+    resendFailed: 'Could not resend: {message}',
+    copied: '{label} copied to clipboard',
+    copyFailed: 'Could not copy: {message}',
+    presentationRule: '(rule: {name})',
+    presentationDefault: '(default)',
+    eventAction: 'action {action}',
+    eventBy: 'by {by}',
+    eventUntil: 'until {time}',
+    payloadBytes: '{size} / {limit} bytes',
+    fields: {
+      title: 'Title',
+      body: 'Body',
+      received: 'Received',
+      sent: 'Sent',
+      latency: 'Latency',
+      payloadSize: 'Payload size',
+      source: 'Source',
+      deliveredVia: 'Delivered via',
+      topic: 'Topic',
+      appState: 'App state',
+      action: 'Action',
+      reply: 'Reply',
+      presentation: 'Presentation',
+      quietHours: 'Quiet hours',
+    },
+    sections: {
+      request: '🆔 Request',
+      content: '📝 Content',
+      trigger: '⏰ Trigger',
+      android: '🤖 Android',
+      ios: '🍎 iOS',
+    },
+  },
+
+  presentationRules: {
+    title: '🎛️ Rules ({count})',
+    new: '＋ New',
+    hint:
+      'Rules are checked from top to bottom and the first enabled match ' +
+      'decides. Without a match, notifications are shown with sound and ' +
+      'badge. Each decision is saved on the received history entry.',
+    when: 'When {match}',
+    fieldPresent: 'data.{field} is present',
+    everyNotification: 'every notification',
+    setsBadge: 'sets badge',
+    back: '← Back to rules',
+    newTitle: '＋ New Rule',
+    editTitle: '✏️ Edit Rule',
+    name: 'Name',
+    matchLabel: 'Match',
+    category: 'Category',
+    dataField: 'Data field',
+    equals: 'Equals',
+    anyValue: 'Any value',
+    presentationLabel: 'Presentation',
+    setBadge: 'Set the app badge',
+    save: '💾 Save Rule',
+    invalid: 'Invalid rule',
+    deleteTitle: 'Delete "{name}"?',
+    keep: 'Keep',
+    match: {
+      dataField: 'Data field',
+      category: 'Category',
+      any: 'Everything',
+    },
+    action: {
+      suppress: 'Suppress',
+      silent: 'Show silently',
+      sound: 'Show with sound',
+    },
+    errors: {
+      name: 'Give the rule a name',
+      category: 'Pick the category this rule applies to',
+      field: 'Enter the data field this rule looks at',
+    },
+  },
+
+  history: {
+    title: '📋 Notification History ({shown}/{total})',
+    clear: 'Clear',
+    cleared: 'Notification history cleared',
+    unread: '{count} unread',
+    badge: 'app badge {count}',
+    markAllRead: 'Mark all read',
+    noMatches: 'No notifications match the current filters.',
+    empty: 'No notifications captured yet.',
+  },
+  historyGroups: {
+    topic: 'Topic: {topic}',
+    noTopic: 'No topic',
+    noKey: 'No "{key}"',
+  },
+  historyTransfer: {
+    title: '📤 Export / Import',
+    exportJson: 'Export JSON',
+    exportCsv: 'Export CSV',
+    importJson: 'Import JSON',
+    hint:
+      '💡 Exports include the raw notification of every entry. Only JSON ' +
+      'exports can be imported; entries already in the history are skipped.',
+    dialogTitle: 'Export notification history',
+    exportFailed: 'Could not export history: {message}',
+    imported: 'Import complete',
+    added: 'Added {added} of {total} entries',
+    duplicates: '({count} already in the history)',
+    dropped:
+      '{count} older entries were not kept because of the history ' +
+      'retention settings',
+    dropped_one:
+      '1 older entry was not kept because of the history retention settings',
+    importFailed: 'Import failed',
+    errors: {
+      noSharing: 'Sharing is not available on this device',
+      json: 'The file is not valid JSON',
+      kind: 'The file is not a notification history export',
+      entries: 'The export has no entries list',
+      schema: 'The export has no valid schema version',
+      newerSchema:
+        'The export uses schema v{version}; ' +
+        'this build only understands up to v{supported}',
+      entry: 'Entry {index}: {problem}',
+      notObject: 'not an object',
+      noNotificationId: 'missing notificationId',
+      timestamp: 'timestamp must be a number',
+      source: 'unknown source "{source}"',
+      text: 'title and body must be text',
+      data: 'data must be an object',
+      events: 'events must be a list',
+    },
+  },
+
+  jsonTree: {
+    items: '{count} items',
+    items_one: '{count} item',
+    keys: '{count} keys',
+    keys_one: '{count} key',
+  },
+
+  categoryPicker: {
+    label: 'Category (action buttons)',
+    placeholder: 'Empty = no actions',
+    onDevice: 'Categories on this device',
+    none: 'None',
+  },
+  channelPicker: {
+    label: 'Android channel',
+    placeholder: 'Empty = app default',
+    onDevice: 'Channels on this device',
+    unknown: 'This channel does not exist on this device',
+  },
+
+  mockRelay: {
+    connection: '🧪 Connection',
+    status: {
+      off: '⚪ Off',
+      connecting: '⏳ Connecting...',
+      connected: '🟢 Connected',
+      retrying: '🟠 Relay unreachable, retrying...',
+    },
+    received: '{count} mock pushes received this session',
+    received_one: '{count} mock push received this session',
+    url: 'Relay URL',
+    urlHint: 'ws://10.0.2.2:4001/ws reaches the host from an Android emulator',
+    connect: 'Connect',
+    disconnect: 'Disconnect',
+    invalidUrl: 'Invalid URL',
+    token: '🔑 Mock Token',
+    copyToken: '📋 Copy Mock Token',
+    tokenCopied: 'Mock token copied to clipboard',
+    sendTest: '🚀 Send Test Push via Relay',
+    sendFailed: 'Could not reach the relay: {message}',
+    howItWorks: 'ℹ️ How it works',
+    step1: '1. On your computer, run',
+    step2: '2. Connect above',
+    step3Expo: '3. Send Expo-shaped pushes to',
+    step3Fcm: 'or FCM v1 ones to',
+    step3Hint:
+      ', e.g. from the push composer with the mock token as the target',
+    explanation:
+      'The relay hands each push to this app, which shows it as a local ' +
+      'notification and logs it in history tagged "Mock". Unknown targets ' +
+      'reach every connected device. The connection only stays open while ' +
+      'the app is running.',
+    errors: {
+      url: 'Relay URL must start with ws:// or wss://',
+      connection: 'Connection failed',
+    },
+    testPush: {
+      title: 'Mock Push 🧪',
+      body: 'Delivered by the local mock push relay. Tap to open history.',
+    },
+  },
+
+  diagnostics: {
+    latency: '⏱️ Delivery Latency',
+    median: 'Median',
+    fastest: 'Fastest',
+    slowest: 'Slowest',
+    samples: 'Samples',
+    samplesValue: '{samples} of {deliveries} deliveries',
+    negative:
+      "⚠️ Negative latency means the sender's clock is ahead of this " +
+      "device's.",
+    noLatency:
+      'No deliveries with a sender timestamp yet. Add "sentAt" (epoch ' +
+      'milliseconds or an ISO date) to the push data, or send a test push ' +
+      'from the in-app composer, which stamps it for you.',
+    payload: '📦 Payload Size',
+    largest: 'Largest',
+    average: 'Average',
+    bytes: '{size} bytes',
+    nearLimit: 'Close to the limit',
+    overLimit: 'Over the limit',
+    payloadHint: 'FCM refuses messages whose notification and data exceed 4KB.',
+    bySource: '📊 By Source ({count})',
+    deliveredVia: 'Delivered via',
+    lastHours: '🕐 Last {hours} Hours',
+  },
+
+  topics: {
+    subscribeTitle: '➕ Subscribe',
+    name: 'Topic name',
+    nameHint:
+      'Send to /topics/<name> from the push composer (FCM v1) or ' +
+      'the Firebase Console to reach every subscribed device',
+    subscribe: 'Subscribe',
+    subscribed: 'Subscribed',
+    subscribedMessage: 'This device now receives "{name}"',
+    subscribeFailed: 'Could not subscribe',
+    unsubscribe: 'Unsubscribe',
+    unsubscribeFailed: 'Could not unsubscribe from "{name}"',
+    title: '📡 Subscribed Topics ({count})',
+    resubscribeAll: 'Re-subscribe all',
+    done: 'Done',
+    resubscribed: 'Re-subscribed to {count} topics',
+    resubscribed_one: 'Re-subscribed to {count} topic',
+    resubscribeFailed: 'Could not re-subscribe',
+    empty: 'Not subscribed to any topic.',
+    since: 'Since {date} · {count} received',
+    hint:
+      "FCM cannot list a device's topics, so this list is kept on the " +
+      'device. Rotating the FCM token drops every subscription; use ' +
+      'Re-subscribe all afterwards.',
+    errors: {
+      name: 'Topic names may only contain letters, digits and - _ . ~ %',
+    },
+  },
+
+  scheduled: {
+    title: '📅 Scheduled ({count})',
+    empty: 'Nothing is scheduled. Use the local composer to add notifications.',
+    loadFailed: 'Could not load scheduled notifications: {message}',
+    cancelAll: 'Cancel All',
+    cancelAllTitle: 'Cancel all?',
+    cancelAllMessage: 'Every scheduled notification will be removed.',
+    keep: 'Keep',
+    duplicate: 'Duplicate',
+    duplicateFailed: 'Could not duplicate: {message}',
+    back: '← Back to schedule',
+    saveChanges: '💾 Save Changes',
+    next: 'Next: {date}',
+    unknown: 'Unknown',
+  },
+
+  validation: {
+    wholeNumber: '{name} must be a whole number from {min} to {max}',
+    imageUrl: 'Image URL must start with http://, https:// or file://',
+    color: 'Color must look like #FF5722',
+    dataJson: 'Data must be a JSON object',
+    dateFormat: 'Date must look like 2025-12-31 18:30',
+    datePast: 'Date must be in the future',
+    calendarEmpty: 'Fill in at least one calendar component',
+    triggerType: 'Unknown trigger type: {type}',
+    fields: {
+      seconds: 'Seconds',
+      year: 'Year',
+      month: 'Month',
+      day: 'Day',
+      weekday: 'Weekday',
+      hour: 'Hour',
+      minute: 'Minute',
+      second: 'Second',
+      badge: 'Badge',
+    },
+  },
+
+  composer: {
+    sampleTitle: 'Test Notification 📬',
+    sampleBody: 'This is a local test notification!',
+    presets: '⭐ Presets',
+    noPresets: 'No presets saved yet.',
+    run: 'Run',
+    saveAs: 'Save current form as',
+    presetName: 'Preset name',
+    savePreset: 'Save Preset',
+    presetNameMissing: 'Give the preset a name first',
+    presetSaved: 'Preset "{name}" saved',
+    presetScheduled: '"{name}" scheduled\n\nID: {identifier}',
+    content: '✉️ Content',
+    title: 'Title',
+    subtitle: 'Subtitle',
+    subtitleHint: 'Shown as subText on Android',
+    body: 'Body',
+    bodyHint: 'Long bodies expand in the big text style on Android',
+    imageUrl: 'Image URL',
+    imageHint:
+      'Attached as an image on iOS and stored as data.imageUrl so the ' +
+      'history shows a thumbnail. Android only shows images for FCM ' +
+      'pushes (notification.image)',
+    color: 'Accent color (Android)',
+    data: 'Data (JSON object)',
+    badge: 'Badge',
+    sound: 'Sound',
+    soundPlaceholder: 'Empty = silent',
+    trigger: '⏰ Trigger',
+    triggers: {
+      immediate: 'Now',
+      timeInterval: 'Time interval',
+      date: 'Date',
+      daily: 'Daily',
+      weekly: 'Weekly',
+      yearly: 'Yearly',
+      calendar: 'Calendar',
+    },
+    secondsFromNow: 'Seconds from now',
+    repeatInterval: 'Repeat (minimum 60 seconds)',
+    dateTime: 'Date and time',
+    dateHint: 'Local time, format YYYY-MM-DD HH:MM',
+    weekday: 'Weekday (1 = Sunday … 7 = Saturday)',
+    month: 'Month (1-12)',
+    day: 'Day (1-31)',
+    hour: 'Hour (0-23)',
+    minute: 'Minute (0-59)',
+    calendarHint:
+      'Fill in only the components that should match; empty ones are ignored.',
+    repeatCalendar: 'Repeat whenever the components match',
+    immediateHint: 'Delivered as soon as it is scheduled.',
+    schedule: '📅 Schedule Notification',
+    invalid: 'Invalid notification',
+    scheduled: 'Scheduled',
+    scheduledMessage: 'Notification scheduled\n\nID: {identifier}',
+  },
+
+  composePush: {
+    sampleTitle: 'Test Push 🚀',
+    sampleBody: 'Sent from the in-app composer',
+    sender: '📡 Sender',
+    endpoint: 'Send endpoint',
+    endpointHint:
+      'Leave empty for the public API, or point it at a local stand-in server',
+    receiptsEndpoint: 'Receipts endpoint',
+    authToken: 'Access token (optional)',
+    authTokenFcm: 'OAuth 2.0 bearer token (required by FCM)',
+    authTokenExpo: 'Expo access token, if push security is enabled',
+    authTokenHint:
+      'Kept in memory until the app closes; it is never saved on the device',
+    message: '✉️ Message',
+    target: 'Target token',
+    targetHint:
+      "Defaults to this device's token for the selected format. " +
+      'With FCM v1, enter /topics/<name> to send to a topic',
+    iosOnly: 'iOS only',
+    imageHint:
+      'Big picture on Android; iOS needs a notification service extension',
+    color: 'Accent color',
+    icon: 'Icon',
+    iconPlaceholder: 'drawable name',
+    colorIconHint:
+      'Color and icon only apply to FCM on Android; the icon must be a ' +
+      'drawable bundled with the app.',
+    priority: 'Priority',
+    priorities: {
+      default: 'Default',
+      normal: 'Normal',
+      high: 'High',
+    },
+    ttl: 'TTL (seconds)',
+    collapseKey: 'Collapse key',
+    collapseKeyHint: 'Only used by FCM; the Expo Push API has no collapse key',
+    preview: '🧾 Payload Preview',
+    send: '🚀 Send Push',
+    sending: '⏳ Sending...',
+    tickets: '🎫 Tickets',
+    checkReceipts: 'Check Receipts',
+    receipt: 'Receipt: {receipt}',
+    invalid: 'Invalid data',
+    noTarget: 'Enter a target token first',
+    sendFailed: 'Send failed ({status}): {detail}',
+  },
+
+  channels: {
+    title: '📢 Channels ({count})',
+    unsupported: 'Notification channels only exist on Android 8 and newer.',
+    back: '← Back to channels',
+    newTitle: '＋ New Channel',
+    editWarning:
+      'Android only applies the name, description, group and a lower ' +
+      'importance to an existing channel. Use a new ID to test other ' +
+      'settings.',
+    id: 'Channel ID',
+    name: 'Name',
+    nameHint: 'Shown to users in the system settings',
+    description: 'Description',
+    group: 'Group',
+    importanceLabel: 'Importance',
+    visibilityLabel: 'Lockscreen visibility',
+    soundHint: '"default" for the system sound or a bundled file name',
+    vibrate: 'Vibrate',
+    vibrationPattern: 'Vibration pattern (ms)',
+    vibrationHint: 'Alternating wait and vibrate durations',
+    light: 'Light',
+    lightColor: 'Light color',
+    bypassDnd: 'Bypass Do Not Disturb',
+    showBadge: 'Show badge',
+    save: '💾 Save Channel',
+    invalid: 'Invalid channel',
+    saveFailed: 'Could not save channel: {message}',
+    deleteTitle: 'Delete "{id}"?',
+    deleteMessage:
+      'Android remembers deleted channels: creating one with the same ID ' +
+      'later restores its old settings.',
+    keep: 'Keep',
+    test: 'Test',
+    testFailed: 'Could not send test: {message}',
+    testTitle: 'Channel test: {id}',
+    testBody: 'Check the sound, vibration, light and badge of this channel',
+    summaryImportance: 'Importance: {importance} · Lockscreen: {visibility}',
+    summarySound: 'Sound: {sound} · Badge: {badge} · Bypass DND: {dnd}',
+    summaryVibration: 'Vibration: {vibration} · Light: {light}',
+    summaryGroup: 'Group: {group}',
+    silent: 'silent',
+    default: 'default',
+    off: 'off',
+    yes: 'yes',
+    no: 'no',
+    groups: '🗂️ Channel Groups',
+    noGroups: 'No channel groups yet.',
+    groupChannels: '{count} channels',
+    groupChannels_one: '{count} channel',
+    groupBlocked: 'blocked by user',
+    groupId: 'Group ID',
+    groupIdHint: 'Saving an existing ID renames the group',
+    groupName: 'Group name',
+    groupDescription: 'Group description',
+    saveGroup: 'Save Group',
+    deleteGroupTitle: 'Delete group "{id}"?',
+    deleteGroupMessage: 'Every channel inside the group is deleted too.',
+    importance: {
+      min: 'Min',
+      low: 'Low',
+      default: 'Default',
+      high: 'High',
+      max: 'Max',
+      unknown: 'Unknown',
+    },
+    visibility: {
+      public: 'Public',
+      private: 'Private',
+      secret: 'Secret',
+      unknown: 'Unknown',
+    },
+    errors: {
+      vibration: 'Vibration pattern must be comma-separated milliseconds',
+      id: 'Channel ID is required',
+      name: 'Channel name is required',
+      lightColor: 'Light color must look like #RRGGBB or #AARRGGBB',
+      group: 'Group ID and name are required',
+    },
+  },
+
+  categories: {
+    title: '🔘 Categories ({count})',
+    hint:
+      'Actions that do not open the app are still logged to the history, ' +
+      'together with any reply text.',
+    back: '← Back to categories',
+    newTitle: '＋ New Category',
+    id: 'Category ID',
+    idHint: 'Sent as categoryIdentifier (local) or categoryId (push)',
+    actionTitle: 'Action {index}',
+    remove: 'Remove',
+    actionId: 'Action ID',
+    buttonTitle: 'Button title',
+    textReply: 'Text reply',
+    placeholder: 'Placeholder',
+    submitButton: 'Submit button',
+    opensApp: 'Open the app',
+    destructive: 'Destructive (red)',
+    requireUnlock: 'Require unlock',
+    addAction: '＋ Add Action',
+    save: '💾 Save Category',
+    invalid: 'Invalid category',
+    saveFailed: 'Could not save category: {message}',
+    deleteMessage: 'Its actions stop appearing.',
+    textReplyTag: '(text reply)',
+    backgroundTag: '(background)',
+    testTitle: 'Category test: {id}',
+    testBody: 'Expand this notification to see its actions',
+    send: 'Send',
+    sample: {
+      reply: 'Reply',
+      replyPlaceholder: 'Type a reply…',
+      like: '👍 Like',
+      open: 'Open',
+    },
+    errors: {
+      id: 'Category ID is required',
+      noActions: 'Add at least one action',
+      action: 'Action {index} needs an ID and a button title',
+      unique: 'Action IDs must be unique within a category',
+    },
+  },
+
+  quietHours: {
+    title: '🌙 Quiet Hours',
+    quietUntil: '🌙 Quiet until {time}',
+    notQuiet: '🔔 Not quiet right now',
+    timeZone: 'Time zone',
+    timeZoneHint:
+      'An IANA zone such as Asia/Jakarta. Leave empty to follow the ' +
+      'device, currently {timeZone}.',
+    hint:
+      'During a window, notifications that arrive while the app is open ' +
+      'are not shown but still logged to history as held. One-off local ' +
+      'notifications scheduled from this app are moved to the end of the ' +
+      'window. Repeating local notifications and pushes that arrive while ' +
+      'the app is closed are still shown by the system.',
+    windows: '🗓️ Windows ({count})',
+    windows_one: '🗓️ Window ({count})',
+    new: '＋ New',
+    empty: 'No windows yet.',
+    everyDay: 'Every day',
+    back: '← Back to quiet hours',
+    newTitle: '＋ New Window',
+    editTitle: '✏️ Edit Window',
+    weekdays: 'Days',
+    start: 'Start (HH:MM)',
+    end: 'End (HH:MM)',
+    timesHint:
+      'An end before the start runs into the next morning; an end equal ' +
+      'to the start keeps the whole day quiet. Days are the days a window ' +
+      'starts on.',
+    save: '💾 Save Window',
+    invalid: 'Invalid quiet hours',
+    deleteTitle: 'Delete {start} – {end}?',
+    keep: 'Keep',
+    errors: {
+      weekdays: 'Pick at least one day',
+      time: 'Start and end must be times like 22:00',
+      timeZone: '"{timeZone}" is not a known time zone',
+    },
+  },
+};
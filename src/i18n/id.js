@@ -0,0 +1,896 @@
+// src/i18n/id.js
+// Indonesian strings; keys mirror en.js, and missing ones fall back to it
+export default {
+  common: {
+    ok: 'OK',
+    cancel: 'Batal',
+    delete: 'Hapus',
+    success: 'Berhasil',
+    error: 'Kesalahan',
+    copy: 'Salin',
+    edit: 'Ubah',
+    copied: 'Disalin',
+    notAvailable: 'T/A',
+    noTitle: 'Tanpa Judul',
+    noBody: 'Tanpa Isi',
+  },
+
+  home: {
+    title: '🔔 Uji Notifikasi Push',
+    subtitle: 'Firebase Cloud Messaging dengan Expo',
+    deviceType: 'Jenis Perangkat:',
+    physicalDevice: '📱 Perangkat Fisik',
+    emulator: '🖥️ Emulator (Hanya Push Tiruan)',
+    emulatorWarning:
+      '⚠️ Notifikasi push sungguhan memerlukan perangkat fisik.\n' +
+      'Gunakan Mock Push Relay untuk menguji push di emulator ini.',
+    notificationStatus: 'Status Notifikasi:',
+    statusReady: '✅ Siap menerima notifikasi push',
+    statusNotAllowed: '🔒 Notifikasi tidak diizinkan – lihat Izin di bawah',
+    statusInitializing: '⏳ Menyiapkan...',
+    tokenUnavailable: 'Tidak tersedia: {error}',
+    copyToken: '📋 Salin Token ke Papan Klip',
+    tokenCopied:
+      'Token {label} disalin ke papan klip!\n\n' +
+      'Sekarang Anda dapat menempelkannya di alat pengirim.',
+    tokenRotated: 'Token FCM diganti',
+    rotateFailed: 'Tidak dapat mengganti token: {message}',
+    physicalDeviceRequired: '📱 Perlu Perangkat Fisik',
+    emulatorSteps:
+      'Token notifikasi push tidak dapat dibuat di emulator.\n\n' +
+      'Untuk mendapatkan token asli dan menguji Firebase Cloud Messaging:\n' +
+      '1. Pasang aplikasi ini di perangkat Android fisik Anda\n' +
+      '2. Buka aplikasi dan izinkan notifikasi\n' +
+      '3. Salin token yang muncul\n' +
+      '4. Gunakan token itu di Firebase Console untuk pengujian\n\n' +
+      'Untuk menguji alur terima, ketuk, dan riwayat di sini, jalankan ' +
+      'npm run mock-relay di komputer Anda lalu hubungkan.',
+    openMockRelay: '🧪 Buka Mock Push Relay',
+    testNotifications: 'Uji Notifikasi',
+    testChannel: 'Saluran untuk notifikasi uji',
+    sendLocalTest: '🧪 Kirim Notifikasi Uji Lokal',
+    sendRichTest: '🖼️ Kirim Notifikasi Uji Kaya',
+    localTest: {
+      title: 'Notifikasi Uji 📬',
+      body: 'Ini adalah notifikasi uji lokal!',
+    },
+    richTest: {
+      title: 'Notifikasi Uji Kaya 🖼️',
+      subtitle: 'Gambar, teks panjang, dan warna',
+      body:
+        'Notifikasi ini membawa gambar, subjudul, dan warna aksen. Di ' +
+        'Android, bentangkan untuk membaca seluruh teks dalam gaya teks ' +
+        'besar. Di iOS, tekan lama untuk melihat gambar terlampir dalam ' +
+        'ukuran penuh.',
+    },
+    sendFailed: 'Tidak dapat mengirim: {message}',
+    scheduledTitle: 'Dijadwalkan',
+    scheduledMessage: 'Notifikasi uji akan muncul dalam 2 detik',
+    composeLocal: '🧰 Susun Notifikasi Lokal',
+    manageScheduled: '📅 Kelola Notifikasi Terjadwal',
+    manageCategories: '🔘 Kelola Kategori Aksi',
+    presentationRules: '🎛️ Aturan Tampilan Latar Depan',
+    quietHours: '🌙 Jam Tenang',
+    manageChannels: '📢 Kelola Saluran Android',
+    composePush: '🚀 Susun Push Jarak Jauh',
+    manageTopics: '📡 Kelola Topik FCM',
+    mockRelay: '🧪 Mock Push Relay',
+    deviceInstructions:
+      'Notifikasi lokal berfungsi di emulator maupun perangkat fisik.\n\n' +
+      'Untuk menguji Firebase Cloud Messaging:\n' +
+      '1. Pilih token FCM di atas lalu salin\n' +
+      '2. Buka Firebase Console\n' +
+      '3. Masuk ke Cloud Messaging → Send test message\n' +
+      '4. Tempelkan token lalu kirim notifikasi',
+    emulatorInstructions:
+      'Notifikasi lokal dapat diuji di emulator.\n\n' +
+      'Firebase Cloud Messaging memerlukan perangkat fisik, tetapi\n' +
+      'Mock Push Relay mengirimkan push berformat Expo dan FCM ke sini.',
+    latestNotification: '📬 Notifikasi Terbaru',
+    viewDetails: 'Lihat Detail',
+    fullNotificationData: 'Data Notifikasi Lengkap',
+    detailTitle: 'Judul:',
+    detailBody: 'Isi:',
+    detailId: 'ID Notifikasi:',
+    detailData: 'Data Kustom:',
+    detailBadge: 'Jumlah Lencana:',
+    detailSound: 'Suara:',
+    history: '📋 Riwayat Notifikasi ({count})',
+    historyUnread: '📋 Riwayat Notifikasi ({count} · {unread} belum dibaca)',
+    diagnostics: '⏱️ Diagnostik Pengiriman',
+  },
+
+  tokens: {
+    expo: {
+      title: 'Token Push Expo Anda (untuk Expo Push Service):',
+      hint: '💡 Gunakan token ini dengan alat push Expo atau Expo Push API',
+    },
+    fcm: {
+      title: 'Token Pendaftaran FCM Anda (untuk Firebase Console):',
+      hint:
+        '💡 Gunakan token ini di Firebase Console → ' +
+        'Cloud Messaging → "Send test message"',
+    },
+    device: {
+      title: 'Token Push Perangkat mentah Anda:',
+      titleIos: 'Token Perangkat APNs mentah Anda:',
+      hint:
+        '💡 Token native dari getDevicePushTokenAsync, untuk pengiriman ' +
+        'langsung',
+    },
+    errors: {
+      unavailable: 'Token tidak tersedia',
+      emulator:
+        'Notifikasi push tidak tersedia di emulator. ' +
+        'Silakan gunakan perangkat fisik.',
+      noToken: 'Tidak dapat memperoleh token push apa pun.',
+      nothingToCopy: 'Tidak ada token untuk disalin',
+    },
+  },
+
+  theme: {
+    title: '🎨 Tampilan',
+    system: '📱 Sistem',
+    light: '☀️ Terang',
+    dark: '🌙 Gelap',
+    hint: '💡 Sistem mengikuti pengaturan mode gelap perangkat.',
+  },
+
+  language: {
+    title: '🌐 Bahasa',
+    system: '📱 Sistem',
+    hint: '💡 Sistem memakai bahasa perangkat jika didukung.',
+  },
+
+  screens: {
+    history: '📋 Riwayat',
+    notificationDetail: '🔎 Detail Notifikasi',
+    diagnostics: '⏱️ Diagnostik',
+    topics: '📡 Topik FCM',
+    mockRelay: '🧪 Mock Push Relay',
+    composePush: '🚀 Susun Push',
+    localComposer: '🧰 Penyusun Lokal',
+    scheduled: '📅 Terjadwal',
+    channels: '📢 Saluran',
+    categories: '🔘 Kategori',
+    presentationRules: '🎛️ Aturan Tampilan',
+    quietHours: '🌙 Jam Tenang',
+  },
+
+  permissions: {
+    title: '🔐 Izin',
+    showDetails: 'Tampilkan detail',
+    hideDetails: 'Sembunyikan detail',
+    checking: '⏳ Memeriksa...',
+    requestAgain: 'Minta Lagi',
+    openSettings: 'Buka Pengaturan',
+    recheck: 'Periksa Ulang',
+    openSettingsFailed: 'Tidak dapat membuka pengaturan: {message}',
+    notRequired: 'tidak diperlukan (Android 12 atau lebih lama)',
+    state: {
+      granted: '✅ Diizinkan',
+      provisional: '🤫 Sementara (pengiriman senyap)',
+      undetermined: '❔ Belum ditanyakan',
+      denied: '❌ Ditolak',
+      blocked: '🔒 Diblokir',
+    },
+    hint: {
+      granted: 'Notifikasi dapat ditampilkan.',
+      provisional:
+        'iOS mengirim secara senyap ke pusat notifikasi. Minta lagi untuk ' +
+        'mendapatkan peringatan penuh.',
+      undetermined: 'Permintaan sistem belum dijawab.',
+      denied:
+        'canAskAgain bernilai true, jadi permintaan sistem dapat ' +
+        'ditampilkan sekali lagi.',
+      blocked:
+        'canAskAgain bernilai false: sistem tidak akan meminta lagi. ' +
+        'Izinkan notifikasi untuk aplikasi ini di pengaturan sistem.',
+    },
+  },
+
+  tokenLifecycle: {
+    title: '🔄 Siklus Hidup Token',
+    serverError: 'Server merespons dengan {status}',
+    timedOut: 'Tidak ada respons dalam {seconds} detik',
+    endpoint: 'Endpoint pendaftaran (opsional):',
+    saveEndpoint: 'Simpan Endpoint',
+    rotate: '♻️ Ganti Token FCM',
+    invalidEndpoint: 'Endpoint harus diawali http:// atau https://',
+    reportingEnabled: 'Perubahan token akan dilaporkan',
+    reportingDisabled: 'Pelaporan token dinonaktifkan',
+    history: 'Riwayat token:',
+    empty: 'Belum ada token yang tercatat.',
+    active: 'aktif',
+    revoked: 'dicabut',
+    firstSeen: 'Pertama terlihat {time}',
+    lastSeen: 'Terakhir terlihat {time}',
+    revokedAt: 'Dicabut {time}',
+    reported: '{action} dilaporkan ({count} percobaan)',
+  },
+
+  retention: {
+    title: '⚙️ Penyimpanan Riwayat',
+    maxEntries: 'Simpan paling banyak:',
+    maxAge: 'Hapus entri yang lebih lama dari:',
+    entries: '{count} entri',
+    days: '{count} hari',
+    forever: 'Selamanya',
+    hint:
+      '💡 Riwayat disimpan di perangkat ini dan tetap ada setelah aplikasi dimulai ulang.',
+  },
+
+  historyFilters: {
+    search: '🔍 Cari judul, isi, atau data',
+    sourceLabel: 'Sumber:',
+    dateLabel: 'Tanggal:',
+    customDataLabel: 'Data kustom:',
+    readStateLabel: 'Status baca:',
+    groupLabel: 'Kelompok:',
+    from: 'Dari (TTTT-BB-HH)',
+    to: 'Sampai (TTTT-BB-HH)',
+    groupKey: 'Kunci data, mis. type',
+    source: {
+      all: 'Semua',
+      received: 'Diterima',
+      tapped: 'Diketuk',
+      background: 'Latar belakang',
+      local: 'Lokal',
+      mock: 'Tiruan',
+      held: 'Ditahan',
+    },
+    date: {
+      all: 'Kapan saja',
+      today: 'Hari ini',
+      week: '7 hari terakhir',
+      custom: 'Kustom',
+    },
+    customData: {
+      any: 'Apa saja',
+      with: 'Dengan data',
+      without: 'Tanpa data',
+    },
+    readState: {
+      any: 'Apa saja',
+      unread: 'Belum dibaca',
+      read: 'Sudah dibaca',
+    },
+    group: {
+      none: 'Tanpa pengelompokan',
+      day: 'Per hari',
+      dataKey: 'Per kunci data',
+      topic: 'Per topik',
+    },
+  },
+
+  presentation: {
+    suppress: '🚫 Disembunyikan',
+    silent: '🔕 Ditampilkan tanpa suara',
+    sound: '🔔 Ditampilkan dengan suara',
+  },
+  historyEvents: {
+    received: 'Diterima',
+    presented: 'Ditampilkan',
+    tapped: 'Diketuk',
+    action: 'Aksi',
+    dismissed: 'Ditutup',
+    held: 'Ditahan jam tenang',
+  },
+  historyItem: {
+    action: '🔘 Aksi: {action}',
+    rule: 'aturan "{name}"',
+    defaultRule: 'bawaan',
+    local: 'Lokal',
+    remote: 'Jarak jauh',
+    mock: 'Tiruan',
+    customData: '📎 Berisi data kustom',
+    source: {
+      received: 'Diterima',
+      tapped: 'Diketuk',
+      background: 'Latar belakang',
+    },
+    appState: {
+      foreground: 'Aplikasi terbuka',
+      background: 'Aplikasi di latar belakang',
+      killed: 'Aplikasi ditutup paksa',
+    },
+    status: {
+      pending: 'menunggu',
+      success: 'ditampilkan',
+      error: 'gagal',
+    },
+    by: {
+      user: 'pengguna',
+      app: 'aplikasi',
+    },
+    held: {
+      suppressed: '🌙 Ditahan jam tenang sampai {until}',
+      deferred: '🌙 Ditunda jam tenang sejak {at}',
+    },
+  },
+
+  trigger: {
+    immediately: 'Segera',
+    every: 'Setiap {seconds} dtk',
+    after: '{seconds} dtk setelah dijadwalkan',
+    date: 'Pada {date}',
+    daily: 'Setiap hari pukul {time}',
+    weekly: 'Setiap {weekday} pukul {time}',
+    monthly: 'Setiap bulan tanggal {day} pukul {time}',
+    yearly: 'Setiap tahun pada {day}/{month} pukul {time}',
+    calendar: 'Kalender ({components})',
+    calendarRepeats: 'Kalender ({components}), berulang',
+    unknown: 'Pemicu tidak dikenal',
+  },
+
+  notificationDetail: {
+    summary: '📋 Ringkasan',
+    timeline: '🕒 Linimasa',
+    image: '🖼️ Gambar',
+    imageUrl: 'URL Gambar',
+    dataTitle: '📎 Data',
+    dataLabel: 'Data',
+    data: 'data',
+    dataHint:
+      'Ketuk cabang untuk membukanya, tekan lama nilai mana pun untuk menyalinnya.',
+    raw: '🧾 Notifikasi Mentah',
+    rawLabel: 'Notifikasi mentah',
+    missing: 'Entri ini sudah tidak ada di riwayat notifikasi.',
+    resend: '🔁 Kirim Ulang sebagai Notifikasi Lokal',
+    sending: 'Mengirim…',
+    sent: 'Terkirim',
+    sentMessage: 'Notifikasi lokal dijadwalkan.\nID: {identifier}',
+    resendFailed: 'Tidak dapat mengirim ulang: {message}',
+    copied: '{label} disalin ke papan klip',
+    copyFailed: 'Tidak dapat menyalin: {message}',
+    presentationRule: '(aturan: {name})',
+    presentationDefault: '(bawaan)',
+    eventAction: 'aksi {action}',
+    eventBy: 'oleh {by}',
+    eventUntil: 'sampai {time}',
+    payloadBytes: '{size} / {limit} byte',
+    fields: {
+      title: 'Judul',
+      body: 'Isi',
+      received: 'Diterima',
+      sent: 'Dikirim',
+      latency: 'Latensi',
+      payloadSize: 'Ukuran payload',
+      source: 'Sumber',
+      deliveredVia: 'Dikirim melalui',
+      topic: 'Topik',
+      appState: 'Status aplikasi',
+      action: 'Aksi',
+      reply: 'Balasan',
+      presentation: 'Tampilan',
+      quietHours: 'Jam tenang',
+    },
+    sections: {
+      request: '🆔 Permintaan',
+      content: '📝 Konten',
+      trigger: '⏰ Pemicu',
+      android: '🤖 Android',
+      ios: '🍎 iOS',
+    },
+  },
+
+  presentationRules: {
+    title: '🎛️ Aturan ({count})',
+    new: '＋ Baru',
+    hint:
+      'Aturan diperiksa dari atas ke bawah dan kecocokan aktif pertama yang ' +
+      'menentukan. Tanpa kecocokan, notifikasi ditampilkan dengan suara dan ' +
+      'lencana. Setiap keputusan disimpan pada entri riwayat yang diterima.',
+    when: 'Saat {match}',
+    fieldPresent: 'data.{field} ada',
+    everyNotification: 'setiap notifikasi',
+    setsBadge: 'mengatur lencana',
+    back: '← Kembali ke aturan',
+    newTitle: '＋ Aturan Baru',
+    editTitle: '✏️ Ubah Aturan',
+    name: 'Nama',
+    matchLabel: 'Cocokkan',
+    category: 'Kategori',
+    dataField: 'Field data',
+    equals: 'Sama dengan',
+    anyValue: 'Nilai apa saja',
+    presentationLabel: 'Tampilan',
+    setBadge: 'Atur lencana aplikasi',
+    save: '💾 Simpan Aturan',
+    invalid: 'Aturan tidak valid',
+    deleteTitle: 'Hapus "{name}"?',
+    keep: 'Pertahankan',
+    match: {
+      dataField: 'Field data',
+      category: 'Kategori',
+      any: 'Semua',
+    },
+    action: {
+      suppress: 'Sembunyikan',
+      silent: 'Tampilkan tanpa suara',
+      sound: 'Tampilkan dengan suara',
+    },
+    errors: {
+      name: 'Beri nama aturan ini',
+      category: 'Pilih kategori untuk aturan ini',
+      field: 'Masukkan field data yang diperiksa aturan ini',
+    },
+  },
+
+  history: {
+    title: '📋 Riwayat Notifikasi ({shown}/{total})',
+    clear: 'Hapus',
+    cleared: 'Riwayat notifikasi dihapus',
+    unread: '{count} belum dibaca',
+    badge: 'lencana aplikasi {count}',
+    markAllRead: 'Tandai semua dibaca',
+    noMatches: 'Tidak ada notifikasi yang cocok dengan filter saat ini.',
+    empty: 'Belum ada notifikasi yang tertangkap.',
+  },
+  historyGroups: {
+    topic: 'Topik: {topic}',
+    noTopic: 'Tanpa topik',
+    noKey: 'Tanpa "{key}"',
+  },
+  historyTransfer: {
+    title: '📤 Ekspor / Impor',
+    exportJson: 'Ekspor JSON',
+    exportCsv: 'Ekspor CSV',
+    importJson: 'Impor JSON',
+    hint:
+      '💡 Ekspor menyertakan notifikasi mentah dari setiap entri. Hanya ' +
+      'ekspor JSON yang dapat diimpor; entri yang sudah ada di riwayat ' +
+      'dilewati.',
+    dialogTitle: 'Ekspor riwayat notifikasi',
+    exportFailed: 'Tidak dapat mengekspor riwayat: {message}',
+    imported: 'Impor selesai',
+    added: '{added} dari {total} entri ditambahkan',
+    duplicates: '({count} sudah ada di riwayat)',
+    dropped:
+      '{count} entri lama tidak disimpan karena pengaturan retensi riwayat',
+    importFailed: 'Impor gagal',
+    errors: {
+      noSharing: 'Berbagi tidak tersedia di perangkat ini',
+      json: 'Berkas ini bukan JSON yang valid',
+      kind: 'Berkas ini bukan ekspor riwayat notifikasi',
+      entries: 'Ekspor ini tidak memiliki daftar entri',
+      schema: 'Ekspor ini tidak memiliki versi skema yang valid',
+      newerSchema:
+        'Ekspor ini memakai skema v{version}; ' +
+        'build ini hanya memahami hingga v{supported}',
+      entry: 'Entri {index}: {problem}',
+      notObject: 'bukan objek',
+      noNotificationId: 'notificationId tidak ada',
+      timestamp: 'timestamp harus berupa angka',
+      source: 'sumber "{source}" tidak dikenal',
+      text: 'title dan body harus berupa teks',
+      data: 'data harus berupa objek',
+      events: 'events harus berupa daftar',
+    },
+  },
+
+  jsonTree: {
+    items: '{count} item',
+    keys: '{count} kunci',
+  },
+
+  categoryPicker: {
+    label: 'Kategori (tombol aksi)',
+    placeholder: 'Kosong = tanpa aksi',
+    onDevice: 'Kategori di perangkat ini',
+    none: 'Tidak ada',
+  },
+  channelPicker: {
+    label: 'Channel Android',
+    placeholder: 'Kosong = bawaan aplikasi',
+    onDevice: 'Channel di perangkat ini',
+    unknown: 'Channel ini tidak ada di perangkat ini',
+  },
+
+  mockRelay: {
+    connection: '🧪 Koneksi',
+    status: {
+      off: '⚪ Mati',
+      connecting: '⏳ Menghubungkan...',
+      connected: '🟢 Terhubung',
+      retrying: '🟠 Relay tidak terjangkau, mencoba lagi...',
+    },
+    received: '{count} push tiruan diterima pada sesi ini',
+    url: 'URL Relay',
+    urlHint: 'ws://10.0.2.2:4001/ws menjangkau host dari emulator Android',
+    connect: 'Hubungkan',
+    disconnect: 'Putuskan',
+    invalidUrl: 'URL tidak valid',
+    token: '🔑 Token Tiruan',
+    copyToken: '📋 Salin Token Tiruan',
+    tokenCopied: 'Token tiruan disalin ke papan klip',
+    sendTest: '🚀 Kirim Push Uji melalui Relay',
+    sendFailed: 'Tidak dapat menjangkau relay: {message}',
+    howItWorks: 'ℹ️ Cara kerja',
+    step1: '1. Di komputer Anda, jalankan',
+    step2: '2. Hubungkan di atas',
+    step3Expo: '3. Kirim push berformat Expo ke',
+    step3Fcm: 'atau push FCM v1 ke',
+    step3Hint: ', mis. dari penyusun push dengan token tiruan sebagai target',
+    explanation:
+      'Relay meneruskan setiap push ke aplikasi ini, yang menampilkannya ' +
+      'sebagai notifikasi lokal dan mencatatnya di riwayat dengan tanda ' +
+      '"Tiruan". Target yang tidak dikenal menjangkau setiap perangkat yang ' +
+      'terhubung. Koneksi hanya terbuka selama aplikasi berjalan.',
+    errors: {
+      url: 'URL relay harus diawali ws:// atau wss://',
+      connection: 'Koneksi gagal',
+    },
+    testPush: {
+      title: 'Push Tiruan 🧪',
+      body:
+        'Dikirim oleh relay push tiruan lokal. Ketuk untuk membuka riwayat.',
+    },
+  },
+
+  diagnostics: {
+    latency: '⏱️ Latensi Pengiriman',
+    median: 'Median',
+    fastest: 'Tercepat',
+    slowest: 'Terlama',
+    samples: 'Sampel',
+    samplesValue: '{samples} dari {deliveries} pengiriman',
+    negative:
+      '⚠️ Latensi negatif berarti jam pengirim lebih cepat daripada jam ' +
+      'perangkat ini.',
+    noLatency:
+      'Belum ada pengiriman dengan stempel waktu pengirim. Tambahkan ' +
+      '"sentAt" (milidetik epoch atau tanggal ISO) ke data push, atau kirim ' +
+      'push uji dari penyusun di aplikasi, yang menambahkannya untuk Anda.',
+    payload: '📦 Ukuran Payload',
+    largest: 'Terbesar',
+    average: 'Rata-rata',
+    bytes: '{size} byte',
+    nearLimit: 'Mendekati batas',
+    overLimit: 'Melebihi batas',
+    payloadHint:
+      'FCM menolak pesan yang notifikasi dan datanya melebihi 4KB.',
+    bySource: '📊 Per Sumber ({count})',
+    deliveredVia: 'Dikirim melalui',
+    lastHours: '🕐 {hours} Jam Terakhir',
+  },
+
+  topics: {
+    subscribeTitle: '➕ Berlangganan',
+    name: 'Nama topik',
+    nameHint:
+      'Kirim ke /topics/<nama> dari penyusun push (FCM v1) atau ' +
+      'Firebase Console untuk menjangkau setiap perangkat yang berlangganan',
+    subscribe: 'Berlangganan',
+    subscribed: 'Berlangganan',
+    subscribedMessage: 'Perangkat ini sekarang menerima "{name}"',
+    subscribeFailed: 'Tidak dapat berlangganan',
+    unsubscribe: 'Berhenti',
+    unsubscribeFailed: 'Tidak dapat berhenti berlangganan "{name}"',
+    title: '📡 Topik Berlangganan ({count})',
+    resubscribeAll: 'Berlangganan ulang semua',
+    done: 'Selesai',
+    resubscribed: 'Berlangganan ulang ke {count} topik',
+    resubscribeFailed: 'Tidak dapat berlangganan ulang',
+    empty: 'Belum berlangganan topik apa pun.',
+    since: 'Sejak {date} · {count} diterima',
+    hint:
+      'FCM tidak dapat menampilkan daftar topik perangkat, jadi daftar ini ' +
+      'disimpan di perangkat. Mengganti token FCM menghapus setiap ' +
+      'langganan; gunakan Berlangganan ulang semua setelahnya.',
+    errors: {
+      name: 'Nama topik hanya boleh berisi huruf, angka, dan - _ . ~ %',
+    },
+  },
+
+  scheduled: {
+    title: '📅 Terjadwal ({count})',
+    empty:
+      'Tidak ada yang dijadwalkan. Gunakan penyusun lokal untuk menambahkan ' +
+      'notifikasi.',
+    loadFailed: 'Tidak dapat memuat notifikasi terjadwal: {message}',
+    cancelAll: 'Batalkan Semua',
+    cancelAllTitle: 'Batalkan semua?',
+    cancelAllMessage: 'Setiap notifikasi terjadwal akan dihapus.',
+    keep: 'Pertahankan',
+    duplicate: 'Duplikat',
+    duplicateFailed: 'Tidak dapat menduplikasi: {message}',
+    back: '← Kembali ke jadwal',
+    saveChanges: '💾 Simpan Perubahan',
+    next: 'Berikutnya: {date}',
+    unknown: 'Tidak diketahui',
+  },
+
+  validation: {
+    wholeNumber: '{name} harus bilangan bulat dari {min} sampai {max}',
+    imageUrl: 'URL gambar harus diawali http://, https://, atau file://',
+    color: 'Warna harus berformat seperti #FF5722',
+    dataJson: 'Data harus berupa objek JSON',
+    dateFormat: 'Tanggal harus berformat seperti 2025-12-31 18:30',
+    datePast: 'Tanggal harus di masa depan',
+    calendarEmpty: 'Isi setidaknya satu komponen kalender',
+    triggerType: 'Jenis pemicu tidak dikenal: {type}',
+    fields: {
+      seconds: 'Detik',
+      year: 'Tahun',
+      month: 'Bulan',
+      day: 'Hari',
+      weekday: 'Hari dalam minggu',
+      hour: 'Jam',
+      minute: 'Menit',
+      second: 'Detik',
+      badge: 'Lencana',
+    },
+  },
+
+  composer: {
+    sampleTitle: 'Notifikasi Uji 📬',
+    sampleBody: 'Ini adalah notifikasi uji lokal!',
+    presets: '⭐ Preset',
+    noPresets: 'Belum ada preset yang disimpan.',
+    run: 'Jalankan',
+    saveAs: 'Simpan formulir saat ini sebagai',
+    presetName: 'Nama preset',
+    savePreset: 'Simpan Preset',
+    presetNameMissing: 'Beri nama preset terlebih dahulu',
+    presetSaved: 'Preset "{name}" disimpan',
+    presetScheduled: '"{name}" dijadwalkan\n\nID: {identifier}',
+    content: '✉️ Konten',
+    title: 'Judul',
+    subtitle: 'Subjudul',
+    subtitleHint: 'Ditampilkan sebagai subText di Android',
+    body: 'Isi',
+    bodyHint: 'Isi yang panjang diperluas dengan gaya teks besar di Android',
+    imageUrl: 'URL Gambar',
+    imageHint:
+      'Dilampirkan sebagai gambar di iOS dan disimpan sebagai data.imageUrl ' +
+      'agar riwayat menampilkan gambar mini. Android hanya menampilkan ' +
+      'gambar untuk push FCM (notification.image)',
+    color: 'Warna aksen (Android)',
+    data: 'Data (objek JSON)',
+    badge: 'Lencana',
+    sound: 'Suara',
+    soundPlaceholder: 'Kosong = senyap',
+    trigger: '⏰ Pemicu',
+    triggers: {
+      immediate: 'Sekarang',
+      timeInterval: 'Interval waktu',
+      date: 'Tanggal',
+      daily: 'Harian',
+      weekly: 'Mingguan',
+      yearly: 'Tahunan',
+      calendar: 'Kalender',
+    },
+    secondsFromNow: 'Detik dari sekarang',
+    repeatInterval: 'Ulangi (minimal 60 detik)',
+    dateTime: 'Tanggal dan waktu',
+    dateHint: 'Waktu lokal, format TTTT-BB-HH JJ:MM',
+    weekday: 'Hari (1 = Minggu … 7 = Sabtu)',
+    month: 'Bulan (1-12)',
+    day: 'Tanggal (1-31)',
+    hour: 'Jam (0-23)',
+    minute: 'Menit (0-59)',
+    calendarHint:
+      'Isi hanya komponen yang harus cocok; yang kosong diabaikan.',
+    repeatCalendar: 'Ulangi setiap kali komponennya cocok',
+    immediateHint: 'Dikirim segera setelah dijadwalkan.',
+    schedule: '📅 Jadwalkan Notifikasi',
+    invalid: 'Notifikasi tidak valid',
+    scheduled: 'Dijadwalkan',
+    scheduledMessage: 'Notifikasi dijadwalkan\n\nID: {identifier}',
+  },
+
+  composePush: {
+    sampleTitle: 'Push Uji 🚀',
+    sampleBody: 'Dikirim dari penyusun dalam aplikasi',
+    sender: '📡 Pengirim',
+    endpoint: 'Endpoint pengiriman',
+    endpointHint:
+      'Kosongkan untuk API publik, atau arahkan ke server pengganti lokal',
+    receiptsEndpoint: 'Endpoint tanda terima',
+    authToken: 'Token akses (opsional)',
+    authTokenFcm: 'Token bearer OAuth 2.0 (wajib untuk FCM)',
+    authTokenExpo: 'Token akses Expo, jika keamanan push diaktifkan',
+    authTokenHint:
+      'Disimpan di memori sampai aplikasi ditutup; tidak pernah disimpan ' +
+      'di perangkat',
+    message: '✉️ Pesan',
+    target: 'Token tujuan',
+    targetHint:
+      'Bawaannya token perangkat ini untuk format yang dipilih. ' +
+      'Dengan FCM v1, masukkan /topics/<nama> untuk mengirim ke topik',
+    iosOnly: 'Hanya iOS',
+    imageHint:
+      'Gambar besar di Android; iOS memerlukan notification service extension',
+    color: 'Warna aksen',
+    icon: 'Ikon',
+    iconPlaceholder: 'nama drawable',
+    colorIconHint:
+      'Warna dan ikon hanya berlaku untuk FCM di Android; ikon harus berupa ' +
+      'drawable yang dibundel dengan aplikasi.',
+    priority: 'Prioritas',
+    priorities: {
+      default: 'Bawaan',
+      normal: 'Normal',
+      high: 'Tinggi',
+    },
+    ttl: 'TTL (detik)',
+    collapseKey: 'Collapse key',
+    collapseKeyHint:
+      'Hanya dipakai FCM; Expo Push API tidak memiliki collapse key',
+    preview: '🧾 Pratinjau Payload',
+    send: '🚀 Kirim Push',
+    sending: '⏳ Mengirim...',
+    tickets: '🎫 Tiket',
+    checkReceipts: 'Periksa Tanda Terima',
+    receipt: 'Tanda terima: {receipt}',
+    invalid: 'Data tidak valid',
+    noTarget: 'Masukkan token tujuan terlebih dahulu',
+    sendFailed: 'Pengiriman gagal ({status}): {detail}',
+  },
+
+  channels: {
+    title: '📢 Channel ({count})',
+    unsupported:
+      'Channel notifikasi hanya ada di Android 8 dan yang lebih baru.',
+    back: '← Kembali ke channel',
+    newTitle: '＋ Channel Baru',
+    editWarning:
+      'Android hanya menerapkan nama, deskripsi, grup, dan tingkat ' +
+      'kepentingan yang lebih rendah ke channel yang sudah ada. Gunakan ID ' +
+      'baru untuk menguji pengaturan lain.',
+    id: 'ID Channel',
+    name: 'Nama',
+    nameHint: 'Ditampilkan kepada pengguna di pengaturan sistem',
+    description: 'Deskripsi',
+    group: 'Grup',
+    importanceLabel: 'Tingkat kepentingan',
+    visibilityLabel: 'Visibilitas layar kunci',
+    soundHint: '"default" untuk suara sistem atau nama berkas yang dibundel',
+    vibrate: 'Getar',
+    vibrationPattern: 'Pola getar (md)',
+    vibrationHint: 'Durasi jeda dan getar secara bergantian',
+    light: 'Lampu',
+    lightColor: 'Warna lampu',
+    bypassDnd: 'Abaikan Jangan Ganggu',
+    showBadge: 'Tampilkan lencana',
+    save: '💾 Simpan Channel',
+    invalid: 'Channel tidak valid',
+    saveFailed: 'Tidak dapat menyimpan channel: {message}',
+    deleteTitle: 'Hapus "{id}"?',
+    deleteMessage:
+      'Android mengingat channel yang dihapus: membuat channel dengan ID ' +
+      'yang sama nanti memulihkan pengaturan lamanya.',
+    keep: 'Pertahankan',
+    test: 'Uji',
+    testFailed: 'Tidak dapat mengirim uji: {message}',
+    testTitle: 'Uji channel: {id}',
+    testBody: 'Periksa suara, getar, lampu, dan lencana channel ini',
+    summaryImportance:
+      'Kepentingan: {importance} · Layar kunci: {visibility}',
+    summarySound:
+      'Suara: {sound} · Lencana: {badge} · Abaikan Jangan Ganggu: {dnd}',
+    summaryVibration: 'Getar: {vibration} · Lampu: {light}',
+    summaryGroup: 'Grup: {group}',
+    silent: 'senyap',
+    default: 'bawaan',
+    off: 'mati',
+    yes: 'ya',
+    no: 'tidak',
+    groups: '🗂️ Grup Channel',
+    noGroups: 'Belum ada grup channel.',
+    groupChannels: '{count} channel',
+    groupBlocked: 'diblokir pengguna',
+    groupId: 'ID Grup',
+    groupIdHint: 'Menyimpan ID yang sudah ada akan mengganti nama grup',
+    groupName: 'Nama grup',
+    groupDescription: 'Deskripsi grup',
+    saveGroup: 'Simpan Grup',
+    deleteGroupTitle: 'Hapus grup "{id}"?',
+    deleteGroupMessage: 'Setiap channel di dalam grup juga akan dihapus.',
+    importance: {
+      min: 'Minimum',
+      low: 'Rendah',
+      default: 'Bawaan',
+      high: 'Tinggi',
+      max: 'Maksimum',
+      unknown: 'Tidak diketahui',
+    },
+    visibility: {
+      public: 'Publik',
+      private: 'Pribadi',
+      secret: 'Rahasia',
+      unknown: 'Tidak diketahui',
+    },
+    errors: {
+      vibration: 'Pola getar harus berupa milidetik yang dipisahkan koma',
+      id: 'ID channel wajib diisi',
+      name: 'Nama channel wajib diisi',
+      lightColor: 'Warna lampu harus berformat #RRGGBB atau #AARRGGBB',
+      group: 'ID dan nama grup wajib diisi',
+    },
+  },
+
+  categories: {
+    title: '🔘 Kategori ({count})',
+    hint:
+      'Aksi yang tidak membuka aplikasi tetap dicatat di riwayat, bersama ' +
+      'teks balasan apa pun.',
+    back: '← Kembali ke kategori',
+    newTitle: '＋ Kategori Baru',
+    id: 'ID Kategori',
+    idHint: 'Dikirim sebagai categoryIdentifier (lokal) atau categoryId (push)',
+    actionTitle: 'Aksi {index}',
+    remove: 'Buang',
+    actionId: 'ID Aksi',
+    buttonTitle: 'Judul tombol',
+    textReply: 'Balasan teks',
+    placeholder: 'Placeholder',
+    submitButton: 'Tombol kirim',
+    opensApp: 'Buka aplikasi',
+    destructive: 'Destruktif (merah)',
+    requireUnlock: 'Wajib buka kunci',
+    addAction: '＋ Tambah Aksi',
+    save: '💾 Simpan Kategori',
+    invalid: 'Kategori tidak valid',
+    saveFailed: 'Tidak dapat menyimpan kategori: {message}',
+    deleteMessage: 'Aksinya tidak akan muncul lagi.',
+    textReplyTag: '(balasan teks)',
+    backgroundTag: '(latar belakang)',
+    testTitle: 'Uji kategori: {id}',
+    testBody: 'Perluas notifikasi ini untuk melihat aksinya',
+    send: 'Kirim',
+    sample: {
+      reply: 'Balas',
+      replyPlaceholder: 'Ketik balasan…',
+      like: '👍 Suka',
+      open: 'Buka',
+    },
+    errors: {
+      id: 'ID kategori wajib diisi',
+      noActions: 'Tambahkan setidaknya satu aksi',
+      action: 'Aksi {index} memerlukan ID dan judul tombol',
+      unique: 'ID aksi harus unik dalam satu kategori',
+    },
+  },
+
+  quietHours: {
+    title: '🌙 Jam Tenang',
+    quietUntil: '🌙 Tenang sampai {time}',
+    notQuiet: '🔔 Saat ini tidak dalam jam tenang',
+    timeZone: 'Zona waktu',
+    timeZoneHint:
+      'Zona IANA seperti Asia/Jakarta. Kosongkan untuk mengikuti ' +
+      'perangkat, saat ini {timeZone}.',
+    hint:
+      'Selama jendela berlangsung, notifikasi yang tiba saat aplikasi ' +
+      'terbuka tidak ditampilkan tetapi tetap dicatat di riwayat sebagai ' +
+      'ditahan. Notifikasi lokal sekali jalan yang dijadwalkan dari ' +
+      'aplikasi ini dipindahkan ke akhir jendela. Notifikasi lokal ' +
+      'berulang dan push yang tiba saat aplikasi tertutup tetap ' +
+      'ditampilkan oleh sistem.',
+    windows: '🗓️ Jendela ({count})',
+    new: '＋ Baru',
+    empty: 'Belum ada jendela.',
+    everyDay: 'Setiap hari',
+    back: '← Kembali ke jam tenang',
+    newTitle: '＋ Jendela Baru',
+    editTitle: '✏️ Ubah Jendela',
+    weekdays: 'Hari',
+    start: 'Mulai (JJ:MM)',
+    end: 'Selesai (JJ:MM)',
+    timesHint:
+      'Waktu selesai sebelum waktu mulai berlanjut hingga pagi berikutnya; ' +
+      'waktu selesai yang sama dengan waktu mulai membuat sepanjang hari ' +
+      'tenang. Hari adalah hari dimulainya jendela.',
+    save: '💾 Simpan Jendela',
+    invalid: 'Jam tenang tidak valid',
+    deleteTitle: 'Hapus {start} – {end}?',
+    keep: 'Pertahankan',
+    errors: {
+      weekdays: 'Pilih minimal satu hari',
+      time: 'Mulai dan selesai harus berupa waktu seperti 22:00',
+      timeZone: '"{timeZone}" bukan zona waktu yang dikenal',
+    },
+  },
+};
@@ -0,0 +1,78 @@
+// src/i18n/index.js
+import { getSettings } from '../storage/settingsStore';
+import en from './en';
+import id from './id';
+
+// Catalogs by language code; English is the fallback for missing keys
+const CATALOGS = { en, id };
+
+export const FALLBACK_LANGUAGE = 'en';
+
+// Every language with a catalog
+export const CATALOG_LANGUAGES = Object.keys(CATALOGS);
+
+// `system` follows the device language when we have a catalog for it
+export const Language = {
+  SYSTEM: 'system',
+  ENGLISH: 'en',
+  INDONESIAN: 'id',
+};
+
+// Locale tags for Intl date and number formatting
+const LOCALES = {
+  en: 'en-US',
+  id: 'id-ID',
+};
+
+// The device's preferred locale, e.g. "id-ID"
+// Hermes reports the OS locale through Intl, so no native module is needed
+export function getDeviceLocale() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale ?? LOCALES.en;
+  } catch {
+    return LOCALES.en;
+  }
+}
+
+// The catalog language for a saved setting; unsupported device languages
+// fall back to English
+export function resolveLanguage(setting, deviceLocale = getDeviceLocale()) {
+  const language =
+    setting === Language.SYSTEM || !setting
+      ? deviceLocale.split(/[-_]/)[0].toLowerCase()
+      : setting;
+  return CATALOGS[language] ? language : FALLBACK_LANGUAGE;
+}
+
+export const getLocale = (language) => LOCALES[language] ?? LOCALES.en;
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// Look up a dotted key like "home.title" and fill in {placeholders}
+// `count` picks a `_one` variant when the catalog has one
+export function translate(language, key, params = {}) {
+  const catalog = CATALOGS[language] ?? CATALOGS[FALLBACK_LANGUAGE];
+  const pluralKey = params.count === 1 ? `${key}_one` : null;
+  const text =
+    (pluralKey && lookup(catalog, pluralKey)) ??
+    lookup(catalog, key) ??
+    (pluralKey && lookup(CATALOGS[FALLBACK_LANGUAGE], pluralKey)) ??
+    lookup(CATALOGS[FALLBACK_LANGUAGE], key);
+
+  if (typeof text !== 'string') {
+    return key;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : match
+  );
+}
+
+// The language picked in settings, for code outside components
+export const getLanguage = () => resolveLanguage(getSettings().language);
+
+// Translate with the current language; components use useTranslation()
+// so they re-render when the language changes
+export const t = (key, params) => translate(getLanguage(), key, params);
@@ -0,0 +1,39 @@
+// src/navigation/__tests__/notificationRouting.test.js
+import {
+  navigationRef,
+  openNotificationRoute,
+  resolveNotificationRoute,
+} from '../notificationRouting';
+import { Routes } from '../routes';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveNotificationRoute', () => {
+  it('reads the screen and query from one of our links', () => {
+    expect(
+      resolveNotificationRoute({
+        url: 'mynotifications://history?query=order+shipped',
+      })
+    ).toEqual({ name: Routes.HISTORY, params: { query: 'order shipped' } });
+  });
+
+  it('keeps text that is not valid URI encoding as sent', () => {
+    expect(
+      resolveNotificationRoute({ url: 'mynotifications://history?query=100%' })
+    ).toEqual({ name: Routes.HISTORY, params: { query: '100%' } });
+  });
+});
+
+describe('openNotificationRoute', () => {
+  it('logs a route that fails instead of throwing', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(navigationRef, 'isReady').mockImplementation(() => {
+      throw new Error('navigator gone');
+    });
+
+    expect(openNotificationRoute({ screen: 'history' })).toBeNull();
+    expect(error).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+// src/navigation/notificationRouting.js
+import { Linking } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { createNavigationContainerRef } from '@react-navigation/native';
+import { ROUTE_PATHS, Routes, linking } from './routes';
+
+// Lets code outside React components navigate, e.g. notification listeners
+export const navigationRef = createNavigationContainerRef();
+
+// Look up a screen by route name ("History") or path ("history")
+const findRoute = (screen) => {
+  const wanted = String(screen).trim().replace(/^\/+/, '').toLowerCase();
+  return Object.keys(ROUTE_PATHS).find(
+    (name) => name.toLowerCase() === wanted || ROUTE_PATHS[name] === wanted
+  );
+};
+
+// FCM data values are always strings, so params may arrive as JSON
+const readParams = (params) => {
+  if (typeof params !== 'string') {
+    return params && typeof params === 'object' ? params : {};
+  }
+  try {
+    const parsed = JSON.parse(params);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+// A stray "%" is not valid URI encoding; keep such text as it was sent
+const decode = (text) => {
+  const spaced = text.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(spaced);
+  } catch {
+    return spaced;
+  }
+};
+
+// "a=1&b=two" -> { a: '1', b: 'two' }
+const parseQuery = (query = '') =>
+  Object.fromEntries(
+    query
+      .split('&')
+      .filter(Boolean)
+      .map((pair) => {
+        const [key, value = ''] = pair.split('=');
+        return [decode(key), decode(value)];
+      })
+  );
+
+// Strip the longest matching prefix of ours; null for foreign URLs
+const toAppPath = (url) => {
+  const prefix = [...linking.prefixes]
+    .sort((a, b) => b.length - a.length)
+    .find((candidate) => url.startsWith(candidate));
+  if (prefix) {
+    return url.slice(prefix.length);
+  }
+  return url.startsWith('/') ? url.slice(1) : null;
+};
+
+// Work out where a notification's payload wants to take the user
+//   data.screen + data.params  -> { name, params }
+//   data.url with our scheme   -> { name, params } from path and query
+//   data.url anywhere else     -> { externalUrl }
+// Returns null when the payload does not ask for navigation
+export function resolveNotificationRoute(data = {}) {
+  if (data.screen) {
+    const name = findRoute(data.screen);
+    return name ? { name, params: readParams(data.params) } : null;
+  }
+
+  if (typeof data.url === 'string' && data.url) {
+    const path = toAppPath(data.url);
+    if (path === null) {
+      return { externalUrl: data.url };
+    }
+    const [pathname, query] = path.split('?');
+    const name = findRoute(pathname.split('/')[0]);
+    return name ? { name, params: parseQuery(query) } : null;
+  }
+
+  return null;
+}
+
+// A tap that arrives before the navigator is mounted (cold start) waits here
+let pendingRoute = null;
+
+export function openRoute({ name, params }) {
+  if (!navigationRef.isReady()) {
+    pendingRoute = { name, params };
+    return;
+  }
+  // Home is the root of the stack, so go back to it instead of pushing
+  if (name === Routes.HOME) {
+    navigationRef.navigate(Routes.HOME);
+    return;
+  }
+  navigationRef.navigate(name, params);
+}
+
+// Called by the NavigationContainer once it is ready
+export function flushPendingRoute() {
+  if (pendingRoute) {
+    const route = pendingRoute;
+    pendingRoute = null;
+    openRoute(route);
+  }
+}
+
+// The same tap can be reported by expo-notifications, Firebase and the
+// cold-start lookup; only the first report of each tap counts
+// Returns false when this notification and action were already handled
+const handledTaps = new Set();
+
+export function markTapHandled(
+  notificationId,
+  actionIdentifier = Notifications.DEFAULT_ACTION_IDENTIFIER
+) {
+  if (!notificationId) {
+    return true;
+  }
+  const key = `${notificationId}:${actionIdentifier}`;
+  if (handledTaps.has(key)) {
+    return false;
+  }
+  handledTaps.add(key);
+  return true;
+}
+
+// Follow the route in a tapped notification's data, if it has one
+// Payloads come from anyone who can send us a push, so a bad one is
+// logged instead of breaking the listener that called us
+export function openNotificationRoute(data) {
+  try {
+    const route = resolveNotificationRoute(data ?? {});
+    if (!route) {
+      return null;
+    }
+    if (route.externalUrl) {
+      Linking.openURL(route.externalUrl).catch((error) => {
+        console.error('Could not open notification URL:', error);
+      });
+    } else {
+      openRoute(route);
+    }
+    return route;
+  } catch (error) {
+    console.error('Could not follow notification route:', error);
+    return null;
+  }
+}
@@ -0,0 +1,51 @@
+// src/navigation/routes.js
+import * as Linking from 'expo-linking';
+
+// Must match `expo.scheme` in app.json
+export const APP_SCHEME = 'mynotifications';
+
+// Screen names registered with the stack navigator
+export const Routes = {
+  HOME: 'Home',
+  HISTORY: 'History',
+  NOTIFICATION_DETAIL: 'NotificationDetail',
+  DIAGNOSTICS: 'Diagnostics',
+  TOPICS: 'Topics',
+  MOCK_RELAY: 'MockRelay',
+  COMPOSE_PUSH: 'ComposePush',
+  LOCAL_COMPOSER: 'LocalComposer',
+  SCHEDULED: 'Scheduled',
+  CHANNELS: 'Channels',
+  CATEGORIES: 'Categories',
+  PRESENTATION_RULES: 'PresentationRules',
+  QUIET_HOURS: 'QuietHours',
+};
+
+// Routing table: the path used in `data.screen`, `data.url` and deep links
+// for each screen, e.g. mynotifications://history?query=order
+// or mynotifications://notification?entryId=<history entry id>
+export const ROUTE_PATHS = {
+  [Routes.HOME]: '',
+  [Routes.HISTORY]: 'history',
+  [Routes.NOTIFICATION_DETAIL]: 'notification',
+  [Routes.DIAGNOSTICS]: 'diagnostics',
+  [Routes.TOPICS]: 'topics',
+  [Routes.MOCK_RELAY]: 'mock-relay',
+  [Routes.COMPOSE_PUSH]: 'compose-push',
+  [Routes.LOCAL_COMPOSER]: 'compose-local',
+  [Routes.SCHEDULED]: 'scheduled',
+  [Routes.CHANNELS]: 'channels',
+  [Routes.CATEGORIES]: 'categories',
+  [Routes.PRESENTATION_RULES]: 'presentation-rules',
+  [Routes.QUIET_HOURS]: 'quiet-hours',
+};
+
+// Deep links opened from outside the app use the same table
+// Home is kept underneath so Back always leads to the dashboard
+export const linking = {
+  prefixes: [Linking.createURL('/'), `${APP_SCHEME}://`],
+  config: {
+    initialRouteName: Routes.HOME,
+    screens: ROUTE_PATHS,
+  },
+};
@@ -0,0 +1,81 @@
+// src/notifications/__tests__/categories.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import {
+  buildCategoryActions,
+  ensureSampleCategoryAsync,
+} from '../categories';
+import { settingsStore, updateSettings } from '../../storage/settingsStore';
+import { Language } from '../../i18n';
+
+// The actions registered by the last setNotificationCategoryAsync call
+const registeredActions = () =>
+  Notifications.setNotificationCategoryAsync.mock.calls.at(-1)[1];
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await AsyncStorage.clear();
+  await settingsStore.reset();
+  await updateSettings({ language: Language.ENGLISH });
+});
+
+describe('ensureSampleCategoryAsync', () => {
+  it('registers the sample in the app language', async () => {
+    await updateSettings({ language: Language.INDONESIAN });
+
+    await ensureSampleCategoryAsync();
+
+    const [reply] = registeredActions();
+    expect(reply.buttonTitle).toBe('Balas');
+    expect(reply.textInput.submitButtonTitle).toBe('Kirim');
+  });
+
+  it('registers an unedited sample again after a language change', async () => {
+    await ensureSampleCategoryAsync();
+    const english = registeredActions();
+    Notifications.getNotificationCategoriesAsync.mockResolvedValueOnce([
+      { identifier: 'message', actions: english },
+    ]);
+
+    await updateSettings({ language: Language.INDONESIAN });
+    await ensureSampleCategoryAsync();
+
+    expect(Notifications.setNotificationCategoryAsync).toHaveBeenCalledTimes(2);
+    expect(registeredActions()[2].buttonTitle).toBe('Buka');
+  });
+
+  it('leaves a sample the user edited alone', async () => {
+    Notifications.getNotificationCategoriesAsync.mockResolvedValueOnce([
+      {
+        identifier: 'message',
+        actions: [{ identifier: 'reply', buttonTitle: 'Answer' }],
+      },
+    ]);
+
+    await updateSettings({ language: Language.INDONESIAN });
+    await ensureSampleCategoryAsync();
+
+    expect(Notifications.setNotificationCategoryAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildCategoryActions', () => {
+  it('labels an empty submit button in the app language', async () => {
+    await updateSettings({ language: Language.INDONESIAN });
+
+    const [action] = buildCategoryActions({
+      identifier: 'chat',
+      actions: [
+        {
+          identifier: 'reply',
+          buttonTitle: 'Balas',
+          isTextInput: true,
+          submitButtonTitle: '',
+          placeholder: '',
+        },
+      ],
+    });
+
+    expect(action.textInput.submitButtonTitle).toBe('Kirim');
+  });
+});
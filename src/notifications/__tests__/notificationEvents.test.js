@@ -0,0 +1,264 @@
+// src/notifications/__tests__/notificationEvents.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import {
+  handleNotificationResponse,
+  handleReceivedNotification,
+  handleRemoteMessageOpened,
+  handleRemoteMessageReceived,
+} from '../notificationEvents';
+import {
+  HistoryEvent,
+  HistorySource,
+  historyStore,
+} from '../../history/historyStore';
+import { openNotificationRoute } from '../../navigation/notificationRouting';
+import {
+  PresentationAction,
+  getPresentationDecision,
+  registerPresentationHandler,
+} from '../presentationRules';
+import {
+  DEFAULT_WINDOW_FORM,
+  quietHoursStore,
+  saveWindow,
+} from '../quietHours';
+
+// Keep the real duplicate-tap tracking, but watch where taps navigate
+jest.mock('../../navigation/notificationRouting', () => ({
+  ...jest.requireActual('../../navigation/notificationRouting'),
+  openNotificationRoute: jest.fn(),
+}));
+
+// Tap tracking lives for the whole test file, so every test uses new ids
+let nextId = 0;
+const uniqueId = () => `notification-${++nextId}`;
+
+// Logging is fire-and-forget in the handlers; wait for the write to land
+const waitForHistory = async (length) => {
+  await historyStore.load();
+  while (historyStore.get().length < length) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return historyStore.get();
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+  await AsyncStorage.clear();
+  await historyStore.reset();
+});
+
+describe('receiving notifications', () => {
+  it('logs a notification delivered in the foreground', async () => {
+    const notification = Notifications.__createNotification({
+      identifier: uniqueId(),
+      title: 'Order shipped',
+    });
+    Notifications.addNotificationReceivedListener(handleReceivedNotification);
+
+    Notifications.__receive(notification);
+
+    const [entry] = await waitForHistory(1);
+    expect(entry).toMatchObject({
+      notificationId: notification.request.identifier,
+      title: 'Order shipped',
+      source: HistorySource.RECEIVED,
+      read: false,
+    });
+  });
+
+  it('logs FCM messages as Firebase deliveries', async () => {
+    await handleRemoteMessageReceived({
+      messageId: uniqueId(),
+      from: '/topics/news',
+      notification: { title: 'Breaking' },
+      data: {},
+    });
+
+    expect(historyStore.get()[0]).toMatchObject({
+      title: 'Breaking',
+      source: HistorySource.RECEIVED,
+      receivedVia: 'firebase-messaging',
+      topic: 'news',
+    });
+  });
+});
+
+describe('presentation decisions', () => {
+  // Run the foreground handler the way the OS would
+  const present = async (notification) => {
+    registerPresentationHandler();
+    const handler = Notifications.setNotificationHandler.mock.calls[0][0];
+    await handler.handleNotification(notification);
+    return handler;
+  };
+
+  const waitForOutcome = async () => {
+    while (historyStore.get()[0]?.presentation?.status !== 'success') {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  };
+
+  it('releases a decision logged after its outcome', async () => {
+    const notification = Notifications.__createNotification({
+      identifier: uniqueId(),
+    });
+    const id = notification.request.identifier;
+    const handler = await present(notification);
+
+    handler.handleSuccess(id);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await handleReceivedNotification(notification);
+
+    await waitForOutcome();
+    expect(getPresentationDecision(id)).toBeNull();
+  });
+
+  it('releases a decision once its outcome reaches history', async () => {
+    const notification = Notifications.__createNotification({
+      identifier: uniqueId(),
+    });
+    const id = notification.request.identifier;
+    const handler = await present(notification);
+
+    await handleReceivedNotification(notification);
+    expect(getPresentationDecision(id)).toMatchObject({ status: 'pending' });
+    handler.handleSuccess(id);
+
+    await waitForOutcome();
+    expect(getPresentationDecision(id)).toBeNull();
+  });
+
+  // A repeating trigger delivers again under the same identifier
+  it('keeps an early outcome for the next delivery', async () => {
+    const id = uniqueId();
+    const first = Notifications.__createNotification({ identifier: id });
+    const handler = await present(first);
+    await handleReceivedNotification(first);
+    handler.handleSuccess(id);
+    await waitForOutcome();
+
+    // Quiet all day, so the second delivery is held
+    await saveWindow({ ...DEFAULT_WINDOW_FORM, start: '00:00', end: '00:00' });
+    const second = Notifications.__createNotification({ identifier: id });
+    await handler.handleNotification(second);
+    handler.handleSuccess(id);
+    while (getPresentationDecision(id)?.status !== 'success') {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    await handleReceivedNotification(second);
+
+    const [newest, oldest] = historyStore.get();
+    expect(newest.presentation).toMatchObject({
+      action: PresentationAction.SUPPRESS,
+      status: 'success',
+    });
+    expect(newest.held).not.toBeNull();
+    expect(oldest.presentation.action).not.toBe(PresentationAction.SUPPRESS);
+    expect(oldest.held).toBeNull();
+    await quietHoursStore.reset();
+  });
+});
+
+describe('tapping notifications', () => {
+  it('logs the tap and follows the route in its data', async () => {
+    const data = { screen: 'history' };
+    const notification = Notifications.__createNotification({
+      identifier: uniqueId(),
+      data,
+    });
+    Notifications.addNotificationResponseReceivedListener(
+      handleNotificationResponse
+    );
+
+    Notifications.__tap(Notifications.__createResponse(notification));
+
+    const [entry] = await waitForHistory(1);
+    expect(entry).toMatchObject({
+      source: HistorySource.TAPPED,
+      actionIdentifier: null,
+    });
+    expect(openNotificationRoute).toHaveBeenCalledWith(data);
+  });
+
+  it('does not navigate for action buttons', async () => {
+    const notification = Notifications.__createNotification({
+      identifier: uniqueId(),
+      data: { screen: 'history' },
+    });
+
+    handleNotificationResponse(
+      Notifications.__createResponse(notification, 'reply', 'Thanks')
+    );
+
+    const [entry] = await waitForHistory(1);
+    expect(entry).toMatchObject({
+      actionIdentifier: 'reply',
+      userText: 'Thanks',
+    });
+    expect(openNotificationRoute).not.toHaveBeenCalled();
+  });
+
+  it('handles the same tap only once', async () => {
+    const response = Notifications.__createResponse(
+      Notifications.__createNotification({ identifier: uniqueId() })
+    );
+
+    expect(handleNotificationResponse(response)).toBe(true);
+    expect(handleNotificationResponse(response)).toBe(false);
+
+    await waitForHistory(1);
+    expect(historyStore.get()).toHaveLength(1);
+    expect(openNotificationRoute).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs a tap that launched the app as a killed-state tap', async () => {
+    Notifications.__setLastResponse(
+      Notifications.__createResponse(
+        Notifications.__createNotification({ identifier: uniqueId() })
+      )
+    );
+
+    const launchResponse = Notifications.getLastNotificationResponse();
+    handleNotificationResponse(launchResponse, { appState: 'killed' });
+
+    const [entry] = await waitForHistory(1);
+    expect(entry.appState).toBe('killed');
+  });
+
+  it('adds a tap to the entry of the foreground delivery', async () => {
+    const notification = Notifications.__createNotification({
+      identifier: uniqueId(),
+    });
+    await handleReceivedNotification(notification);
+
+    handleNotificationResponse(Notifications.__createResponse(notification));
+
+    await historyStore.load();
+    while (historyStore.get()[0].events.length < 2) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    const entries = historyStore.get();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].read).toBe(true);
+    expect(entries[0].events.map((event) => event.type)).toEqual([
+      HistoryEvent.RECEIVED,
+      HistoryEvent.TAPPED,
+    ]);
+  });
+
+  it('ignores an FCM tap already reported by expo-notifications', async () => {
+    const messageId = uniqueId();
+    handleNotificationResponse(
+      Notifications.__createResponse(
+        Notifications.__createNotification({ identifier: messageId })
+      )
+    );
+
+    expect(
+      handleRemoteMessageOpened({ messageId, data: {} }, 'background')
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+// src/notifications/__tests__/permissions.test.js
+import * as Notifications from 'expo-notifications';
+import {
+  PermissionState,
+  canDeliver,
+  ensurePermissionsAsync,
+  getPermissionState,
+} from '../permissions';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+});
+
+describe('getPermissionState', () => {
+  it.each([
+    [null, PermissionState.UNDETERMINED],
+    [{ status: 'granted', granted: true }, PermissionState.GRANTED],
+    [
+      { status: 'undetermined', granted: false, canAskAgain: true },
+      PermissionState.UNDETERMINED,
+    ],
+    [
+      { status: 'denied', granted: false, canAskAgain: true },
+      PermissionState.DENIED,
+    ],
+    [
+      { status: 'denied', granted: false, canAskAgain: false },
+      PermissionState.BLOCKED,
+    ],
+    [
+      {
+        status: 'granted',
+        granted: true,
+        ios: { status: Notifications.IosAuthorizationStatus.PROVISIONAL },
+      },
+      PermissionState.PROVISIONAL,
+    ],
+  ])('derives the state of %j', (permissions, expected) => {
+    expect(getPermissionState(permissions)).toBe(expected);
+  });
+
+  it('lets provisional authorization deliver', () => {
+    expect(
+      canDeliver({
+        granted: true,
+        ios: { status: Notifications.IosAuthorizationStatus.PROVISIONAL },
+      })
+    ).toBe(true);
+    expect(canDeliver(Notifications.DENIED_PERMISSIONS)).toBe(false);
+  });
+});
+
+describe('ensurePermissionsAsync', () => {
+  it('does not ask again once permissions are granted', async () => {
+    await expect(ensurePermissionsAsync()).resolves.toEqual(
+      Notifications.GRANTED_PERMISSIONS
+    );
+    expect(Notifications.requestPermissionsAsync).not.toHaveBeenCalled();
+  });
+
+  it('asks while the system can still show its prompt', async () => {
+    Notifications.getPermissionsAsync.mockResolvedValue({
+      status: 'undetermined',
+      granted: false,
+      canAskAgain: true,
+    });
+
+    await ensurePermissionsAsync();
+
+    expect(Notifications.requestPermissionsAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the denial when the prompt is blocked', async () => {
+    Notifications.getPermissionsAsync.mockResolvedValue(
+      Notifications.DENIED_PERMISSIONS
+    );
+
+    const result = await ensurePermissionsAsync();
+
+    expect(getPermissionState(result)).toBe(PermissionState.BLOCKED);
+    expect(Notifications.requestPermissionsAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,253 @@
+// src/notifications/__tests__/quietHours.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import {
+  DEFAULT_WINDOW_FORM,
+  HeldReason,
+  QUIET_HOURS_DATA_KEY,
+  deferForQuietHours,
+  getQuietUntil,
+  quietHoursStore,
+  readTimeZone,
+  saveWindow,
+  scheduleLocalNotificationAsync,
+  validateWindow,
+} from '../quietHours';
+import {
+  PresentationAction,
+  registerPresentationHandler,
+} from '../presentationRules';
+import { handleReceivedNotification } from '../notificationEvents';
+import {
+  HistoryEvent,
+  HistorySource,
+  createHistoryEntry,
+  historyStore,
+} from '../../history/historyStore';
+
+// Jakarta has no daylight saving, so wall-clock times are UTC+7 all year
+const JAKARTA = 'Asia/Jakarta';
+const MONDAY_2300 = Date.parse('2026-10-19T23:00:00+07:00');
+const TUESDAY_0700 = Date.parse('2026-10-20T07:00:00+07:00');
+
+const settingsWith = (windows, timeZone = JAKARTA) => ({
+  enabled: true,
+  timeZone,
+  windows: windows.map((window, index) => ({
+    ...DEFAULT_WINDOW_FORM,
+    id: `window-${index}`,
+    ...window,
+  })),
+});
+
+// Quiet every day, all day
+const ALWAYS = { ...DEFAULT_WINDOW_FORM, start: '00:00', end: '00:00' };
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+  await AsyncStorage.clear();
+  await quietHoursStore.reset();
+  await historyStore.reset();
+});
+
+describe('getQuietUntil', () => {
+  it('runs an overnight window into the next morning', () => {
+    const settings = settingsWith([{ start: '22:00', end: '07:00' }]);
+
+    expect(getQuietUntil(settings, MONDAY_2300)).toBe(TUESDAY_0700);
+  });
+
+  it('covers the early hours from the day the window started', () => {
+    const settings = settingsWith([
+      { weekdays: [2], start: '22:00', end: '07:00' },
+    ]);
+    const tuesday0300 = Date.parse('2026-10-20T03:00:00+07:00');
+    const wednesday0300 = Date.parse('2026-10-21T03:00:00+07:00');
+
+    expect(getQuietUntil(settings, tuesday0300)).toBe(TUESDAY_0700);
+    expect(getQuietUntil(settings, wednesday0300)).toBeNull();
+  });
+
+  it('is not quiet outside the windows or when turned off', () => {
+    const settings = settingsWith([{ start: '22:00', end: '07:00' }]);
+    const noon = Date.parse('2026-10-19T12:00:00+07:00');
+
+    expect(getQuietUntil(settings, noon)).toBeNull();
+    expect(
+      getQuietUntil({ ...settings, enabled: false }, MONDAY_2300)
+    ).toBeNull();
+  });
+
+  it('treats windows that meet as one', () => {
+    const settings = settingsWith([
+      { start: '22:00', end: '07:00' },
+      { start: '07:00', end: '09:00' },
+    ]);
+
+    expect(getQuietUntil(settings, MONDAY_2300)).toBe(
+      Date.parse('2026-10-20T09:00:00+07:00')
+    );
+  });
+
+  it('reads windows in the configured time zone', () => {
+    const settings = settingsWith([{ start: '22:00', end: '07:00' }], 'UTC');
+
+    // 23:00 in Jakarta is 16:00 UTC
+    expect(getQuietUntil(settings, MONDAY_2300)).toBeNull();
+  });
+
+  it('ends at the right instant across a daylight saving change', () => {
+    // New York springs forward at 02:00 on 8 March 2026
+    const settings = settingsWith(
+      [{ start: '00:00', end: '04:00' }],
+      'America/New_York'
+    );
+
+    expect(
+      getQuietUntil(settings, Date.parse('2026-03-08T05:30:00Z'))
+    ).toBe(Date.parse('2026-03-08T08:00:00Z'));
+  });
+});
+
+describe('validation', () => {
+  it('needs a day and readable times', () => {
+    expect(() =>
+      validateWindow({ ...DEFAULT_WINDOW_FORM, weekdays: [] })
+    ).toThrow('Pick at least one day');
+    expect(() =>
+      validateWindow({ ...DEFAULT_WINDOW_FORM, end: '25:00' })
+    ).toThrow('Start and end must be times like 22:00');
+  });
+
+  it('accepts IANA zones and an empty zone for the device', () => {
+    expect(readTimeZone(' Asia/Jakarta ')).toBe('Asia/Jakarta');
+    expect(readTimeZone('')).toBeNull();
+    expect(() => readTimeZone('Mars/Base')).toThrow(
+      '"Mars/Base" is not a known time zone'
+    );
+  });
+
+  it('stores times padded and days in order', async () => {
+    await saveWindow({
+      ...DEFAULT_WINDOW_FORM,
+      weekdays: [3, 1],
+      end: '7:00',
+    });
+
+    expect(quietHoursStore.get().windows[0]).toMatchObject({
+      weekdays: [1, 3],
+      end: '07:00',
+    });
+  });
+});
+
+describe('deferring local notifications', () => {
+  const request = {
+    content: { title: 'Test', data: { order: 1 } },
+    trigger: { channelId: 'default' },
+  };
+
+  it('moves a notification due in a window to its end', () => {
+    const deferred = deferForQuietHours(
+      request,
+      settingsWith([{ start: '22:00', end: '07:00' }]),
+      MONDAY_2300
+    );
+
+    expect(deferred.trigger).toEqual({
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date: TUESDAY_0700,
+      channelId: 'default',
+    });
+    expect(deferred.content.data).toEqual({
+      order: 1,
+      [QUIET_HOURS_DATA_KEY]: { heldAt: MONDAY_2300, until: TUESDAY_0700 },
+    });
+  });
+
+  it('leaves repeating triggers to the foreground handler', () => {
+    const daily = {
+      ...request,
+      trigger: { type: 'daily', hour: 23, minute: 0 },
+    };
+
+    expect(
+      deferForQuietHours(daily, settingsWith([ALWAYS]), MONDAY_2300)
+    ).toBe(daily);
+  });
+
+  it('drops the held flag from copies scheduled outside quiet hours', () => {
+    const copy = {
+      ...request,
+      content: {
+        ...request.content,
+        data: { order: 1, [QUIET_HOURS_DATA_KEY]: { heldAt: 1, until: 2 } },
+      },
+    };
+
+    expect(
+      deferForQuietHours(copy, settingsWith([]), MONDAY_2300).content.data
+    ).toEqual({ order: 1 });
+  });
+
+  it('schedules through the saved quiet hours', async () => {
+    await saveWindow(ALWAYS);
+
+    await scheduleLocalNotificationAsync(request);
+
+    const [scheduled] =
+      Notifications.scheduleNotificationAsync.mock.calls[0];
+    expect(scheduled.trigger.type).toBe(
+      Notifications.SchedulableTriggerInputTypes.DATE
+    );
+    expect(scheduled.content.data[QUIET_HOURS_DATA_KEY]).toBeDefined();
+  });
+
+  it('logs a deferred notification as held once it arrives', () => {
+    const notification = Notifications.__createNotification({
+      data: { [QUIET_HOURS_DATA_KEY]: { heldAt: 1000, until: 5000 } },
+    });
+
+    const entry = createHistoryEntry(notification, HistorySource.RECEIVED);
+
+    expect(entry.held).toEqual({
+      reason: HeldReason.DEFERRED,
+      at: 1000,
+      until: 5000,
+    });
+    expect(entry.events.map(({ type }) => type)).toEqual([
+      HistoryEvent.HELD,
+      HistoryEvent.RECEIVED,
+    ]);
+  });
+});
+
+describe('foreground handler', () => {
+  it('holds notifications back during quiet hours', async () => {
+    await saveWindow(ALWAYS);
+    registerPresentationHandler();
+    const { handleNotification } =
+      Notifications.setNotificationHandler.mock.calls[0][0];
+    const notification = Notifications.__createNotification({
+      identifier: 'quiet-1',
+    });
+
+    const behavior = await handleNotification(notification);
+    await handleReceivedNotification(notification);
+
+    expect(behavior).toEqual({
+      shouldShowBanner: false,
+      shouldShowList: false,
+      shouldPlaySound: false,
+      shouldSetBadge: false,
+    });
+    const [entry] = historyStore.get();
+    expect(entry.presentation.action).toBe(PresentationAction.SUPPRESS);
+    expect(entry.held).toMatchObject({
+      reason: HeldReason.SUPPRESSED,
+      until: entry.presentation.heldUntil,
+    });
+    expect(entry.events.map(({ type }) => type)).toContain(HistoryEvent.HELD);
+  });
+});
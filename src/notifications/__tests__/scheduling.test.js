@@ -0,0 +1,178 @@
+// src/notifications/__tests__/scheduling.test.js
+import * as Notifications from 'expo-notifications';
+import {
+  buildContent,
+  buildTrigger,
+  createDefaultLocalForm,
+  requestToForm,
+  rescheduleFromForm,
+  resendAsLocalAsync,
+  scheduleFromForm,
+} from '../scheduling';
+import { MOCK_PUSH_DATA_KEY } from '../../push/mockRelay';
+
+const { SchedulableTriggerInputTypes: TriggerTypes } = Notifications;
+
+const form = (changes) => ({ ...createDefaultLocalForm(), ...changes });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+});
+
+describe('buildTrigger', () => {
+  it('delivers right away on the picked channel', () => {
+    expect(buildTrigger(form({ triggerType: 'immediate' }))).toEqual({
+      channelId: 'default',
+    });
+    expect(
+      buildTrigger(form({ triggerType: 'immediate', channelId: '' }))
+    ).toBeNull();
+  });
+
+  it('builds a time interval trigger', () => {
+    expect(buildTrigger(form({ seconds: '30' }))).toEqual({
+      type: TriggerTypes.TIME_INTERVAL,
+      seconds: 30,
+      repeats: false,
+      channelId: 'default',
+    });
+  });
+
+  it('rejects repeating intervals under a minute', () => {
+    expect(() => buildTrigger(form({ seconds: '30', repeats: true }))).toThrow(
+      'Seconds must be a whole number from 60'
+    );
+  });
+
+  it('converts yearly months to the zero-based range', () => {
+    expect(
+      buildTrigger(
+        form({ triggerType: TriggerTypes.YEARLY, month: '12', day: '24' })
+      )
+    ).toMatchObject({ month: 11, day: 24 });
+  });
+
+  it('rejects dates in the past', () => {
+    expect(() =>
+      buildTrigger(
+        form({ triggerType: TriggerTypes.DATE, date: '2000-01-01 12:00' })
+      )
+    ).toThrow('Date must be in the future');
+  });
+
+  it('rejects dates and times that do not exist', () => {
+    ['2030-02-31 10:00', '2030-01-01 29:75', '2030-01-01 10:60'].forEach(
+      (date) =>
+        expect(() =>
+          buildTrigger(form({ triggerType: TriggerTypes.DATE, date }))
+        ).toThrow('Date must look like 2025-12-31 18:30')
+    );
+  });
+});
+
+describe('buildContent', () => {
+  it('parses the data and moves the image URL into it', () => {
+    const content = buildContent(
+      form({
+        data: '{"orderId": 42}',
+        imageUrl: 'https://example.com/cat.png',
+        badge: '3',
+        sound: '',
+      })
+    );
+
+    expect(content).toMatchObject({
+      data: { orderId: 42, imageUrl: 'https://example.com/cat.png' },
+      badge: 3,
+      sound: false,
+    });
+  });
+
+  it('reports invalid fields', () => {
+    expect(() => buildContent(form({ color: 'orange' }))).toThrow(
+      'Color must look like #FF5722'
+    );
+    expect(() => buildContent(form({ badge: '-1' }))).toThrow('Badge');
+  });
+});
+
+describe('requestToForm', () => {
+  it('round-trips a scheduled request back into the form', () => {
+    const original = form({
+      title: 'Standup',
+      triggerType: TriggerTypes.WEEKLY,
+      weekday: '3',
+      hour: '9',
+      minute: '15',
+      imageUrl: 'https://example.com/cat.png',
+    });
+    const request = {
+      content: buildContent(original),
+      trigger: buildTrigger(original),
+    };
+
+    expect(requestToForm(request)).toMatchObject({
+      title: 'Standup',
+      triggerType: TriggerTypes.WEEKLY,
+      weekday: '3',
+      hour: '9',
+      minute: '15',
+      imageUrl: 'https://example.com/cat.png',
+      data: JSON.stringify({ testData: 'Test notification data' }, null, 2),
+    });
+  });
+});
+
+describe('scheduling through expo-notifications', () => {
+  it('schedules a validated form', async () => {
+    const identifier = await scheduleFromForm(form({ seconds: '10' }));
+
+    expect(identifier).toBe('scheduled-1');
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith({
+      content: expect.objectContaining({ title: 'Test Notification 📬' }),
+      trigger: expect.objectContaining({ seconds: 10 }),
+    });
+  });
+
+  it('schedules nothing when the form is invalid', async () => {
+    await expect(scheduleFromForm(form({ seconds: 'soon' }))).rejects.toThrow(
+      'Seconds'
+    );
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+  });
+
+  it('cancels the old request when rescheduling', async () => {
+    await rescheduleFromForm('old-id', form());
+
+    expect(
+      Notifications.cancelScheduledNotificationAsync
+    ).toHaveBeenCalledWith('old-id');
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('resends delivered content without its null fields', async () => {
+    await resendAsLocalAsync({
+      content: { title: 'Again', body: null, data: {}, attachments: [] },
+      trigger: { type: 'push', channelId: 'alerts' },
+    });
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith({
+      content: { title: 'Again', data: {} },
+      trigger: { channelId: 'alerts' },
+    });
+  });
+
+  it('resends a mock push as a plain local notification', async () => {
+    await resendAsLocalAsync({
+      content: {
+        title: 'Relayed',
+        data: { order: 1, [MOCK_PUSH_DATA_KEY]: { topic: 'news' } },
+      },
+      trigger: null,
+    });
+
+    const [request] = Notifications.scheduleNotificationAsync.mock.calls[0];
+    expect(request.content.data).toEqual({ order: 1 });
+  });
+});
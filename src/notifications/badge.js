@@ -0,0 +1,71 @@
+// src/notifications/badge.js
+import * as Notifications from 'expo-notifications';
+import {
+  HistoryEvent,
+  countUnread,
+  historyStore,
+  recordHistoryEvent,
+} from '../history/historyStore';
+import { createListeners } from '../utils/listeners';
+
+// The app badge mirrors the number of unread history entries
+// Screens re-read the OS value whenever this module changes it
+const badgeListeners = createListeners();
+
+export const subscribeToBadgeCount = badgeListeners.subscribe;
+
+export const getBadgeCountAsync = () => Notifications.getBadgeCountAsync();
+
+// Set the app badge to the current unread count, skipping the native call
+// when the OS already shows the right number
+export async function syncBadgeCountAsync() {
+  await historyStore.load();
+  const unread = countUnread(historyStore.get());
+  const current = await Notifications.getBadgeCountAsync();
+  if (current !== unread) {
+    await Notifications.setBadgeCountAsync(unread);
+    badgeListeners.notify();
+  }
+  return unread;
+}
+
+// Keep the badge in sync for as long as the app is running
+// Returns a function that stops syncing
+export function startBadgeSync() {
+  let lastUnread = null;
+
+  const sync = () => {
+    const unread = countUnread(historyStore.get());
+    if (unread === lastUnread) {
+      return;
+    }
+    lastUnread = unread;
+    syncBadgeCountAsync().catch((error) => {
+      console.error('Error updating badge count:', error);
+    });
+  };
+
+  historyStore.load().then(sync);
+  return historyStore.subscribe(sync);
+}
+
+// Remove a notification from the notification center if it is still there
+// The removal is added to the notification's timeline
+// Returns whether anything was dismissed
+export async function dismissPresentedNotificationAsync(notificationId) {
+  if (!notificationId) {
+    return false;
+  }
+  const presented = await Notifications.getPresentedNotificationsAsync();
+  const isPresented = presented.some(
+    (notification) => notification.request.identifier === notificationId
+  );
+  if (isPresented) {
+    await Notifications.dismissNotificationAsync(notificationId);
+    await recordHistoryEvent(notificationId, {
+      type: HistoryEvent.DISMISSED,
+      by: 'app',
+    });
+  }
+  return isPresented;
+}
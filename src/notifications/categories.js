@@ -0,0 +1,218 @@
+// src/notifications/categories.js
+import * as Notifications from 'expo-notifications';
+import { createListeners } from '../utils/listeners';
+import { settingsStore } from '../storage/settingsStore';
+import { CATALOG_LANGUAGES, getLanguage, t, translate } from '../i18n';
+import { scheduleLocalNotificationAsync } from './quietHours';
+
+// Category that exists out of the box so actions can be tried right away
+const SAMPLE_CATEGORY_ID = 'message';
+
+// The sample's actions with their buttons in the given language
+const buildSampleActions = (language) => [
+  {
+    identifier: 'reply',
+    buttonTitle: translate(language, 'categories.sample.reply'),
+    textInput: {
+      submitButtonTitle: translate(language, 'categories.send'),
+      placeholder: translate(language, 'categories.sample.replyPlaceholder'),
+    },
+    options: { opensAppToForeground: false },
+  },
+  {
+    identifier: 'like',
+    buttonTitle: translate(language, 'categories.sample.like'),
+    options: { opensAppToForeground: false },
+  },
+  {
+    identifier: 'open',
+    buttonTitle: translate(language, 'categories.sample.open'),
+    options: { opensAppToForeground: true },
+  },
+];
+
+// What the user sees of a list of actions
+const getLabels = (actions) =>
+  JSON.stringify(
+    actions.map((action) => [
+      action.identifier,
+      action.buttonTitle,
+      action.textInput?.submitButtonTitle ?? null,
+      action.textInput?.placeholder ?? null,
+    ])
+  );
+
+// The sample as registered in some language, not edited by the user
+const isUneditedSample = (category) =>
+  category.identifier === SAMPLE_CATEGORY_ID &&
+  CATALOG_LANGUAGES.some(
+    (language) =>
+      getLabels(category.actions) === getLabels(buildSampleActions(language))
+  );
+
+// iOS only reports a swipe-away when the category asks for it; history
+// records it as a dismissal on the notification's timeline
+const CATEGORY_OPTIONS = { customDismissAction: true };
+
+// Editor values for one action button
+export const DEFAULT_ACTION_FORM = {
+  identifier: '',
+  buttonTitle: '',
+  isTextInput: false,
+  // Empty uses the translated "Send"
+  submitButtonTitle: '',
+  placeholder: '',
+  opensAppToForeground: true,
+  isDestructive: false,
+  isAuthenticationRequired: false,
+};
+
+export const DEFAULT_CATEGORY_FORM = {
+  identifier: '',
+  actions: [DEFAULT_ACTION_FORM],
+};
+
+// Screens showing categories re-read them whenever this module changes one
+const categoryListeners = createListeners();
+
+export const subscribeToCategories = categoryListeners.subscribe;
+const notifyCategoriesChanged = categoryListeners.notify;
+
+export async function loadCategoriesAsync() {
+  const categories = await Notifications.getNotificationCategoriesAsync();
+  return [...(categories ?? [])].sort((a, b) =>
+    a.identifier.localeCompare(b.identifier)
+  );
+}
+
+// Register the sample category on first launch, but leave the list alone
+// once the user has set up categories of their own
+// An unedited sample is registered again when its language is out of date
+export async function ensureSampleCategoryAsync() {
+  const categories = await Notifications.getNotificationCategoriesAsync();
+  const actions = buildSampleActions(getLanguage());
+  const sample = categories?.find(
+    (category) => category.identifier === SAMPLE_CATEGORY_ID
+  );
+  const outdated =
+    sample &&
+    isUneditedSample(sample) &&
+    getLabels(sample.actions) !== getLabels(actions);
+
+  if (!categories?.length || outdated) {
+    await Notifications.setNotificationCategoryAsync(
+      SAMPLE_CATEGORY_ID,
+      actions,
+      CATEGORY_OPTIONS
+    );
+    notifyCategoriesChanged();
+  }
+}
+
+// Keep the sample category's buttons in the app language
+// Returns a function that stops following language changes
+export function startSampleCategorySync() {
+  let lastLanguage = null;
+
+  const sync = () => {
+    const language = getLanguage();
+    if (language === lastLanguage) {
+      return;
+    }
+    lastLanguage = language;
+    ensureSampleCategoryAsync().catch((error) => {
+      console.error('Error registering notification category:', error);
+    });
+  };
+
+  settingsStore.load().then(sync);
+  return settingsStore.subscribe(sync);
+}
+
+// Turn the editor's values into setNotificationCategoryAsync actions
+export function buildCategoryActions(form) {
+  if (!form.identifier.trim()) {
+    throw new Error(t('categories.errors.id'));
+  }
+  if (form.actions.length === 0) {
+    throw new Error(t('categories.errors.noActions'));
+  }
+
+  const actions = form.actions.map((action, index) => {
+    if (!action.identifier.trim() || !action.buttonTitle.trim()) {
+      throw new Error(t('categories.errors.action', { index: index + 1 }));
+    }
+    return {
+      identifier: action.identifier.trim(),
+      buttonTitle: action.buttonTitle.trim(),
+      ...(action.isTextInput
+        ? {
+            textInput: {
+              submitButtonTitle:
+                action.submitButtonTitle || t('categories.send'),
+              placeholder: action.placeholder,
+            },
+          }
+        : {}),
+      options: {
+        opensAppToForeground: action.opensAppToForeground,
+        isDestructive: action.isDestructive,
+        isAuthenticationRequired: action.isAuthenticationRequired,
+      },
+    };
+  });
+
+  const ids = actions.map((action) => action.identifier);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error(t('categories.errors.unique'));
+  }
+  return actions;
+}
+
+// Load an existing category into the editor
+export function categoryToForm(category) {
+  return {
+    identifier: category.identifier,
+    actions: category.actions.map((action) => ({
+      identifier: action.identifier,
+      buttonTitle: action.buttonTitle,
+      isTextInput: Boolean(action.textInput),
+      submitButtonTitle:
+        action.textInput?.submitButtonTitle ||
+        DEFAULT_ACTION_FORM.submitButtonTitle,
+      placeholder: action.textInput?.placeholder ?? '',
+      opensAppToForeground: action.options?.opensAppToForeground ?? true,
+      isDestructive: action.options?.isDestructive ?? false,
+      isAuthenticationRequired:
+        action.options?.isAuthenticationRequired ?? false,
+    })),
+  };
+}
+
+// Saving an existing identifier replaces its actions
+export async function saveCategoryAsync(form) {
+  const category = await Notifications.setNotificationCategoryAsync(
+    form.identifier.trim(),
+    buildCategoryActions(form),
+    CATEGORY_OPTIONS
+  );
+  notifyCategoriesChanged();
+  return category;
+}
+
+export async function deleteCategoryAsync(identifier) {
+  await Notifications.deleteNotificationCategoryAsync(identifier);
+  notifyCategoriesChanged();
+}
+
+// Post a notification right away so the category's actions can be tried
+export const sendCategoryTestAsync = (identifier) =>
+  scheduleLocalNotificationAsync({
+    content: {
+      title: t('categories.testTitle', { id: identifier }),
+      body: t('categories.testBody'),
+      data: { categoryIdentifier: identifier },
+      categoryIdentifier: identifier,
+    },
+    trigger: null,
+  });
@@ -0,0 +1,203 @@
+// src/notifications/channels.js
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { createListeners } from '../utils/listeners';
+import { t } from '../i18n';
+import { scheduleLocalNotificationAsync } from './quietHours';
+
+const {
+  AndroidImportance: Importance,
+  AndroidNotificationVisibility: Visibility,
+} = Notifications;
+
+export const DEFAULT_CHANNEL_ID = 'default';
+
+// Channels and channel groups only exist on Android 8+
+export const supportsChannels = Platform.OS === 'android';
+
+// Labels are translated under channels.importance.<key> and
+// channels.visibility.<key>
+export const IMPORTANCE_OPTIONS = [
+  { key: 'min', value: Importance.MIN },
+  { key: 'low', value: Importance.LOW },
+  { key: 'default', value: Importance.DEFAULT },
+  { key: 'high', value: Importance.HIGH },
+  { key: 'max', value: Importance.MAX },
+];
+
+export const VISIBILITY_OPTIONS = [
+  { key: 'public', value: Visibility.PUBLIC },
+  { key: 'private', value: Visibility.PRIVATE },
+  { key: 'secret', value: Visibility.SECRET },
+];
+
+// Catalog key for an enum value, e.g. importance 4 -> "high"
+export const getOptionKey = (options, value) =>
+  options.find((option) => option.value === value)?.key ?? 'unknown';
+
+// Editor values; the vibration pattern is edited as comma-separated millis
+// An empty sound means silent, "default" the system sound, anything else
+// the name of a sound file bundled with the app
+export const DEFAULT_CHANNEL_FORM = {
+  id: '',
+  name: '',
+  description: '',
+  groupId: '',
+  importance: Importance.HIGH,
+  sound: 'default',
+  enableVibrate: true,
+  vibrationPattern: '0, 250, 250, 250',
+  enableLights: true,
+  lightColor: '#FF231F7C',
+  lockscreenVisibility: Visibility.PUBLIC,
+  bypassDnd: false,
+  showBadge: true,
+};
+
+// The channel the app has always created on startup
+const DEFAULT_CHANNEL = {
+  name: 'default',
+  importance: Importance.MAX,
+  vibrationPattern: [0, 250, 250, 250],
+  lightColor: '#FF231F7C',
+};
+
+export async function ensureDefaultChannelAsync() {
+  if (supportsChannels) {
+    await Notifications.setNotificationChannelAsync(
+      DEFAULT_CHANNEL_ID,
+      DEFAULT_CHANNEL
+    );
+  }
+}
+
+// Screens showing channels re-read them whenever this module changes one
+const channelListeners = createListeners();
+
+export const subscribeToChannels = channelListeners.subscribe;
+const notifyChannelsChanged = channelListeners.notify;
+
+export async function loadChannelsAsync() {
+  if (!supportsChannels) {
+    return { channels: [], groups: [] };
+  }
+  const [channels, groups] = await Promise.all([
+    Notifications.getNotificationChannelsAsync(),
+    Notifications.getNotificationChannelGroupsAsync(),
+  ]);
+  const byId = (a, b) => a.id.localeCompare(b.id);
+  return {
+    channels: [...(channels ?? [])].sort(byId),
+    groups: [...(groups ?? [])].sort(byId),
+  };
+}
+
+// "0, 250, 250, 250" -> [0, 250, 250, 250]
+export function parseVibrationPattern(text) {
+  if (!text.trim()) {
+    return [];
+  }
+  const pattern = text.split(',').map((part) => Number(part.trim()));
+  if (pattern.some((value) => !Number.isInteger(value) || value < 0)) {
+    throw new Error(t('channels.errors.vibration'));
+  }
+  return pattern;
+}
+
+// Turn the editor's values into a setNotificationChannelAsync input
+export function buildChannelInput(form) {
+  if (!form.id.trim()) {
+    throw new Error(t('channels.errors.id'));
+  }
+  if (!form.name.trim()) {
+    throw new Error(t('channels.errors.name'));
+  }
+  const validColor = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(form.lightColor);
+  if (form.enableLights && !validColor) {
+    throw new Error(t('channels.errors.lightColor'));
+  }
+
+  const vibrationPattern = parseVibrationPattern(form.vibrationPattern);
+  return {
+    name: form.name.trim(),
+    description: form.description.trim() || null,
+    groupId: form.groupId || null,
+    importance: form.importance,
+    sound: form.sound.trim() || null,
+    enableVibrate: form.enableVibrate,
+    vibrationPattern:
+      form.enableVibrate && vibrationPattern.length > 0
+        ? vibrationPattern
+        : null,
+    enableLights: form.enableLights,
+    ...(form.enableLights ? { lightColor: form.lightColor } : {}),
+    lockscreenVisibility: form.lockscreenVisibility,
+    bypassDnd: form.bypassDnd,
+    showBadge: form.showBadge,
+  };
+}
+
+// Load an existing channel into the editor
+// The native side only reports whether the sound is custom, not its name
+export function channelToForm(channel) {
+  return {
+    id: channel.id,
+    name: channel.name ?? '',
+    description: channel.description ?? '',
+    groupId: channel.groupId ?? '',
+    importance: channel.importance,
+    sound: channel.sound === null ? '' : 'default',
+    enableVibrate: channel.enableVibrate,
+    vibrationPattern: (channel.vibrationPattern ?? []).join(', '),
+    enableLights: channel.enableLights,
+    lightColor: channel.lightColor,
+    lockscreenVisibility: channel.lockscreenVisibility,
+    bypassDnd: channel.bypassDnd,
+    showBadge: channel.showBadge,
+  };
+}
+
+// Android freezes most settings once a channel exists; only the name,
+// description, group and a lower importance are applied on update
+export async function saveChannelAsync(form) {
+  const channel = await Notifications.setNotificationChannelAsync(
+    form.id.trim(),
+    buildChannelInput(form)
+  );
+  notifyChannelsChanged();
+  return channel;
+}
+
+export async function deleteChannelAsync(channelId) {
+  await Notifications.deleteNotificationChannelAsync(channelId);
+  notifyChannelsChanged();
+}
+
+export async function saveChannelGroupAsync({ id, name, description }) {
+  if (!id.trim() || !name.trim()) {
+    throw new Error(t('channels.errors.group'));
+  }
+  const group = await Notifications.setNotificationChannelGroupAsync(
+    id.trim(),
+    { name: name.trim(), description: description.trim() || null }
+  );
+  notifyChannelsChanged();
+  return group;
+}
+
+// Deleting a group deletes every channel inside it as well
+export async function deleteChannelGroupAsync(groupId) {
+  await Notifications.deleteNotificationChannelGroupAsync(groupId);
+  notifyChannelsChanged();
+}
+
+// Post a notification right away so the channel's behaviour can be checked
+export const sendChannelTestAsync = (channelId) =>
+  scheduleLocalNotificationAsync({
+    content: {
+      title: t('channels.testTitle', { id: channelId }),
+      body: t('channels.testBody'),
+      data: { channelId },
+    },
+    trigger: { channelId },
+  });
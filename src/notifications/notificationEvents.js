@@ -0,0 +1,89 @@
+// src/notifications/notificationEvents.js
+import * as Notifications from 'expo-notifications';
+import {
+  HistorySource,
+  addToHistory,
+  createHistoryEntry,
+  createResponseEntry,
+} from '../history/historyStore';
+import { logRemoteMessage } from '../push/firebaseMessaging';
+import {
+  markTapHandled,
+  openNotificationRoute,
+} from '../navigation/notificationRouting';
+import {
+  getPresentationDecision,
+  releasePresentationDecision,
+  toPresentedEvent,
+} from './presentationRules';
+import { HeldReason } from './quietHours';
+
+// What the app does with each notification event, kept out of the
+// dashboard so it can be tested without rendering anything
+
+// A notification arrived while the app was in the foreground
+// Logged together with the decision on how it was presented; when the OS
+// has already applied it, the timeline gets its presented step too
+// Quiet hours suppress it without dropping it, so it is logged as held
+export function handleReceivedNotification(notification) {
+  const presentation = getPresentationDecision(
+    notification.request.identifier
+  );
+  const held = presentation?.heldUntil
+    ? {
+        reason: HeldReason.SUPPRESSED,
+        at: Date.now(),
+        until: presentation.heldUntil,
+      }
+    : null;
+  const entry = createHistoryEntry(notification, HistorySource.RECEIVED, {
+    presentation,
+    ...(held ? { held } : {}),
+  });
+  const presented = presentation?.at
+    ? [...entry.events, toPresentedEvent(presentation)]
+    : entry.events;
+  releasePresentationDecision(notification.request.identifier);
+  return addToHistory({ ...entry, events: presented });
+}
+
+// Firebase delivers FCM messages through its own listeners
+export const handleRemoteMessageReceived = (remoteMessage) =>
+  logRemoteMessage(remoteMessage, HistorySource.RECEIVED);
+
+// Taps arrive whether the app was open, in the background or killed,
+// so they are all logged and routed the same way
+// Returns false when the same tap was already handled
+export function handleNotificationResponse(response, extra) {
+  const { notification, actionIdentifier } = response;
+  if (!markTapHandled(notification.request.identifier, actionIdentifier)) {
+    return false;
+  }
+
+  // Record which action was chosen and any reply text
+  // Logging runs alongside routing, so a failed write must not block it
+  addToHistory(createResponseEntry(response, extra)).catch((error) => {
+    console.error('Error logging notification response:', error);
+  });
+
+  // Only a tap on the notification itself follows its route;
+  // action buttons do their own thing
+  if (actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER) {
+    openNotificationRoute(notification.request.content.data);
+  }
+  return true;
+}
+
+// FCM taps go through the same logging and routing as Expo taps
+export function handleRemoteMessageOpened(remoteMessage, appState) {
+  if (!markTapHandled(remoteMessage.messageId)) {
+    return false;
+  }
+  logRemoteMessage(remoteMessage, HistorySource.TAPPED, { appState }).catch(
+    (error) => {
+      console.error('Error logging opened FCM message:', error);
+    }
+  );
+  openNotificationRoute(remoteMessage.data);
+  return true;
+}
@@ -0,0 +1,138 @@
+// src/notifications/permissions.js
+import { Linking, Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { t } from '../i18n';
+
+const { IosAuthorizationStatus, IosAlertStyle } = Notifications;
+
+// Overall state shown on the dashboard, derived from getPermissionsAsync
+//   GRANTED       notifications are allowed
+//   PROVISIONAL   iOS delivers quietly to the notification center only
+//   UNDETERMINED  the user has not been asked yet
+//   DENIED        the user said no, but the system prompt can be shown again
+//   BLOCKED       the system will not prompt again; only Settings can fix it
+export const PermissionState = {
+  GRANTED: 'granted',
+  PROVISIONAL: 'provisional',
+  UNDETERMINED: 'undetermined',
+  DENIED: 'denied',
+  BLOCKED: 'blocked',
+};
+
+export function getPermissionState(permissions) {
+  if (!permissions) {
+    return PermissionState.UNDETERMINED;
+  }
+  if (permissions.ios?.status === IosAuthorizationStatus.PROVISIONAL) {
+    return PermissionState.PROVISIONAL;
+  }
+  if (permissions.granted) {
+    return PermissionState.GRANTED;
+  }
+  if (permissions.status === 'undetermined') {
+    return PermissionState.UNDETERMINED;
+  }
+  return permissions.canAskAgain
+    ? PermissionState.DENIED
+    : PermissionState.BLOCKED;
+}
+
+// Provisional authorization still delivers, so tokens are worth fetching
+export const canDeliver = (permissions) =>
+  [PermissionState.GRANTED, PermissionState.PROVISIONAL].includes(
+    getPermissionState(permissions)
+  );
+
+// Ask for everything the app uses; iOS asks per capability, Android 13+
+// asks for POST_NOTIFICATIONS and older Android versions never prompt
+export const requestNotificationPermissionsAsync = () =>
+  Notifications.requestPermissionsAsync({
+    ios: {
+      allowAlert: true,
+      allowBadge: true,
+      allowSound: true,
+    },
+  });
+
+// Ask again only while the system is still willing to show its prompt
+export async function ensurePermissionsAsync() {
+  const current = await Notifications.getPermissionsAsync();
+  if (canDeliver(current) || !current.canAskAgain) {
+    return current;
+  }
+  return requestNotificationPermissionsAsync();
+}
+
+// Once blocked, the app's page in the system settings is the only way back
+export const openNotificationSettingsAsync = () => Linking.openSettings();
+
+const nameOf = (values, value) =>
+  Object.keys(values ?? {}).find((key) => values[key] === value) ?? value;
+
+// iOS reports each notification capability separately
+const IOS_SETTING_KEYS = [
+  'allowsAlert',
+  'allowsBadge',
+  'allowsSound',
+  'allowsCriticalAlerts',
+  'allowsAnnouncements',
+  'allowsDisplayInNotificationCenter',
+  'allowsDisplayOnLockScreen',
+  'allowsDisplayInCarPlay',
+  'allowsPreviews',
+  'providesAppNotificationSettings',
+];
+
+// Flatten a permissions response into label/value rows for display
+// Values that the platform does not report are left out
+export function describePermissions(permissions) {
+  if (!permissions) {
+    return [];
+  }
+  const rows = [
+    { label: 'status', value: permissions.status },
+    { label: 'granted', value: permissions.granted },
+    { label: 'canAskAgain', value: permissions.canAskAgain },
+    { label: 'expires', value: permissions.expires },
+  ];
+
+  if (Platform.OS === 'android') {
+    // POST_NOTIFICATIONS only exists as a runtime permission on Android 13+
+    rows.push({
+      label: 'POST_NOTIFICATIONS',
+      value:
+        Platform.Version >= 33
+          ? permissions.status
+          : t('permissions.notRequired'),
+    });
+    if (permissions.android) {
+      rows.push(
+        ...Object.entries(permissions.android).map(([key, value]) => ({
+          label: `android.${key}`,
+          value,
+        }))
+      );
+    }
+  }
+
+  const { ios } = permissions;
+  if (ios) {
+    rows.push({
+      label: 'ios.status',
+      value: nameOf(IosAuthorizationStatus, ios.status),
+    });
+    IOS_SETTING_KEYS.forEach((key) => {
+      if (ios[key] !== undefined && ios[key] !== null) {
+        rows.push({ label: `ios.${key}`, value: ios[key] });
+      }
+    });
+    if (ios.alertStyle !== undefined) {
+      rows.push({
+        label: 'ios.alertStyle',
+        value: nameOf(IosAlertStyle, ios.alertStyle),
+      });
+    }
+  }
+
+  return rows.filter(({ value }) => value !== undefined && value !== null);
+}
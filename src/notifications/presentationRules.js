@@ -0,0 +1,258 @@
+// src/notifications/presentationRules.js
+import * as Notifications from 'expo-notifications';
+import { createPersistentStore } from '../storage/persistentStore';
+import {
+  HistoryEvent,
+  HistorySource,
+  hasEvent,
+  historyStore,
+} from '../history/historyStore';
+import { createId } from '../utils/id';
+import { t } from '../i18n';
+import { getQuietUntil, quietHoursStore } from './quietHours';
+
+// What a rule can match on
+export const RuleMatch = {
+  ANY: 'any',
+  CATEGORY: 'category',
+  DATA_FIELD: 'dataField',
+};
+
+// How a matching notification is presented while the app is open
+// Labels are translated under presentation.<action>
+export const PresentationAction = {
+  SUPPRESS: 'suppress',
+  SILENT: 'silent',
+  SOUND: 'sound',
+};
+
+export const DEFAULT_RULE_FORM = {
+  name: '',
+  enabled: true,
+  matchType: RuleMatch.DATA_FIELD,
+  category: '',
+  field: '',
+  value: '',
+  action: PresentationAction.SILENT,
+  setBadge: false,
+};
+
+// Ordered list of rules; the first enabled match decides
+// Records are DEFAULT_RULE_FORM plus an `id`
+export const presentationRulesStore = createPersistentStore({
+  key: '@myNotifications/presentationRules',
+  defaultValue: [],
+});
+
+export const saveRule = (rule) =>
+  presentationRulesStore.update((rules) =>
+    rule.id
+      ? rules.map((existing) => (existing.id === rule.id ? rule : existing))
+      : [...rules, { ...rule, id: createId() }]
+  );
+
+export const deleteRule = (id) =>
+  presentationRulesStore.update((rules) =>
+    rules.filter((rule) => rule.id !== id)
+  );
+
+export const setRuleEnabled = (id, enabled) =>
+  presentationRulesStore.update((rules) =>
+    rules.map((rule) => (rule.id === id ? { ...rule, enabled } : rule))
+  );
+
+// Move a rule one step up (-1) or down (+1) in the evaluation order
+export const moveRule = (id, offset) =>
+  presentationRulesStore.update((rules) => {
+    const from = rules.findIndex((rule) => rule.id === id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= rules.length) {
+      return rules;
+    }
+    const reordered = [...rules];
+    [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+    return reordered;
+  });
+
+export function validateRule(rule) {
+  if (!rule.name.trim()) {
+    throw new Error(t('presentationRules.errors.name'));
+  }
+  if (rule.matchType === RuleMatch.CATEGORY && !rule.category.trim()) {
+    throw new Error(t('presentationRules.errors.category'));
+  }
+  if (rule.matchType === RuleMatch.DATA_FIELD && !rule.field.trim()) {
+    throw new Error(t('presentationRules.errors.field'));
+  }
+}
+
+// An empty value only requires the data field to be present
+function matchesRule(rule, content) {
+  switch (rule.matchType) {
+    case RuleMatch.ANY:
+      return true;
+    case RuleMatch.CATEGORY:
+      return content.categoryIdentifier === rule.category.trim();
+    case RuleMatch.DATA_FIELD: {
+      const data = content.data ?? {};
+      const field = rule.field.trim();
+      if (!(field in data)) {
+        return false;
+      }
+      return rule.value === '' || String(data[field]) === rule.value;
+    }
+    default:
+      return false;
+  }
+}
+
+// Used when no rule matches: the app's original show-everything handler
+const DEFAULT_DECISION = {
+  ruleId: null,
+  ruleName: null,
+  action: PresentationAction.SOUND,
+  setBadge: true,
+};
+
+// Pick the presentation for a notification from the ordered rules
+export function evaluateRules(notification, rules) {
+  const { content } = notification.request;
+  const rule = rules.find(
+    (candidate) => candidate.enabled && matchesRule(candidate, content)
+  );
+  if (!rule) {
+    return DEFAULT_DECISION;
+  }
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    action: rule.action,
+    setBadge: rule.setBadge,
+  };
+}
+
+// Quiet hours win over every rule: nothing is shown or badged, and the
+// history entry is flagged as held until `heldUntil`
+export const toHeldDecision = (heldUntil) => ({
+  ruleId: null,
+  ruleName: null,
+  action: PresentationAction.SUPPRESS,
+  setBadge: false,
+  heldUntil,
+});
+
+export const toNotificationBehavior = ({ action, setBadge }) => {
+  const show = action !== PresentationAction.SUPPRESS;
+  return {
+    shouldShowBanner: show,
+    shouldShowList: show,
+    shouldPlaySound: action === PresentationAction.SOUND,
+    shouldSetBadge: setBadge,
+  };
+};
+
+// Decisions by notification identifier, kept until the history entry
+// for that notification holds the final outcome
+// Capped, oldest first, in case a notification never reaches history
+const MAX_DECISIONS = 50;
+const decisions = new Map();
+
+const rememberDecision = (notificationId, decision) => {
+  decisions.delete(notificationId);
+  decisions.set(notificationId, decision);
+  if (decisions.size > MAX_DECISIONS) {
+    decisions.delete(decisions.keys().next().value);
+  }
+};
+
+export const getPresentationDecision = (notificationId) =>
+  decisions.get(notificationId) ?? null;
+
+// The received listener logged a settled decision, so it is done with
+// A pending one is still needed by recordOutcome
+export const releasePresentationDecision = (notificationId) => {
+  if (decisions.get(notificationId)?.at) {
+    decisions.delete(notificationId);
+  }
+};
+
+// The timeline event for a settled decision
+export const toPresentedEvent = ({ status, at }) => ({
+  type: HistoryEvent.PRESENTED,
+  at,
+  status,
+});
+
+// Store the handler's outcome and attach it to the matching history entry
+// The received listener may run before or after this, so both sides
+// read from `decisions`; whichever writes the outcome last releases it
+// A repeating trigger logs every delivery under the same identifier, so
+// only the newest entry can be ours, and only while it has no outcome
+async function recordOutcome(notificationId, outcome) {
+  const presentation = {
+    ...decisions.get(notificationId),
+    ...outcome,
+    at: Date.now(),
+  };
+  rememberDecision(notificationId, presentation);
+  let logged = false;
+  await historyStore.update((entries) => {
+    const index = entries.findIndex(
+      (entry) =>
+        entry.notificationId === notificationId &&
+        entry.source === HistorySource.RECEIVED
+    );
+    if (index === -1 || hasEvent(entries[index], HistoryEvent.PRESENTED)) {
+      return entries;
+    }
+    logged = true;
+    return entries.map((entry, i) =>
+      i === index
+        ? {
+            ...entry,
+            presentation,
+            events: [...entry.events, toPresentedEvent(presentation)],
+          }
+        : entry
+    );
+  });
+  if (logged) {
+    decisions.delete(notificationId);
+  }
+}
+
+// Replace the fixed foreground handler with one driven by the rules
+// handleSuccess/handleError report whether the OS accepted the decision
+export function registerPresentationHandler() {
+  Notifications.setNotificationHandler({
+    handleNotification: async (notification) => {
+      await Promise.all([
+        presentationRulesStore.load(),
+        quietHoursStore.load(),
+      ]);
+      const heldUntil = getQuietUntil(quietHoursStore.get());
+      const decision = heldUntil
+        ? toHeldDecision(heldUntil)
+        : evaluateRules(notification, presentationRulesStore.get());
+      rememberDecision(notification.request.identifier, {
+        ...decision,
+        status: 'pending',
+      });
+      return toNotificationBehavior(decision);
+    },
+    handleSuccess: (notificationId) => {
+      recordOutcome(notificationId, { status: 'success' }).catch((error) => {
+        console.error('Error recording presentation outcome:', error);
+      });
+    },
+    handleError: (notificationId, error) => {
+      console.error('Notification presentation failed:', error);
+      recordOutcome(notificationId, {
+        status: 'error',
+        error: error?.message ?? String(error),
+      }).catch((recordError) => {
+        console.error('Error recording presentation outcome:', recordError);
+      });
+    },
+  });
+}
@@ -0,0 +1,20 @@
+// src/notifications/presetStore.js
+import { createPersistentStore } from '../storage/persistentStore';
+import { createId } from '../utils/id';
+
+// Saved composer forms, so the same payload can be re-run repeatedly
+// Records are { id, name, form, savedAt }, newest first
+export const presetStore = createPersistentStore({
+  key: '@myNotifications/localPresets',
+  defaultValue: [],
+});
+
+// Saving under an existing name replaces that preset
+export const savePreset = (name, form) =>
+  presetStore.update((presets) => [
+    { id: createId(), name, form, savedAt: Date.now() },
+    ...presets.filter((preset) => preset.name !== name),
+  ]);
+
+export const deletePreset = (id) =>
+  presetStore.update((presets) => presets.filter((preset) => preset.id !== id));
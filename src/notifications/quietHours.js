@@ -0,0 +1,275 @@
+// src/notifications/quietHours.js
+import * as Notifications from 'expo-notifications';
+import { createPersistentStore } from '../storage/persistentStore';
+import { createId } from '../utils/id';
+import { t } from '../i18n';
+
+// Weekdays follow expo-notifications: 1 is Sunday, 7 is Saturday
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+// A window runs from `start` to `end` ("HH:MM") on each picked weekday;
+// an end before the start runs into the next morning, and an end equal
+// to the start keeps the whole day quiet
+export const DEFAULT_WINDOW_FORM = {
+  enabled: true,
+  weekdays: WEEKDAYS,
+  start: '22:00',
+  end: '07:00',
+};
+
+// Windows are read in `timeZone`, or in the device's zone when it is
+// null, so a fixed zone keeps office hours put while travelling
+// Records in `windows` are DEFAULT_WINDOW_FORM plus an `id`
+export const quietHoursStore = createPersistentStore({
+  key: '@myNotifications/quietHours',
+  defaultValue: { enabled: true, timeZone: null, windows: [] },
+});
+
+// Notifications held by quiet hours carry this data key, so history can
+// flag them once they finally arrive
+export const QUIET_HOURS_DATA_KEY = 'quietHours';
+
+// How quiet hours held a notification
+//   SUPPRESSED  arrived in the foreground and was not shown
+//   DEFERRED    scheduled locally and moved to the end of the window
+export const HeldReason = {
+  SUPPRESSED: 'suppressed',
+  DEFERRED: 'deferred',
+};
+
+export const getDeviceTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone ?? 'UTC';
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_IN_MS = MINUTES_PER_DAY * 60 * 1000;
+
+// "7:30" or "07:30" -> minutes since midnight; null if unreadable
+export function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+export function validateWindow(window) {
+  if (window.weekdays.length === 0) {
+    throw new Error(t('quietHours.errors.weekdays'));
+  }
+  if (parseTime(window.start) === null || parseTime(window.end) === null) {
+    throw new Error(t('quietHours.errors.time'));
+  }
+}
+
+// An empty zone means "follow the device"
+export function readTimeZone(text) {
+  const timeZone = text.trim();
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw new Error(t('quietHours.errors.timeZone', { timeZone }));
+  }
+  return timeZone || null;
+}
+
+export const setQuietHoursEnabled = (enabled) =>
+  quietHoursStore.update((settings) => ({ ...settings, enabled }));
+
+export const setQuietHoursTimeZone = (text) => {
+  const timeZone = readTimeZone(text);
+  return quietHoursStore.update((settings) => ({ ...settings, timeZone }));
+};
+
+const updateWindows = (change) =>
+  quietHoursStore.update((settings) => ({
+    ...settings,
+    windows: change(settings.windows),
+  }));
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toTimeText = (minutes) =>
+  `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// Times are stored padded, e.g. "7:00" becomes "07:00"
+export const saveWindow = (window) => {
+  const normalized = {
+    ...window,
+    start: toTimeText(parseTime(window.start)),
+    end: toTimeText(parseTime(window.end)),
+    weekdays: [...window.weekdays].sort((a, b) => a - b),
+  };
+  return updateWindows((windows) =>
+    normalized.id
+      ? windows.map((existing) =>
+          existing.id === normalized.id ? normalized : existing
+        )
+      : [...windows, { ...normalized, id: createId() }]
+  );
+};
+
+export const deleteWindow = (id) =>
+  updateWindows((windows) => windows.filter((window) => window.id !== id));
+
+export const setWindowEnabled = (id, enabled) =>
+  updateWindows((windows) =>
+    windows.map((window) =>
+      window.id === id ? { ...window, enabled } : window
+    )
+  );
+
+// Days are counted since 1970-01-01 so wall-clock dates can be stepped
+// without caring about month lengths
+const toWeekday = (day) => new Date(day * DAY_IN_MS).getUTCDay() + 1;
+
+// The wall-clock day and minute of an instant in a time zone
+function getZonedTime(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour12: false,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    })
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return {
+    day: Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_IN_MS,
+    // Some engines report midnight as hour 24
+    minutes: (parts.hour % 24) * 60 + parts.minute,
+  };
+}
+
+// How far the zone's wall clock is ahead of UTC at an instant
+function getZoneOffset(timestamp, timeZone) {
+  const { day, minutes } = getZonedTime(timestamp, timeZone);
+  const wall = day * DAY_IN_MS + minutes * 60 * 1000;
+  return wall - (timestamp - (timestamp % 60000));
+}
+
+// The instant a wall-clock time happens in a time zone
+// The second pass corrects the guess when a DST change lies in between
+function fromZonedTime(day, minutes, timeZone) {
+  const wall = day * DAY_IN_MS + minutes * 60 * 1000;
+  const guess = wall - getZoneOffset(wall, timeZone);
+  return wall - getZoneOffset(guess, timeZone);
+}
+
+// When the enabled windows covering `timestamp` end; null if none does
+// A window that started yesterday may still cover the early hours
+function findWindowEnd(windows, timestamp, timeZone) {
+  const now = getZonedTime(timestamp, timeZone);
+  let end = null;
+
+  windows
+    .filter((window) => window.enabled)
+    .forEach((window) => {
+      const start = parseTime(window.start);
+      const length =
+        (parseTime(window.end) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY ||
+        MINUTES_PER_DAY;
+
+      [now.day, now.day - 1].forEach((day) => {
+        const elapsed = (now.day - day) * MINUTES_PER_DAY + now.minutes - start;
+        if (
+          window.weekdays.includes(toWeekday(day)) &&
+          elapsed >= 0 &&
+          elapsed < length
+        ) {
+          const until = fromZonedTime(
+            day + Math.floor((start + length) / MINUTES_PER_DAY),
+            (start + length) % MINUTES_PER_DAY,
+            timeZone
+          );
+          end = Math.max(end ?? until, until);
+        }
+      });
+    });
+
+  return end !== null && end > timestamp ? end : null;
+}
+
+// When the quiet hours covering `timestamp` end, or null outside them
+// Windows that meet, e.g. 22:00-07:00 and 07:00-09:00, count as one; the
+// loop is capped so an every-day, all-day window still returns
+export function getQuietUntil(settings, timestamp = Date.now()) {
+  if (!settings.enabled) {
+    return null;
+  }
+  const timeZone = settings.timeZone || getDeviceTimeZone();
+  let until = null;
+  for (let i = 0; i < 14; i++) {
+    const end = findWindowEnd(settings.windows, until ?? timestamp, timeZone);
+    if (end === null) {
+      break;
+    }
+    until = end;
+  }
+  return until;
+}
+
+// When a trigger input fires, for the ones that fire only once
+// Repeating triggers can't be moved occurrence by occurrence, so they
+// are left to the foreground handler
+function getOneOffFireDate(trigger, now) {
+  if (!trigger?.type) {
+    return now;
+  }
+  switch (trigger.type) {
+    case Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL:
+      return trigger.repeats ? null : now + trigger.seconds * 1000;
+    case Notifications.SchedulableTriggerInputTypes.DATE:
+      return new Date(trigger.date).getTime();
+    default:
+      return null;
+  }
+}
+
+// Move a one-off request that would fire during quiet hours to the end
+// of the window, marking it held so history can tell
+export function deferForQuietHours(request, settings, now = Date.now()) {
+  const { content, trigger } = request;
+  const { [QUIET_HOURS_DATA_KEY]: earlier, ...data } = content.data ?? {};
+  const fireDate = getOneOffFireDate(trigger, now);
+  const until = fireDate === null ? null : getQuietUntil(settings, fireDate);
+  if (until === null) {
+    // A copy of a request that was held before is not held any more
+    return earlier ? { ...request, content: { ...content, data } } : request;
+  }
+  return {
+    ...request,
+    content: {
+      ...content,
+      data: {
+        ...data,
+        [QUIET_HOURS_DATA_KEY]: { heldAt: fireDate, until },
+      },
+    },
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date: until,
+      ...(trigger?.channelId ? { channelId: trigger.channelId } : {}),
+    },
+  };
+}
+
+// scheduleNotificationAsync for the app's own local notifications
+export async function scheduleLocalNotificationAsync(request) {
+  await quietHoursStore.load();
+  return Notifications.scheduleNotificationAsync(
+    deferForQuietHours(request, quietHoursStore.get())
+  );
+}
@@ -0,0 +1,101 @@
+// src/notifications/richContent.js
+import { Platform } from 'react-native';
+import { Directory, File, Paths } from 'expo-file-system';
+import { createId } from '../utils/id';
+import { t } from '../i18n';
+
+// Composers put the image URL in `data` under this key, so the history
+// can show a thumbnail no matter which platform delivered it
+export const IMAGE_DATA_KEY = 'imageUrl';
+
+// Android accent colors are "#RRGGBB" or "#AARRGGBB"
+const COLOR_PATTERN = /^#([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+const isImageUrl = (value) =>
+  typeof value === 'string' && /^(https?|file):\/\//i.test(value);
+
+// Throws a readable error for anything that cannot be shown as an image
+export function readImageUrl(text) {
+  const url = text.trim();
+  if (url && !isImageUrl(url)) {
+    throw new Error(t('validation.imageUrl'));
+  }
+  return url || undefined;
+}
+
+export function readColor(text) {
+  const color = text.trim();
+  if (color && !COLOR_PATTERN.test(color)) {
+    throw new Error(t('validation.color'));
+  }
+  return color || undefined;
+}
+
+// Sample content for the dashboard's rich test notification, built when
+// it is sent so the text follows the app language
+// The long body shows off Android's expandable big text style
+export const buildRichTestContent = () => ({
+  title: t('home.richTest.title'),
+  subtitle: t('home.richTest.subtitle'),
+  body: t('home.richTest.body'),
+  data: {
+    testData: 'Rich notification data',
+    [IMAGE_DATA_KEY]: 'https://picsum.photos/seed/mynotifications/600/300.jpg',
+  },
+  color: '#FF5722',
+});
+
+// Every place an image can hide in a captured notification, in order:
+// our own data key, FCM's `image` data convention, the Android FCM
+// notification image, the iOS FCM image option and iOS attachments
+export function getNotificationImageUrl(entry) {
+  const request = entry.rawNotification?.request;
+  const remoteMessage = request?.trigger?.remoteMessage;
+  const candidates = [
+    entry.data?.[IMAGE_DATA_KEY],
+    entry.data?.image,
+    remoteMessage?.notification?.android?.imageUrl,
+    remoteMessage?.notification?.imageUrl,
+    request?.trigger?.payload?.fcm_options?.image,
+    request?.content?.attachments?.[0]?.url,
+  ];
+  return candidates.find(isImageUrl) ?? null;
+}
+
+// iOS needs a local file for attachments and picks the media type from
+// its extension, so keep the original one when there is one
+const extensionOf = (url) => {
+  const match = /\.(jpe?g|png|gif|heic)$/i.exec(url.split(/[?#]/)[0]);
+  return match ? match[0] : '.jpg';
+};
+
+async function downloadAttachmentAsync(url) {
+  if (url.startsWith('file://')) {
+    return url;
+  }
+  const directory = new Directory(Paths.cache, 'notification-attachments');
+  if (!directory.exists) {
+    directory.create();
+  }
+  const file = await File.downloadFileAsync(
+    url,
+    new File(directory, `${createId()}${extensionOf(url)}`)
+  );
+  return file.uri;
+}
+
+// Attach the image in `data.imageUrl` to local notification content
+// Only iOS supports attachments on local notifications; Android shows
+// images for FCM pushes that carry `notification.image` instead
+export async function withImageAttachmentAsync(content) {
+  const url = content.data?.[IMAGE_DATA_KEY];
+  if (Platform.OS !== 'ios' || !isImageUrl(url)) {
+    return content;
+  }
+  return {
+    ...content,
+    attachments: [
+      { identifier: 'image', url: await downloadAttachmentAsync(url) },
+    ],
+  };
+}
@@ -0,0 +1,486 @@
+// src/notifications/scheduling.js
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { parseDataJson } from '../utils/json';
+import {
+  IMAGE_DATA_KEY,
+  readColor,
+  readImageUrl,
+  withImageAttachmentAsync,
+} from './richContent';
+import { getLanguage, getLocale, t } from '../i18n';
+import { formatTimestamp } from '../utils/format';
+import { scheduleLocalNotificationAsync } from './quietHours';
+import { MOCK_PUSH_DATA_KEY } from '../push/mockRelay';
+
+const { SchedulableTriggerInputTypes: TriggerTypes } = Notifications;
+
+// Every trigger the composer offers, plus "now" for instant delivery
+// Calendar triggers are only supported by iOS
+// Labels are translated under composer.triggers.<type>
+export const TRIGGER_OPTIONS = [
+  'immediate',
+  TriggerTypes.TIME_INTERVAL,
+  TriggerTypes.DATE,
+  TriggerTypes.DAILY,
+  TriggerTypes.WEEKLY,
+  TriggerTypes.YEARLY,
+  ...(Platform.OS === 'ios' ? [TriggerTypes.CALENDAR] : []),
+];
+
+// Form values stay strings while editing and are validated on submit
+// Months are 1-12 and weekdays 1-7 (1 = Sunday) as users expect
+export const DEFAULT_LOCAL_FORM = {
+  title: '',
+  subtitle: '',
+  body: '',
+  data: '{\n  "testData": "Test notification data"\n}',
+  imageUrl: '',
+  color: '',
+  badge: '',
+  sound: 'default',
+  channelId: 'default',
+  categoryIdentifier: '',
+  triggerType: TriggerTypes.TIME_INTERVAL,
+  seconds: '5',
+  repeats: false,
+  date: '',
+  hour: '9',
+  minute: '0',
+  weekday: '2',
+  day: '1',
+  month: '1',
+  calendar: {
+    year: '',
+    month: '',
+    day: '',
+    weekday: '',
+    hour: '',
+    minute: '',
+    second: '',
+  },
+};
+
+// A fresh composer form with sample text in the app language
+export const createDefaultLocalForm = () => ({
+  ...DEFAULT_LOCAL_FORM,
+  title: t('composer.sampleTitle'),
+  body: t('composer.sampleBody'),
+});
+
+// Parse a whole number and make sure it sits inside its allowed range
+// `field` names the form field in errors, via validation.fields.<field>
+function readInt(text, field, min, max) {
+  const value = Number(text);
+  if (text === '' || !Number.isInteger(value) || value < min || value > max) {
+    throw new Error(
+      t('validation.wholeNumber', {
+        name: t(`validation.fields.${field}`),
+        min,
+        max,
+      })
+    );
+  }
+  return value;
+}
+
+// Calendar components are optional; empty fields are left out
+function readOptionalInt(text, field, min, max) {
+  return text === '' ? undefined : readInt(text, field, min, max);
+}
+
+// Accept "YYYY-MM-DD HH:MM" in the device's local time zone
+export function parseDateTime(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/.exec(
+    text.trim()
+  );
+  if (!match) {
+    throw new Error(t('validation.dateFormat'));
+  }
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const date = new Date(year, month - 1, day, hour, minute);
+  // Date rolls impossible values over, e.g. 02-31 into March or 29:75
+  // into the next morning, so check every part came back unchanged
+  const isSameTime =
+    hour < 24 &&
+    minute < 60 &&
+    date.getFullYear() === year &&
+    date.getMonth() === month - 1 &&
+    date.getDate() === day &&
+    date.getHours() === hour &&
+    date.getMinutes() === minute;
+  if (!isSameTime) {
+    throw new Error(t('validation.dateFormat'));
+  }
+  return date;
+}
+
+// Turn the composer's trigger fields into an expo-notifications trigger
+export function buildTrigger(form) {
+  const channel = form.channelId ? { channelId: form.channelId } : {};
+
+  switch (form.triggerType) {
+    case 'immediate':
+      return form.channelId ? channel : null;
+
+    case TriggerTypes.TIME_INTERVAL: {
+      // iOS refuses repeating intervals shorter than a minute
+      const seconds = readInt(
+        form.seconds,
+        'seconds',
+        form.repeats ? 60 : 1,
+        Number.MAX_SAFE_INTEGER
+      );
+      return {
+        type: TriggerTypes.TIME_INTERVAL,
+        seconds,
+        repeats: form.repeats,
+        ...channel,
+      };
+    }
+
+    case TriggerTypes.DATE: {
+      const date = parseDateTime(form.date);
+      if (date.getTime() <= Date.now()) {
+        throw new Error(t('validation.datePast'));
+      }
+      return { type: TriggerTypes.DATE, date, ...channel };
+    }
+
+    case TriggerTypes.DAILY:
+      return {
+        type: TriggerTypes.DAILY,
+        hour: readInt(form.hour, 'hour', 0, 23),
+        minute: readInt(form.minute, 'minute', 0, 59),
+        ...channel,
+      };
+
+    case TriggerTypes.WEEKLY:
+      return {
+        type: TriggerTypes.WEEKLY,
+        weekday: readInt(form.weekday, 'weekday', 1, 7),
+        hour: readInt(form.hour, 'hour', 0, 23),
+        minute: readInt(form.minute, 'minute', 0, 59),
+        ...channel,
+      };
+
+    case TriggerTypes.YEARLY:
+      // expo-notifications uses JavaScript Date ranges (January = 0)
+      return {
+        type: TriggerTypes.YEARLY,
+        month: readInt(form.month, 'month', 1, 12) - 1,
+        day: readInt(form.day, 'day', 1, 31),
+        hour: readInt(form.hour, 'hour', 0, 23),
+        minute: readInt(form.minute, 'minute', 0, 59),
+        ...channel,
+      };
+
+    case TriggerTypes.CALENDAR: {
+      const { calendar } = form;
+      const components = {
+        year: readOptionalInt(calendar.year, 'year', 1970, 9999),
+        month: readOptionalInt(calendar.month, 'month', 1, 12),
+        day: readOptionalInt(calendar.day, 'day', 1, 31),
+        weekday: readOptionalInt(calendar.weekday, 'weekday', 1, 7),
+        hour: readOptionalInt(calendar.hour, 'hour', 0, 23),
+        minute: readOptionalInt(calendar.minute, 'minute', 0, 59),
+        second: readOptionalInt(calendar.second, 'second', 0, 59),
+      };
+      const defined = Object.fromEntries(
+        Object.entries(components).filter(([, value]) => value !== undefined)
+      );
+      if (Object.keys(defined).length === 0) {
+        throw new Error(t('validation.calendarEmpty'));
+      }
+      return {
+        type: TriggerTypes.CALENDAR,
+        repeats: form.repeats,
+        ...defined,
+      };
+    }
+
+    default:
+      throw new Error(
+        t('validation.triggerType', { type: form.triggerType })
+      );
+  }
+}
+
+// Turn the composer's content fields into notification content
+// An empty sound field schedules a silent notification
+// The image URL travels in `data` and becomes an attachment on schedule
+export function buildContent(form) {
+  const badge =
+    form.badge === '' ? undefined : readInt(form.badge, 'badge', 0, 9999);
+  const imageUrl = readImageUrl(form.imageUrl ?? '');
+  const color = readColor(form.color ?? '');
+
+  return {
+    title: form.title || undefined,
+    subtitle: form.subtitle || undefined,
+    body: form.body || undefined,
+    data: {
+      ...parseDataJson(form.data),
+      ...(imageUrl ? { [IMAGE_DATA_KEY]: imageUrl } : {}),
+    },
+    sound: form.sound || false,
+    ...(badge !== undefined ? { badge } : {}),
+    ...(color ? { color } : {}),
+    ...(form.categoryIdentifier
+      ? { categoryIdentifier: form.categoryIdentifier }
+      : {}),
+  };
+}
+
+// Validate the whole form and build the scheduleNotificationAsync request
+export const buildNotificationRequest = (form) => ({
+  content: buildContent(form),
+  trigger: buildTrigger(form),
+});
+
+// Validate the form and download any image attachment it points to
+async function prepareRequestAsync(form) {
+  const { content, trigger } = buildNotificationRequest(form);
+  return { content: await withImageAttachmentAsync(content), trigger };
+}
+
+// Schedule a composed notification and return its identifier
+export const scheduleFromForm = async (form) =>
+  scheduleLocalNotificationAsync(await prepareRequestAsync(form));
+
+// Short weekday name in the current language; weekday 1 is Sunday and
+// 7 January 2024 was one
+export const getWeekdayName = (weekday) =>
+  new Date(2024, 0, 6 + weekday).toLocaleDateString(
+    getLocale(getLanguage()),
+    { weekday: 'short' }
+  );
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Scheduled requests report triggers in a slightly different shape than
+// the inputs: dates come back as `value` and iOS nests `dateComponents`
+const readCalendarComponents = (trigger) =>
+  trigger.dateComponents ?? trigger;
+
+// Convert a trigger from getAllScheduledNotificationsAsync back into
+// an input accepted by scheduleNotificationAsync/getNextTriggerDateAsync
+export function toTriggerInput(trigger) {
+  if (!trigger) {
+    return null;
+  }
+  const channel = trigger.channelId ? { channelId: trigger.channelId } : {};
+
+  switch (trigger.type) {
+    case TriggerTypes.DATE:
+      return {
+        type: TriggerTypes.DATE,
+        date: trigger.value ?? trigger.date,
+        ...channel,
+      };
+    case TriggerTypes.CALENDAR: {
+      // Keep only the components the composer knows how to schedule
+      const components = readCalendarComponents(trigger);
+      return {
+        type: TriggerTypes.CALENDAR,
+        repeats: trigger.repeats,
+        ...Object.fromEntries(
+          Object.keys(DEFAULT_LOCAL_FORM.calendar)
+            .filter((key) => typeof components[key] === 'number')
+            .map((key) => [key, components[key]])
+        ),
+      };
+    }
+    default: {
+      // Interval, daily, weekly, monthly and yearly share their shape
+      const { repeats, seconds, hour, minute, weekday, day, month } = trigger;
+      return Object.fromEntries(
+        Object.entries({
+          type: trigger.type,
+          repeats,
+          seconds,
+          hour,
+          minute,
+          weekday,
+          day,
+          month,
+          ...channel,
+        }).filter(([, value]) => value !== undefined)
+      );
+    }
+  }
+}
+
+// Short human-readable summary of a scheduled trigger
+export function describeTrigger(trigger) {
+  if (!trigger) {
+    return t('trigger.immediately');
+  }
+  const time = `${pad(trigger.hour)}:${pad(trigger.minute)}`;
+
+  switch (trigger.type) {
+    case TriggerTypes.TIME_INTERVAL:
+      return t(trigger.repeats ? 'trigger.every' : 'trigger.after', {
+        seconds: trigger.seconds,
+      });
+    case TriggerTypes.DATE:
+      return t('trigger.date', {
+        date: formatTimestamp(trigger.value ?? trigger.date),
+      });
+    case TriggerTypes.DAILY:
+      return t('trigger.daily', { time });
+    case TriggerTypes.WEEKLY:
+      return t('trigger.weekly', {
+        weekday: getWeekdayName(trigger.weekday),
+        time,
+      });
+    case TriggerTypes.MONTHLY:
+      return t('trigger.monthly', { day: trigger.day, time });
+    case TriggerTypes.YEARLY:
+      return t('trigger.yearly', {
+        day: trigger.day,
+        month: trigger.month + 1,
+        time,
+      });
+    case TriggerTypes.CALENDAR: {
+      const components = Object.entries(readCalendarComponents(trigger))
+        .filter(([, value]) => typeof value === 'number')
+        .map(([key, value]) => `${key}=${value}`)
+        .join(', ');
+      return t(
+        trigger.repeats ? 'trigger.calendarRepeats' : 'trigger.calendar',
+        { components }
+      );
+    }
+    default:
+      return trigger.type ?? t('trigger.unknown');
+  }
+}
+
+// Next fire time for schedulable triggers, or null when it cannot be
+// computed (interval triggers do not expose when they were created)
+export async function getNextFireDateAsync(trigger) {
+  if (!trigger || trigger.type === TriggerTypes.TIME_INTERVAL) {
+    return null;
+  }
+  try {
+    return await Notifications.getNextTriggerDateAsync(toTriggerInput(trigger));
+  } catch (error) {
+    console.warn('Could not compute next trigger date:', error);
+    return null;
+  }
+}
+
+const toText = (value) =>
+  value === undefined || value === null ? '' : `${value}`;
+
+// Fill the composer form from an already scheduled request, for editing
+export function requestToForm(request) {
+  const { content, trigger } = request;
+  // The image URL has its own field, so keep it out of the data text
+  const { [IMAGE_DATA_KEY]: imageUrl, ...rest } = content.data ?? {};
+  const hasImage = typeof imageUrl === 'string';
+  const base = {
+    ...DEFAULT_LOCAL_FORM,
+    title: content.title ?? '',
+    subtitle: content.subtitle ?? '',
+    body: content.body ?? '',
+    data: JSON.stringify(hasImage ? rest : content.data ?? {}, null, 2),
+    imageUrl: hasImage ? imageUrl : '',
+    color: content.color ?? '',
+    badge: toText(content.badge),
+    sound: content.sound ? toText(content.sound) : '',
+    channelId: trigger?.channelId ?? '',
+    categoryIdentifier: content.categoryIdentifier ?? '',
+  };
+
+  if (!trigger) {
+    return { ...base, triggerType: 'immediate' };
+  }
+
+  switch (trigger.type) {
+    case TriggerTypes.DATE: {
+      const date = new Date(trigger.value ?? trigger.date);
+      return {
+        ...base,
+        triggerType: TriggerTypes.DATE,
+        date:
+          `${date.getFullYear()}-${pad(date.getMonth() + 1)}-` +
+          `${pad(date.getDate())} ${pad(date.getHours())}:` +
+          `${pad(date.getMinutes())}`,
+      };
+    }
+    case TriggerTypes.CALENDAR: {
+      const components = readCalendarComponents(trigger);
+      return {
+        ...base,
+        triggerType: TriggerTypes.CALENDAR,
+        repeats: !!trigger.repeats,
+        calendar: Object.fromEntries(
+          Object.keys(DEFAULT_LOCAL_FORM.calendar).map((key) => [
+            key,
+            toText(components[key]),
+          ])
+        ),
+      };
+    }
+    default:
+      return {
+        ...base,
+        triggerType: trigger.type,
+        repeats: !!trigger.repeats,
+        seconds: toText(trigger.seconds),
+        hour: toText(trigger.hour),
+        minute: toText(trigger.minute),
+        weekday: toText(trigger.weekday),
+        day: toText(trigger.day),
+        // The form shows months as 1-12
+        month: trigger.month !== undefined ? `${trigger.month + 1}` : '1',
+      };
+  }
+}
+
+// Delivered and scheduled requests report unset content fields as null,
+// which scheduleNotificationAsync does not accept
+const withoutNulls = (content) =>
+  Object.fromEntries(
+    Object.entries(content).filter(([, value]) => value !== null)
+  );
+
+// Schedule an exact copy of an existing request under a new identifier
+export function duplicateScheduledAsync(request) {
+  return scheduleLocalNotificationAsync({
+    content: withoutNulls(request.content),
+    trigger: toTriggerInput(request.trigger),
+  });
+}
+
+// A replay is a new local delivery, so data describing the original one
+// is dropped; the sender's `sentAt` would only skew the latency report,
+// and the mock relay flag would log it as a remote push
+const withoutDeliveryData = ({ data, ...content }) => {
+  if (!data) {
+    return content;
+  }
+  const { sentAt, [MOCK_PUSH_DATA_KEY]: mockPush, ...rest } = data;
+  return { ...content, data: rest };
+};
+
+// Replay the content of an already delivered request right away
+// Only the Android channel is kept from the original trigger, and the
+// image is downloaded again since old attachment files may be gone
+export async function resendAsLocalAsync(request) {
+  const { attachments, ...content } = withoutNulls(request.content);
+  const channelId = request.trigger?.channelId;
+  return scheduleLocalNotificationAsync({
+    content: await withImageAttachmentAsync(withoutDeliveryData(content)),
+    trigger: channelId ? { channelId } : null,
+  });
+}
+
+// Editing means cancelling the old request and scheduling the new form
+export async function rescheduleFromForm(identifier, form) {
+  const request = await prepareRequestAsync(form);
+  await Notifications.cancelScheduledNotificationAsync(identifier);
+  return scheduleLocalNotificationAsync(request);
+}
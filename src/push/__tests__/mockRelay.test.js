@@ -0,0 +1,229 @@
+// src/push/__tests__/mockRelay.test.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import {
+  RelayStatus,
+  getRelayConnection,
+  mockRelayStore,
+  presentMockPushAsync,
+  readRelayUrl,
+  setMockRelayEnabled,
+  startMockRelay,
+  toMockNotificationContent,
+  toRelayHttpUrl,
+} from '../mockRelay';
+import {
+  HistoryOrigin,
+  HistorySource,
+  ReceivedVia,
+  createHistoryEntry,
+} from '../../history/historyStore';
+
+// Stands in for React Native's WebSocket; tests play the relay's part
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+  FakeWebSocket.instances = [];
+  global.WebSocket = FakeWebSocket;
+  await AsyncStorage.clear();
+  await mockRelayStore.reset();
+});
+
+describe('toMockNotificationContent', () => {
+  it('reads an Expo message', () => {
+    expect(
+      toMockNotificationContent({
+        id: 'push-1',
+        format: 'expo',
+        sentAt: 1000,
+        message: {
+          to: 'MockPushToken[a]',
+          title: 'Hello',
+          subtitle: 'Sub',
+          body: 'Body',
+          data: { orderId: 7 },
+          richContent: { image: 'https://example.com/a.png' },
+          channelId: 'alerts',
+          sound: 'default',
+          badge: 2,
+        },
+      })
+    ).toEqual({
+      channelId: 'alerts',
+      content: {
+        title: 'Hello',
+        subtitle: 'Sub',
+        body: 'Body',
+        data: {
+          orderId: 7,
+          imageUrl: 'https://example.com/a.png',
+          sentAt: 1000,
+          mockPush: { id: 'push-1', format: 'expo' },
+        },
+        sound: 'default',
+        badge: 2,
+      },
+    });
+  });
+
+  it('reads an FCM v1 message sent to a topic', () => {
+    const { channelId, content } = toMockNotificationContent({
+      id: 'push-2',
+      format: 'fcm-v1',
+      sentAt: 1000,
+      message: {
+        topic: 'news',
+        notification: { title: 'Breaking', body: 'News' },
+        data: { sentAt: '2000', categoryId: 'reply' },
+        android: { notification: { channel_id: 'news', color: '#FF5722' } },
+      },
+    });
+
+    expect(channelId).toBe('news');
+    expect(content).toMatchObject({
+      title: 'Breaking',
+      body: 'News',
+      sound: false,
+      color: '#FF5722',
+      categoryIdentifier: 'reply',
+      data: {
+        sentAt: '2000',
+        mockPush: { id: 'push-2', format: 'fcm-v1', topic: 'news' },
+      },
+    });
+  });
+});
+
+describe('relay URLs', () => {
+  it('only accepts WebSocket URLs', () => {
+    expect(readRelayUrl(' ws://10.0.2.2:4001/ws ')).toBe(
+      'ws://10.0.2.2:4001/ws'
+    );
+    expect(() => readRelayUrl('http://localhost:4001')).toThrow('ws://');
+  });
+
+  it('finds the HTTP endpoints next to the socket', () => {
+    expect(toRelayHttpUrl('ws://10.0.2.2:4001/ws', '/push/send')).toBe(
+      'http://10.0.2.2:4001/push/send'
+    );
+    expect(toRelayHttpUrl('wss://relay.test/ws', '/fcm/send')).toBe(
+      'https://relay.test/fcm/send'
+    );
+  });
+});
+
+describe('mock pushes in history', () => {
+  it('are shown locally under an identifier linked to the relay', async () => {
+    await presentMockPushAsync({
+      id: 'push-3',
+      format: 'expo',
+      sentAt: 1000,
+      message: { title: 'Hi' },
+    });
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith({
+      identifier: 'mock-push-3',
+      content: expect.objectContaining({ title: 'Hi' }),
+      trigger: null,
+    });
+  });
+
+  it('are logged as remote deliveries tagged mock', () => {
+    const { content } = toMockNotificationContent({
+      id: 'push-4',
+      format: 'fcm-v1',
+      sentAt: 1700000000000,
+      message: { topic: 'news', notification: { title: 'Hi' } },
+    });
+    const notification = Notifications.__createNotification({
+      identifier: 'mock-push-4',
+      ...content,
+    });
+
+    expect(
+      createHistoryEntry(notification, HistorySource.RECEIVED)
+    ).toMatchObject({
+      origin: HistoryOrigin.REMOTE,
+      receivedVia: ReceivedVia.MOCK,
+      topic: 'news',
+      sentAt: 1700000000000,
+    });
+  });
+});
+
+describe('startMockRelay', () => {
+  it('stays offline until the relay is turned on', async () => {
+    const stop = startMockRelay();
+    await flushPromises();
+
+    expect(FakeWebSocket.instances).toHaveLength(0);
+    expect(getRelayConnection().status).toBe(RelayStatus.OFF);
+    stop();
+  });
+
+  it('shows relayed pushes and acknowledges them', async () => {
+    const stop = startMockRelay();
+    await setMockRelayEnabled(true);
+    const [socket] = FakeWebSocket.instances;
+    const { token } = mockRelayStore.get();
+
+    socket.onopen();
+    expect(getRelayConnection().status).toBe(RelayStatus.CONNECTED);
+    expect(socket.sent[0]).toMatchObject({ type: 'hello', token });
+
+    socket.onmessage({
+      data: JSON.stringify({
+        type: 'push',
+        id: 'push-5',
+        format: 'expo',
+        sentAt: 1000,
+        message: { to: token, title: 'Relayed' },
+      }),
+    });
+    await flushPromises();
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(
+      expect.objectContaining({ identifier: 'mock-push-5' })
+    );
+    expect(socket.sent[1]).toEqual({ type: 'ack', id: 'push-5' });
+    expect(getRelayConnection().received).toBe(1);
+
+    stop();
+    expect(socket.closed).toBe(true);
+    expect(getRelayConnection().status).toBe(RelayStatus.OFF);
+  });
+
+  it('reconnects after the relay goes away', async () => {
+    jest.useFakeTimers();
+    const stop = startMockRelay();
+    await setMockRelayEnabled(true);
+
+    FakeWebSocket.instances[0].onclose();
+    expect(getRelayConnection().status).toBe(RelayStatus.RETRYING);
+    jest.advanceTimersByTime(1000);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    stop();
+    jest.useRealTimers();
+  });
+});
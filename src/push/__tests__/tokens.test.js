@@ -0,0 +1,81 @@
+// src/push/__tests__/tokens.test.js
+import * as Clipboard from 'expo-clipboard';
+import * as Device from 'expo-device';
+import * as Notifications from 'expo-notifications';
+import { getToken } from '@react-native-firebase/messaging';
+import {
+  TokenType,
+  copyTokenAsync,
+  getPushTokensAsync,
+  registerForPushNotificationsAsync,
+} from '../tokens';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Notifications.__reset();
+  Device.__setIsDevice(true);
+});
+
+describe('getPushTokensAsync', () => {
+  it('returns every token type', async () => {
+    await expect(getPushTokensAsync()).resolves.toEqual({
+      tokens: {
+        [TokenType.EXPO]: 'ExponentPushToken[test]',
+        [TokenType.FCM]: 'fcm-token',
+        [TokenType.DEVICE]: 'device-token',
+      },
+      errors: {},
+    });
+  });
+
+  it('keeps the other tokens when one service fails', async () => {
+    Notifications.getExpoPushTokenAsync.mockRejectedValue(
+      new Error('Network request failed')
+    );
+
+    const { tokens, errors } = await getPushTokensAsync();
+
+    expect(tokens[TokenType.EXPO]).toBeUndefined();
+    expect(tokens[TokenType.FCM]).toBe('fcm-token');
+    expect(errors[TokenType.EXPO]).toBe('Network request failed');
+  });
+});
+
+describe('registerForPushNotificationsAsync', () => {
+  it('refuses to run on an emulator', async () => {
+    Device.__setIsDevice(false);
+
+    await expect(registerForPushNotificationsAsync()).rejects.toThrow(
+      'not available on emulators'
+    );
+    expect(Notifications.getExpoPushTokenAsync).not.toHaveBeenCalled();
+  });
+
+  it('fails when no token could be fetched', async () => {
+    Notifications.getExpoPushTokenAsync.mockRejectedValue(new Error('offline'));
+    Notifications.getDevicePushTokenAsync.mockRejectedValue(
+      new Error('offline')
+    );
+    getToken.mockRejectedValueOnce(new Error('offline'));
+
+    await expect(registerForPushNotificationsAsync()).rejects.toThrow(
+      'Could not obtain any push token.'
+    );
+  });
+});
+
+describe('copyTokenAsync', () => {
+  it('copies the token and names its type', async () => {
+    await expect(copyTokenAsync(TokenType.FCM, 'fcm-token')).resolves.toBe(
+      'FCM'
+    );
+    await expect(Clipboard.getStringAsync()).resolves.toBe('fcm-token');
+  });
+
+  it('refuses to copy a missing token', async () => {
+    await expect(copyTokenAsync(TokenType.EXPO, undefined)).rejects.toThrow(
+      'No token available to copy'
+    );
+    expect(Clipboard.setStringAsync).not.toHaveBeenCalled();
+  });
+});
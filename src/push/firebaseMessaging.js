@@ -0,0 +1,96 @@
+// src/push/firebaseMessaging.js
+import { getApp } from '@react-native-firebase/app';
+import {
+  getMessaging,
+  getToken,
+  deleteToken,
+  getInitialNotification,
+  onMessage,
+  onNotificationOpenedApp,
+  onTokenRefresh,
+  setBackgroundMessageHandler,
+  subscribeToTopic,
+  unsubscribeFromTopic,
+} from '@react-native-firebase/messaging';
+import {
+  HistorySource,
+  ReceivedVia,
+  addToHistory,
+  createHistoryEntry,
+} from '../history/historyStore';
+
+// Resolve the messaging instance lazily so importing this file never
+// touches the native module before Firebase is initialized
+const messaging = () => getMessaging(getApp());
+
+// Native FCM registration token, the one Firebase Console expects
+export const getFcmTokenAsync = () => getToken(messaging());
+
+// Invalidate the current FCM token; the next getToken() issues a new one
+export const deleteFcmTokenAsync = () => deleteToken(messaging());
+
+// Topic messages reach every device subscribed to that topic
+export const subscribeToTopicAsync = (topic) =>
+  subscribeToTopic(messaging(), topic);
+
+export const unsubscribeFromTopicAsync = (topic) =>
+  unsubscribeFromTopic(messaging(), topic);
+
+// Firebase rotates tokens on its own, e.g. after restoring app data
+export const addTokenRefreshListener = (listener) =>
+  onTokenRefresh(messaging(), listener);
+
+// Reshape a Firebase RemoteMessage into the Notification object used by
+// expo-notifications, so history and detail views handle both the same way
+export function toExpoNotification(remoteMessage) {
+  const { notification = {}, data = {} } = remoteMessage;
+
+  return {
+    date: remoteMessage.sentTime ?? Date.now(),
+    request: {
+      identifier: remoteMessage.messageId ?? `fcm-${Date.now()}`,
+      content: {
+        title: notification.title ?? null,
+        body: notification.body ?? null,
+        data,
+        sound: notification.android?.sound ?? notification.ios?.sound ?? null,
+        badge: notification.ios?.badge ?? null,
+      },
+      trigger: { type: 'push', remoteMessage },
+    },
+  };
+}
+
+// Log a Firebase message into the persistent history
+export const logRemoteMessage = (remoteMessage, source, extra = {}) =>
+  addToHistory(
+    createHistoryEntry(toExpoNotification(remoteMessage), source, {
+      receivedVia: ReceivedVia.FIREBASE,
+      ...extra,
+    })
+  );
+
+// Listen for FCM messages while the app is in the foreground
+export const addForegroundMessageListener = (listener) =>
+  onMessage(messaging(), listener);
+
+// Listen for taps on FCM notifications that reopen a backgrounded app
+export const addMessageOpenedListener = (listener) =>
+  onNotificationOpenedApp(messaging(), listener);
+
+// FCM notification that launched the app from a quit state, if any
+export const getInitialRemoteMessageAsync = () =>
+  getInitialNotification(messaging());
+
+// Must run from index.js before the root component is registered,
+// otherwise Android drops messages delivered while the app is closed
+export function registerBackgroundMessageHandler() {
+  setBackgroundMessageHandler(messaging(), async (remoteMessage) => {
+    console.log('FCM message received in background:', remoteMessage);
+    try {
+      await logRemoteMessage(remoteMessage, HistorySource.BACKGROUND);
+    } catch (error) {
+      console.error('Error logging background FCM message:', error);
+    }
+  });
+}
@@ -0,0 +1,252 @@
+// src/push/mockRelay.js
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import { createPersistentStore } from '../storage/persistentStore';
+import { createListeners } from '../utils/listeners';
+import { createId } from '../utils/id';
+import { getBackoffDelay } from '../utils/retry';
+import {
+  IMAGE_DATA_KEY,
+  withImageAttachmentAsync,
+} from '../notifications/richContent';
+import { PushFormat, sendPush } from './pushSender';
+import { t } from '../i18n';
+
+// The local relay (scripts/mock-push-relay.js) stands in for Expo and FCM
+// where real pushes are impossible, e.g. on emulators, in CI or offline
+// Relayed pushes become local notifications carrying this data key, so
+// history can tell them apart from real deliveries
+export const MOCK_PUSH_DATA_KEY = 'mockPush';
+
+export const isMockPush = (notification) =>
+  !!notification?.request?.content?.data?.[MOCK_PUSH_DATA_KEY];
+
+// The host machine is 10.0.2.2 from an Android emulator and localhost
+// from the iOS simulator
+export const DEFAULT_RELAY_URL =
+  Platform.OS === 'android'
+    ? 'ws://10.0.2.2:4001/ws'
+    : 'ws://localhost:4001/ws';
+
+// The token identifies this install to the relay, like a push token would
+const createMockToken = () => `MockPushToken[${createId()}]`;
+
+export const mockRelayStore = createPersistentStore({
+  key: '@myNotifications/mockRelay',
+  defaultValue: { url: DEFAULT_RELAY_URL, enabled: false, token: null },
+  hydrate: (stored) => ({ url: DEFAULT_RELAY_URL, ...stored }),
+});
+
+export function readRelayUrl(text) {
+  const url = text.trim();
+  if (!/^wss?:\/\/\S+$/i.test(url)) {
+    throw new Error(t('mockRelay.errors.url'));
+  }
+  return url;
+}
+
+export const setMockRelayUrl = (text) => {
+  const url = readRelayUrl(text);
+  return mockRelayStore.update((settings) => ({ ...settings, url }));
+};
+
+// The token is created the first time the relay is turned on
+export const setMockRelayEnabled = (enabled) =>
+  mockRelayStore.update((settings) => ({
+    ...settings,
+    enabled,
+    token: settings.token ?? createMockToken(),
+  }));
+
+// HTTP endpoints live next to the WebSocket, e.g. ws://host:4001/ws
+// -> http://host:4001/push/send
+export const toRelayHttpUrl = (url, path) =>
+  url.replace(/^ws/i, 'http').replace(/\/ws\/?$/i, '') + path;
+
+// Turn an Expo or FCM v1 message from the relay into local notification
+// content; the channel is returned separately since it belongs in the
+// trigger
+export function toMockNotificationContent({ id, format, sentAt, message }) {
+  const isFcm = format === 'fcm-v1';
+  const notification = isFcm ? message.notification ?? {} : message;
+  const android = isFcm ? message.android?.notification ?? {} : {};
+  const aps = isFcm ? message.apns?.payload?.aps ?? {} : {};
+  const image = isFcm ? notification.image : message.richContent?.image;
+  const data = message.data ?? {};
+  const badge = Number(
+    isFcm ? android.notification_count ?? aps.badge : message.badge
+  );
+  const category = isFcm
+    ? data.categoryId ?? aps.category
+    : message.categoryId;
+
+  return {
+    channelId: (isFcm ? android.channel_id : message.channelId) ?? null,
+    content: {
+      title: notification.title ?? undefined,
+      subtitle: (isFcm ? aps.alert?.subtitle : message.subtitle) ?? undefined,
+      body: notification.body ?? undefined,
+      data: {
+        ...data,
+        ...(image ? { [IMAGE_DATA_KEY]: image } : {}),
+        sentAt: data.sentAt ?? sentAt,
+        [MOCK_PUSH_DATA_KEY]: {
+          id,
+          format,
+          ...(message.topic ? { topic: message.topic } : {}),
+        },
+      },
+      sound: (isFcm ? android.sound ?? aps.sound : message.sound) ?? false,
+      ...(Number.isInteger(badge) ? { badge } : {}),
+      ...(android.color ? { color: android.color } : {}),
+      ...(category ? { categoryIdentifier: category } : {}),
+    },
+  };
+}
+
+// Show a relayed push right away; its identifier links it to the relay
+export async function presentMockPushAsync(push) {
+  const { channelId, content } = toMockNotificationContent(push);
+  return Notifications.scheduleNotificationAsync({
+    identifier: `mock-${push.id}`,
+    content: await withImageAttachmentAsync(content),
+    trigger: channelId ? { channelId } : null,
+  });
+}
+
+// Ask the relay to push a test message back to this device, which runs
+// the whole receive, tap and history pipeline without any other tool
+export async function sendMockTestPushAsync() {
+  await mockRelayStore.load();
+  const { url, token } = mockRelayStore.get();
+  return sendPush({
+    format: PushFormat.EXPO,
+    endpoint: toRelayHttpUrl(url, '/push/send'),
+    message: {
+      to: token,
+      title: t('mockRelay.testPush.title'),
+      body: t('mockRelay.testPush.body'),
+      data: { sentAt: Date.now(), screen: 'history' },
+    },
+  });
+}
+
+// Connection state for the relay screen
+//   OFF         the relay is turned off
+//   CONNECTING  waiting for the socket to open
+//   CONNECTED   pushes are being received
+//   RETRYING    the socket closed; reconnecting with backoff
+export const RelayStatus = {
+  OFF: 'off',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RETRYING: 'retrying',
+};
+
+const connectionListeners = createListeners();
+let connection = { status: RelayStatus.OFF, error: null, received: 0 };
+
+export const subscribeToRelayConnection = connectionListeners.subscribe;
+export const getRelayConnection = () => connection;
+
+const setConnection = (changes) => {
+  connection = { ...connection, ...changes };
+  connectionListeners.notify();
+};
+
+let socket = null;
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+
+async function handleRelayMessage(ws, text) {
+  const message = JSON.parse(text);
+  if (message.type !== 'push') {
+    return;
+  }
+  await presentMockPushAsync(message);
+  ws.send(JSON.stringify({ type: 'ack', id: message.id }));
+  setConnection({ received: connection.received + 1 });
+}
+
+function connect(settings) {
+  const ws = new WebSocket(settings.url);
+  socket = ws;
+  setConnection({ status: RelayStatus.CONNECTING });
+
+  ws.onopen = () => {
+    reconnectAttempt = 0;
+    setConnection({ status: RelayStatus.CONNECTED, error: null });
+    ws.send(
+      JSON.stringify({
+        type: 'hello',
+        token: settings.token,
+        platform: Platform.OS,
+        deviceName: Device.deviceName,
+      })
+    );
+  };
+
+  ws.onmessage = (event) => {
+    handleRelayMessage(ws, event.data).catch((error) => {
+      console.error('Could not show mock push:', error);
+    });
+  };
+
+  ws.onerror = (event) => {
+    setConnection({
+      error: event.message ?? t('mockRelay.errors.connection'),
+    });
+  };
+
+  // Keep trying while the relay is on, e.g. until the script is started
+  ws.onclose = () => {
+    if (socket !== ws) {
+      return;
+    }
+    socket = null;
+    setConnection({ status: RelayStatus.RETRYING });
+    reconnectTimer = setTimeout(
+      () => connect(settings),
+      getBackoffDelay(reconnectAttempt++, 1000, 30000)
+    );
+  };
+}
+
+function disconnect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempt = 0;
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close();
+  }
+  setConnection({ status: RelayStatus.OFF });
+}
+
+// Follow the saved relay settings for as long as the app is running
+// Returns a function that disconnects
+export function startMockRelay() {
+  let current = null;
+
+  const apply = () => {
+    const settings = mockRelayStore.get();
+    const next = settings.enabled ? `${settings.url} ${settings.token}` : null;
+    if (next === current) {
+      return;
+    }
+    current = next;
+    disconnect();
+    if (next) {
+      connect(settings);
+    }
+  };
+
+  mockRelayStore.load().then(apply);
+  const unsubscribe = mockRelayStore.subscribe(apply);
+  return () => {
+    unsubscribe();
+    disconnect();
+  };
+}
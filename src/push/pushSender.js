@@ -0,0 +1,232 @@
+// src/push/pushSender.js
+import { getApp } from '@react-native-firebase/app';
+import { parseDataJson } from '../utils/json';
+import {
+  IMAGE_DATA_KEY,
+  readColor,
+  readImageUrl,
+} from '../notifications/richContent';
+import { t } from '../i18n';
+
+// Wire formats the composer can produce
+export const PushFormat = {
+  EXPO: 'expo',
+  FCM_V1: 'fcm-v1',
+};
+
+export const EXPO_SEND_ENDPOINT = 'https://exp.host/--/api/v2/push/send';
+export const EXPO_RECEIPTS_ENDPOINT =
+  'https://exp.host/--/api/v2/push/getReceipts';
+
+// FCM HTTP v1 is scoped to the Firebase project this app belongs to
+export const getDefaultFcmEndpoint = () => {
+  let projectId = '<project-id>';
+  try {
+    projectId = getApp().options.projectId;
+  } catch (error) {
+    console.error('Could not read Firebase project id:', error);
+  }
+  return `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
+};
+
+// The access token is a credential, so it lives in memory for this
+// session only and is never written to AsyncStorage
+let sessionAuthToken = '';
+
+export const getSessionAuthToken = () => sessionAuthToken;
+
+export const setSessionAuthToken = (token) => {
+  sessionAuthToken = token;
+};
+
+// Fields shared by both formats; numbers are kept as strings while editing
+export const DEFAULT_PUSH_FORM = {
+  to: '',
+  title: '',
+  subtitle: '',
+  body: '',
+  data: '{\n  "sentFrom": "composer"\n}',
+  imageUrl: '',
+  color: '',
+  icon: '',
+  channelId: 'default',
+  categoryId: '',
+  sound: 'default',
+  badge: '',
+  priority: 'high',
+  ttl: '',
+  collapseKey: '',
+};
+
+// A fresh push form with sample text in the app language
+export const createDefaultPushForm = () => ({
+  ...DEFAULT_PUSH_FORM,
+  title: t('composePush.sampleTitle'),
+  body: t('composePush.sampleBody'),
+});
+
+const toNumber = (text) => {
+  const value = Number(text);
+  return text !== '' && Number.isFinite(value) ? value : undefined;
+};
+
+// Drop undefined keys so the payload stays readable in the preview
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+// Stamp `data.sentAt` so the receiving device can measure delivery latency
+// The image URL is copied into data so the history can show a thumbnail
+const readData = (form, sentAt) => {
+  const imageUrl = readImageUrl(form.imageUrl ?? '');
+  return {
+    ...parseDataJson(form.data),
+    ...(imageUrl ? { [IMAGE_DATA_KEY]: imageUrl } : {}),
+    ...(sentAt ? { sentAt } : {}),
+  };
+};
+
+// Message for the Expo Push API
+// Expo has no collapse key, accent color or icon, so those only apply to FCM
+// Images need a notification service extension to show up on iOS
+export function buildExpoMessage(form, { sentAt } = {}) {
+  const imageUrl = readImageUrl(form.imageUrl ?? '');
+  return compact({
+    to: form.to,
+    title: form.title || undefined,
+    subtitle: form.subtitle || undefined,
+    body: form.body || undefined,
+    data: readData(form, sentAt),
+    richContent: imageUrl ? { image: imageUrl } : undefined,
+    channelId: form.channelId || undefined,
+    categoryId: form.categoryId || undefined,
+    sound: form.sound || undefined,
+    badge: toNumber(form.badge),
+    priority: form.priority,
+    ttl: toNumber(form.ttl),
+  });
+}
+
+// Message for the FCM HTTP v1 API
+// FCM only accepts string values inside `data`
+// expo-notifications on Android reads the category from `data.categoryId`,
+// iOS from `aps.category`
+// Android shows `notification.image` in the big picture style; iOS needs
+// `mutable-content` and a notification service extension for it
+export function buildFcmMessage(form, { sentAt } = {}) {
+  const imageUrl = readImageUrl(form.imageUrl ?? '');
+  const color = readColor(form.color ?? '');
+  const data = Object.fromEntries(
+    Object.entries({
+      ...readData(form, sentAt),
+      ...(form.categoryId ? { categoryId: form.categoryId } : {}),
+    }).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? value : JSON.stringify(value),
+    ])
+  );
+  const ttl = toNumber(form.ttl);
+  const badge = toNumber(form.badge);
+
+  // "/topics/news" targets every device subscribed to that topic
+  const target = form.to.startsWith('/topics/')
+    ? { topic: form.to.slice('/topics/'.length) }
+    : { token: form.to };
+
+  return {
+    message: compact({
+      ...target,
+      notification: compact({
+        title: form.title || undefined,
+        body: form.body || undefined,
+        image: imageUrl,
+      }),
+      data,
+      android: compact({
+        priority: form.priority === 'high' ? 'HIGH' : 'NORMAL',
+        ttl: ttl !== undefined ? `${ttl}s` : undefined,
+        collapse_key: form.collapseKey || undefined,
+        notification: compact({
+          channel_id: form.channelId || undefined,
+          sound: form.sound || undefined,
+          notification_count: badge,
+          color,
+          icon: form.icon || undefined,
+        }),
+      }),
+      apns: {
+        headers: compact({
+          'apns-priority': form.priority === 'high' ? '10' : '5',
+          'apns-collapse-id': form.collapseKey || undefined,
+          'apns-expiration':
+            ttl !== undefined
+              ? String(Math.floor(Date.now() / 1000) + ttl)
+              : undefined,
+        }),
+        payload: {
+          aps: compact({
+            sound: form.sound || undefined,
+            badge,
+            category: form.categoryId || undefined,
+            // A custom alert replaces the one FCM builds, so repeat it all
+            alert: form.subtitle
+              ? compact({
+                  title: form.title || undefined,
+                  subtitle: form.subtitle,
+                  body: form.body || undefined,
+                })
+              : undefined,
+            'mutable-content': imageUrl ? 1 : undefined,
+          }),
+        },
+        ...(imageUrl ? { fcm_options: { image: imageUrl } } : {}),
+      },
+    }),
+  };
+}
+
+export const buildPushMessage = (format, form, options) =>
+  format === PushFormat.FCM_V1
+    ? buildFcmMessage(form, options)
+    : buildExpoMessage(form, options);
+
+const postJson = async (endpoint, body, authToken) => {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+
+  const json = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail =
+      json.error?.message ?? json.errors?.[0]?.message ?? response.statusText;
+    throw new Error(
+      t('composePush.sendFailed', { status: response.status, detail })
+    );
+  }
+  return json;
+};
+
+// Send the message and normalize the reply into a list of tickets
+// Expo returns `{ data: ticket | ticket[] }`, FCM returns `{ name }`
+export async function sendPush({ format, endpoint, authToken, message }) {
+  const json = await postJson(endpoint, message, authToken);
+
+  if (format === PushFormat.FCM_V1) {
+    return [{ status: 'ok', id: json.name }];
+  }
+  return Array.isArray(json.data) ? json.data : [json.data];
+}
+
+// Look up delivery receipts for Expo tickets
+// Receipts that are not ready yet are simply missing from the reply
+export async function fetchReceipts({ endpoint, authToken, ids }) {
+  const json = await postJson(endpoint, { ids }, authToken);
+  return json.data ?? {};
+}
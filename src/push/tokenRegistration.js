@@ -0,0 +1,110 @@
+// src/push/tokenRegistration.js
+import { Platform } from 'react-native';
+import * as Device from 'expo-device';
+import { getSettings, settingsStore } from '../storage/settingsStore';
+import { retryWithBackoff } from '../utils/retry';
+import { recordToken, revokeToken, setReportResult } from './tokenStore';
+import { t } from '../i18n';
+
+// Network failures, rate limits and server errors are temporary;
+// other 4xx responses mean the request itself is wrong
+const isRetryable = (error) =>
+  error.status === undefined || error.status === 429 || error.status >= 500;
+
+// A server that never answers would otherwise hold the report forever
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Send one create/update/revoke call to the configured endpoint
+// A timed-out call has no status, so it is retried like a network error
+async function postTokenChange(endpoint, change) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...change,
+        platform: Platform.OS,
+        deviceName: Device.deviceName,
+        timestamp: new Date().toISOString(),
+      }),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(
+        t('tokenLifecycle.timedOut', { seconds: REQUEST_TIMEOUT_MS / 1000 })
+      );
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    const error = new Error(
+      t('tokenLifecycle.serverError', { status: response.status })
+    );
+    error.status = response.status;
+    throw error;
+  }
+}
+
+// Report a token change, retrying with exponential backoff
+// Does nothing when no registration endpoint is configured
+export async function reportTokenChange(change) {
+  await settingsStore.load();
+  const { tokenEndpoint } = getSettings();
+  if (!change || !tokenEndpoint) {
+    return;
+  }
+
+  let attempts = 0;
+  try {
+    await retryWithBackoff(
+      (attempt) => {
+        attempts = attempt + 1;
+        return postTokenChange(tokenEndpoint, change);
+      },
+      { retries: 4, baseDelayMs: 1000, shouldRetry: isRetryable }
+    );
+    await setReportResult(change.type, change.token, {
+      action: change.action,
+      status: 'ok',
+      attempts,
+      at: Date.now(),
+    });
+  } catch (error) {
+    console.error(`Token ${change.action} report failed:`, error);
+    await setReportResult(change.type, change.token, {
+      action: change.action,
+      status: 'failed',
+      attempts,
+      error: error.message,
+      at: Date.now(),
+    });
+  }
+}
+
+// Record every fetched token and report the ones that changed
+export async function syncTokens(tokens) {
+  const changes = [];
+  for (const [type, value] of Object.entries(tokens)) {
+    const change = await recordToken(type, value);
+    if (change) {
+      changes.push(change);
+    }
+  }
+
+  await Promise.all(changes.map(reportTokenChange));
+  return changes;
+}
+
+// Record and report that a token is no longer valid
+export async function revokeAndReportToken(type) {
+  const change = await revokeToken(type);
+  await reportTokenChange(change);
+  return change;
+}
@@ -0,0 +1,95 @@
+// src/push/tokenStore.js
+import { createPersistentStore } from '../storage/persistentStore';
+
+// What happened to a token, matching the calls sent to the backend
+export const TokenAction = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  REVOKE: 'revoke',
+};
+
+// Every token value ever seen on this device, newest first
+// Records are { type, value, firstSeen, lastSeen, revokedAt, lastReport }
+export const tokenStore = createPersistentStore({
+  key: '@myNotifications/tokens',
+  defaultValue: [],
+});
+
+const findActive = (records, type) =>
+  records.find((record) => record.type === type && !record.revokedAt);
+
+// Current token of each type as `{ [type]: value }`
+export const getActiveTokens = (records) =>
+  Object.fromEntries(
+    records
+      .filter((record) => !record.revokedAt)
+      .map((record) => [record.type, record.value])
+  );
+
+// Store a freshly fetched token and describe what changed
+// Returns null when the token is the same one we already know
+export async function recordToken(type, value) {
+  let change = null;
+  const now = Date.now();
+
+  await tokenStore.update((records) => {
+    const active = findActive(records, type);
+
+    if (active?.value === value) {
+      return records.map((record) =>
+        record === active ? { ...record, lastSeen: now } : record
+      );
+    }
+
+    // A different value means the token rotated; retire the old one
+    change = {
+      action: active ? TokenAction.UPDATE : TokenAction.CREATE,
+      type,
+      token: value,
+      previousToken: active?.value ?? null,
+    };
+    const retired = records.map((record) =>
+      record === active ? { ...record, revokedAt: now } : record
+    );
+    return [
+      { type, value, firstSeen: now, lastSeen: now, revokedAt: null },
+      ...retired,
+    ];
+  });
+
+  return change;
+}
+
+// Mark the active token of a type as revoked, e.g. after deleteToken()
+export async function revokeToken(type) {
+  let change = null;
+
+  await tokenStore.update((records) => {
+    const active = findActive(records, type);
+    if (!active) {
+      return records;
+    }
+
+    change = {
+      action: TokenAction.REVOKE,
+      type,
+      token: active.value,
+      previousToken: null,
+    };
+    return records.map((record) =>
+      record === active ? { ...record, revokedAt: Date.now() } : record
+    );
+  });
+
+  return change;
+}
+
+// Remember the outcome of the last backend call for a token value
+export const setReportResult = (type, value, lastReport) =>
+  tokenStore.update((records) =>
+    records.map((record) =>
+      record.type === type && record.value === value
+        ? { ...record, lastReport }
+        : record
+    )
+  );
@@ -0,0 +1,106 @@
+// src/push/tokens.js
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import * as Clipboard from 'expo-clipboard';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
+import { getFcmTokenAsync } from './firebaseMessaging';
+import { t } from '../i18n';
+
+// Kinds of push tokens the app can show and copy
+export const TokenType = {
+  EXPO: 'expo',
+  FCM: 'fcm',
+  DEVICE: 'device',
+};
+
+// Where each token type is meant to be pasted
+export const TOKEN_DESCRIPTIONS = {
+  [TokenType.EXPO]: {
+    label: 'Expo',
+    titleKey: 'tokens.expo.title',
+    hintKey: 'tokens.expo.hint',
+  },
+  [TokenType.FCM]: {
+    label: 'FCM',
+    titleKey: 'tokens.fcm.title',
+    hintKey: 'tokens.fcm.hint',
+  },
+  [TokenType.DEVICE]: {
+    label: Platform.OS === 'ios' ? 'APNs' : 'Device',
+    titleKey:
+      Platform.OS === 'ios' ? 'tokens.device.titleIos' : 'tokens.device.title',
+    hintKey: 'tokens.device.hint',
+  },
+};
+
+// The Expo token wraps the native token for the Expo Push Service
+const getExpoTokenAsync = async () =>
+  (
+    await Notifications.getExpoPushTokenAsync({
+      projectId:
+        Constants.expoConfig?.extra?.eas?.projectId ??
+        Constants.easConfig?.projectId,
+    })
+  ).data;
+
+// APNs token on iOS, FCM token on Android
+const getDeviceTokenAsync = async () =>
+  (await Notifications.getDevicePushTokenAsync()).data;
+
+const TOKEN_GETTERS = {
+  [TokenType.EXPO]: getExpoTokenAsync,
+  [TokenType.FCM]: getFcmTokenAsync,
+  [TokenType.DEVICE]: getDeviceTokenAsync,
+};
+
+// Fetch every token type independently, so one failing service
+// (e.g. no network for Expo) does not hide the others
+export async function getPushTokensAsync() {
+  const types = Object.values(TokenType);
+  const results = await Promise.allSettled(
+    types.map((type) => TOKEN_GETTERS[type]())
+  );
+
+  const tokens = {};
+  const errors = {};
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value) {
+      tokens[types[index]] = result.value;
+    } else {
+      errors[types[index]] =
+        result.reason?.message ?? t('tokens.errors.unavailable');
+    }
+  });
+
+  return { tokens, errors };
+}
+
+// Get every push token for this device
+// Only called once notification permissions have been granted
+export async function registerForPushNotificationsAsync() {
+  // Push notifications require a physical device
+  if (!Device.isDevice) {
+    throw new Error(t('tokens.errors.emulator'));
+  }
+
+  // Get the Expo, FCM and raw device tokens
+  // Each one targets a different sending service
+  const result = await getPushTokensAsync();
+
+  if (Object.keys(result.tokens).length === 0) {
+    throw new Error(t('tokens.errors.noToken'));
+  }
+
+  return result;
+}
+
+// Copy a token to the clipboard for external sending tools
+// Resolves to the token's label, e.g. "FCM"
+export async function copyTokenAsync(type, token) {
+  if (!token) {
+    throw new Error(t('tokens.errors.nothingToCopy'));
+  }
+  await Clipboard.setStringAsync(token);
+  return TOKEN_DESCRIPTIONS[type].label;
+}
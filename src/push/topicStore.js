@@ -0,0 +1,45 @@
+// src/push/topicStore.js
+import { createPersistentStore } from '../storage/persistentStore';
+import {
+  subscribeToTopicAsync,
+  unsubscribeFromTopicAsync,
+} from './firebaseMessaging';
+import { t } from '../i18n';
+
+// FCM has no API to list a device's topics, so we remember them here
+// Records are { name, subscribedAt }, newest first
+export const topicStore = createPersistentStore({
+  key: '@myNotifications/topics',
+  defaultValue: [],
+});
+
+// The characters FCM allows in a topic name
+const TOPIC_PATTERN = /^[a-zA-Z0-9-_.~%]{1,900}$/;
+
+// Accept "news" as well as "/topics/news"; throws a readable error
+// when the name is not a valid FCM topic
+export function normalizeTopicName(text) {
+  const name = text.trim().replace(/^\/topics\//, '');
+  if (!TOPIC_PATTERN.test(name)) {
+    throw new Error(t('topics.errors.name'));
+  }
+  return name;
+}
+
+// Subscribe with Firebase first so the list only holds real subscriptions
+export async function subscribeTopic(text) {
+  const name = normalizeTopicName(text);
+  await subscribeToTopicAsync(name);
+  await topicStore.update((topics) => [
+    { name, subscribedAt: Date.now() },
+    ...topics.filter((topic) => topic.name !== name),
+  ]);
+  return name;
+}
+
+export async function unsubscribeTopic(name) {
+  await unsubscribeFromTopicAsync(name);
+  await topicStore.update((topics) =>
+    topics.filter((topic) => topic.name !== name)
+  );
+}
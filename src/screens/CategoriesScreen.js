@@ -0,0 +1,479 @@
+// src/screens/CategoriesScreen.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  Platform,
+} from 'react-native';
+import FormField from '../components/FormField';
+import { useCategories } from '../hooks/useCategories';
+import {
+  DEFAULT_ACTION_FORM,
+  DEFAULT_CATEGORY_FORM,
+  buildCategoryActions,
+  categoryToForm,
+  deleteCategoryAsync,
+  saveCategoryAsync,
+  sendCategoryTestAsync,
+} from '../notifications/categories';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import { t } from '../i18n';
+
+// Short description of an action for the category list
+const describeAction = (action) =>
+  [
+    action.buttonTitle,
+    action.textInput ? t('categories.textReplyTag') : null,
+    action.options?.opensAppToForeground === false
+      ? t('categories.backgroundTag')
+      : null,
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+// Define notification categories with action buttons and text replies
+const CategoriesScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { categories } = useCategories();
+  // `null` shows the list; `{ isNew, form }` shows the category editor
+  const [editing, setEditing] = useState(null);
+
+  const form = editing?.form;
+  const updateAction = (index, changes) =>
+    setEditing((prev) => ({
+      ...prev,
+      form: {
+        ...prev.form,
+        actions: prev.form.actions.map((action, i) =>
+          i === index ? { ...action, ...changes } : action
+        ),
+      },
+    }));
+  const addAction = () =>
+    setEditing((prev) => ({
+      ...prev,
+      form: {
+        ...prev.form,
+        actions: [...prev.form.actions, DEFAULT_ACTION_FORM],
+      },
+    }));
+  const removeAction = (index) =>
+    setEditing((prev) => ({
+      ...prev,
+      form: {
+        ...prev.form,
+        actions: prev.form.actions.filter((_, i) => i !== index),
+      },
+    }));
+
+  const validationError = useMemo(() => {
+    if (!form) {
+      return null;
+    }
+    try {
+      buildCategoryActions(form);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }, [form]);
+
+  const saveCategory = async () => {
+    if (validationError) {
+      Alert.alert(t('categories.invalid'), validationError);
+      return;
+    }
+    try {
+      await saveCategoryAsync(form);
+      setEditing(null);
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('categories.saveFailed', { message: error.message })
+      );
+    }
+  };
+
+  const confirmDelete = (identifier) => {
+    Alert.alert(
+      t('channels.deleteTitle', { id: identifier }),
+      t('categories.deleteMessage'),
+      [
+        { text: t('channels.keep'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: () => deleteCategoryAsync(identifier),
+        },
+      ]
+    );
+  };
+
+  const testCategory = async (identifier) => {
+    try {
+      await sendCategoryTestAsync(identifier);
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('channels.testFailed', { message: error.message })
+      );
+    }
+  };
+
+  const renderSwitch = (index, label, key) => (
+    <View style={styles.switchRow}>
+      <Text style={styles.label}>{label}</Text>
+      <Switch
+        value={form.actions[index][key]}
+        onValueChange={(value) => updateAction(index, { [key]: value })}
+      />
+    </View>
+  );
+
+  // Editing replaces the list, like the channel editor
+  if (editing) {
+    return (
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <TouchableOpacity onPress={() => setEditing(null)}>
+          <Text style={styles.backButtonText}>{t('categories.back')}</Text>
+        </TouchableOpacity>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {editing.isNew
+              ? t('categories.newTitle')
+              : `✏️ ${form.identifier}`}
+          </Text>
+          {editing.isNew && (
+            <FormField
+              label={t('categories.id')}
+              value={form.identifier}
+              onChangeText={(identifier) =>
+                setEditing((prev) => ({
+                  ...prev,
+                  form: { ...prev.form, identifier },
+                }))
+              }
+              autoCapitalize="none"
+              hint={t('categories.idHint')}
+            />
+          )}
+        </View>
+
+        {form.actions.map((action, index) => (
+          <View key={index} style={styles.card}>
+            <View style={styles.header}>
+              <Text style={styles.actionTitle}>
+                {t('categories.actionTitle', { index: index + 1 })}
+              </Text>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.deleteButton]}
+                onPress={() => removeAction(index)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('categories.remove')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.row}>
+              <FormField
+                label={t('categories.actionId')}
+                value={action.identifier}
+                onChangeText={(identifier) =>
+                  updateAction(index, { identifier })
+                }
+                autoCapitalize="none"
+                containerStyle={styles.rowField}
+              />
+              <FormField
+                label={t('categories.buttonTitle')}
+                value={action.buttonTitle}
+                onChangeText={(buttonTitle) =>
+                  updateAction(index, { buttonTitle })
+                }
+                containerStyle={styles.rowField}
+              />
+            </View>
+            {renderSwitch(index, t('categories.textReply'), 'isTextInput')}
+            {action.isTextInput && (
+              <View style={styles.row}>
+                <FormField
+                  label={t('categories.placeholder')}
+                  value={action.placeholder}
+                  onChangeText={(placeholder) =>
+                    updateAction(index, { placeholder })
+                  }
+                  containerStyle={styles.rowField}
+                />
+                {Platform.OS === 'ios' && (
+                  <FormField
+                    label={t('categories.submitButton')}
+                    value={action.submitButtonTitle}
+                    onChangeText={(submitButtonTitle) =>
+                      updateAction(index, { submitButtonTitle })
+                    }
+                    placeholder={t('categories.send')}
+                    containerStyle={styles.rowField}
+                  />
+                )}
+              </View>
+            )}
+            {renderSwitch(
+              index,
+              t('categories.opensApp'),
+              'opensAppToForeground'
+            )}
+            {Platform.OS === 'ios' && (
+              <>
+                {renderSwitch(
+                  index,
+                  t('categories.destructive'),
+                  'isDestructive'
+                )}
+                {renderSwitch(
+                  index,
+                  t('categories.requireUnlock'),
+                  'isAuthenticationRequired'
+                )}
+              </>
+            )}
+          </View>
+        ))}
+
+        <TouchableOpacity
+          style={[styles.smallButton, styles.newButton, styles.addAction]}
+          onPress={addAction}
+        >
+          <Text style={styles.smallButtonText}>
+            {t('categories.addAction')}
+          </Text>
+        </TouchableOpacity>
+
+        {validationError && (
+          <Text style={styles.errorText}>⚠️ {validationError}</Text>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, validationError && styles.buttonDisabled]}
+          onPress={saveCategory}
+        >
+          <Text style={styles.buttonText}>{t('categories.save')}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('categories.title', { count: categories.length })}
+          </Text>
+          <TouchableOpacity
+            style={[styles.smallButton, styles.newButton]}
+            onPress={() =>
+              setEditing({ isNew: true, form: DEFAULT_CATEGORY_FORM })
+            }
+          >
+            <Text style={styles.smallButtonText}>
+              {t('presentationRules.new')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.hint}>
+          {t('categories.hint')}
+        </Text>
+
+        {categories.map((category) => (
+          <View key={category.identifier} style={styles.item}>
+            <Text style={styles.itemTitle}>{category.identifier}</Text>
+            {category.actions.map((action) => (
+              <Text key={action.identifier} style={styles.itemMeta}>
+                • {describeAction(action)}
+                <Text style={styles.itemId}>  {action.identifier}</Text>
+              </Text>
+            ))}
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.testButton]}
+                onPress={() => testCategory(category.identifier)}
+              >
+                <Text style={styles.smallButtonText}>{t('channels.test')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.editButton]}
+                onPress={() =>
+                  setEditing({ isNew: false, form: categoryToForm(category) })
+                }
+              >
+                <Text style={styles.smallButtonText}>{t('common.edit')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.deleteButton]}
+                onPress={() => confirmDelete(category.identifier)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('common.delete')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    actionTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      flex: 1,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+      marginBottom: 12,
+    },
+    row: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    rowField: {
+      flex: 1,
+      marginHorizontal: 2,
+    },
+    switchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    item: {
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#9C27B0',
+    },
+    itemTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4,
+    },
+    itemId: {
+      fontSize: 11,
+      color: colors.textMuted,
+    },
+    itemMeta: {
+      fontSize: 12,
+      color: colors.textSecondary,
+      marginBottom: 2,
+    },
+    actionRow: {
+      flexDirection: 'row',
+      marginTop: 8,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginRight: 6,
+    },
+    newButton: {
+      backgroundColor: '#4CAF50',
+      marginBottom: 12,
+    },
+    addAction: {
+      alignSelf: 'flex-start',
+      paddingVertical: 8,
+    },
+    testButton: {
+      backgroundColor: '#FF9800',
+    },
+    editButton: {
+      backgroundColor: '#2196F3',
+    },
+    deleteButton: {
+      backgroundColor: '#f44336',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    backButtonText: {
+      fontSize: 14,
+      color: '#2196F3',
+      fontWeight: '600',
+      marginBottom: 12,
+    },
+    button: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginBottom: 20,
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+  });
+
+export default CategoriesScreen;
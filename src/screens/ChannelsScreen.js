@@ -0,0 +1,587 @@
+// src/screens/ChannelsScreen.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Alert,
+} from 'react-native';
+import FormField from '../components/FormField';
+import OptionChips from '../components/OptionChips';
+import { useChannels } from '../hooks/useChannels';
+import {
+  DEFAULT_CHANNEL_FORM,
+  IMPORTANCE_OPTIONS,
+  VISIBILITY_OPTIONS,
+  buildChannelInput,
+  channelToForm,
+  deleteChannelAsync,
+  deleteChannelGroupAsync,
+  getOptionKey,
+  saveChannelAsync,
+  saveChannelGroupAsync,
+  sendChannelTestAsync,
+  supportsChannels,
+} from '../notifications/channels';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+const EMPTY_GROUP_FORM = { id: '', name: '', description: '' };
+
+// Create, inspect, edit and delete Android channels and channel groups
+const ChannelsScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { channels, groups } = useChannels();
+  // `null` shows the lists; `{ isNew, form }` shows the channel editor
+  const [editing, setEditing] = useState(null);
+  const [groupForm, setGroupForm] = useState(EMPTY_GROUP_FORM);
+
+  const toChips = (options, group) =>
+    options.map(({ key, value }) => ({
+      label: t(`channels.${group}.${key}`),
+      value,
+    }));
+  const optionLabel = (options, group, value) =>
+    t(`channels.${group}.${getOptionKey(options, value)}`);
+  const yesNo = (value) => (value ? t('channels.yes') : t('channels.no'));
+
+  const form = editing?.form;
+  const update = (changes) =>
+    setEditing((prev) => ({ ...prev, form: { ...prev.form, ...changes } }));
+
+  const validationError = useMemo(() => {
+    if (!form) {
+      return null;
+    }
+    try {
+      buildChannelInput(form);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }, [form]);
+
+  const saveChannel = async () => {
+    if (validationError) {
+      Alert.alert(t('channels.invalid'), validationError);
+      return;
+    }
+    try {
+      await saveChannelAsync(form);
+      setEditing(null);
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('channels.saveFailed', { message: error.message })
+      );
+    }
+  };
+
+  const confirmDeleteChannel = (channel) => {
+    Alert.alert(
+      t('channels.deleteTitle', { id: channel.id }),
+      t('channels.deleteMessage'),
+      [
+        { text: t('channels.keep'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: () => deleteChannelAsync(channel.id),
+        },
+      ]
+    );
+  };
+
+  const testChannel = async (channelId) => {
+    try {
+      await sendChannelTestAsync(channelId);
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('channels.testFailed', { message: error.message })
+      );
+    }
+  };
+
+  const saveGroup = async () => {
+    try {
+      await saveChannelGroupAsync(groupForm);
+      setGroupForm(EMPTY_GROUP_FORM);
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    }
+  };
+
+  const confirmDeleteGroup = (group) => {
+    Alert.alert(
+      t('channels.deleteGroupTitle', { id: group.id }),
+      t('channels.deleteGroupMessage'),
+      [
+        { text: t('channels.keep'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: () => deleteChannelGroupAsync(group.id),
+        },
+      ]
+    );
+  };
+
+  if (!supportsChannels) {
+    return (
+      <View style={styles.content}>
+        <Text style={styles.emptyText}>
+          {t('channels.unsupported')}
+        </Text>
+      </View>
+    );
+  }
+
+  const renderSwitch = (label, key) => (
+    <View style={styles.switchRow}>
+      <Text style={styles.label}>{label}</Text>
+      <Switch
+        value={form[key]}
+        onValueChange={(value) => update({ [key]: value })}
+      />
+    </View>
+  );
+
+  // Editing replaces the lists, like the scheduled notification editor
+  if (editing) {
+    return (
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <TouchableOpacity onPress={() => setEditing(null)}>
+          <Text style={styles.backButtonText}>{t('channels.back')}</Text>
+        </TouchableOpacity>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {editing.isNew ? t('channels.newTitle') : `✏️ ${form.id}`}
+          </Text>
+          {!editing.isNew && (
+            <Text style={styles.warningText}>
+              {t('channels.editWarning')}
+            </Text>
+          )}
+          {editing.isNew && (
+            <FormField
+              label={t('channels.id')}
+              value={form.id}
+              onChangeText={(id) => update({ id })}
+              autoCapitalize="none"
+            />
+          )}
+          <FormField
+            label={t('channels.name')}
+            value={form.name}
+            onChangeText={(name) => update({ name })}
+            hint={t('channels.nameHint')}
+          />
+          <FormField
+            label={t('channels.description')}
+            value={form.description}
+            onChangeText={(description) => update({ description })}
+          />
+
+          <Text style={styles.label}>{t('channels.group')}</Text>
+          <OptionChips
+            options={[
+              { label: t('categoryPicker.none'), value: '' },
+              ...groups.map((group) => ({ label: group.id, value: group.id })),
+            ]}
+            selected={form.groupId}
+            onSelect={(groupId) => update({ groupId })}
+          />
+
+          <Text style={styles.label}>{t('channels.importanceLabel')}</Text>
+          <OptionChips
+            options={toChips(IMPORTANCE_OPTIONS, 'importance')}
+            selected={form.importance}
+            onSelect={(importance) => update({ importance })}
+          />
+
+          <Text style={styles.label}>{t('channels.visibilityLabel')}</Text>
+          <OptionChips
+            options={toChips(VISIBILITY_OPTIONS, 'visibility')}
+            selected={form.lockscreenVisibility}
+            onSelect={(lockscreenVisibility) =>
+              update({ lockscreenVisibility })
+            }
+          />
+
+          <FormField
+            label={t('composer.sound')}
+            value={form.sound}
+            onChangeText={(sound) => update({ sound })}
+            placeholder={t('composer.soundPlaceholder')}
+            hint={t('channels.soundHint')}
+            autoCapitalize="none"
+          />
+
+          {renderSwitch(t('channels.vibrate'), 'enableVibrate')}
+          {form.enableVibrate && (
+            <FormField
+              label={t('channels.vibrationPattern')}
+              value={form.vibrationPattern}
+              onChangeText={(vibrationPattern) => update({ vibrationPattern })}
+              placeholder="0, 250, 250, 250"
+              hint={t('channels.vibrationHint')}
+              keyboardType="numbers-and-punctuation"
+            />
+          )}
+
+          {renderSwitch(t('channels.light'), 'enableLights')}
+          {form.enableLights && (
+            <FormField
+              label={t('channels.lightColor')}
+              value={form.lightColor}
+              onChangeText={(lightColor) => update({ lightColor })}
+              placeholder="#FF231F7C"
+              autoCapitalize="characters"
+              monospace
+            />
+          )}
+
+          {renderSwitch(t('channels.bypassDnd'), 'bypassDnd')}
+          {renderSwitch(t('channels.showBadge'), 'showBadge')}
+        </View>
+
+        {validationError && (
+          <Text style={styles.errorText}>⚠️ {validationError}</Text>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, validationError && styles.buttonDisabled]}
+          onPress={saveChannel}
+        >
+          <Text style={styles.buttonText}>{t('channels.save')}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {/* Channels */}
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('channels.title', { count: channels.length })}
+          </Text>
+          <TouchableOpacity
+            style={[styles.smallButton, styles.newButton]}
+            onPress={() =>
+              setEditing({ isNew: true, form: DEFAULT_CHANNEL_FORM })
+            }
+          >
+            <Text style={styles.smallButtonText}>
+              {t('presentationRules.new')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {channels.map((channel) => (
+          <View key={channel.id} style={styles.item}>
+            <Text style={styles.itemTitle}>
+              {channel.name || channel.id}
+              <Text style={styles.itemId}>  {channel.id}</Text>
+            </Text>
+            {channel.description ? (
+              <Text style={styles.itemMeta}>{channel.description}</Text>
+            ) : null}
+            <Text style={styles.itemMeta}>
+              {t('channels.summaryImportance', {
+                importance: optionLabel(
+                  IMPORTANCE_OPTIONS,
+                  'importance',
+                  channel.importance
+                ),
+                visibility: optionLabel(
+                  VISIBILITY_OPTIONS,
+                  'visibility',
+                  channel.lockscreenVisibility
+                ),
+              })}
+            </Text>
+            <Text style={styles.itemMeta}>
+              {t('channels.summarySound', {
+                sound: channel.sound ?? t('channels.silent'),
+                badge: yesNo(channel.showBadge),
+                dnd: yesNo(channel.bypassDnd),
+              })}
+            </Text>
+            <Text style={styles.itemMeta}>
+              {t('channels.summaryVibration', {
+                vibration: channel.enableVibrate
+                  ? (channel.vibrationPattern ?? []).join(', ') ||
+                    t('channels.default')
+                  : t('channels.off'),
+                light: channel.enableLights
+                  ? channel.lightColor
+                  : t('channels.off'),
+              })}
+            </Text>
+            {channel.groupId ? (
+              <Text style={styles.itemMeta}>
+                {t('channels.summaryGroup', { group: channel.groupId })}
+              </Text>
+            ) : null}
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.testButton]}
+                onPress={() => testChannel(channel.id)}
+              >
+                <Text style={styles.smallButtonText}>{t('channels.test')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.editButton]}
+                onPress={() =>
+                  setEditing({ isNew: false, form: channelToForm(channel) })
+                }
+              >
+                <Text style={styles.smallButtonText}>{t('common.edit')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.deleteButton]}
+                onPress={() => confirmDeleteChannel(channel)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('common.delete')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+      </View>
+
+      {/* Channel Groups */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('channels.groups')}</Text>
+        {groups.length === 0 ? (
+          <Text style={styles.hint}>{t('channels.noGroups')}</Text>
+        ) : (
+          groups.map((group) => (
+            <View key={group.id} style={styles.groupRow}>
+              <View style={styles.groupInfo}>
+                <Text style={styles.itemTitle}>
+                  {group.name || group.id}
+                  <Text style={styles.itemId}>  {group.id}</Text>
+                </Text>
+                <Text style={styles.itemMeta}>
+                  {t('channels.groupChannels', {
+                    count: group.channels.length,
+                  })}
+                  {group.isBlocked ? ` · ${t('channels.groupBlocked')}` : ''}
+                  {group.description ? ` · ${group.description}` : ''}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.deleteButton]}
+                onPress={() => confirmDeleteGroup(group)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('common.delete')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+
+        <FormField
+          label={t('channels.groupId')}
+          value={groupForm.id}
+          onChangeText={(id) => setGroupForm((prev) => ({ ...prev, id }))}
+          autoCapitalize="none"
+          hint={t('channels.groupIdHint')}
+        />
+        <FormField
+          label={t('channels.groupName')}
+          value={groupForm.name}
+          onChangeText={(name) => setGroupForm((prev) => ({ ...prev, name }))}
+        />
+        <FormField
+          label={t('channels.groupDescription')}
+          value={groupForm.description}
+          onChangeText={(description) =>
+            setGroupForm((prev) => ({ ...prev, description }))
+          }
+        />
+        <TouchableOpacity
+          style={[styles.smallButton, styles.editButton, styles.saveGroup]}
+          onPress={saveGroup}
+        >
+          <Text style={styles.smallButtonText}>{t('channels.saveGroup')}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 6,
+      flex: 1,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textAlign: 'center',
+      marginTop: 20,
+    },
+    warningText: {
+      fontSize: 12,
+      color: colors.warningTitle,
+      backgroundColor: colors.warningCard,
+      padding: 10,
+      borderRadius: 8,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+      marginBottom: 12,
+    },
+    switchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    item: {
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#2196F3',
+    },
+    itemTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4,
+    },
+    itemId: {
+      fontSize: 12,
+      fontWeight: '400',
+      color: colors.textMuted,
+    },
+    itemMeta: {
+      fontSize: 11,
+      color: colors.textMuted,
+      marginBottom: 2,
+    },
+    actionRow: {
+      flexDirection: 'row',
+      marginTop: 8,
+    },
+    groupRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 8,
+      marginBottom: 8,
+    },
+    groupInfo: {
+      flex: 1,
+      marginRight: 8,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginRight: 6,
+    },
+    newButton: {
+      backgroundColor: '#4CAF50',
+      marginBottom: 12,
+    },
+    testButton: {
+      backgroundColor: '#FF9800',
+    },
+    editButton: {
+      backgroundColor: '#2196F3',
+    },
+    deleteButton: {
+      backgroundColor: '#f44336',
+    },
+    saveGroup: {
+      alignSelf: 'flex-start',
+      paddingVertical: 8,
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    backButtonText: {
+      fontSize: 14,
+      color: '#2196F3',
+      fontWeight: '600',
+      marginBottom: 12,
+    },
+    button: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginBottom: 20,
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+  });
+
+export default ChannelsScreen;
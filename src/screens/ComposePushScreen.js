@@ -0,0 +1,489 @@
+// src/screens/ComposePushScreen.js
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Platform,
+} from 'react-native';
+import FormField from '../components/FormField';
+import OptionChips from '../components/OptionChips';
+import ChannelPicker from '../components/ChannelPicker';
+import CategoryPicker from '../components/CategoryPicker';
+import { useStore } from '../hooks/useStore';
+import { settingsStore, updateSettings } from '../storage/settingsStore';
+import { TokenType } from '../push/tokens';
+import { getActiveTokens, tokenStore } from '../push/tokenStore';
+import {
+  EXPO_RECEIPTS_ENDPOINT,
+  EXPO_SEND_ENDPOINT,
+  PushFormat,
+  buildPushMessage,
+  createDefaultPushForm,
+  fetchReceipts,
+  getDefaultFcmEndpoint,
+  getSessionAuthToken,
+  sendPush,
+  setSessionAuthToken,
+} from '../push/pushSender';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+const FORMAT_OPTIONS = [
+  { label: 'Expo Push API', value: PushFormat.EXPO },
+  { label: 'FCM HTTP v1', value: PushFormat.FCM_V1 },
+];
+
+// Labels live under composePush.priorities
+const PRIORITY_OPTIONS = ['default', 'normal', 'high'];
+
+// Receipts usually show up within seconds to a few minutes
+const RECEIPT_POLL_INTERVAL_MS = 10000;
+const RECEIPT_POLL_ATTEMPTS = 6;
+
+// Each format targets the token type its service understands
+const TOKEN_FOR_FORMAT = {
+  [PushFormat.EXPO]: TokenType.EXPO,
+  [PushFormat.FCM_V1]: TokenType.FCM,
+};
+
+// Build and send a remote push to this (or any) device from inside the app
+const ComposePushScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { pushSender } = useStore(settingsStore);
+  const pushTokens = getActiveTokens(useStore(tokenStore));
+  const [format, setFormat] = useState(pushSender.format);
+  const [endpoint, setEndpoint] = useState(pushSender.endpoint);
+  const [receiptsEndpoint, setReceiptsEndpoint] = useState(
+    pushSender.receiptsEndpoint
+  );
+  const [authToken, setAuthToken] = useState(getSessionAuthToken);
+  const [form, setForm] = useState(() => ({
+    ...createDefaultPushForm(),
+    to: pushTokens[TOKEN_FOR_FORMAT[pushSender.format]] ?? '',
+  }));
+  const [sending, setSending] = useState(false);
+  const [tickets, setTickets] = useState([]);
+  const [receipts, setReceipts] = useState({});
+  const pollTimer = useRef(null);
+
+  // Stop polling when the screen closes
+  useEffect(() => () => clearTimeout(pollTimer.current), []);
+
+  const update = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const defaultEndpoint =
+    format === PushFormat.FCM_V1 ? getDefaultFcmEndpoint() : EXPO_SEND_ENDPOINT;
+
+  // Switching format also switches to the matching token of this device
+  const changeFormat = (nextFormat) => {
+    setFormat(nextFormat);
+    const token = pushTokens[TOKEN_FOR_FORMAT[nextFormat]];
+    if (token) {
+      update({ to: token });
+    }
+  };
+
+  // Live preview of the JSON that will be posted
+  // `data.sentAt` is stamped at send time, so it is not shown here
+  const preview = useMemo(() => {
+    try {
+      return JSON.stringify(buildPushMessage(format, form), null, 2);
+    } catch (error) {
+      return `⚠️ ${error.message}`;
+    }
+  }, [format, form]);
+
+  // Poll Expo receipts until every ticket has one or we give up
+  const pollReceipts = async (ids, attempt = 0) => {
+    try {
+      const result = await fetchReceipts({
+        endpoint: receiptsEndpoint.trim() || EXPO_RECEIPTS_ENDPOINT,
+        authToken: authToken.trim(),
+        ids,
+      });
+      setReceipts((prev) => ({ ...prev, ...result }));
+
+      const pending = ids.filter((id) => !result[id]);
+      if (pending.length > 0 && attempt + 1 < RECEIPT_POLL_ATTEMPTS) {
+        pollTimer.current = setTimeout(
+          () => pollReceipts(pending, attempt + 1),
+          RECEIPT_POLL_INTERVAL_MS
+        );
+      }
+    } catch (error) {
+      console.error('Error fetching receipts:', error);
+    }
+  };
+
+  const send = async () => {
+    let message;
+    try {
+      message = buildPushMessage(format, form, { sentAt: Date.now() });
+    } catch (error) {
+      Alert.alert(t('composePush.invalid'), error.message);
+      return;
+    }
+    if (!form.to.trim()) {
+      Alert.alert(t('common.error'), t('composePush.noTarget'));
+      return;
+    }
+
+    // Remember the sender configuration for next time; the token only
+    // until the app closes
+    setSessionAuthToken(authToken.trim());
+    await updateSettings({
+      pushSender: {
+        format,
+        endpoint: endpoint.trim(),
+        receiptsEndpoint: receiptsEndpoint.trim(),
+      },
+    });
+
+    setSending(true);
+    clearTimeout(pollTimer.current);
+    setReceipts({});
+    try {
+      const result = await sendPush({
+        format,
+        endpoint: endpoint.trim() || defaultEndpoint,
+        authToken: authToken.trim(),
+        message,
+      });
+      setTickets(result);
+
+      // Only the Expo Push API issues receipts for its tickets
+      const ids = result
+        .filter((ticket) => ticket?.status === 'ok' && ticket.id)
+        .map((ticket) => ticket.id);
+      if (format === PushFormat.EXPO && ids.length > 0) {
+        pollTimer.current = setTimeout(
+          () => pollReceipts(ids),
+          RECEIPT_POLL_INTERVAL_MS
+        );
+      }
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const checkReceiptsNow = () => {
+    const ids = tickets
+      .filter((ticket) => ticket?.id)
+      .map((ticket) => ticket.id);
+    if (ids.length > 0) {
+      clearTimeout(pollTimer.current);
+      pollReceipts(ids, RECEIPT_POLL_ATTEMPTS - 1);
+    }
+  };
+
+  return (
+    <ScrollView
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {/* Sender Configuration */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('composePush.sender')}</Text>
+        <OptionChips
+          options={FORMAT_OPTIONS}
+          selected={format}
+          onSelect={changeFormat}
+        />
+        <FormField
+          label={t('composePush.endpoint')}
+          value={endpoint}
+          onChangeText={setEndpoint}
+          placeholder={defaultEndpoint}
+          autoCapitalize="none"
+          keyboardType="url"
+          hint={t('composePush.endpointHint')}
+        />
+        {format === PushFormat.EXPO && (
+          <FormField
+            label={t('composePush.receiptsEndpoint')}
+            value={receiptsEndpoint}
+            onChangeText={setReceiptsEndpoint}
+            placeholder={EXPO_RECEIPTS_ENDPOINT}
+            autoCapitalize="none"
+            keyboardType="url"
+          />
+        )}
+        <FormField
+          label={t('composePush.authToken')}
+          value={authToken}
+          onChangeText={setAuthToken}
+          placeholder={
+            format === PushFormat.FCM_V1
+              ? t('composePush.authTokenFcm')
+              : t('composePush.authTokenExpo')
+          }
+          hint={t('composePush.authTokenHint')}
+          autoCapitalize="none"
+          secureTextEntry
+        />
+      </View>
+
+      {/* Message Fields */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('composePush.message')}</Text>
+        <FormField
+          label={t('composePush.target')}
+          value={form.to}
+          onChangeText={(to) => update({ to })}
+          autoCapitalize="none"
+          monospace
+          hint={t('composePush.targetHint')}
+        />
+        <FormField
+          label={t('composer.title')}
+          value={form.title}
+          onChangeText={(title) => update({ title })}
+        />
+        <FormField
+          label={t('composer.subtitle')}
+          value={form.subtitle}
+          onChangeText={(subtitle) => update({ subtitle })}
+          hint={t('composePush.iosOnly')}
+        />
+        <FormField
+          label={t('composer.body')}
+          value={form.body}
+          onChangeText={(body) => update({ body })}
+          multiline
+        />
+        <FormField
+          label={t('composer.imageUrl')}
+          value={form.imageUrl}
+          onChangeText={(imageUrl) => update({ imageUrl })}
+          autoCapitalize="none"
+          keyboardType="url"
+          placeholder="https://example.com/picture.jpg"
+          hint={t('composePush.imageHint')}
+        />
+        <View style={styles.row}>
+          <FormField
+            label={t('composePush.color')}
+            value={form.color}
+            onChangeText={(color) => update({ color })}
+            autoCapitalize="none"
+            placeholder="#FF5722"
+            containerStyle={styles.rowField}
+          />
+          <FormField
+            label={t('composePush.icon')}
+            value={form.icon}
+            onChangeText={(icon) => update({ icon })}
+            autoCapitalize="none"
+            placeholder={t('composePush.iconPlaceholder')}
+            containerStyle={styles.rowField}
+          />
+        </View>
+        <Text style={styles.hint}>
+          {t('composePush.colorIconHint')}
+        </Text>
+        <FormField
+          label={t('composer.data')}
+          value={form.data}
+          onChangeText={(data) => update({ data })}
+          autoCapitalize="none"
+          multiline
+          monospace
+        />
+        <ChannelPicker
+          value={form.channelId}
+          onChange={(channelId) => update({ channelId })}
+        />
+        <CategoryPicker
+          value={form.categoryId}
+          onChange={(categoryId) => update({ categoryId })}
+        />
+        <FormField
+          label={t('composer.sound')}
+          value={form.sound}
+          onChangeText={(sound) => update({ sound })}
+          autoCapitalize="none"
+        />
+        <FormField
+          label={t('composer.badge')}
+          value={form.badge}
+          onChangeText={(badge) => update({ badge })}
+          keyboardType="number-pad"
+        />
+        <Text style={styles.label}>{t('composePush.priority')}</Text>
+        <OptionChips
+          options={PRIORITY_OPTIONS.map((value) => ({
+            label: t(`composePush.priorities.${value}`),
+            value,
+          }))}
+          selected={form.priority}
+          onSelect={(priority) => update({ priority })}
+        />
+        <FormField
+          label={t('composePush.ttl')}
+          value={form.ttl}
+          onChangeText={(ttl) => update({ ttl })}
+          keyboardType="number-pad"
+        />
+        <FormField
+          label={t('composePush.collapseKey')}
+          value={form.collapseKey}
+          onChangeText={(collapseKey) => update({ collapseKey })}
+          autoCapitalize="none"
+          hint={t('composePush.collapseKeyHint')}
+        />
+      </View>
+
+      {/* Payload Preview */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('composePush.preview')}</Text>
+        <Text style={styles.codeText} selectable>
+          {preview}
+        </Text>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.button, sending && styles.buttonDisabled]}
+        onPress={send}
+        disabled={sending}
+      >
+        <Text style={styles.buttonText}>
+          {sending ? t('composePush.sending') : t('composePush.send')}
+        </Text>
+      </TouchableOpacity>
+
+      {/* Tickets and Receipts */}
+      {tickets.length > 0 && (
+        <View style={styles.card}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>{t('composePush.tickets')}</Text>
+            {format === PushFormat.EXPO && (
+              <TouchableOpacity
+                style={styles.smallButton}
+                onPress={checkReceiptsNow}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('composePush.checkReceipts')}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {tickets.map((ticket, index) => (
+            <View key={ticket?.id ?? index} style={styles.ticket}>
+              <Text style={styles.codeText} selectable>
+                {JSON.stringify(ticket, null, 2)}
+              </Text>
+              {ticket?.id && receipts[ticket.id] && (
+                <Text style={styles.receiptText}>
+                  {t('composePush.receipt', {
+                    receipt: JSON.stringify(receipts[ticket.id]),
+                  })}
+                </Text>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 6,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    row: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    rowField: {
+      flex: 1,
+      marginHorizontal: 2,
+    },
+    codeText: {
+      fontSize: 11,
+      color: colors.tokenText,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+    },
+    button: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginBottom: 20,
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+    smallButton: {
+      backgroundColor: '#2196F3',
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginBottom: 12,
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    ticket: {
+      marginBottom: 8,
+    },
+    receiptText: {
+      fontSize: 12,
+      color: colors.successText,
+      marginTop: 6,
+    },
+  });
+
+export default ComposePushScreen;
@@ -0,0 +1,243 @@
+// src/screens/DiagnosticsScreen.js
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, ScrollView } from 'react-native';
+import { useStore } from '../hooks/useStore';
+import { historyStore } from '../history/historyStore';
+import {
+  FCM_PAYLOAD_LIMIT_BYTES,
+  HOURLY_BUCKETS,
+  summarizeDiagnostics,
+} from '../history/historyDiagnostics';
+import { formatDuration, formatHour } from '../utils/format';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Label and value on one line
+const StatRow = ({ label, value, warn }) => {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.statRow}>
+      <Text style={styles.statLabel}>{label}</Text>
+      <Text style={[styles.statValue, warn && styles.warnText]}>{value}</Text>
+    </View>
+  );
+};
+
+// Horizontal bar scaled against the largest count in its group
+const CountBar = ({ label, count, max }) => {
+  const styles = useThemedStyles(createStyles);
+  return (
+    <View style={styles.barRow}>
+      <Text style={styles.barLabel} numberOfLines={1}>
+        {label}
+      </Text>
+      <View style={styles.barTrack}>
+        <View
+          style={[
+            styles.barFill,
+            { width: `${max > 0 ? (count / max) * 100 : 0}%` },
+          ]}
+        />
+      </View>
+      <Text style={styles.barCount}>{count}</Text>
+    </View>
+  );
+};
+
+// `getLabel` turns a count's key into the text shown next to its bar
+const CountBars = ({ counts, getLabel = (key) => key }) => {
+  const max = Math.max(0, ...counts.map(({ count }) => count));
+  return counts.map(({ key, count }) => (
+    <CountBar key={key} label={getLabel(key)} count={count} max={max} />
+  ));
+};
+
+// Delivery latency, payload size and volume stats over the stored history
+// Latency needs a sender timestamp: `data.sentAt` or FCM's own sentTime
+const DiagnosticsScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const notificationHistory = useStore(historyStore);
+  const stats = useMemo(
+    () => summarizeDiagnostics(notificationHistory),
+    [notificationHistory]
+  );
+  const { latency, payload } = stats;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('diagnostics.latency')}</Text>
+        {latency.samples > 0 ? (
+          <>
+            <StatRow
+              label={t('diagnostics.median')}
+              value={formatDuration(latency.median)}
+            />
+            <StatRow label="p95" value={formatDuration(latency.p95)} />
+            <StatRow
+              label={t('diagnostics.fastest')}
+              value={formatDuration(latency.min)}
+              warn={latency.min < 0}
+            />
+            <StatRow
+              label={t('diagnostics.slowest')}
+              value={formatDuration(latency.max)}
+            />
+            <StatRow
+              label={t('diagnostics.samples')}
+              value={t('diagnostics.samplesValue', {
+                samples: latency.samples,
+                deliveries: stats.deliveries,
+              })}
+            />
+            {latency.min < 0 && (
+              <Text style={styles.hint}>{t('diagnostics.negative')}</Text>
+            )}
+          </>
+        ) : (
+          <Text style={styles.hint}>{t('diagnostics.noLatency')}</Text>
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('diagnostics.payload')}</Text>
+        <StatRow
+          label={t('diagnostics.largest')}
+          value={t('notificationDetail.payloadBytes', {
+            size: payload.largest,
+            limit: FCM_PAYLOAD_LIMIT_BYTES,
+          })}
+          warn={payload.largest > FCM_PAYLOAD_LIMIT_BYTES}
+        />
+        <StatRow
+          label={t('diagnostics.average')}
+          value={t('diagnostics.bytes', { size: payload.average })}
+        />
+        <StatRow
+          label={t('diagnostics.nearLimit')}
+          value={payload.nearLimit}
+          warn={payload.nearLimit > 0}
+        />
+        <StatRow
+          label={t('diagnostics.overLimit')}
+          value={payload.overLimit}
+          warn={payload.overLimit > 0}
+        />
+        <Text style={styles.hint}>{t('diagnostics.payloadHint')}</Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {t('diagnostics.bySource', { count: stats.total })}
+        </Text>
+        <CountBars
+          counts={stats.perSource}
+          getLabel={(source) => t(`historyItem.source.${source}`)}
+        />
+        <Text style={styles.subTitle}>{t('diagnostics.deliveredVia')}</Text>
+        <CountBars counts={stats.perTransport} />
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {t('diagnostics.lastHours', { hours: HOURLY_BUCKETS })}
+        </Text>
+        <CountBars
+          counts={stats.perHour.map(({ hour, count }) => ({
+            key: formatHour(hour),
+            count,
+          }))}
+        />
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    subTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginTop: 12,
+      marginBottom: 6,
+    },
+    statRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingVertical: 4,
+    },
+    statLabel: {
+      fontSize: 14,
+      color: colors.textSecondary,
+    },
+    statValue: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+    },
+    warnText: {
+      color: '#f44336',
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginTop: 8,
+    },
+    barRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 3,
+    },
+    barLabel: {
+      width: 110,
+      fontSize: 12,
+      color: colors.textSecondary,
+    },
+    barTrack: {
+      flex: 1,
+      height: 10,
+      backgroundColor: colors.surface,
+      borderRadius: 5,
+      overflow: 'hidden',
+      marginHorizontal: 8,
+    },
+    barFill: {
+      height: '100%',
+      backgroundColor: '#2196F3',
+    },
+    barCount: {
+      width: 32,
+      fontSize: 12,
+      color: colors.text,
+      textAlign: 'right',
+    },
+  });
+
+export default DiagnosticsScreen;
@@ -0,0 +1,260 @@
+// src/screens/HistoryScreen.js
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  SectionList,
+  Alert,
+} from 'react-native';
+import { useStore } from '../hooks/useStore';
+import {
+  historyStore,
+  clearHistory as clearStoredHistory,
+  countUnread,
+  markAllHistoryRead,
+} from '../history/historyStore';
+import {
+  DEFAULT_HISTORY_FILTERS,
+  filterHistory,
+  groupHistory,
+} from '../history/historyQuery';
+import { Routes } from '../navigation/routes';
+import RetentionSettings from '../components/RetentionSettings';
+import HistoryFilterBar from '../components/HistoryFilterBar';
+import HistoryItem from '../components/HistoryItem';
+import HistoryTransfer from '../components/HistoryTransfer';
+import { getBadgeCountAsync, subscribeToBadgeCount } from '../notifications/badge';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Only these filters can be preset from a deep link, e.g.
+// mynotifications://history?query=order&source=tapped
+const pickFilterParams = (params = {}) =>
+  Object.fromEntries(
+    ['query', 'source', 'dateRange', 'readState', 'groupBy', 'groupKey']
+      .filter((key) => typeof params[key] === 'string')
+      .map((key) => [key, params[key]])
+  );
+
+// Searchable, grouped log of every captured notification
+const HistoryScreen = ({ route, navigation }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t, language } = useTranslation();
+  const notificationHistory = useStore(historyStore);
+  const unreadCount = countUnread(notificationHistory);
+  const [badgeCount, setBadgeCount] = useState(null);
+  const [historyFilters, setHistoryFilters] = useState(() => ({
+    ...DEFAULT_HISTORY_FILTERS,
+    ...pickFilterParams(route.params),
+  }));
+
+  // A new deep link can reach this screen while it is already open
+  useEffect(() => {
+    setHistoryFilters((prev) => ({
+      ...prev,
+      ...pickFilterParams(route.params),
+    }));
+  }, [route.params]);
+
+  // Show what the OS badge says next to our own unread count
+  useEffect(() => {
+    const readBadge = () =>
+      getBadgeCountAsync()
+        .then(setBadgeCount)
+        .catch((error) => {
+          console.error('Error reading badge count:', error);
+        });
+    readBadge();
+    return subscribeToBadgeCount(readBadge);
+  }, []);
+
+  // Narrow and group the stored log for the virtualized history list
+  const filteredHistory = useMemo(
+    () => filterHistory(notificationHistory, historyFilters),
+    [notificationHistory, historyFilters]
+  );
+  const historySections = useMemo(
+    () => groupHistory(filteredHistory, historyFilters),
+    // Section titles are translated, so regroup when the language changes
+    [filteredHistory, historyFilters, language]
+  );
+
+  // The detail screen marks the entry read once it opens
+  const showHistoryDetails = useCallback(
+    (item) =>
+      navigation.navigate(Routes.NOTIFICATION_DETAIL, { entryId: item.id }),
+    [navigation]
+  );
+
+  const renderHistoryItem = useCallback(
+    ({ item }) => <HistoryItem item={item} onPress={showHistoryDetails} />,
+    [showHistoryDetails]
+  );
+
+  const renderHistorySectionHeader = useCallback(
+    ({ section }) =>
+      section.title ? (
+        <Text style={styles.historySectionTitle}>
+          {section.title} ({section.data.length})
+        </Text>
+      ) : null,
+    [styles]
+  );
+
+  // Clear notification history from memory and from device storage
+  const clearHistory = async () => {
+    await clearStoredHistory();
+    Alert.alert(t('common.success'), t('history.cleared'));
+  };
+
+  return (
+    <SectionList
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      sections={historySections}
+      keyExtractor={(item) => item.id}
+      renderItem={renderHistoryItem}
+      renderSectionHeader={renderHistorySectionHeader}
+      stickySectionHeadersEnabled={false}
+      keyboardShouldPersistTaps="handled"
+      initialNumToRender={10}
+      windowSize={7}
+      ListHeaderComponent={
+        <View style={styles.historyContainer}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>
+              {t('history.title', {
+                shown: filteredHistory.length,
+                total: notificationHistory.length,
+              })}
+            </Text>
+            {notificationHistory.length > 0 && (
+              <TouchableOpacity
+                style={styles.clearButton}
+                onPress={clearHistory}
+              >
+                <Text style={styles.clearButtonText}>{t('history.clear')}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <View style={styles.unreadRow}>
+            <Text style={styles.unreadText}>
+              {t('history.unread', { count: unreadCount })}
+              {badgeCount !== null
+                ? ` · ${t('history.badge', { count: badgeCount })}`
+                : ''}
+            </Text>
+            {unreadCount > 0 && (
+              <TouchableOpacity
+                style={styles.markReadButton}
+                onPress={markAllHistoryRead}
+              >
+                <Text style={styles.clearButtonText}>
+                  {t('history.markAllRead')}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <HistoryFilterBar
+            filters={historyFilters}
+            onChange={setHistoryFilters}
+          />
+        </View>
+      }
+      ListEmptyComponent={
+        <Text style={styles.emptyText}>
+          {notificationHistory.length > 0
+            ? t('history.noMatches')
+            : t('history.empty')}
+        </Text>
+      }
+      ListFooterComponent={
+        <>
+          <HistoryTransfer />
+          <RetentionSettings />
+        </>
+      }
+    />
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    content: {
+      padding: 20,
+    },
+    historyContainer: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      flex: 1,
+    },
+    clearButton: {
+      backgroundColor: '#f44336',
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+    },
+    clearButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    unreadRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    unreadText: {
+      fontSize: 13,
+      color: colors.textSecondary,
+    },
+    markReadButton: {
+      backgroundColor: '#2196F3',
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+    },
+    historySectionTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginTop: 4,
+      marginBottom: 8,
+      textTransform: 'uppercase',
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textAlign: 'center',
+      marginBottom: 20,
+    },
+  });
+
+export default HistoryScreen;
@@ -0,0 +1,903 @@
+// src/screens/HomeScreen.js
+import React, { useEffect, useState } from 'react';
+import { 
+  View, 
+  Text, 
+  StyleSheet, 
+  TouchableOpacity, 
+  ScrollView,
+  Alert,
+  AppState,
+  Platform 
+} from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import { useStore } from '../hooks/useStore';
+import { usePermissions } from '../hooks/usePermissions';
+import { historyStore, countUnread } from '../history/historyStore';
+import {
+  addForegroundMessageListener,
+  addMessageOpenedListener,
+  addTokenRefreshListener,
+  deleteFcmTokenAsync,
+  getInitialRemoteMessageAsync,
+  toExpoNotification,
+} from '../push/firebaseMessaging';
+import {
+  TokenType,
+  TOKEN_DESCRIPTIONS,
+  copyTokenAsync,
+  getPushTokensAsync,
+  registerForPushNotificationsAsync,
+} from '../push/tokens';
+import {
+  revokeAndReportToken,
+  syncTokens,
+} from '../push/tokenRegistration';
+import { AppStateMarker, markUiMounted } from '../utils/appLifecycle';
+import OptionChips from '../components/OptionChips';
+import TokenLifecycle from '../components/TokenLifecycle';
+import ThemeSettings from '../components/ThemeSettings';
+import PermissionPanel from '../components/PermissionPanel';
+import ChannelPicker from '../components/ChannelPicker';
+import {
+  DEFAULT_CHANNEL_ID,
+  ensureDefaultChannelAsync,
+  supportsChannels,
+} from '../notifications/channels';
+import { startSampleCategorySync } from '../notifications/categories';
+import { canDeliver } from '../notifications/permissions';
+import {
+  buildRichTestContent,
+  withImageAttachmentAsync,
+} from '../notifications/richContent';
+import {
+  handleNotificationResponse,
+  handleReceivedNotification,
+  handleRemoteMessageOpened,
+  handleRemoteMessageReceived,
+} from '../notifications/notificationEvents';
+import { startBadgeSync } from '../notifications/badge';
+import { scheduleLocalNotificationAsync } from '../notifications/quietHours';
+import { startMockRelay } from '../push/mockRelay';
+import { Routes } from '../navigation/routes';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import LanguageSettings from '../components/LanguageSettings';
+
+// Dashboard at the root of the stack
+// It stays mounted underneath every other screen, so the app-wide
+// notification and token listeners live here
+const HomeScreen = ({ navigation }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const [pushTokens, setPushTokens] = useState({});
+  const [tokenErrors, setTokenErrors] = useState({});
+  const [selectedTokenType, setSelectedTokenType] = useState(TokenType.FCM);
+  const [testChannelId, setTestChannelId] = useState(DEFAULT_CHANNEL_ID);
+  const [notification, setNotification] = useState(null);
+  const notificationHistory = useStore(historyStore);
+  const unreadCount = countUnread(notificationHistory);
+  const [errorMsg, setErrorMsg] = useState('');
+  const {
+    permissions,
+    refresh: refreshPermissions,
+    request: requestPermissions,
+    ensure: ensurePermissions,
+  } = usePermissions();
+  const permissionGranted = canDeliver(permissions);
+
+  useEffect(() => {
+    // From now on, captured notifications are no longer "killed state"
+    markUiMounted();
+
+    // Background tasks may have written to storage while the UI was away
+    const appStateListener = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        historyStore.reload();
+      }
+    });
+
+    // Keep the app badge equal to the number of unread history entries
+    const stopBadgeSync = startBadgeSync();
+
+    // Pushes from the local mock relay arrive as local notifications,
+    // so the listeners below log and route them like any other
+    const stopMockRelay = startMockRelay();
+
+    // Make sure there is at least one category with action buttons,
+    // labelled in the app language
+    const stopSampleCategorySync = startSampleCategorySync();
+
+    // Configure the Android notification channel (required for Android 8+)
+    // before asking, since Android 13+ only prompts once a channel exists
+    ensureDefaultChannelAsync()
+      .catch(error => {
+        console.error('Error creating notification channel:', error);
+      })
+      .then(ensurePermissions);
+
+    // Listener for notifications received while app is foregrounded
+    const notificationListener = Notifications.addNotificationReceivedListener(
+      notification => {
+        console.log('Notification received in foreground:', notification);
+        setNotification(notification);
+        handleReceivedNotification(notification).catch(error => {
+          console.error('Error logging received notification:', error);
+        });
+      }
+    );
+
+    const handleResponse = (response, extra) => {
+      if (handleNotificationResponse(response, extra)) {
+        setNotification(response.notification);
+      }
+    };
+
+    // Listener for when user taps on notification or one of its actions
+    const responseListener = Notifications.addNotificationResponseReceivedListener(
+      response => {
+        console.log('Notification tapped:', response);
+        handleResponse(response);
+      }
+    );
+
+    // A tap that launched the app can happen before the listener above
+    // exists, so ask for it explicitly
+    const launchResponse = Notifications.getLastNotificationResponse();
+    if (launchResponse) {
+      console.log('Notification launched the app:', launchResponse);
+      handleResponse(launchResponse, { appState: AppStateMarker.KILLED });
+      Notifications.clearLastNotificationResponse();
+    }
+
+    // The native device token can change at any time (e.g. after an
+    // app update), which also invalidates the Expo token built on it
+    const pushTokenListener = Notifications.addPushTokenListener(() => {
+      refreshTokens().catch(error => {
+        console.error('Error refreshing tokens:', error);
+      });
+    });
+
+    const unsubscribeTokenRefresh = addTokenRefreshListener(token => {
+      console.log('FCM token refreshed:', token);
+      setPushTokens(prev => ({ ...prev, [TokenType.FCM]: token }));
+      syncTokens({ [TokenType.FCM]: token }).catch(error => {
+        console.error('Error syncing tokens:', error);
+      });
+    });
+
+    // Firebase delivers FCM messages through its own listeners
+    // Convert them to the Expo shape so the UI treats both alike
+    const unsubscribeOnMessage = addForegroundMessageListener(
+      remoteMessage => {
+        console.log('FCM message received in foreground:', remoteMessage);
+        setNotification(toExpoNotification(remoteMessage));
+        handleRemoteMessageReceived(remoteMessage).catch(error => {
+          console.error('Error logging FCM message:', error);
+        });
+      }
+    );
+
+    const handleRemoteOpen = (remoteMessage, appState) => {
+      if (handleRemoteMessageOpened(remoteMessage, appState)) {
+        setNotification(toExpoNotification(remoteMessage));
+      }
+    };
+
+    const unsubscribeOnOpened = addMessageOpenedListener(remoteMessage => {
+      console.log('FCM notification opened the app:', remoteMessage);
+      handleRemoteOpen(remoteMessage, AppStateMarker.BACKGROUND);
+    });
+
+    // Check whether an FCM notification launched the app from a quit state
+    getInitialRemoteMessageAsync()
+      .then(remoteMessage => {
+        if (remoteMessage) {
+          console.log('FCM notification launched the app:', remoteMessage);
+          handleRemoteOpen(remoteMessage, AppStateMarker.KILLED);
+        }
+      })
+      .catch(error => {
+        console.error('Error reading initial FCM notification:', error);
+      });
+
+    return () => {
+      appStateListener.remove();
+      stopBadgeSync();
+      stopMockRelay();
+      stopSampleCategorySync();
+      notificationListener.remove();
+      responseListener.remove();
+      pushTokenListener.remove();
+      unsubscribeTokenRefresh();
+      unsubscribeOnMessage();
+      unsubscribeOnOpened();
+    };
+  }, []);
+
+  // Fetch tokens once notifications are allowed, including when the user
+  // allows them later from the permission panel or the system settings
+  useEffect(() => {
+    if (!permissionGranted) {
+      return;
+    }
+    setErrorMsg('');
+    registerForPushNotificationsAsync()
+      .then(({ tokens, errors }) => {
+        console.log('Push Tokens:', tokens);
+        setPushTokens(tokens);
+        setTokenErrors(errors);
+        // A failed report is kept in the token store, not shown as an
+        // error, since the tokens themselves were fetched fine
+        syncTokens(tokens).catch(error => {
+          console.error('Error syncing tokens:', error);
+        });
+
+        // Prefer FCM, but fall back to whichever token is available
+        if (!tokens[TokenType.FCM]) {
+          const available = Object.keys(tokens)[0];
+          if (available) {
+            setSelectedTokenType(available);
+          }
+        }
+      })
+      .catch(error => {
+        console.error('Error getting token:', error);
+        setErrorMsg(error.message);
+      });
+  }, [permissionGranted]);
+
+  // Fetch every token again and report whichever ones changed
+  const refreshTokens = async () => {
+    const { tokens, errors } = await getPushTokensAsync();
+    setPushTokens(tokens);
+    setTokenErrors(errors);
+    await syncTokens(tokens);
+  };
+
+  // Force an FCM token rotation to test how the backend handles it
+  const rotateFcmToken = async () => {
+    try {
+      await deleteFcmTokenAsync();
+      await revokeAndReportToken(TokenType.FCM);
+      await refreshTokens();
+      Alert.alert(t('common.success'), t('home.tokenRotated'));
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('home.rotateFailed', { message: error.message })
+      );
+    }
+  };
+
+  // Open the newest history entry of the latest notification
+  // Falls back to a plain JSON dump if it has not been logged yet
+  const openLatestDetails = () => {
+    const entry = notificationHistory.find(
+      (item) => item.notificationId === notification.request.identifier
+    );
+    if (entry) {
+      navigation.navigate(Routes.NOTIFICATION_DETAIL, { entryId: entry.id });
+      return;
+    }
+    Alert.alert(
+      t('home.fullNotificationData'),
+      JSON.stringify(notification.request.content, null, 2),
+      [{ text: t('common.ok') }]
+    );
+  };
+
+  const selectedToken = pushTokens[selectedTokenType];
+  const hasAnyToken = Object.keys(pushTokens).length > 0;
+
+  // Copy the selected token to clipboard for external testing tools
+  const copyTokenToClipboard = async () => {
+    try {
+      const label = await copyTokenAsync(selectedTokenType, selectedToken);
+      Alert.alert(t('common.success'), t('home.tokenCopied', { label }));
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    }
+  };
+
+  // Send a test local notification on the picked Android channel
+  // The rich variant adds an image, subtitle, long body and accent color
+  const sendTestNotification = async (rich = false) => {
+    const content = rich
+      ? await withImageAttachmentAsync(buildRichTestContent())
+      : {
+          title: t('home.localTest.title'),
+          body: t('home.localTest.body'),
+          data: { testData: 'Test notification data' },
+        };
+    await scheduleLocalNotificationAsync({
+      content,
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+        seconds: 2,
+        ...(testChannelId ? { channelId: testChannelId } : {}),
+      },
+    });
+    Alert.alert(t('home.scheduledTitle'), t('home.scheduledMessage'));
+  };
+
+  // Both test buttons report a failed schedule the same way
+  const showSendError = error => {
+    Alert.alert(
+      t('common.error'),
+      t('home.sendFailed', { message: error.message })
+    );
+  };
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.scrollContent}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={styles.title}>{t('home.title')}</Text>
+      <Text style={styles.subtitle}>{t('home.subtitle')}</Text>
+
+      {/* Status Section */}
+      <View style={styles.statusContainer}>
+        <Text style={styles.statusLabel}>{t('home.deviceType')}</Text>
+        <Text style={styles.statusText}>
+          {Device.isDevice ? t('home.physicalDevice') : t('home.emulator')}
+        </Text>
+    
+        {!Device.isDevice && (
+          <View style={styles.warningBox}>
+            <Text style={styles.warningText}>
+              {t('home.emulatorWarning')}
+            </Text>
+          </View>
+        )}
+    
+        <Text style={styles.statusLabel}>{t('home.notificationStatus')}</Text>
+        <Text style={styles.statusText}>
+          {hasAnyToken ? t('home.statusReady') :
+           permissions && !permissionGranted
+             ? t('home.statusNotAllowed') :
+           errorMsg ? '❌ ' + errorMsg : t('home.statusInitializing')}
+        </Text>
+      </View>
+
+      {/* Permission Section */}
+      <PermissionPanel
+        permissions={permissions}
+        onRequest={requestPermissions}
+        onRefresh={refreshPermissions}
+      />
+
+      {/* Token Display Section */}
+      {hasAnyToken ? (
+        <View style={styles.tokenContainer}>
+          {/* Pick which token type is shown and copied */}
+          <OptionChips
+            options={Object.values(TokenType).map(type => ({
+              label: TOKEN_DESCRIPTIONS[type].label,
+              value: type,
+            }))}
+            selected={selectedTokenType}
+            onSelect={setSelectedTokenType}
+          />
+
+          <Text style={styles.label}>
+            {t(TOKEN_DESCRIPTIONS[selectedTokenType].titleKey)}
+          </Text>
+          <ScrollView 
+            style={styles.tokenScrollView}
+            nestedScrollEnabled={true}
+          >
+            <Text style={styles.tokenText} selectable>
+              {selectedToken ??
+                t('home.tokenUnavailable', {
+                  error: tokenErrors[selectedTokenType],
+                })}
+            </Text>
+          </ScrollView>
+      
+          <TouchableOpacity 
+            style={[styles.button, styles.copyButton]} 
+            onPress={copyTokenToClipboard}
+          >
+            <Text style={styles.buttonText}>{t('home.copyToken')}</Text>
+          </TouchableOpacity>
+      
+          <Text style={styles.hint}>
+            {t(TOKEN_DESCRIPTIONS[selectedTokenType].hintKey)}
+          </Text>
+        </View>
+      ) : !Device.isDevice ? (
+        <View style={styles.emulatorInfoContainer}>
+          <Text style={styles.emulatorInfoTitle}>
+            {t('home.physicalDeviceRequired')}
+          </Text>
+          <Text style={styles.emulatorInfoText}>
+            {t('home.emulatorSteps')}
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, styles.mockRelayButton]}
+            onPress={() => navigation.navigate(Routes.MOCK_RELAY)}
+          >
+            <Text style={styles.buttonText}>{t('home.openMockRelay')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+
+      {/* Token Lifecycle Section */}
+      <TokenLifecycle onRotateFcmToken={rotateFcmToken} />
+
+      {/* Test Button Section */}
+      <View style={styles.actionContainer}>
+        <Text style={styles.sectionTitle}>{t('home.testNotifications')}</Text>
+
+        {supportsChannels && (
+          <ChannelPicker
+            label={t('home.testChannel')}
+            value={testChannelId}
+            onChange={setTestChannelId}
+          />
+        )}
+    
+        <TouchableOpacity 
+          style={[styles.button, styles.testButton]} 
+          onPress={() => sendTestNotification().catch(showSendError)}
+        >
+          <Text style={styles.buttonText}>{t('home.sendLocalTest')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.richTestButton]}
+          onPress={() => sendTestNotification(true).catch(showSendError)}
+        >
+          <Text style={styles.buttonText}>{t('home.sendRichTest')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.button, styles.localComposerButton]} 
+          onPress={() => navigation.navigate(Routes.LOCAL_COMPOSER)}
+        >
+          <Text style={styles.buttonText}>{t('home.composeLocal')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.button, styles.copyButton]} 
+          onPress={() => navigation.navigate(Routes.SCHEDULED)}
+        >
+          <Text style={styles.buttonText}>{t('home.manageScheduled')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.button, styles.categoriesButton]} 
+          onPress={() => navigation.navigate(Routes.CATEGORIES)}
+        >
+          <Text style={styles.buttonText}>{t('home.manageCategories')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.presentationButton]}
+          onPress={() => navigation.navigate(Routes.PRESENTATION_RULES)}
+        >
+          <Text style={styles.buttonText}>
+            {t('home.presentationRules')}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.quietHoursButton]}
+          onPress={() => navigation.navigate(Routes.QUIET_HOURS)}
+        >
+          <Text style={styles.buttonText}>{t('home.quietHours')}</Text>
+        </TouchableOpacity>
+
+        {supportsChannels && (
+          <TouchableOpacity 
+            style={[styles.button, styles.channelsButton]} 
+            onPress={() => navigation.navigate(Routes.CHANNELS)}
+          >
+            <Text style={styles.buttonText}>{t('home.manageChannels')}</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity 
+          style={[styles.button, styles.composeButton]} 
+          onPress={() => navigation.navigate(Routes.COMPOSE_PUSH)}
+        >
+          <Text style={styles.buttonText}>{t('home.composePush')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.topicsButton]}
+          onPress={() => navigation.navigate(Routes.TOPICS)}
+        >
+          <Text style={styles.buttonText}>{t('home.manageTopics')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.mockRelayButton]}
+          onPress={() => navigation.navigate(Routes.MOCK_RELAY)}
+        >
+          <Text style={styles.buttonText}>{t('home.mockRelay')}</Text>
+        </TouchableOpacity>
+    
+        <Text style={styles.infoText}>
+          {Device.isDevice
+            ? t('home.deviceInstructions')
+            : t('home.emulatorInstructions')}
+        </Text>
+      </View>
+
+      {/* Last Notification Section */}
+      {notification && (
+        <View style={styles.notificationDetailContainer}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>
+              {t('home.latestNotification')}
+            </Text>
+            <TouchableOpacity 
+              style={styles.viewDetailsButton}
+              onPress={openLatestDetails}
+            >
+              <Text style={styles.viewDetailsButtonText}>
+                {t('home.viewDetails')}
+              </Text>
+            </TouchableOpacity>
+          </View>
+      
+          <View style={styles.notificationDetail}>
+            <Text style={styles.detailLabel}>{t('home.detailTitle')}</Text>
+            <Text style={styles.detailValue}>
+              {notification.request.content.title || t('common.notAvailable')}
+            </Text>
+          </View>
+      
+          <View style={styles.notificationDetail}>
+            <Text style={styles.detailLabel}>{t('home.detailBody')}</Text>
+            <Text style={styles.detailValue}>
+              {notification.request.content.body || t('common.notAvailable')}
+            </Text>
+          </View>
+      
+          <View style={styles.notificationDetail}>
+            <Text style={styles.detailLabel}>{t('home.detailId')}</Text>
+            <Text style={styles.detailValue}>
+              {notification.request.identifier}
+            </Text>
+          </View>
+      
+          {notification.request.content.data && 
+           Object.keys(notification.request.content.data).length > 0 && (
+            <View style={styles.notificationDetail}>
+              <Text style={styles.detailLabel}>{t('home.detailData')}</Text>
+              <ScrollView 
+                style={styles.dataScrollView}
+                nestedScrollEnabled={true}
+              >
+                <Text style={styles.dataText} selectable>
+                  {JSON.stringify(notification.request.content.data, null, 2)}
+                </Text>
+              </ScrollView>
+            </View>
+          )}
+      
+          {notification.request.content.badge && (
+            <View style={styles.notificationDetail}>
+              <Text style={styles.detailLabel}>{t('home.detailBadge')}</Text>
+              <Text style={styles.detailValue}>
+                {notification.request.content.badge}
+              </Text>
+            </View>
+          )}
+      
+          {notification.request.content.sound && (
+            <View style={styles.notificationDetail}>
+              <Text style={styles.detailLabel}>{t('home.detailSound')}</Text>
+              <Text style={styles.detailValue}>
+                {notification.request.content.sound}
+              </Text>
+            </View>
+          )}
+        </View>
+      )}
+
+      {/* Notification History */}
+      <TouchableOpacity 
+        style={[styles.button, styles.historyButton]} 
+        onPress={() => navigation.navigate(Routes.HISTORY)}
+      >
+        <Text style={styles.buttonText}>
+          {t(unreadCount > 0 ? 'home.historyUnread' : 'home.history', {
+            count: notificationHistory.length,
+            unread: unreadCount,
+          })}
+        </Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={[styles.button, styles.diagnosticsButton]}
+        onPress={() => navigation.navigate(Routes.DIAGNOSTICS)}
+      >
+        <Text style={styles.buttonText}>{t('home.diagnostics')}</Text>
+      </TouchableOpacity>
+
+      {/* Light / dark mode and language */}
+      <ThemeSettings />
+      <LanguageSettings />
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    scrollContent: {
+      padding: 20,
+      paddingTop: 50,
+    },
+    title: {
+      fontSize: 28,
+      fontWeight: 'bold',
+      textAlign: 'center',
+      color: colors.text,
+      marginBottom: 8,
+    },
+    subtitle: {
+      fontSize: 16,
+      textAlign: 'center',
+      color: colors.textSecondary,
+      marginBottom: 30,
+    },
+    statusContainer: {
+      backgroundColor: colors.statusCard,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      borderLeftWidth: 4,
+      borderLeftColor: '#4CAF50',
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    statusLabel: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 4,
+    },
+    statusText: {
+      fontSize: 16,
+      color: colors.text,
+    },
+    warningBox: {
+      backgroundColor: colors.warningCard,
+      borderLeftWidth: 4,
+      borderLeftColor: '#ff9800',
+      padding: 12,
+      borderRadius: 8,
+      marginTop: 12,
+    },
+    warningText: {
+      fontSize: 14,
+      color: colors.warningText,
+      lineHeight: 20,
+    },
+    tokenContainer: {
+      backgroundColor: colors.tokenCard,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    label: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    tokenScrollView: {
+      maxHeight: 120,
+      backgroundColor: colors.surface,
+      borderRadius: 8,
+      marginBottom: 12,
+    },
+    tokenText: {
+      fontSize: 11,
+      color: colors.tokenText,
+      padding: 12,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+      lineHeight: 18,
+    },
+    button: {
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      justifyContent: 'center',
+      marginVertical: 6,
+    },
+    copyButton: {
+      backgroundColor: '#2196F3',
+    },
+    testButton: {
+      backgroundColor: '#FF9800',
+    },
+    richTestButton: {
+      backgroundColor: '#FFA726',
+    },
+    localComposerButton: {
+      backgroundColor: '#9C27B0',
+    },
+    channelsButton: {
+      backgroundColor: '#607D8B',
+    },
+    categoriesButton: {
+      backgroundColor: '#795548',
+    },
+    presentationButton: {
+      backgroundColor: '#009688',
+    },
+    quietHoursButton: {
+      backgroundColor: '#673AB7',
+    },
+    historyButton: {
+      backgroundColor: '#3F51B5',
+    },
+    diagnosticsButton: {
+      backgroundColor: '#E91E63',
+      marginBottom: 20,
+    },
+    composeButton: {
+      backgroundColor: '#4CAF50',
+    },
+    topicsButton: {
+      backgroundColor: '#FF5722',
+    },
+    mockRelayButton: {
+      backgroundColor: '#00897B',
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 8,
+      lineHeight: 18,
+    },
+    actionContainer: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    infoText: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      lineHeight: 20,
+      marginTop: 12,
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+    },
+    notificationContainer: {
+      backgroundColor: colors.successCard,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      borderLeftWidth: 4,
+      borderLeftColor: '#4CAF50',
+    },
+    notificationText: {
+      fontSize: 14,
+      color: colors.successText,
+      marginBottom: 6,
+    },
+    emulatorInfoContainer: {
+      backgroundColor: colors.card,
+      padding: 20,
+      borderRadius: 12,
+      marginBottom: 20,
+      borderWidth: 2,
+      borderColor: '#ff9800',
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    emulatorInfoTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.warningTitle,
+      marginBottom: 12,
+      textAlign: 'center',
+    },
+    emulatorInfoText: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      lineHeight: 22,
+    },
+    notificationDetailContainer: {
+      backgroundColor: colors.successCard,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      borderLeftWidth: 4,
+      borderLeftColor: '#4CAF50',
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    viewDetailsButton: {
+      backgroundColor: '#2196F3',
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+    },
+    viewDetailsButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    notificationDetail: {
+      marginBottom: 12,
+    },
+    detailLabel: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.successText,
+      marginBottom: 4,
+    },
+    detailValue: {
+      fontSize: 14,
+      color: colors.successStrong,
+      lineHeight: 20,
+    },
+    dataScrollView: {
+      maxHeight: 100,
+      backgroundColor: colors.successSurface,
+      borderRadius: 6,
+      marginTop: 4,
+    },
+    dataText: {
+      fontSize: 11,
+      color: colors.successCode,
+      padding: 8,
+      fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    },
+  });
+export default HomeScreen;
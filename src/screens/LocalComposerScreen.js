@@ -0,0 +1,489 @@
+// src/screens/LocalComposerScreen.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Alert,
+} from 'react-native';
+import * as Notifications from 'expo-notifications';
+import FormField from '../components/FormField';
+import OptionChips from '../components/OptionChips';
+import ChannelPicker from '../components/ChannelPicker';
+import CategoryPicker from '../components/CategoryPicker';
+import { useStore } from '../hooks/useStore';
+import {
+  DEFAULT_LOCAL_FORM,
+  TRIGGER_OPTIONS,
+  buildNotificationRequest,
+  createDefaultLocalForm,
+  scheduleFromForm,
+} from '../notifications/scheduling';
+import {
+  deletePreset,
+  presetStore,
+  savePreset,
+} from '../notifications/presetStore';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+const { SchedulableTriggerInputTypes: TriggerTypes } = Notifications;
+
+// Compose a local notification with any trigger type and keep presets
+// `onSubmit` lets other screens reuse the form, e.g. to edit a schedule
+const LocalComposerScreen = ({
+  initialForm,
+  submitLabel,
+  onSubmit,
+}) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const presets = useStore(presetStore);
+  const [form, setForm] = useState(initialForm ?? createDefaultLocalForm);
+  const [presetName, setPresetName] = useState('');
+
+  const update = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+  const updateCalendar = (changes) =>
+    update({ calendar: { ...form.calendar, ...changes } });
+
+  // Validate as the user types so mistakes show up before submitting
+  const validationError = useMemo(() => {
+    try {
+      buildNotificationRequest(form);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }, [form]);
+
+  const submit = async () => {
+    if (validationError) {
+      Alert.alert(t('composer.invalid'), validationError);
+      return;
+    }
+    try {
+      if (onSubmit) {
+        await onSubmit(form);
+        return;
+      }
+      const identifier = await scheduleFromForm(form);
+      Alert.alert(
+        t('composer.scheduled'),
+        t('composer.scheduledMessage', { identifier })
+      );
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    }
+  };
+
+  const storePreset = async () => {
+    const name = presetName.trim();
+    if (!name) {
+      Alert.alert(t('common.error'), t('composer.presetNameMissing'));
+      return;
+    }
+    await savePreset(name, form);
+    setPresetName('');
+    Alert.alert(t('common.success'), t('composer.presetSaved', { name }));
+  };
+
+  // Older presets may miss newer fields, so merge them over the defaults
+  const loadPreset = (preset) => {
+    setForm({ ...DEFAULT_LOCAL_FORM, ...preset.form });
+  };
+
+  // Schedule a preset as-is without loading it into the form
+  const runPreset = async (preset) => {
+    try {
+      const identifier = await scheduleFromForm({
+        ...DEFAULT_LOCAL_FORM,
+        ...preset.form,
+      });
+      Alert.alert(
+        t('composer.scheduled'),
+        t('composer.presetScheduled', { name: preset.name, identifier })
+      );
+    } catch (error) {
+      Alert.alert(t('common.error'), error.message);
+    }
+  };
+
+  const renderTriggerFields = () => {
+    switch (form.triggerType) {
+      case TriggerTypes.TIME_INTERVAL:
+        return (
+          <>
+            <FormField
+              label={t('composer.secondsFromNow')}
+              value={form.seconds}
+              onChangeText={(seconds) => update({ seconds })}
+              keyboardType="number-pad"
+            />
+            {renderRepeats(t('composer.repeatInterval'))}
+          </>
+        );
+      case TriggerTypes.DATE:
+        return (
+          <FormField
+            label={t('composer.dateTime')}
+            value={form.date}
+            onChangeText={(date) => update({ date })}
+            placeholder="2025-12-31 18:30"
+            hint={t('composer.dateHint')}
+          />
+        );
+      case TriggerTypes.DAILY:
+        return renderTimeFields();
+      case TriggerTypes.WEEKLY:
+        return (
+          <>
+            <FormField
+              label={t('composer.weekday')}
+              value={form.weekday}
+              onChangeText={(weekday) => update({ weekday })}
+              keyboardType="number-pad"
+            />
+            {renderTimeFields()}
+          </>
+        );
+      case TriggerTypes.YEARLY:
+        return (
+          <>
+            <View style={styles.row}>
+              <FormField
+                label={t('composer.month')}
+                value={form.month}
+                onChangeText={(month) => update({ month })}
+                keyboardType="number-pad"
+                containerStyle={styles.rowField}
+              />
+              <FormField
+                label={t('composer.day')}
+                value={form.day}
+                onChangeText={(day) => update({ day })}
+                keyboardType="number-pad"
+                containerStyle={styles.rowField}
+              />
+            </View>
+            {renderTimeFields()}
+          </>
+        );
+      case TriggerTypes.CALENDAR:
+        return (
+          <>
+            <Text style={styles.hint}>
+              {t('composer.calendarHint')}
+            </Text>
+            {Object.keys(DEFAULT_LOCAL_FORM.calendar).map((component) => (
+              <FormField
+                key={component}
+                label={t(`validation.fields.${component}`)}
+                value={form.calendar[component]}
+                onChangeText={(value) => updateCalendar({ [component]: value })}
+                keyboardType="number-pad"
+              />
+            ))}
+            {renderRepeats(t('composer.repeatCalendar'))}
+          </>
+        );
+      default:
+        return (
+          <Text style={styles.hint}>{t('composer.immediateHint')}</Text>
+        );
+    }
+  };
+
+  const renderTimeFields = () => (
+    <View style={styles.row}>
+      <FormField
+        label={t('composer.hour')}
+        value={form.hour}
+        onChangeText={(hour) => update({ hour })}
+        keyboardType="number-pad"
+        containerStyle={styles.rowField}
+      />
+      <FormField
+        label={t('composer.minute')}
+        value={form.minute}
+        onChangeText={(minute) => update({ minute })}
+        keyboardType="number-pad"
+        containerStyle={styles.rowField}
+      />
+    </View>
+  );
+
+  const renderRepeats = (label) => (
+    <View style={styles.switchRow}>
+      <Text style={styles.label}>{label}</Text>
+      <Switch
+        value={form.repeats}
+        onValueChange={(repeats) => update({ repeats })}
+      />
+    </View>
+  );
+
+  return (
+    <ScrollView
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {/* Presets */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('composer.presets')}</Text>
+        {presets.length === 0 ? (
+          <Text style={styles.hint}>{t('composer.noPresets')}</Text>
+        ) : (
+          presets.map((preset) => (
+            <View key={preset.id} style={styles.presetRow}>
+              <TouchableOpacity
+                style={styles.presetName}
+                onPress={() => loadPreset(preset)}
+              >
+                <Text style={styles.presetText} numberOfLines={1}>
+                  {preset.name}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.runButton}
+                onPress={() => runPreset(preset)}
+              >
+                <Text style={styles.smallButtonText}>{t('composer.run')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.deleteButton}
+                onPress={() => deletePreset(preset.id)}
+              >
+                <Text style={styles.smallButtonText}>{t('common.delete')}</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+        <FormField
+          label={t('composer.saveAs')}
+          value={presetName}
+          onChangeText={setPresetName}
+          placeholder={t('composer.presetName')}
+        />
+        <TouchableOpacity style={styles.saveButton} onPress={storePreset}>
+          <Text style={styles.smallButtonText}>{t('composer.savePreset')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Content */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('composer.content')}</Text>
+        <FormField
+          label={t('composer.title')}
+          value={form.title}
+          onChangeText={(title) => update({ title })}
+        />
+        <FormField
+          label={t('composer.subtitle')}
+          value={form.subtitle}
+          onChangeText={(subtitle) => update({ subtitle })}
+          hint={t('composer.subtitleHint')}
+        />
+        <FormField
+          label={t('composer.body')}
+          value={form.body}
+          onChangeText={(body) => update({ body })}
+          multiline
+          hint={t('composer.bodyHint')}
+        />
+        <FormField
+          label={t('composer.imageUrl')}
+          value={form.imageUrl}
+          onChangeText={(imageUrl) => update({ imageUrl })}
+          autoCapitalize="none"
+          keyboardType="url"
+          placeholder="https://example.com/picture.jpg"
+          hint={t('composer.imageHint')}
+        />
+        <FormField
+          label={t('composer.color')}
+          value={form.color}
+          onChangeText={(color) => update({ color })}
+          autoCapitalize="none"
+          placeholder="#FF5722"
+        />
+        <FormField
+          label={t('composer.data')}
+          value={form.data}
+          onChangeText={(data) => update({ data })}
+          autoCapitalize="none"
+          multiline
+          monospace
+        />
+        <View style={styles.row}>
+          <FormField
+            label={t('composer.badge')}
+            value={form.badge}
+            onChangeText={(badge) => update({ badge })}
+            keyboardType="number-pad"
+            containerStyle={styles.rowField}
+          />
+          <FormField
+            label={t('composer.sound')}
+            value={form.sound}
+            onChangeText={(sound) => update({ sound })}
+            placeholder={t('composer.soundPlaceholder')}
+            autoCapitalize="none"
+            containerStyle={styles.rowField}
+          />
+        </View>
+        <ChannelPicker
+          value={form.channelId}
+          onChange={(channelId) => update({ channelId })}
+        />
+        <CategoryPicker
+          value={form.categoryIdentifier}
+          onChange={(categoryIdentifier) => update({ categoryIdentifier })}
+        />
+      </View>
+
+      {/* Trigger */}
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('composer.trigger')}</Text>
+        <OptionChips
+          options={TRIGGER_OPTIONS.map((value) => ({
+            label: t(`composer.triggers.${value}`),
+            value,
+          }))}
+          selected={form.triggerType}
+          onSelect={(triggerType) => update({ triggerType })}
+        />
+        {renderTriggerFields()}
+      </View>
+
+      {validationError && (
+        <Text style={styles.errorText}>⚠️ {validationError}</Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, validationError && styles.buttonDisabled]}
+        onPress={submit}
+      >
+        <Text style={styles.buttonText}>
+          {submitLabel ?? t('composer.schedule')}
+        </Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      flex: 1,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    row: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    rowField: {
+      flex: 1,
+      marginHorizontal: 2,
+    },
+    switchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    presetRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 8,
+    },
+    presetName: {
+      flex: 1,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#FF9800',
+      marginRight: 8,
+    },
+    presetText: {
+      fontSize: 14,
+      color: colors.text,
+    },
+    runButton: {
+      backgroundColor: '#4CAF50',
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginRight: 6,
+    },
+    deleteButton: {
+      backgroundColor: '#f44336',
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+    },
+    saveButton: {
+      backgroundColor: '#2196F3',
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      borderRadius: 6,
+      alignSelf: 'flex-start',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+      marginBottom: 12,
+    },
+    button: {
+      backgroundColor: '#FF9800',
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginBottom: 20,
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+  });
+
+export default LocalComposerScreen;
@@ -0,0 +1,263 @@
+// src/screens/MockRelayScreen.js
+import React, { useEffect, useState, useSyncExternalStore } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import FormField from '../components/FormField';
+import { useStore } from '../hooks/useStore';
+import {
+  RelayStatus,
+  getRelayConnection,
+  mockRelayStore,
+  sendMockTestPushAsync,
+  setMockRelayEnabled,
+  setMockRelayUrl,
+  subscribeToRelayConnection,
+  toRelayHttpUrl,
+} from '../push/mockRelay';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Receive pushes from the local mock relay (npm run mock-relay)
+// Works on emulators and without Google services or network access
+const MockRelayScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const settings = useStore(mockRelayStore);
+  const connection = useSyncExternalStore(
+    subscribeToRelayConnection,
+    getRelayConnection
+  );
+  const [urlDraft, setUrlDraft] = useState(settings.url);
+  const [sending, setSending] = useState(false);
+
+  // Follow the saved URL once the store has loaded from disk
+  useEffect(() => {
+    setUrlDraft(settings.url);
+  }, [settings.url]);
+
+  // Connecting saves the edited URL first
+  const toggle = async () => {
+    try {
+      if (!settings.enabled) {
+        await setMockRelayUrl(urlDraft);
+      }
+      await setMockRelayEnabled(!settings.enabled);
+    } catch (error) {
+      Alert.alert(t('mockRelay.invalidUrl'), error.message);
+    }
+  };
+
+  const copyToken = async () => {
+    await Clipboard.setStringAsync(settings.token);
+    Alert.alert(t('common.copied'), t('mockRelay.tokenCopied'));
+  };
+
+  const sendTestPush = async () => {
+    setSending(true);
+    try {
+      const [ticket] = await sendMockTestPushAsync();
+      if (ticket.status !== 'ok') {
+        throw new Error(ticket.message);
+      }
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('mockRelay.sendFailed', { message: error.message })
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const connected = connection.status === RelayStatus.CONNECTED;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('mockRelay.connection')}</Text>
+        <Text style={styles.statusText}>
+          {t(`mockRelay.status.${connection.status}`)}
+        </Text>
+        {connection.error && connection.status !== RelayStatus.CONNECTED ? (
+          <Text style={styles.errorText}>{connection.error}</Text>
+        ) : null}
+        <Text style={styles.meta}>
+          {t('mockRelay.received', { count: connection.received })}
+        </Text>
+
+        <FormField
+          label={t('mockRelay.url')}
+          value={urlDraft}
+          onChangeText={setUrlDraft}
+          editable={!settings.enabled}
+          autoCapitalize="none"
+          keyboardType="url"
+          monospace
+          hint={t('mockRelay.urlHint')}
+        />
+
+        <TouchableOpacity
+          style={[
+            styles.button,
+            settings.enabled ? styles.stopButton : styles.startButton,
+          ]}
+          onPress={toggle}
+        >
+          <Text style={styles.buttonText}>
+            {settings.enabled
+              ? t('mockRelay.disconnect')
+              : t('mockRelay.connect')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {settings.token ? (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>{t('mockRelay.token')}</Text>
+          <Text style={styles.tokenText} selectable>
+            {settings.token}
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, styles.copyButton]}
+            onPress={copyToken}
+          >
+            <Text style={styles.buttonText}>{t('mockRelay.copyToken')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.sendButton,
+              (!connected || sending) && styles.disabled,
+            ]}
+            onPress={sendTestPush}
+            disabled={!connected || sending}
+          >
+            <Text style={styles.buttonText}>{t('mockRelay.sendTest')}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('mockRelay.howItWorks')}</Text>
+        <Text style={styles.hint}>
+          {t('mockRelay.step1')}{' '}
+          <Text style={styles.code}>npm run mock-relay</Text>
+          {'\n'}
+          {t('mockRelay.step2')}
+          {'\n'}
+          {t('mockRelay.step3Expo')}{' '}
+          <Text style={styles.code}>
+            {toRelayHttpUrl(settings.url, '/push/send')}
+          </Text>{' '}
+          {t('mockRelay.step3Fcm')}{' '}
+          <Text style={styles.code}>
+            {toRelayHttpUrl(settings.url, '/fcm/send')}
+          </Text>
+          {t('mockRelay.step3Hint')}
+          {'\n\n'}
+          {t('mockRelay.explanation')}
+        </Text>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    statusText: {
+      fontSize: 16,
+      color: colors.text,
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+      marginTop: 4,
+    },
+    meta: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 4,
+      marginBottom: 12,
+    },
+    tokenText: {
+      fontSize: 13,
+      fontFamily: 'monospace',
+      color: colors.text,
+      backgroundColor: colors.surface,
+      padding: 10,
+      borderRadius: 6,
+      marginBottom: 12,
+    },
+    button: {
+      padding: 14,
+      borderRadius: 8,
+      alignItems: 'center',
+      marginBottom: 8,
+    },
+    startButton: {
+      backgroundColor: '#4CAF50',
+    },
+    stopButton: {
+      backgroundColor: '#f44336',
+    },
+    copyButton: {
+      backgroundColor: '#2196F3',
+    },
+    sendButton: {
+      backgroundColor: '#795548',
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 15,
+      fontWeight: '600',
+    },
+    hint: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      lineHeight: 20,
+    },
+    code: {
+      fontFamily: 'monospace',
+      color: colors.text,
+    },
+  });
+
+export default MockRelayScreen;
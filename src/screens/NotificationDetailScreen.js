@@ -0,0 +1,488 @@
+// src/screens/NotificationDetailScreen.js
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Image,
+  Alert,
+} from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { useStore } from '../hooks/useStore';
+import {
+  HISTORY_EVENT_ICONS,
+  HistoryOrigin,
+  historyStore,
+  markHistoryEntryRead,
+} from '../history/historyStore';
+import {
+  formatFieldValue,
+  getDetailSections,
+  getEntryRequest,
+} from '../history/notificationDetails';
+import { resendAsLocalAsync } from '../notifications/scheduling';
+import { getNotificationImageUrl } from '../notifications/richContent';
+import { dismissPresentedNotificationAsync } from '../notifications/badge';
+import {
+  FCM_PAYLOAD_LIMIT_BYTES,
+  getLatencyMs,
+  getPayloadBytes,
+} from '../history/historyDiagnostics';
+import { formatDuration, formatTimestamp } from '../utils/format';
+import JsonTree from '../components/JsonTree';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import { t } from '../i18n';
+
+// A stored value such as a source or app state, in the app language
+// Values without a translation are shown as they were stored
+const translateValue = (group, value) => {
+  const key = `historyItem.${group}.${value}`;
+  const text = t(key);
+  return text === key ? value : text;
+};
+
+// "🔕 Shown silently (rule: Chat) – shown"
+const describePresentation = ({ action, ruleName, status, error }) =>
+  `${t(`presentation.${action}`)} ` +
+  (ruleName
+    ? t('notificationDetail.presentationRule', { name: ruleName })
+    : t('notificationDetail.presentationDefault')) +
+  (status ? ` – ${translateValue('status', status)}` : '') +
+  (error ? `: ${error}` : '');
+
+// "🌙 Held by quiet hours until 20 Oct 2026, 07:00:00"
+const describeHeld = ({ reason, at, until }) =>
+  t(`historyItem.held.${reason}`, {
+    at: formatTimestamp(at),
+    until: formatTimestamp(until),
+  });
+
+// "App open · action reply · "On my way"" under each timeline step
+const describeEventDetails = ({
+  appState,
+  actionIdentifier,
+  userText,
+  status,
+  by,
+  until,
+}) =>
+  [
+    appState && translateValue('appState', appState),
+    actionIdentifier &&
+      t('notificationDetail.eventAction', { action: actionIdentifier }),
+    userText && `"${userText}"`,
+    status && translateValue('status', status),
+    by && t('notificationDetail.eventBy', { by: translateValue('by', by) }),
+    until &&
+      t('notificationDetail.eventUntil', { time: formatTimestamp(until) }),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// What we recorded about the delivery itself, next to the request
+const getSummaryFields = (entry) => {
+  const latency = getLatencyMs(entry);
+  return [
+    {
+      label: t('notificationDetail.fields.title'),
+      value: entry.title || t('common.noTitle'),
+    },
+    {
+      label: t('notificationDetail.fields.body'),
+      value: entry.body || t('common.noBody'),
+    },
+    {
+      label: t('notificationDetail.fields.received'),
+      value: formatTimestamp(entry.timestamp),
+    },
+    {
+      label: t('notificationDetail.fields.sent'),
+      value: entry.sentAt ? formatTimestamp(entry.sentAt) : null,
+    },
+    {
+      label: t('notificationDetail.fields.latency'),
+      value: latency !== null ? formatDuration(latency) : null,
+    },
+    {
+      label: t('notificationDetail.fields.payloadSize'),
+      value: t('notificationDetail.payloadBytes', {
+        size: getPayloadBytes(entry),
+        limit: FCM_PAYLOAD_LIMIT_BYTES,
+      }),
+    },
+    {
+      label: t('notificationDetail.fields.source'),
+      value:
+        `${translateValue('source', entry.source)} · ` +
+        t(
+          entry.origin === HistoryOrigin.LOCAL
+            ? 'historyItem.local'
+            : 'historyItem.remote'
+        ),
+    },
+    {
+      label: t('notificationDetail.fields.deliveredVia'),
+      value: entry.receivedVia,
+    },
+    { label: t('notificationDetail.fields.topic'), value: entry.topic },
+    {
+      label: t('notificationDetail.fields.appState'),
+      value: entry.appState && translateValue('appState', entry.appState),
+    },
+    {
+      label: t('notificationDetail.fields.action'),
+      value: entry.actionIdentifier,
+    },
+    { label: t('notificationDetail.fields.reply'), value: entry.userText },
+    {
+      label: t('notificationDetail.fields.presentation'),
+      value: entry.presentation && describePresentation(entry.presentation),
+    },
+    {
+      label: t('notificationDetail.fields.quietHours'),
+      value: entry.held && describeHeld(entry.held),
+    },
+  ].filter(({ value }) => value !== undefined && value !== null);
+};
+
+// Copy any field and confirm with a short alert
+async function copyToClipboard(label, value) {
+  try {
+    await Clipboard.setStringAsync(formatFieldValue(value));
+    Alert.alert(t('common.copied'), t('notificationDetail.copied', { label }));
+  } catch (error) {
+    Alert.alert(
+      t('common.error'),
+      t('notificationDetail.copyFailed', { message: error.message })
+    );
+  }
+}
+
+// Label, value and a copy button; long values wrap instead of truncating
+const CopyableField = ({ label, value }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  return (
+    <View style={styles.field}>
+      <View style={styles.fieldText}>
+        <Text style={styles.fieldLabel}>{label}</Text>
+        <Text style={styles.fieldValue} selectable>
+          {formatFieldValue(value)}
+        </Text>
+      </View>
+      <TouchableOpacity
+        style={styles.copyButton}
+        onPress={() => copyToClipboard(label, value)}
+      >
+        <Text style={styles.copyButtonText}>{t('common.copy')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+// Everything captured for one history entry: summary, request fields,
+// a collapsible tree of its data and the raw notification object
+const NotificationDetailScreen = ({ route }) => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const { entryId } = route.params ?? {};
+  const notificationHistory = useStore(historyStore);
+  const entry = notificationHistory.find((item) => item.id === entryId);
+  const [resending, setResending] = useState(false);
+
+  // Opening an entry marks it read and clears it from the notification center
+  // Runs once per entry; marking it read must not dismiss it again
+  const foundId = entry?.id;
+  const notificationId = entry?.notificationId;
+  const isUnread = entry ? !entry.read : false;
+  useEffect(() => {
+    if (!foundId) {
+      return;
+    }
+    if (isUnread) {
+      markHistoryEntryRead(foundId);
+    }
+    dismissPresentedNotificationAsync(notificationId).catch((error) => {
+      console.error('Error dismissing notification:', error);
+    });
+  }, [foundId, notificationId]);
+
+  const imageUrl = entry ? getNotificationImageUrl(entry) : null;
+
+  const sections = useMemo(
+    () => (entry ? getDetailSections(entry) : []),
+    [entry]
+  );
+
+  const copyNode = useCallback(
+    (name, value) =>
+      copyToClipboard(name ?? t('notificationDetail.data'), value),
+    [t]
+  );
+
+  // Replays the same content right away as a local notification
+  const resend = async () => {
+    setResending(true);
+    try {
+      const identifier = await resendAsLocalAsync(getEntryRequest(entry));
+      Alert.alert(
+        t('notificationDetail.sent'),
+        t('notificationDetail.sentMessage', { identifier })
+      );
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('notificationDetail.resendFailed', { message: error.message })
+      );
+    } finally {
+      setResending(false);
+    }
+  };
+
+  if (!entry) {
+    return (
+      <View style={styles.content}>
+        <Text style={styles.emptyText}>
+          {t('notificationDetail.missing')}
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {t('notificationDetail.summary')}
+        </Text>
+        {getSummaryFields(entry).map(({ label, value }) => (
+          <CopyableField key={label} label={label} value={value} />
+        ))}
+        <TouchableOpacity
+          style={[styles.resendButton, resending && styles.disabledButton]}
+          onPress={resend}
+          disabled={resending}
+        >
+          <Text style={styles.resendButtonText}>
+            {resending
+              ? t('notificationDetail.sending')
+              : t('notificationDetail.resend')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>
+          {t('notificationDetail.timeline')}
+        </Text>
+        {entry.events.map((event, index) => (
+          <View key={`${event.type}-${index}`} style={styles.timelineRow}>
+            <Text style={styles.timelineIcon}>
+              {HISTORY_EVENT_ICONS[event.type] ?? '•'}
+            </Text>
+            <View style={styles.fieldText}>
+              <Text style={styles.fieldValue}>
+                {HISTORY_EVENT_ICONS[event.type]
+                  ? t(`historyEvents.${event.type}`)
+                  : event.type}
+              </Text>
+              <Text style={styles.fieldLabel}>
+                {formatTimestamp(event.at)}
+              </Text>
+              {describeEventDetails(event) ? (
+                <Text style={styles.hint}>{describeEventDetails(event)}</Text>
+              ) : null}
+            </View>
+          </View>
+        ))}
+      </View>
+
+      {imageUrl ? (
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {t('notificationDetail.image')}
+          </Text>
+          <Image
+            source={{ uri: imageUrl }}
+            style={styles.image}
+            resizeMode="contain"
+          />
+          <CopyableField
+            label={t('notificationDetail.imageUrl')}
+            value={imageUrl}
+          />
+        </View>
+      ) : null}
+
+      {sections.map((section) => (
+        <View key={section.key} style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {t(`notificationDetail.sections.${section.key}`)}
+          </Text>
+          {section.fields.map(({ label, value }) => (
+            <CopyableField key={label} label={label} value={value} />
+          ))}
+        </View>
+      ))}
+
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('notificationDetail.dataTitle')}
+          </Text>
+          <TouchableOpacity
+            style={styles.copyButton}
+            onPress={() =>
+              copyToClipboard(t('notificationDetail.dataLabel'), entry.data)
+            }
+          >
+            <Text style={styles.copyButtonText}>{t('common.copy')}</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.hint}>
+          {t('notificationDetail.dataHint')}
+        </Text>
+        <JsonTree value={entry.data} onCopy={copyNode} />
+      </View>
+
+      {entry.rawNotification ? (
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <Text style={styles.sectionTitle}>
+              {t('notificationDetail.raw')}
+            </Text>
+            <TouchableOpacity
+              style={styles.copyButton}
+              onPress={() =>
+                copyToClipboard(
+                  t('notificationDetail.rawLabel'),
+                  entry.rawNotification
+                )
+              }
+            >
+              <Text style={styles.copyButtonText}>{t('common.copy')}</Text>
+            </TouchableOpacity>
+          </View>
+          <JsonTree
+            value={entry.rawNotification}
+            initialDepth={0}
+            onCopy={copyNode}
+          />
+        </View>
+      ) : null}
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'flex-start',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+      flex: 1,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 8,
+    },
+    field: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    timelineRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      paddingVertical: 6,
+    },
+    timelineIcon: {
+      fontSize: 18,
+      width: 32,
+    },
+    fieldText: {
+      flex: 1,
+      marginRight: 8,
+    },
+    fieldLabel: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 2,
+    },
+    fieldValue: {
+      fontSize: 14,
+      color: colors.text,
+    },
+    copyButton: {
+      backgroundColor: '#2196F3',
+      paddingHorizontal: 10,
+      paddingVertical: 4,
+      borderRadius: 6,
+    },
+    copyButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    image: {
+      width: '100%',
+      height: 200,
+      borderRadius: 8,
+      backgroundColor: colors.surface,
+      marginBottom: 8,
+    },
+    resendButton: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 8,
+      alignItems: 'center',
+      marginTop: 12,
+    },
+    disabledButton: {
+      opacity: 0.6,
+    },
+    resendButtonText: {
+      color: '#fff',
+      fontSize: 15,
+      fontWeight: '600',
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textAlign: 'center',
+    },
+  });
+
+export default NotificationDetailScreen;
@@ -0,0 +1,402 @@
+// src/screens/PresentationRulesScreen.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Alert,
+} from 'react-native';
+import FormField from '../components/FormField';
+import OptionChips from '../components/OptionChips';
+import CategoryPicker from '../components/CategoryPicker';
+import { useStore } from '../hooks/useStore';
+import {
+  DEFAULT_RULE_FORM,
+  PresentationAction,
+  RuleMatch,
+  deleteRule,
+  moveRule,
+  presentationRulesStore,
+  saveRule,
+  setRuleEnabled,
+  validateRule,
+} from '../notifications/presentationRules';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import { t } from '../i18n';
+
+// Labels live under presentationRules.match and presentationRules.action
+const MATCH_OPTIONS = [RuleMatch.DATA_FIELD, RuleMatch.CATEGORY, RuleMatch.ANY];
+
+const ACTION_OPTIONS = [
+  PresentationAction.SUPPRESS,
+  PresentationAction.SILENT,
+  PresentationAction.SOUND,
+];
+
+// One-line summary of what a rule matches
+const describeMatch = (rule) => {
+  switch (rule.matchType) {
+    case RuleMatch.CATEGORY:
+      return `category = ${rule.category}`;
+    case RuleMatch.DATA_FIELD:
+      return rule.value === ''
+        ? t('presentationRules.fieldPresent', { field: rule.field })
+        : `data.${rule.field} = ${rule.value}`;
+    default:
+      return t('presentationRules.everyNotification');
+  }
+};
+
+// Ordered rules deciding how notifications show while the app is open
+const PresentationRulesScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const rules = useStore(presentationRulesStore);
+  // `null` shows the list; otherwise the rule being edited
+  const [editing, setEditing] = useState(null);
+
+  const update = (changes) => setEditing((prev) => ({ ...prev, ...changes }));
+
+  const validationError = useMemo(() => {
+    if (!editing) {
+      return null;
+    }
+    try {
+      validateRule(editing);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }, [editing]);
+
+  const save = async () => {
+    if (validationError) {
+      Alert.alert(t('presentationRules.invalid'), validationError);
+      return;
+    }
+    await saveRule(editing);
+    setEditing(null);
+  };
+
+  const confirmDelete = (rule) => {
+    Alert.alert(
+      t('presentationRules.deleteTitle', { name: rule.name }),
+      undefined,
+      [
+        { text: t('presentationRules.keep'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: () => deleteRule(rule.id),
+        },
+      ]
+    );
+  };
+
+  if (editing) {
+    return (
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <TouchableOpacity onPress={() => setEditing(null)}>
+          <Text style={styles.backButtonText}>
+            {t('presentationRules.back')}
+          </Text>
+        </TouchableOpacity>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {editing.id
+              ? t('presentationRules.editTitle')
+              : t('presentationRules.newTitle')}
+          </Text>
+          <FormField
+            label={t('presentationRules.name')}
+            value={editing.name}
+            onChangeText={(name) => update({ name })}
+          />
+
+          <Text style={styles.label}>{t('presentationRules.matchLabel')}</Text>
+          <OptionChips
+            options={MATCH_OPTIONS.map((value) => ({
+              label: t(`presentationRules.match.${value}`),
+              value,
+            }))}
+            selected={editing.matchType}
+            onSelect={(matchType) => update({ matchType })}
+          />
+          {editing.matchType === RuleMatch.CATEGORY && (
+            <CategoryPicker
+              label={t('presentationRules.category')}
+              value={editing.category}
+              onChange={(category) => update({ category })}
+            />
+          )}
+          {editing.matchType === RuleMatch.DATA_FIELD && (
+            <View style={styles.row}>
+              <FormField
+                label={t('presentationRules.dataField')}
+                value={editing.field}
+                onChangeText={(field) => update({ field })}
+                placeholder="type"
+                autoCapitalize="none"
+                containerStyle={styles.rowField}
+              />
+              <FormField
+                label={t('presentationRules.equals')}
+                value={editing.value}
+                onChangeText={(value) => update({ value })}
+                placeholder={t('presentationRules.anyValue')}
+                autoCapitalize="none"
+                containerStyle={styles.rowField}
+              />
+            </View>
+          )}
+
+          <Text style={styles.label}>
+            {t('presentationRules.presentationLabel')}
+          </Text>
+          <OptionChips
+            options={ACTION_OPTIONS.map((value) => ({
+              label: t(`presentationRules.action.${value}`),
+              value,
+            }))}
+            selected={editing.action}
+            onSelect={(action) => update({ action })}
+          />
+          <View style={styles.switchRow}>
+            <Text style={styles.label}>{t('presentationRules.setBadge')}</Text>
+            <Switch
+              value={editing.setBadge}
+              onValueChange={(setBadge) => update({ setBadge })}
+            />
+          </View>
+        </View>
+
+        {validationError && (
+          <Text style={styles.errorText}>⚠️ {validationError}</Text>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, validationError && styles.buttonDisabled]}
+          onPress={save}
+        >
+          <Text style={styles.buttonText}>{t('presentationRules.save')}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('presentationRules.title', { count: rules.length })}
+          </Text>
+          <TouchableOpacity
+            style={[styles.smallButton, styles.newButton]}
+            onPress={() => setEditing(DEFAULT_RULE_FORM)}
+          >
+            <Text style={styles.smallButtonText}>
+              {t('presentationRules.new')}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.hint}>
+          {t('presentationRules.hint')}
+        </Text>
+
+        {rules.map((rule, index) => (
+          <View
+            key={rule.id}
+            style={[styles.item, !rule.enabled && styles.itemDisabled]}
+          >
+            <View style={styles.header}>
+              <Text style={styles.itemTitle}>
+                {index + 1}. {rule.name}
+              </Text>
+              <Switch
+                value={rule.enabled}
+                onValueChange={(enabled) => setRuleEnabled(rule.id, enabled)}
+              />
+            </View>
+            <Text style={styles.itemMeta}>
+              {t('presentationRules.when', { match: describeMatch(rule) })}
+            </Text>
+            <Text style={styles.itemMeta}>
+              {t(`presentation.${rule.action}`)}
+              {rule.setBadge ? ` · ${t('presentationRules.setsBadge')}` : ''}
+            </Text>
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.moveButton]}
+                onPress={() => moveRule(rule.id, -1)}
+              >
+                <Text style={styles.smallButtonText}>↑</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.moveButton]}
+                onPress={() => moveRule(rule.id, 1)}
+              >
+                <Text style={styles.smallButtonText}>↓</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.editButton]}
+                onPress={() => setEditing(rule)}
+              >
+                <Text style={styles.smallButtonText}>{t('common.edit')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.deleteButton]}
+                onPress={() => confirmDelete(rule)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('common.delete')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 6,
+      flex: 1,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+      marginBottom: 12,
+    },
+    row: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    rowField: {
+      flex: 1,
+      marginHorizontal: 2,
+    },
+    switchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    item: {
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#009688',
+    },
+    itemDisabled: {
+      opacity: 0.5,
+    },
+    itemTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      flex: 1,
+    },
+    itemMeta: {
+      fontSize: 12,
+      color: colors.textSecondary,
+      marginBottom: 2,
+    },
+    actionRow: {
+      flexDirection: 'row',
+      marginTop: 8,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginRight: 6,
+    },
+    newButton: {
+      backgroundColor: '#4CAF50',
+      marginBottom: 12,
+    },
+    moveButton: {
+      backgroundColor: '#9E9E9E',
+    },
+    editButton: {
+      backgroundColor: '#2196F3',
+    },
+    deleteButton: {
+      backgroundColor: '#f44336',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    backButtonText: {
+      fontSize: 14,
+      color: '#2196F3',
+      fontWeight: '600',
+      marginBottom: 12,
+    },
+    button: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginBottom: 20,
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+  });
+
+export default PresentationRulesScreen;
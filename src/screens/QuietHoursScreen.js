@@ -0,0 +1,392 @@
+// src/screens/QuietHoursScreen.js
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Alert,
+} from 'react-native';
+import FormField from '../components/FormField';
+import OptionChips from '../components/OptionChips';
+import { useStore } from '../hooks/useStore';
+import {
+  DEFAULT_WINDOW_FORM,
+  WEEKDAYS,
+  deleteWindow,
+  getDeviceTimeZone,
+  getQuietUntil,
+  quietHoursStore,
+  saveWindow,
+  setQuietHoursEnabled,
+  setQuietHoursTimeZone,
+  setWindowEnabled,
+  validateWindow,
+} from '../notifications/quietHours';
+import { getWeekdayName } from '../notifications/scheduling';
+import { formatTimestamp } from '../utils/format';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+import { t } from '../i18n';
+
+// "Every day" or "Mon, Tue, Wed"
+const describeWeekdays = (weekdays) =>
+  weekdays.length === WEEKDAYS.length
+    ? t('quietHours.everyDay')
+    : weekdays.map(getWeekdayName).join(', ');
+
+// Windows in which notifications are held instead of shown
+const QuietHoursScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const settings = useStore(quietHoursStore);
+  const [timeZoneDraft, setTimeZoneDraft] = useState(
+    settings.timeZone ?? ''
+  );
+  // `null` shows the list; otherwise the window being edited
+  const [editing, setEditing] = useState(null);
+
+  // Follow the saved zone once the store has loaded from disk
+  useEffect(() => {
+    setTimeZoneDraft(settings.timeZone ?? '');
+  }, [settings.timeZone]);
+
+  const update = (changes) => setEditing((prev) => ({ ...prev, ...changes }));
+
+  const toggleWeekday = (weekday) =>
+    update({
+      weekdays: editing.weekdays.includes(weekday)
+        ? editing.weekdays.filter((day) => day !== weekday)
+        : [...editing.weekdays, weekday],
+    });
+
+  const validationError = useMemo(() => {
+    if (!editing) {
+      return null;
+    }
+    try {
+      validateWindow(editing);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }, [editing]);
+
+  const save = async () => {
+    if (validationError) {
+      Alert.alert(t('quietHours.invalid'), validationError);
+      return;
+    }
+    await saveWindow(editing);
+    setEditing(null);
+  };
+
+  const saveTimeZone = async () => {
+    try {
+      await setQuietHoursTimeZone(timeZoneDraft);
+    } catch (error) {
+      Alert.alert(t('quietHours.invalid'), error.message);
+      setTimeZoneDraft(settings.timeZone ?? '');
+    }
+  };
+
+  const confirmDelete = (window) => {
+    Alert.alert(
+      t('quietHours.deleteTitle', { start: window.start, end: window.end }),
+      undefined,
+      [
+        { text: t('quietHours.keep'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: () => deleteWindow(window.id),
+        },
+      ]
+    );
+  };
+
+  if (editing) {
+    return (
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <TouchableOpacity onPress={() => setEditing(null)}>
+          <Text style={styles.backButtonText}>{t('quietHours.back')}</Text>
+        </TouchableOpacity>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>
+            {editing.id
+              ? t('quietHours.editTitle')
+              : t('quietHours.newTitle')}
+          </Text>
+
+          <Text style={styles.label}>{t('quietHours.weekdays')}</Text>
+          <OptionChips
+            options={WEEKDAYS.map((weekday) => ({
+              label: getWeekdayName(weekday),
+              value: weekday,
+            }))}
+            selected={editing.weekdays}
+            onSelect={toggleWeekday}
+          />
+          <View style={styles.row}>
+            <FormField
+              label={t('quietHours.start')}
+              value={editing.start}
+              onChangeText={(start) => update({ start })}
+              placeholder="22:00"
+              keyboardType="numbers-and-punctuation"
+              containerStyle={styles.rowField}
+            />
+            <FormField
+              label={t('quietHours.end')}
+              value={editing.end}
+              onChangeText={(end) => update({ end })}
+              placeholder="07:00"
+              keyboardType="numbers-and-punctuation"
+              containerStyle={styles.rowField}
+            />
+          </View>
+          <Text style={styles.hint}>{t('quietHours.timesHint')}</Text>
+        </View>
+
+        {validationError && (
+          <Text style={styles.errorText}>⚠️ {validationError}</Text>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, validationError && styles.buttonDisabled]}
+          onPress={save}
+        >
+          <Text style={styles.buttonText}>{t('quietHours.save')}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  const quietUntil = getQuietUntil(settings);
+
+  return (
+    <ScrollView
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>{t('quietHours.title')}</Text>
+          <Switch
+            value={settings.enabled}
+            onValueChange={setQuietHoursEnabled}
+          />
+        </View>
+        <Text style={styles.statusText}>
+          {quietUntil
+            ? t('quietHours.quietUntil', {
+                time: formatTimestamp(quietUntil),
+              })
+            : t('quietHours.notQuiet')}
+        </Text>
+        <FormField
+          label={t('quietHours.timeZone')}
+          value={timeZoneDraft}
+          onChangeText={setTimeZoneDraft}
+          onEndEditing={saveTimeZone}
+          placeholder={getDeviceTimeZone()}
+          autoCapitalize="none"
+          hint={t('quietHours.timeZoneHint', {
+            timeZone: getDeviceTimeZone(),
+          })}
+        />
+        <Text style={styles.hint}>{t('quietHours.hint')}</Text>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('quietHours.windows', { count: settings.windows.length })}
+          </Text>
+          <TouchableOpacity
+            style={[styles.smallButton, styles.newButton]}
+            onPress={() => setEditing(DEFAULT_WINDOW_FORM)}
+          >
+            <Text style={styles.smallButtonText}>{t('quietHours.new')}</Text>
+          </TouchableOpacity>
+        </View>
+        {settings.windows.length === 0 && (
+          <Text style={styles.hint}>{t('quietHours.empty')}</Text>
+        )}
+
+        {settings.windows.map((window) => (
+          <View
+            key={window.id}
+            style={[styles.item, !window.enabled && styles.itemDisabled]}
+          >
+            <View style={styles.header}>
+              <Text style={styles.itemTitle}>
+                {window.start} – {window.end}
+              </Text>
+              <Switch
+                value={window.enabled}
+                onValueChange={(enabled) =>
+                  setWindowEnabled(window.id, enabled)
+                }
+              />
+            </View>
+            <Text style={styles.itemMeta}>
+              {describeWeekdays(window.weekdays)}
+            </Text>
+            <View style={styles.actionRow}>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.editButton]}
+                onPress={() => setEditing(window)}
+              >
+                <Text style={styles.smallButtonText}>{t('common.edit')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.deleteButton]}
+                onPress={() => confirmDelete(window)}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('common.delete')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    statusText: {
+      fontSize: 15,
+      color: colors.text,
+      marginBottom: 12,
+    },
+    label: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.textSecondary,
+      marginBottom: 6,
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginBottom: 12,
+    },
+    errorText: {
+      fontSize: 13,
+      color: colors.error,
+      marginBottom: 12,
+    },
+    row: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+    },
+    rowField: {
+      flex: 1,
+      marginHorizontal: 2,
+    },
+    item: {
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#673AB7',
+    },
+    itemDisabled: {
+      opacity: 0.5,
+    },
+    itemTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      flex: 1,
+    },
+    itemMeta: {
+      fontSize: 12,
+      color: colors.textSecondary,
+      marginBottom: 2,
+    },
+    actionRow: {
+      flexDirection: 'row',
+      marginTop: 8,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginRight: 6,
+    },
+    newButton: {
+      backgroundColor: '#4CAF50',
+      marginBottom: 12,
+    },
+    editButton: {
+      backgroundColor: '#2196F3',
+    },
+    deleteButton: {
+      backgroundColor: '#f44336',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    backButtonText: {
+      fontSize: 14,
+      color: '#2196F3',
+      fontWeight: '600',
+      marginBottom: 12,
+    },
+    button: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginBottom: 20,
+    },
+    buttonDisabled: {
+      backgroundColor: colors.disabled,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
+  });
+
+export default QuietHoursScreen;
@@ -0,0 +1,298 @@
+// src/screens/ScheduledScreen.js
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  AppState,
+} from 'react-native';
+import * as Notifications from 'expo-notifications';
+import LocalComposerScreen from './LocalComposerScreen';
+import {
+  describeTrigger,
+  duplicateScheduledAsync,
+  getNextFireDateAsync,
+  requestToForm,
+  rescheduleFromForm,
+} from '../notifications/scheduling';
+import { formatTimestamp } from '../utils/format';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Load every pending request together with its next fire time
+async function loadScheduled() {
+  const requests = await Notifications.getAllScheduledNotificationsAsync();
+  return Promise.all(
+    requests.map(async (request) => ({
+      request,
+      nextFireDate: await getNextFireDateAsync(request.trigger),
+    }))
+  );
+}
+
+// List, cancel, duplicate and edit notifications waiting to be delivered
+const ScheduledScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const [scheduled, setScheduled] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setRefreshing(true);
+    try {
+      setScheduled(await loadScheduled());
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('scheduled.loadFailed', { message: error.message })
+      );
+    } finally {
+      setRefreshing(false);
+    }
+  }, [t]);
+
+  // A delivered one-off notification leaves the schedule, so reload
+  // whenever something fires while this screen is open, and after
+  // returning from the background where deliveries are not observed
+  useEffect(() => {
+    refresh();
+    const receivedListener = Notifications.addNotificationReceivedListener(
+      () => refresh()
+    );
+    const appStateListener = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        refresh();
+      }
+    });
+    return () => {
+      receivedListener.remove();
+      appStateListener.remove();
+    };
+  }, [refresh]);
+
+  const cancelOne = async (identifier) => {
+    await Notifications.cancelScheduledNotificationAsync(identifier);
+    refresh();
+  };
+
+  const cancelAll = () => {
+    Alert.alert(
+      t('scheduled.cancelAllTitle'),
+      t('scheduled.cancelAllMessage'),
+      [
+        { text: t('scheduled.keep'), style: 'cancel' },
+        {
+          text: t('scheduled.cancelAll'),
+          style: 'destructive',
+          onPress: async () => {
+            await Notifications.cancelAllScheduledNotificationsAsync();
+            refresh();
+          },
+        },
+      ]
+    );
+  };
+
+  const duplicate = async (request) => {
+    try {
+      await duplicateScheduledAsync(request);
+      refresh();
+    } catch (error) {
+      Alert.alert(
+        t('common.error'),
+        t('scheduled.duplicateFailed', { message: error.message })
+      );
+    }
+  };
+
+  const saveEdit = async (form) => {
+    await rescheduleFromForm(editing.identifier, form);
+    setEditing(null);
+    refresh();
+  };
+
+  // Editing reuses the composer in place of the list
+  if (editing) {
+    return (
+      <View style={styles.container}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => setEditing(null)}
+        >
+          <Text style={styles.backButtonText}>{t('scheduled.back')}</Text>
+        </TouchableOpacity>
+        <LocalComposerScreen
+          initialForm={requestToForm(editing)}
+          submitLabel={t('scheduled.saveChanges')}
+          onSubmit={saveEdit}
+        />
+      </View>
+    );
+  }
+
+  const renderItem = ({ item: { request, nextFireDate } }) => (
+    <View style={styles.item}>
+      <Text style={styles.itemTitle} numberOfLines={1}>
+        {request.content.title || t('common.noTitle')}
+      </Text>
+      <Text style={styles.itemBody} numberOfLines={2}>
+        {request.content.body || t('common.noBody')}
+      </Text>
+      <Text style={styles.itemMeta}>⏰ {describeTrigger(request.trigger)}</Text>
+      <Text style={styles.itemMeta}>
+        {t('scheduled.next', {
+          date: nextFireDate
+            ? formatTimestamp(nextFireDate)
+            : t('scheduled.unknown'),
+        })}
+      </Text>
+      <Text style={styles.itemMeta} selectable>
+        ID: {request.identifier}
+      </Text>
+      <View style={styles.actionRow}>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.editButton]}
+          onPress={() => setEditing(request)}
+        >
+          <Text style={styles.smallButtonText}>{t('common.edit')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.duplicateButton]}
+          onPress={() => duplicate(request)}
+        >
+          <Text style={styles.smallButtonText}>{t('scheduled.duplicate')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.smallButton, styles.cancelButton]}
+          onPress={() => cancelOne(request.identifier)}
+        >
+          <Text style={styles.smallButtonText}>{t('common.cancel')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <FlatList
+      contentContainerStyle={styles.content}
+      data={scheduled}
+      keyExtractor={(item) => item.request.identifier}
+      renderItem={renderItem}
+      refreshing={refreshing}
+      onRefresh={refresh}
+      ListHeaderComponent={
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('scheduled.title', { count: scheduled.length })}
+          </Text>
+          {scheduled.length > 0 && (
+            <TouchableOpacity
+              style={[styles.smallButton, styles.cancelButton]}
+              onPress={cancelAll}
+            >
+              <Text style={styles.smallButtonText}>
+                {t('scheduled.cancelAll')}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      }
+      ListEmptyComponent={
+        <Text style={styles.emptyText}>
+          {t('scheduled.empty')}
+        </Text>
+      }
+    />
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+    },
+    content: {
+      padding: 20,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textAlign: 'center',
+      marginTop: 20,
+    },
+    item: {
+      backgroundColor: colors.card,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: '#9C27B0',
+    },
+    itemTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 4,
+    },
+    itemBody: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      lineHeight: 18,
+      marginBottom: 6,
+    },
+    itemMeta: {
+      fontSize: 11,
+      color: colors.textMuted,
+      marginBottom: 2,
+    },
+    actionRow: {
+      flexDirection: 'row',
+      marginTop: 8,
+    },
+    smallButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 6,
+      marginRight: 6,
+    },
+    editButton: {
+      backgroundColor: '#2196F3',
+    },
+    duplicateButton: {
+      backgroundColor: '#FF9800',
+    },
+    cancelButton: {
+      backgroundColor: '#f44336',
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    backButton: {
+      paddingHorizontal: 20,
+      paddingTop: 12,
+    },
+    backButtonText: {
+      fontSize: 14,
+      color: '#2196F3',
+      fontWeight: '600',
+    },
+  });
+
+export default ScheduledScreen;
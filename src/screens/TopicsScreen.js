@@ -0,0 +1,259 @@
+// src/screens/TopicsScreen.js
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import FormField from '../components/FormField';
+import { useStore } from '../hooks/useStore';
+import { historyStore } from '../history/historyStore';
+import {
+  subscribeTopic,
+  topicStore,
+  unsubscribeTopic,
+} from '../push/topicStore';
+import { formatTimestamp } from '../utils/format';
+import { useThemedStyles } from '../hooks/useTheme';
+import { useTranslation } from '../hooks/useTranslation';
+
+// Subscribe this device to FCM topics for broadcast-style testing
+// Messages sent to a topic show up in history tagged with its name
+const TopicsScreen = () => {
+  const styles = useThemedStyles(createStyles);
+  const { t } = useTranslation();
+  const topics = useStore(topicStore);
+  const notificationHistory = useStore(historyStore);
+  const [topicDraft, setTopicDraft] = useState('');
+  const [busy, setBusy] = useState(false);
+  const canSubscribe = !busy && topicDraft.trim() !== '';
+
+  // How many logged notifications arrived through each topic
+  const receivedCounts = useMemo(() => {
+    const counts = {};
+    notificationHistory.forEach((entry) => {
+      if (entry.topic) {
+        counts[entry.topic] = (counts[entry.topic] ?? 0) + 1;
+      }
+    });
+    return counts;
+  }, [notificationHistory]);
+
+  // Run one Firebase call at a time and report failures
+  const run = async (task, failure) => {
+    setBusy(true);
+    try {
+      await task();
+    } catch (error) {
+      Alert.alert(t('common.error'), `${failure}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const subscribe = () =>
+    run(async () => {
+      const name = await subscribeTopic(topicDraft);
+      setTopicDraft('');
+      Alert.alert(
+        t('topics.subscribed'),
+        t('topics.subscribedMessage', { name })
+      );
+    }, t('topics.subscribeFailed'));
+
+  const unsubscribe = (name) =>
+    run(
+      () => unsubscribeTopic(name),
+      t('topics.unsubscribeFailed', { name })
+    );
+
+  // Subscriptions belong to the FCM token, so they are lost when it rotates
+  const resubscribeAll = () =>
+    run(async () => {
+      // Oldest first, so the list keeps its order
+      for (const topic of [...topics].reverse()) {
+        await subscribeTopic(topic.name);
+      }
+      Alert.alert(
+        t('topics.done'),
+        t('topics.resubscribed', { count: topics.length })
+      );
+    }, t('topics.resubscribeFailed'));
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.card}>
+        <Text style={styles.sectionTitle}>{t('topics.subscribeTitle')}</Text>
+        <FormField
+          label={t('topics.name')}
+          value={topicDraft}
+          onChangeText={setTopicDraft}
+          autoCapitalize="none"
+          placeholder="news"
+          hint={t('topics.nameHint')}
+        />
+        <TouchableOpacity
+          style={[styles.button, !canSubscribe && styles.disabled]}
+          onPress={subscribe}
+          disabled={!canSubscribe}
+        >
+          <Text style={styles.buttonText}>{t('topics.subscribe')}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.header}>
+          <Text style={styles.sectionTitle}>
+            {t('topics.title', { count: topics.length })}
+          </Text>
+          {topics.length > 0 && (
+            <TouchableOpacity
+              style={[styles.smallButton, styles.resubscribeButton]}
+              onPress={resubscribeAll}
+              disabled={busy}
+            >
+              <Text style={styles.smallButtonText}>
+                {t('topics.resubscribeAll')}
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {topics.length === 0 ? (
+          <Text style={styles.emptyText}>{t('topics.empty')}</Text>
+        ) : (
+          topics.map((topic) => (
+            <View key={topic.name} style={styles.item}>
+              <View style={styles.itemText}>
+                <Text style={styles.itemTitle}>#{topic.name}</Text>
+                <Text style={styles.itemMeta}>
+                  {t('topics.since', {
+                    date: formatTimestamp(topic.subscribedAt),
+                    count: receivedCounts[topic.name] ?? 0,
+                  })}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.smallButton, styles.unsubscribeButton]}
+                onPress={() => unsubscribe(topic.name)}
+                disabled={busy}
+              >
+                <Text style={styles.smallButtonText}>
+                  {t('topics.unsubscribe')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+        <Text style={styles.hint}>
+          {t('topics.hint')}
+        </Text>
+      </View>
+    </ScrollView>
+  );
+};
+
+const createStyles = (colors) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    content: {
+      padding: 20,
+    },
+    card: {
+      backgroundColor: colors.card,
+      padding: 16,
+      borderRadius: 12,
+      marginBottom: 20,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.1,
+      shadowRadius: 4,
+      elevation: 3,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'flex-start',
+    },
+    sectionTitle: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 12,
+      flex: 1,
+    },
+    button: {
+      backgroundColor: '#4CAF50',
+      padding: 14,
+      borderRadius: 8,
+      alignItems: 'center',
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+    buttonText: {
+      color: '#fff',
+      fontSize: 15,
+      fontWeight: '600',
+    },
+    item: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: colors.border,
+    },
+    itemText: {
+      flex: 1,
+      marginRight: 8,
+    },
+    itemTitle: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: colors.text,
+    },
+    itemMeta: {
+      fontSize: 12,
+      color: colors.textMuted,
+      marginTop: 2,
+    },
+    smallButton: {
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      borderRadius: 6,
+    },
+    smallButtonText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
+    resubscribeButton: {
+      backgroundColor: '#2196F3',
+    },
+    unsubscribeButton: {
+      backgroundColor: '#f44336',
+    },
+    hint: {
+      fontSize: 12,
+      color: colors.textMuted,
+      lineHeight: 18,
+      marginTop: 12,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textAlign: 'center',
+    },
+  });
+
+export default TopicsScreen;
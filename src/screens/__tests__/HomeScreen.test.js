@@ -0,0 +1,95 @@
+// src/screens/__tests__/HomeScreen.test.js
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Device from 'expo-device';
+import * as Notifications from 'expo-notifications';
+import HomeScreen from '../HomeScreen';
+import { historyStore } from '../../history/historyStore';
+
+const navigation = { navigate: jest.fn() };
+
+const renderHome = async () => {
+  render(<HomeScreen navigation={navigation} />);
+  // Let the permission check and token requests settle
+  await act(async () => {});
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  // The dashboard logs every event; keep the test output readable
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  Notifications.__reset();
+  Device.__setIsDevice(true);
+  await AsyncStorage.clear();
+  await historyStore.reset();
+});
+
+describe('HomeScreen', () => {
+  it('shows the FCM token once permissions are granted', async () => {
+    await renderHome();
+
+    await waitFor(() =>
+      expect(screen.getAllByText('fcm-token').length).toBeGreaterThan(0)
+    );
+  });
+
+  it('explains that emulators cannot receive pushes', async () => {
+    Device.__setIsDevice(false);
+    await renderHome();
+
+    await waitFor(() =>
+      expect(
+        screen.getByText(/Push notifications are not available on emulators/)
+      ).toBeTruthy()
+    );
+    expect(Notifications.getExpoPushTokenAsync).not.toHaveBeenCalled();
+  });
+
+  it('fetches no tokens while notifications are blocked', async () => {
+    Notifications.getPermissionsAsync.mockResolvedValue(
+      Notifications.DENIED_PERMISSIONS
+    );
+    await renderHome();
+
+    await waitFor(() => expect(screen.getByText('🔒 Blocked')).toBeTruthy());
+    expect(Notifications.requestPermissionsAsync).not.toHaveBeenCalled();
+    expect(Notifications.getExpoPushTokenAsync).not.toHaveBeenCalled();
+  });
+
+  it('logs and shows a notification received in the foreground', async () => {
+    await renderHome();
+
+    await act(async () => {
+      Notifications.__receive(
+        Notifications.__createNotification({
+          identifier: 'home-received',
+          title: 'Hello from the test',
+        })
+      );
+    });
+
+    await waitFor(() =>
+      expect(screen.getByText(/Hello from the test/)).toBeTruthy()
+    );
+    expect(historyStore.get()[0].notificationId).toBe('home-received');
+  });
+
+  it('logs a tap that launched the app', async () => {
+    Notifications.__setLastResponse(
+      Notifications.__createResponse(
+        Notifications.__createNotification({ identifier: 'home-launch' })
+      )
+    );
+    await renderHome();
+
+    await waitFor(() => expect(historyStore.get()).toHaveLength(1));
+    expect(historyStore.get()[0]).toMatchObject({
+      notificationId: 'home-launch',
+      source: 'tapped',
+      appState: 'killed',
+    });
+    expect(Notifications.clearLastNotificationResponse).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+// src/storage/persistentStore.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Create a small observable store that mirrors its value to AsyncStorage
+// The latest value lives in memory so screens can read it synchronously,
+// while every change is written to disk to survive app restarts
+export function createPersistentStore({
+  key,
+  version = 1,
+  defaultValue,
+  migrate = (value) => value,
+  hydrate = (value) => value,
+}) {
+  let value = defaultValue;
+  let loadPromise = null;
+  const listeners = new Set();
+
+  const notify = () => {
+    listeners.forEach((listener) => listener());
+  };
+
+  // Wrap the value with its schema version so old data can be upgraded
+  const persist = () =>
+    AsyncStorage.setItem(key, JSON.stringify({ version, value }));
+
+  const readFromDisk = async () => {
+    try {
+      const raw = await AsyncStorage.getItem(key);
+      if (!raw) {
+        return;
+      }
+
+      const stored = JSON.parse(raw);
+      const storedVersion = stored.version ?? 0;
+
+      // Run migrations only when the saved schema is older than ours
+      value = hydrate(
+        storedVersion === version
+          ? stored.value
+          : migrate(stored.value, storedVersion)
+      );
+
+      if (storedVersion !== version) {
+        await persist();
+      }
+      notify();
+    } catch (error) {
+      console.error(`Failed to load "${key}" from storage:`, error);
+    }
+  };
+
+  // Load once and share the same promise with every caller
+  const load = () => {
+    if (!loadPromise) {
+      loadPromise = readFromDisk();
+    }
+    return loadPromise;
+  };
+
+  // Force a fresh read, e.g. after a background task wrote new data
+  const reload = () => {
+    loadPromise = readFromDisk();
+    return loadPromise;
+  };
+
+  // Always wait for the initial load so an early write never
+  // overwrites data that is still sitting on disk
+  const update = async (updater) => {
+    await load();
+    value = typeof updater === 'function' ? updater(value) : updater;
+    notify();
+    await persist();
+    return value;
+  };
+
+  // Drop the saved value from disk and go back to the defaults
+  const reset = async () => {
+    await load();
+    value = defaultValue;
+    notify();
+    await AsyncStorage.removeItem(key);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    get: () => value,
+    load,
+    reload,
+    update,
+    reset,
+    subscribe,
+  };
+}
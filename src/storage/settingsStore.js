@@ -0,0 +1,48 @@
+// src/storage/settingsStore.js
+import { createPersistentStore } from './persistentStore';
+
+// Default values for every user-configurable option
+// New options only need a default here; saved settings are merged on load
+export const DEFAULT_SETTINGS = {
+  historyRetention: {
+    maxEntries: 200,
+    maxAgeDays: 30,
+  },
+  // 'system' follows the OS; 'light' and 'dark' override it
+  themeMode: 'system',
+  // 'system' follows the device language; 'en' or 'id' override it
+  language: 'system',
+  // Optional backend that receives token create/update/revoke calls
+  tokenEndpoint: '',
+  // Built-in push sender; empty endpoints fall back to the public APIs
+  // Its access token is kept in memory only (see pushSender.js)
+  pushSender: {
+    format: 'expo',
+    endpoint: '',
+    receiptsEndpoint: '',
+  },
+};
+
+// Version 2 stopped saving the push sender's access token, so drop
+// any token an older version left on disk
+const migrateSettings = (stored) => {
+  if (!stored.pushSender) {
+    return stored;
+  }
+  const { authToken, ...pushSender } = stored.pushSender;
+  return { ...stored, pushSender };
+};
+
+export const settingsStore = createPersistentStore({
+  key: '@myNotifications/settings',
+  version: 2,
+  defaultValue: DEFAULT_SETTINGS,
+  migrate: migrateSettings,
+  hydrate: (stored) => ({ ...DEFAULT_SETTINGS, ...stored }),
+});
+
+export const getSettings = () => settingsStore.get();
+
+// Merge a partial change into the saved settings
+export const updateSettings = (changes) =>
+  settingsStore.update((current) => ({ ...current, ...changes }));
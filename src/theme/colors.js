@@ -0,0 +1,75 @@
+// src/theme/colors.js
+
+// Color tokens for every surface in the app, one palette per scheme
+// Accent colors (buttons, chips, borders that mark a feature) read well
+// on both backgrounds and stay hard-coded in each StyleSheet
+const light = {
+  background: '#f5f7fa',
+  card: '#fff',
+  surface: '#f8f9fa',
+  border: '#ddd',
+  text: '#1a1a1a',
+  textSecondary: '#666',
+  textMuted: '#888',
+  disabled: '#ccc',
+  error: '#c62828',
+  // Permission status card
+  statusCard: '#fff',
+  // Push token card and the token text inside it
+  tokenCard: '#fff',
+  tokenText: '#2c3e50',
+  // History cards; unread entries get a tint
+  historyCard: '#fff',
+  historyUnread: '#E3F2FD',
+  // Emulator and permission warnings
+  warningCard: '#fff3cd',
+  warningText: '#856404',
+  warningTitle: '#e65100',
+  // Last received notification
+  successCard: '#e8f5e9',
+  successSurface: '#f1f8e9',
+  successText: '#2e7d32',
+  successStrong: '#1b5e20',
+  successCode: '#33691e',
+};
+
+const dark = {
+  background: '#121212',
+  card: '#1e1e1e',
+  surface: '#2a2a2a',
+  border: '#3a3a3a',
+  text: '#ececec',
+  textSecondary: '#b0b0b0',
+  textMuted: '#8a8a8a',
+  disabled: '#555',
+  error: '#ef9a9a',
+  statusCard: '#1e1e1e',
+  tokenCard: '#1e1e1e',
+  tokenText: '#cfd8dc',
+  historyCard: '#1e1e1e',
+  historyUnread: '#15293b',
+  warningCard: '#3a2f12',
+  warningText: '#ffd54f',
+  warningTitle: '#ffb74d',
+  successCard: '#1b2e1f',
+  successSurface: '#223326',
+  successText: '#81c784',
+  successStrong: '#a5d6a7',
+  successCode: '#c5e1a5',
+};
+
+export const THEMES = {
+  light: { scheme: 'light', dark: false, colors: light },
+  dark: { scheme: 'dark', dark: true, colors: dark },
+};
+
+// `system` follows the OS setting; the others pin one palette
+export const ThemeMode = {
+  SYSTEM: 'system',
+  LIGHT: 'light',
+  DARK: 'dark',
+};
+
+// The palette for a saved mode and the OS scheme from useColorScheme()
+export const resolveTheme = (mode, systemScheme) =>
+  THEMES[mode === ThemeMode.SYSTEM ? systemScheme : mode] ?? THEMES.light;
@@ -0,0 +1,26 @@
+// src/utils/appLifecycle.js
+import { AppState } from 'react-native';
+
+// Which state the app was in when a notification event was captured
+export const AppStateMarker = {
+  FOREGROUND: 'foreground',
+  BACKGROUND: 'background',
+  KILLED: 'killed',
+};
+
+// Headless JS (used while the app is killed) loads the bundle without
+// mounting the UI, so this flag tells both situations apart reliably
+let uiMounted = false;
+
+export const markUiMounted = () => {
+  uiMounted = true;
+};
+
+export function getAppStateMarker() {
+  if (!uiMounted) {
+    return AppStateMarker.KILLED;
+  }
+  return AppState.currentState === 'background'
+    ? AppStateMarker.BACKGROUND
+    : AppStateMarker.FOREGROUND;
+}
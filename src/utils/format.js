@@ -0,0 +1,54 @@
+// src/utils/format.js
+import { getLanguage, getLocale } from '../i18n';
+
+// Dates follow the app language, e.g. "19 Okt 2026, 14.05.09" in
+// Indonesian, rather than whatever the JS engine defaults to
+const currentLocale = () => getLocale(getLanguage());
+
+// Turn a stored epoch timestamp into a readable date and time
+// History keeps raw numbers so entries can be sorted and re-formatted
+export const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString(currentLocale(), {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// Date only, for grouping history by day
+export const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleDateString(currentLocale(), {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+
+// Time of day only, for events that happen close together
+export const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(currentLocale(), {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// Hour and minute, for hourly buckets
+export const formatHour = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(currentLocale(), {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// "850 ms", "2.4 s", "3.1 min"
+export function formatDuration(ms) {
+  const abs = Math.abs(ms);
+  if (abs < 1000) {
+    return `${Math.round(ms)} ms`;
+  }
+  if (abs < 60 * 1000) {
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+  return `${(ms / 60000).toFixed(1)} min`;
+}
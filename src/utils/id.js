@@ -0,0 +1,5 @@
+// src/utils/id.js
+
+// Build a reasonably unique id without extra dependencies
+export const createId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
@@ -0,0 +1,15 @@
+// src/utils/json.js
+import { t } from '../i18n';
+
+// Parse the "data" field of a composer form
+// Throws a readable error when the text is not a JSON object
+export function parseDataJson(text) {
+  if (!text.trim()) {
+    return {};
+  }
+  const parsed = JSON.parse(text);
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error(t('validation.dataJson'));
+  }
+  return parsed;
+}
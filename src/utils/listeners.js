@@ -0,0 +1,17 @@
+// src/utils/listeners.js
+
+// Minimal change feed for data that lives outside a persistent store,
+// e.g. channels or categories that are owned by the operating system
+export function createListeners() {
+  const listeners = new Set();
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    notify() {
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
@@ -0,0 +1,35 @@
+// src/utils/retry.js
+
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delay before the given retry attempt: 1x, 2x, 4x ... the base delay,
+// capped so a long outage does not stall the app for minutes
+export const getBackoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+  Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+
+// Run an async task and retry it with exponential backoff
+// `shouldRetry(error)` decides whether a failure is worth another attempt
+export async function retryWithBackoff(
+  task,
+  {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    shouldRetry = () => true,
+  } = {}
+) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      await wait(getBackoffDelay(attempt, baseDelayMs, maxDelayMs));
+      attempt++;
+    }
+  }
+}